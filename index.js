@@ -6,14 +6,38 @@ const dotenv = require('dotenv');
 dotenv.config();
 
 // Dependências principais
-const { Client, GatewayIntentBits, EmbedBuilder, PermissionsBitField } = require('discord.js');
+const { Client, GatewayIntentBits, EmbedBuilder, PermissionsBitField, MessageFlags } = require('discord.js');
+const { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const { REST, Routes } = require('discord.js');
 const sqlite3 = require('sqlite3').verbose();
 const { open } = require('sqlite');
-const axios = require('axios');
 const fs = require('fs-extra');
 const path = require('path');
 const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const {
+    DOLLAR_DECIMALS,
+    parseDollars,
+    parseCoins,
+    parsePercent,
+    parseFraction,
+    formatDollars,
+    formatCoins,
+    formatPercent,
+    dollarsToCoins,
+    coinsToDollars,
+    fromApiCoins,
+    applyPercent
+} = require('./src/money');
+const { createCoinApiClient, COIN_API_ERRORS } = require('./src/coinApi');
+const { CardVault, parseKey, generateKey, isEncrypted } = require('./src/cardVault');
+const { pageCount, clampPage, parsePageId, buildPageButtons } = require('./src/paginator');
+const { createWebServer, HttpError } = require('./src/webServer');
+const { verifySignature } = require('./src/signature');
+const { ECONOMY_EVENTS, createEvent, EconomyEventBus } = require('./src/events');
+const { parseEventFilter, subscribes, parseWebhookUrl, deliverWebhook } = require('./src/webhooks');
+const { LOCALES, DEFAULT_LOCALE, translate, createTranslator, localizeCommands } = require('./src/i18n');
+const { fetchIcon } = require('./src/currencyIcon');
 
 // ===================== CONFIGURAÇÕES VIA ENV =====================
 const CONFIG = {
@@ -25,33 +49,208 @@ const CONFIG = {
     // API
     API_URL: process.env.API_URL || 'https://bank.foxsrv.net',
     API_TIMEOUT: parseInt(process.env.API_TIMEOUT || '30000'),
+    // 'mock' usa a Coin API em memória (sem rede), com cartões no formato "CARD1=10.5,CARD2=3"
+    COIN_API_MODE: process.env.COIN_API_MODE || 'live',
+    COIN_API_MOCK_CARDS: process.env.COIN_API_MOCK_CARDS || '',
+    COIN_API_MOCK_LATENCY_MS: parseInt(process.env.COIN_API_MOCK_LATENCY_MS || '0'),
+    
+    // Criptografia dos cartões (32 bytes em base64 ou hex; gere com `node index.js generate-card-key`)
+    CARD_ENCRYPTION_KEY: process.env.CARD_ENCRYPTION_KEY || '',
+    // Chaves antigas, separadas por vírgula, aceitas só para decifrar durante a rotação
+    CARD_ENCRYPTION_PREVIOUS_KEYS: (process.env.CARD_ENCRYPTION_PREVIOUS_KEYS || '').split(',').filter(Boolean),
     
     // Fila de processamento
     QUEUE_DELAY_MS: parseInt(process.env.QUEUE_DELAY_MS || '1010'),
     QUEUE_MAX_CONCURRENT: parseInt(process.env.QUEUE_MAX_CONCURRENT || '1'),
+    QUEUE_MAX_RETRIES: parseInt(process.env.QUEUE_MAX_RETRIES || '3'),
+    QUEUE_RETRY_BASE_MS: parseInt(process.env.QUEUE_RETRY_BASE_MS || '1000'),
+    QUEUE_RETRY_MAX_MS: parseInt(process.env.QUEUE_RETRY_MAX_MS || '30000'),
+    QUEUE_UNKNOWN_RETRY_MS: parseInt(process.env.QUEUE_UNKNOWN_RETRY_MS || '300000'), // conferência de itens 'unknown'
+    
+    // Cache de saldos dos cartões (usado pelo /baltop)
+    CARD_BALANCE_TTL_MS: parseInt(process.env.CARD_BALANCE_TTL_MS || '600000'), // 10 minutos
+    CARD_BALANCE_REFRESH_MS: parseInt(process.env.CARD_BALANCE_REFRESH_MS || '60000'), // intervalo do atualizador
+    CARD_BALANCE_REFRESH_BATCH: parseInt(process.env.CARD_BALANCE_REFRESH_BATCH || '50'), // cartões por rodada
+    
+    // Verificação de cartões: valor único (em unidades base) que o usuário precisa movimentar
+    CARD_CHALLENGE_MAX_UNITS: parseInt(process.env.CARD_CHALLENGE_MAX_UNITS || '9999'),
+    CARD_CHALLENGE_TTL_MIN: parseInt(process.env.CARD_CHALLENGE_TTL_MIN || '30'),
+    
+    // Multas
+    FINE_DUE_DAYS: parseInt(process.env.FINE_DUE_DAYS || '7'),
+    
+    // Aprovação dupla (pedidos acima do limite de aprovação do servidor)
+    APPROVAL_TTL_MS: parseInt(process.env.APPROVAL_TTL_MS || '86400000'), // 24 horas
+    APPROVAL_SWEEP_MS: parseInt(process.env.APPROVAL_SWEEP_MS || '300000'), // expiração dos pedidos vencidos
+    
+    // Auditoria (0 desativa a execução agendada)
+    AUDIT_INTERVAL_MS: parseInt(process.env.AUDIT_INTERVAL_MS || '21600000'), // 6 horas
+    
+    // API web e painel (0 desativa; por padrão só aceita conexões locais)
+    WEB_PORT: parseInt(process.env.WEB_PORT || '0'),
+    WEB_HOST: process.env.WEB_HOST || '127.0.0.1',
+    
+    // Segredo dos avisos de pagamento da Coin API (POST /webhooks/coin); vazio desativa as recargas
+    COIN_WEBHOOK_SECRET: process.env.COIN_WEBHOOK_SECRET || '',
+    
+    // Webhooks de saída (/server webhooks): tentativas com espera dobrando a cada falha
+    WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000'),
+    WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6'),
+    WEBHOOK_RETRY_BASE_MS: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000'),
+    WEBHOOK_RETRY_MAX_MS: parseInt(process.env.WEBHOOK_RETRY_MAX_MS || '3600000'), // 1 hora
+    WEBHOOK_SWEEP_MS: parseInt(process.env.WEBHOOK_SWEEP_MS || '30000'), // reenvio das entregas vencidas
+    // Só para desenvolvimento: aceita webhooks em localhost e redes privadas
+    WEBHOOK_ALLOW_PRIVATE_HOSTS: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true',
     
     // Banco de dados
     DB_PATH: process.env.DB_PATH || './test.db',
     
     // Economia
+    // Símbolo e nome padrão da moeda; cada servidor pode trocar com /server currency
     CURRENCY_SYMBOL: process.env.CURRENCY_SYMBOL || 'R$',
-    COIN_DECIMALS: 8,
-    DOLLAR_DECIMALS: 2,
-    WITHDRAW_FEE: parseFloat(process.env.WITHDRAW_FEE || '0.01'), // 1% de taxa
+    // Nome da moeda nas mensagens (ex.: "dólares"); vazio usa o do idioma do servidor
+    CURRENCY_NAME: process.env.CURRENCY_NAME || '',
+    WITHDRAW_FEE: parseFraction(process.env.WITHDRAW_FEE || '0.01'), // 1% de taxa, em pontos-base
+    DEFAULT_EXCHANGE_RATE: parseDollars(process.env.EXCHANGE_RATE || '100000000'), // centavos por coin (1 real = 1 satoshi)
     
-    // Arquivos
+    // Arquivos (ícone padrão dos embeds, para servidores sem ícone próprio)
     ICON_PATH: path.join(__dirname, 'icon.png')
 };
 
 // ===================== VALIDAÇÕES INICIAIS =====================
-if (!CONFIG.BOT_TOKEN) {
-    console.error('❌ BOT_TOKEN não configurado no arquivo .env');
-    process.exit(1);
+/**
+ * Valida as configurações obrigatórias para conectar ao Discord.
+ * Roda só no start(), para o módulo poder ser importado pelos testes.
+ */
+function validateConfig() {
+    if (!CONFIG.BOT_TOKEN) {
+        console.error('❌ BOT_TOKEN não configurado no arquivo .env');
+        process.exit(1);
+    }
+
+    if (!CONFIG.BOT_CLIENT_ID) {
+        console.error('❌ BOT_CLIENT_ID não configurado no arquivo .env');
+        process.exit(1);
+    }
+
+    if (!CONFIG.DEFAULT_EXCHANGE_RATE) {
+        console.error('❌ EXCHANGE_RATE inválido no arquivo .env');
+        process.exit(1);
+    }
+
+    if (CONFIG.WITHDRAW_FEE === null || CONFIG.WITHDRAW_FEE >= 10000) {
+        console.error('❌ WITHDRAW_FEE inválido no arquivo .env (use uma fração menor que 1, ex.: 0.01)');
+        process.exit(1);
+    }
+
+    if (!parseKey(CONFIG.CARD_ENCRYPTION_KEY)) {
+        console.error('❌ CARD_ENCRYPTION_KEY ausente ou inválida no arquivo .env (gere uma com `node index.js generate-card-key`)');
+        process.exit(1);
+    }
+}
+
+// ===================== COIN API =====================
+const coinApi = createCoinApiClient({
+    mode: CONFIG.COIN_API_MODE,
+    baseUrl: CONFIG.API_URL,
+    timeout: CONFIG.API_TIMEOUT,
+    mockCards: CONFIG.COIN_API_MOCK_CARDS,
+    mockLatencyMs: CONFIG.COIN_API_MOCK_LATENCY_MS
+});
+
+if (CONFIG.COIN_API_MODE === 'mock') {
+    console.warn('⚠️ Coin API em modo mock: nenhuma transferência real será feita');
+}
+
+// ===================== CRIPTOGRAFIA DE CARTÕES =====================
+// Cartões ficam cifrados no banco (users, guild_config e payloads da fila) e só
+// são decifrados em checkCardStatus e PaymentQueue.processItem.
+const cardVault = new CardVault({
+    key: CONFIG.CARD_ENCRYPTION_KEY,
+    previousKeys: CONFIG.CARD_ENCRYPTION_PREVIOUS_KEYS
+});
+
+// Campos de cartão dentro dos payloads da fila
+const PAYLOAD_CARD_FIELDS = ['fromCard', 'toCard'];
+
+/**
+ * Aplica uma transformação aos campos de cartão de um payload da fila
+ * @param {Object} payload - Payload do item
+ * @param {Function} transform - Recebe o valor do campo e devolve o novo
+ * @returns {Object} Cópia do payload
+ */
+function mapPayloadCards(payload, transform) {
+    const mapped = { ...payload };
+    for (const field of PAYLOAD_CARD_FIELDS) {
+        if (mapped[field]) mapped[field] = transform(mapped[field]);
+    }
+    return mapped;
+}
+
+/**
+ * Cifra com a chave atual todos os cartões que estão em texto puro ou com uma
+ * chave antiga. Usado pela migração inicial e pela rotação de chave; deve
+ * rodar dentro de uma transação do banco.
+ * @returns {Object} { users, guilds, queue } quantidade de linhas alteradas
+ */
+async function reencryptCards() {
+    const counts = { users: 0, guilds: 0, queue: 0 };
+
+    const users = await db.all('SELECT user_id, guild_id, card_id FROM users WHERE card_id IS NOT NULL');
+    for (const row of users) {
+        if (!cardVault.needsReencrypt(row.card_id)) continue;
+        await db.run(
+            'UPDATE users SET card_id = ? WHERE user_id = ? AND guild_id = ?',
+            [cardVault.reencrypt(row.card_id), row.user_id, row.guild_id]
+        );
+        counts.users++;
+    }
+
+    const guilds = await db.all('SELECT guild_id, server_card_id FROM guild_config WHERE server_card_id IS NOT NULL');
+    for (const row of guilds) {
+        if (!cardVault.needsReencrypt(row.server_card_id)) continue;
+        await db.run(
+            'UPDATE guild_config SET server_card_id = ? WHERE guild_id = ?',
+            [cardVault.reencrypt(row.server_card_id), row.guild_id]
+        );
+        counts.guilds++;
+    }
+
+    // Inclui itens já concluídos: o payload guarda o cartão de origem
+    const items = await db.all('SELECT id, payload FROM queue');
+    for (const row of items) {
+        const payload = JSON.parse(row.payload);
+        if (!PAYLOAD_CARD_FIELDS.some(field => payload[field] && cardVault.needsReencrypt(payload[field]))) continue;
+        await db.run(
+            'UPDATE queue SET payload = ? WHERE id = ?',
+            [JSON.stringify(mapPayloadCards(payload, value => cardVault.reencrypt(value))), row.id]
+        );
+        counts.queue++;
+    }
+
+    return counts;
 }
 
-if (!CONFIG.BOT_CLIENT_ID) {
-    console.error('❌ BOT_CLIENT_ID não configurado no arquivo .env');
-    process.exit(1);
+/**
+ * Rotação de chave (linha de comando): com a chave nova em CARD_ENCRYPTION_KEY e a
+ * antiga em CARD_ENCRYPTION_PREVIOUS_KEYS, cifra de novo todos os cartões.
+ * Depois disso a chave antiga pode ser removida do .env.
+ */
+async function rotateCardKey() {
+    validateConfig();
+    await initDatabase();
+
+    await db.exec('BEGIN IMMEDIATE');
+    try {
+        const counts = await reencryptCards();
+        await db.exec('COMMIT');
+        console.log(`✅ Cartões cifrados com a chave atual: ${counts.users} usuário(s), ${counts.guilds} servidor(es), ${counts.queue} item(ns) da fila`);
+    } catch (error) {
+        await db.exec('ROLLBACK');
+        throw error;
+    } finally {
+        await db.close();
+    }
 }
 
 // ===================== CLIENT DISCORD =====================
@@ -67,6 +266,37 @@ const client = new Client({
 // ===================== BANCO DE DADOS =====================
 let db;
 
+// A conexão é uma só para o bot inteiro. Um comando enviado por outra rotina
+// enquanto uma transação está aberta entraria nela, e um ROLLBACK o desfaria
+// junto; por isso tudo passa por uma trava, e só quem está dentro da
+// transação (transactionScope) fala com a conexão diretamente.
+const transactionScope = new AsyncLocalStorage();
+let connectionLock = Promise.resolve();
+
+/**
+ * Executa task quando a conexão estiver livre, uma de cada vez
+ * @param {Function} task - Função assíncrona
+ * @returns {*} Retorno de task
+ */
+function withConnectionLock(task) {
+    const run = connectionLock.then(task);
+    connectionLock = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Faz os comandos da conexão esperarem a transação aberta, exceto os da própria transação
+ * @param {Object} connection - Conexão do sqlite
+ */
+function guardConnection(connection) {
+    for (const method of ['run', 'get', 'all', 'exec']) {
+        const statement = connection[method].bind(connection);
+        connection[method] = (...args) => (transactionScope.getStore()?.open
+            ? statement(...args)
+            : withConnectionLock(() => statement(...args)));
+    }
+}
+
 /**
  * Inicializa o banco de dados SQLite e cria as tabelas necessárias
  */
@@ -75,6 +305,7 @@ async function initDatabase() {
         filename: CONFIG.DB_PATH,
         driver: sqlite3.Database
     });
+    guardConnection(db);
 
     // Tabela de configurações por servidor
     await db.exec(`
@@ -94,7 +325,7 @@ async function initDatabase() {
             user_id TEXT,
             guild_id TEXT,
             card_id TEXT,
-            dollars REAL DEFAULT 0,
+            dollars INTEGER DEFAULT 0,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             PRIMARY KEY (user_id, guild_id)
@@ -108,8 +339,8 @@ async function initDatabase() {
             guild_id TEXT,
             user_id TEXT,
             type TEXT,
-            amount REAL,
-            coin_amount REAL,
+            amount INTEGER,
+            coin_amount INTEGER,
             tx_id TEXT,
             status TEXT,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -130,9 +361,503 @@ async function initDatabase() {
         )
     `);
 
+    await runMigrations();
+
     console.log('✅ Banco de dados inicializado com sucesso');
 }
 
+/**
+ * Troca o tipo declarado de colunas recriando a tabela (o SQLite não tem
+ * ALTER COLUMN). Colunas adicionadas depois, dados e índices são preservados.
+ * @param {string} table - Nome da tabela
+ * @param {string[]} columns - Colunas a alterar
+ * @param {string} type - Tipo novo
+ */
+async function retypeColumns(table, columns, type) {
+    const { sql } = await db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", table);
+    const indexes = await db.all(
+        "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL",
+        table
+    );
+
+    let createSql = sql.replace(new RegExp(`^CREATE TABLE ${table}\\b`), `CREATE TABLE ${table}_new`);
+    for (const column of columns) {
+        createSql = createSql.replace(new RegExp(`\\b${column}\\s+\\w+`), `${column} ${type}`);
+    }
+
+    await db.exec(createSql);
+    await db.exec(`INSERT INTO ${table}_new SELECT * FROM ${table}`);
+    await db.exec(`DROP TABLE ${table}`);
+    await db.exec(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+    for (const index of indexes) {
+        await db.exec(index.sql);
+    }
+}
+
+/**
+ * Migrações de schema, aplicadas em ordem. O índice de cada migração + 1
+ * é gravado em PRAGMA user_version depois que ela roda.
+ */
+const MIGRATIONS = [
+    // 1 - Fila durável: colunas de controle e itens legados
+    async () => {
+        await db.exec(`
+            ALTER TABLE queue ADD COLUMN attempts INTEGER DEFAULT 0;
+            ALTER TABLE queue ADD COLUMN result TEXT;
+            ALTER TABLE queue ADD COLUMN error TEXT;
+        `);
+
+        // Antes desta versão o status nunca era atualizado (o UPDATE usava o UUID
+        // em memória), então não dá para saber se esses itens já foram enviados à API.
+        await db.run(
+            `UPDATE queue SET status = 'reconcile', error = ?
+             WHERE status IN ('pending', 'processing')`,
+            ['Item legado com status desconhecido']
+        );
+    },
+
+    // 2 - Ledger de transações: autor, contraparte e vínculo com a fila
+    async () => {
+        await db.exec(`
+            ALTER TABLE transactions ADD COLUMN actor_id TEXT;
+            ALTER TABLE transactions ADD COLUMN counterparty_id TEXT;
+            ALTER TABLE transactions ADD COLUMN queue_id INTEGER;
+            ALTER TABLE transactions ADD COLUMN updated_at DATETIME;
+            CREATE INDEX IF NOT EXISTS idx_transactions_user ON transactions (guild_id, user_id, id);
+            CREATE INDEX IF NOT EXISTS idx_transactions_counterparty ON transactions (guild_id, counterparty_id, id);
+        `);
+    },
+
+    // 3 - Partidas dobradas: lançamentos do ledger e saldos de abertura
+    async () => {
+        await db.exec(`
+            CREATE TABLE ledger_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT,
+                transaction_id INTEGER,
+                account TEXT,
+                amount REAL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX idx_ledger_account ON ledger_entries (guild_id, account);
+            CREATE INDEX idx_ledger_transaction ON ledger_entries (transaction_id);
+        `);
+
+        // Saldos existentes entram como emissão da conta de sistema, para o ledger fechar
+        const balances = await db.all('SELECT user_id, guild_id, dollars FROM users WHERE dollars != 0');
+        for (const row of balances) {
+            const { lastID } = await db.run(
+                `INSERT INTO transactions (guild_id, user_id, type, amount, coin_amount, status, updated_at) 
+                 VALUES (?, ?, 'opening', ?, 0, 'completed', CURRENT_TIMESTAMP)`,
+                [row.guild_id, row.user_id, row.dollars]
+            );
+            await db.run(
+                'INSERT INTO ledger_entries (guild_id, transaction_id, account, amount) VALUES (?, ?, ?, ?), (?, ?, ?, ?)',
+                [
+                    row.guild_id, lastID, 'system:mint', -row.dollars,
+                    row.guild_id, lastID, `user:${row.user_id}`, row.dollars
+                ]
+            );
+        }
+    },
+
+    // 4 - Câmbio por servidor e histórico de alterações
+    async () => {
+        await db.exec(`
+            ALTER TABLE guild_config ADD COLUMN exchange_rate REAL;
+            ALTER TABLE transactions ADD COLUMN rate REAL;
+            CREATE TABLE rate_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT,
+                rate REAL,
+                set_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX idx_rate_history_guild ON rate_history (guild_id, id);
+        `);
+    },
+
+    // 5 - Taxas por servidor e operação
+    async () => {
+        await db.exec(`
+            CREATE TABLE guild_fees (
+                guild_id TEXT,
+                operation TEXT,
+                percent REAL DEFAULT 0,
+                flat REAL DEFAULT 0,
+                min_fee REAL DEFAULT 0,
+                max_fee REAL DEFAULT 0,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (guild_id, operation)
+            );
+            ALTER TABLE transactions ADD COLUMN fee REAL DEFAULT 0;
+        `);
+    },
+
+    // 6 - Valores inteiros: reais em centavos, coins em unidades base (1e-8),
+    // câmbio em centavos por coin e percentuais em pontos-base. O tipo das
+    // colunas é trocado para INTEGER na migração 21.
+    async () => {
+        await db.exec(`
+            UPDATE users SET dollars = CAST(ROUND(dollars * 100) AS INTEGER);
+            UPDATE ledger_entries SET amount = CAST(ROUND(amount * 100) AS INTEGER);
+            UPDATE guild_config SET exchange_rate = CAST(ROUND(exchange_rate * 100) AS INTEGER) WHERE exchange_rate IS NOT NULL;
+            UPDATE rate_history SET rate = CAST(ROUND(rate * 100) AS INTEGER);
+            UPDATE transactions SET
+                amount = CAST(ROUND(amount * 100) AS INTEGER),
+                coin_amount = CAST(ROUND(coin_amount * 100000000) AS INTEGER),
+                rate = CAST(ROUND(rate * 100) AS INTEGER),
+                fee = CAST(ROUND(fee * CASE type WHEN 'payserver' THEN 100000000 ELSE 100 END) AS INTEGER);
+            ALTER TABLE guild_fees RENAME COLUMN percent TO percent_bps;
+            UPDATE guild_fees SET
+                percent_bps = CAST(ROUND(percent_bps * 100) AS INTEGER),
+                flat = CAST(ROUND(flat * CASE operation WHEN 'payserver' THEN 100000000 ELSE 100 END) AS INTEGER),
+                min_fee = CAST(ROUND(min_fee * CASE operation WHEN 'payserver' THEN 100000000 ELSE 100 END) AS INTEGER),
+                max_fee = CAST(ROUND(max_fee * CASE operation WHEN 'payserver' THEN 100000000 ELSE 100 END) AS INTEGER);
+        `);
+
+        // Itens ainda não finalizados da fila guardam os valores no payload
+        const rows = await db.all("SELECT id, type, payload FROM queue WHERE status != 'completed' AND status != 'failed'");
+        for (const row of rows) {
+            const payload = JSON.parse(row.payload);
+            const feeScale = row.type === 'payserver' ? 1e8 : 100;
+
+            if (payload.amount != null) payload.amount = Math.round(payload.amount * 1e8);
+            if (payload.dollarAmount != null) payload.dollarAmount = Math.round(payload.dollarAmount * 100);
+            if (payload.rate != null) payload.rate = Math.round(payload.rate * 100);
+            if (payload.fee != null) payload.fee = Math.round(payload.fee * feeScale);
+
+            await db.run('UPDATE queue SET payload = ? WHERE id = ?', [JSON.stringify(payload), row.id]);
+        }
+    },
+
+    // 7 - Chave de idempotência para itens que ainda não foram enviados à API
+    async () => {
+        await db.run(
+            `UPDATE queue SET payload = json_set(payload, '$.idempotencyKey', lower(hex(randomblob(16))))
+             WHERE status = 'pending' AND json_extract(payload, '$.idempotencyKey') IS NULL`
+        );
+    },
+
+    // 8 - Multas como dívidas em reais, com motivo e vencimento
+    async () => {
+        await db.exec(`
+            CREATE TABLE fines (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT,
+                user_id TEXT,
+                amount INTEGER,
+                paid_amount INTEGER DEFAULT 0,
+                reason TEXT,
+                due_at DATETIME,
+                status TEXT DEFAULT 'open',
+                issued_by TEXT,
+                resolved_by TEXT,
+                escalated_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX idx_fines_user ON fines (guild_id, user_id, status);
+        `);
+
+        // A multa antiga transferia coins do cartão do multado para o admin;
+        // itens ainda não enviados são cancelados em vez de executados
+        const legacy = await db.all(
+            "SELECT id FROM queue WHERE type = 'fine' AND status IN ('pending', 'unknown')"
+        );
+        for (const { id } of legacy) {
+            await db.run(
+                "UPDATE queue SET status = 'failed', error = ?, processed_at = CURRENT_TIMESTAMP WHERE id = ?",
+                ['Multa no formato antigo cancelada', id]
+            );
+            await db.run(
+                "UPDATE transactions SET status = 'failed', updated_at = CURRENT_TIMESTAMP WHERE queue_id = ?",
+                [id]
+            );
+        }
+    },
+
+    // 9 - Cartões cifrados (users, guild_config e payloads da fila)
+    async () => {
+        await reencryptCards();
+    },
+
+    // 10 - Verificação de cartões: cartões já cadastrados começam não verificados
+    async () => {
+        await db.exec(`
+            ALTER TABLE users ADD COLUMN card_verified_at DATETIME;
+            CREATE TABLE card_challenges (
+                user_id TEXT,
+                guild_id TEXT,
+                amount INTEGER,
+                baseline INTEGER,
+                expires_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, guild_id)
+            );
+        `);
+    },
+
+    // 11 - Privacidade: comandos privados por servidor e opt-out do ranking
+    async () => {
+        await db.exec(`
+            ALTER TABLE guild_config ADD COLUMN private_commands TEXT;
+            ALTER TABLE users ADD COLUMN hide_from_baltop INTEGER DEFAULT 0;
+        `);
+    },
+
+    // 12 - Cache de saldos dos cartões
+    async () => {
+        await db.exec(`
+            CREATE TABLE card_balances (
+                user_id TEXT,
+                guild_id TEXT,
+                coins INTEGER DEFAULT 0,
+                found INTEGER DEFAULT 1,
+                stale INTEGER DEFAULT 0,
+                fetched_at DATETIME,
+                PRIMARY KEY (user_id, guild_id)
+            );
+        `);
+    },
+
+    // 13 - Permissões por capacidade; o cargo de staff antigo recebe as capacidades de staff
+    async () => {
+        await db.exec(`
+            CREATE TABLE permissions (
+                guild_id TEXT,
+                subject_type TEXT,
+                subject_id TEXT,
+                capability TEXT,
+                granted_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (guild_id, subject_type, subject_id, capability)
+            );
+        `);
+
+        const staffRoles = await db.all('SELECT guild_id, staff_role_id FROM guild_config WHERE staff_role_id IS NOT NULL');
+        for (const { guild_id: guildId, staff_role_id: roleId } of staffRoles) {
+            for (const capability of STAFF_CAPABILITIES) {
+                await db.run(
+                    "INSERT OR IGNORE INTO permissions (guild_id, subject_type, subject_id, capability) VALUES (?, 'role', ?, ?)",
+                    [guildId, roleId, capability]
+                );
+            }
+        }
+    },
+
+    // 14 - Limites de transação por servidor (0 = sem limite)
+    async () => {
+        await db.exec(`
+            CREATE TABLE guild_limits (
+                guild_id TEXT PRIMARY KEY,
+                max_tx_amount INTEGER DEFAULT 0,
+                max_daily_volume INTEGER DEFAULT 0,
+                max_hourly_conversions INTEGER DEFAULT 0,
+                max_daily_mint INTEGER DEFAULT 0,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    },
+
+    // 15 - Aprovação dupla: limite por servidor, pedidos e aprovador nas transações
+    async () => {
+        await db.exec(`
+            ALTER TABLE guild_limits ADD COLUMN approval_threshold INTEGER DEFAULT 0;
+            ALTER TABLE transactions ADD COLUMN approved_by TEXT;
+            
+            CREATE TABLE approvals (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT,
+                type TEXT,
+                target_id TEXT,
+                amount INTEGER,
+                requested_by TEXT,
+                status TEXT DEFAULT 'pending',
+                decided_by TEXT,
+                transaction_id INTEGER,
+                error TEXT,
+                channel_id TEXT,
+                message_id TEXT,
+                expires_at DATETIME,
+                decided_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            
+            CREATE INDEX idx_approvals_status ON approvals (status, expires_at);
+        `);
+    },
+
+    // 16 - Tokens da API web (só o hash é gravado)
+    async () => {
+        await db.exec(`
+            CREATE TABLE api_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT,
+                token_hash TEXT UNIQUE,
+                label TEXT,
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_used_at DATETIME
+            );
+        `);
+    },
+
+    // 17 - Recargas: conta que recebe os coins, códigos dos usuários e avisos de pagamento recebidos
+    async () => {
+        await db.exec(`
+            ALTER TABLE guild_config ADD COLUMN topup_account_id TEXT;
+            
+            CREATE TABLE topup_codes (
+                code TEXT PRIMARY KEY,
+                guild_id TEXT,
+                user_id TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(guild_id, user_id)
+            );
+            
+            CREATE TABLE topup_payments (
+                tx_id TEXT PRIMARY KEY,
+                guild_id TEXT,
+                user_id TEXT,
+                code TEXT,
+                to_account TEXT,
+                coins INTEGER,
+                memo TEXT,
+                amount INTEGER DEFAULT 0,
+                fee INTEGER DEFAULT 0,
+                status TEXT,
+                reason TEXT,
+                transaction_id INTEGER,
+                received_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            
+            CREATE INDEX idx_topup_payments_guild ON topup_payments (guild_id, status);
+        `);
+    },
+
+    // 18 - Webhooks de saída e o registro de entregas
+    async () => {
+        await db.exec(`
+            CREATE TABLE webhooks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT,
+                url TEXT,
+                secret TEXT,
+                events TEXT,
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            
+            CREATE INDEX idx_webhooks_guild ON webhooks (guild_id);
+            
+            CREATE TABLE webhook_deliveries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                webhook_id INTEGER,
+                guild_id TEXT,
+                event_id TEXT,
+                event_type TEXT,
+                payload TEXT,
+                status TEXT DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                response_status INTEGER,
+                error TEXT,
+                next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                delivered_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            
+            CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+            CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, id);
+        `);
+    },
+
+    // 19 - Idioma das mensagens por servidor (NULL = padrão)
+    async () => {
+        await db.exec(`
+            ALTER TABLE guild_config ADD COLUMN locale TEXT;
+        `);
+    },
+
+    // 20 - Marca da moeda por servidor (NULL = padrão do .env e icon.png)
+    async () => {
+        await db.exec(`
+            ALTER TABLE guild_config ADD COLUMN currency_name TEXT;
+            ALTER TABLE guild_config ADD COLUMN currency_symbol TEXT;
+            ALTER TABLE guild_config ADD COLUMN currency_decimals INTEGER;
+            ALTER TABLE guild_config ADD COLUMN currency_icon BLOB;
+            ALTER TABLE guild_config ADD COLUMN currency_icon_type TEXT;
+        `);
+    },
+
+    // 21 - Colunas de valores declaradas como INTEGER (a migração 6 só arredondou
+    // os valores; aqui as tabelas são recriadas com o tipo certo)
+    async () => {
+        await retypeColumns('users', ['dollars'], 'INTEGER');
+        await retypeColumns('transactions', ['amount', 'coin_amount', 'rate', 'fee'], 'INTEGER');
+        await retypeColumns('ledger_entries', ['amount'], 'INTEGER');
+        await retypeColumns('rate_history', ['rate'], 'INTEGER');
+        await retypeColumns('guild_config', ['exchange_rate'], 'INTEGER');
+        await retypeColumns('guild_fees', ['percent_bps', 'flat', 'min_fee', 'max_fee'], 'INTEGER');
+    },
+
+    // 22 - Desafio de cartão pago ao cartão do servidor: saldo dele no início do desafio.
+    // Desafios pendentes não têm esse saldo e precisam ser gerados de novo.
+    async () => {
+        await db.exec(`
+            ALTER TABLE card_challenges ADD COLUMN server_baseline INTEGER;
+            DELETE FROM card_challenges;
+        `);
+    },
+
+    // 23 - Saldo em que um pedido de /adm set se baseou; a aprovação só aplica se ele
+    // não mudou. Pedidos pendentes não têm esse saldo e expiram.
+    async () => {
+        await db.exec(`
+            ALTER TABLE approvals ADD COLUMN base_amount INTEGER;
+            UPDATE approvals SET status = 'expired', decided_at = CURRENT_TIMESTAMP WHERE type = 'set' AND status = 'pending';
+        `);
+    },
+
+    // 24 - Saldo do cartão de origem antes do envio e início do resultado desconhecido:
+    // itens 'unknown' só são reenviados se o saldo mostrar que nada foi transferido
+    async () => {
+        await db.exec(`
+            ALTER TABLE queue ADD COLUMN source_balance INTEGER;
+            ALTER TABLE queue ADD COLUMN unknown_since DATETIME;
+        `);
+    },
+
+    // 25 - Recargas são pagas ao cartão do servidor: sai a conta de recargas separada.
+    // O destino dos avisos não é mais gravado, porque agora é o código (secreto) do cartão.
+    async () => {
+        await db.exec(`
+            ALTER TABLE guild_config DROP COLUMN topup_account_id;
+            ALTER TABLE topup_payments DROP COLUMN to_account;
+        `);
+    }
+];
+
+/**
+ * Aplica as migrações pendentes de acordo com PRAGMA user_version
+ */
+async function runMigrations() {
+    const { user_version: version } = await db.get('PRAGMA user_version');
+
+    for (let i = version; i < MIGRATIONS.length; i++) {
+        await db.exec('BEGIN');
+        try {
+            await MIGRATIONS[i]();
+            await db.exec(`PRAGMA user_version = ${i + 1}`);
+            await db.exec('COMMIT');
+        } catch (error) {
+            await db.exec('ROLLBACK');
+            throw error;
+        }
+        console.log(`✅ Migração ${i + 1} aplicada`);
+    }
+}
+
 // ===================== FILA DE PROCESSAMENTO =====================
 /**
  * Gerencia a fila de pagamentos para respeitar o rate limit da API
@@ -140,293 +865,572 @@ async function initDatabase() {
 class PaymentQueue {
     constructor() {
         this.isProcessing = false;
-        this.queue = [];
+        // Pedido de nova leitura feito enquanto o laço já estava rodando
+        this.wakeRequested = false;
         this.delayMs = CONFIG.QUEUE_DELAY_MS;
+        this.handlers = new Map();
+        // Callbacks em memória (ex.: responder a interação); não sobrevivem a um restart
+        this.callbacks = new Map();
+
+        // Tipos básicos, sem efeitos colaterais locais
+        this.registerHandler('card_to_id', { transfer: 'card_to_id' });
+        this.registerHandler('card_to_card', { transfer: 'card_to_card' });
     }
 
     /**
-     * Adiciona um item à fila
-     * @param {Object} item - Item a ser processado
-     * @returns {string} ID do item na fila
+     * Registra o handler de um tipo de item da fila
+     * @param {string} type - Tipo do item (gravado na coluna queue.type)
+     * @param {Object} handler - { transfer, onSuccess(item, result), onError(item, error), onReconcile(item) }
      */
-    async add(item) {
-        item.id = crypto.randomUUID();
-        item.createdAt = Date.now();
-        item.status = 'pending';
-        this.queue.push(item);
-        
-        // Salva no banco para persistência
-        await db.run(
-            'INSERT INTO queue (guild_id, user_id, type, payload, status) VALUES (?, ?, ?, ?, ?)',
-            [item.guildId, item.userId, item.type, JSON.stringify(item.payload), 'pending']
-        );
-        
-        if (!this.isProcessing) {
-            this.process();
+    registerHandler(type, handler) {
+        if (!['card_to_id', 'card_to_card'].includes(handler.transfer)) {
+            throw new Error(`Transferência inválida para o handler ${type}: ${handler.transfer}`);
         }
-        return item.id;
+        this.handlers.set(type, handler);
     }
 
     /**
-     * Processa a fila sequencialmente
+     * Recupera itens não finalizados do banco e retoma o processamento.
+     * - processing: a requisição pode ter chegado à API; com chave de idempotência
+     *   vira 'unknown' (conferido pelo saldo antes de reenviar), sem chave vai para reconciliação
+     * - settling: a API confirmou, mas os efeitos locais não terminaram; reaplica
+     * - pending: volta a ser processado normalmente
      */
-    async process() {
-        if (this.isProcessing || this.queue.length === 0) return;
-        
-        this.isProcessing = true;
-        
-        while (this.queue.length > 0) {
-            const item = this.queue.shift();
-            
-            try {
-                // Atualiza status no banco
+    async start() {
+        const interrupted = await db.all("SELECT * FROM queue WHERE status = 'processing' ORDER BY id");
+        for (const row of interrupted) {
+            const item = this.fromRow(row);
+            if (item.payload.idempotencyKey) {
                 await db.run(
-                    'UPDATE queue SET status = ? WHERE id = ?',
-                    ['processing', item.id]
+                    "UPDATE queue SET status = 'unknown', error = ?, unknown_since = CURRENT_TIMESTAMP WHERE id = ?",
+                    ['Interrompido durante o envio para a API', row.id]
                 );
-                
-                // Processa o item
-                const result = await this.processItem(item);
-                
-                // Atualiza como concluído
-                await db.run(
-                    'UPDATE queue SET status = ?, processed_at = CURRENT_TIMESTAMP WHERE id = ?',
-                    ['completed', item.id]
-                );
-                
-                // Chama o callback de sucesso se existir
-                if (item.onSuccess) {
-                    await item.onSuccess(result);
-                }
-                
-            } catch (error) {
-                console.error(`❌ Erro processando item ${item.id}:`, error);
-                
-                await db.run(
-                    'UPDATE queue SET status = ?, processed_at = CURRENT_TIMESTAMP WHERE id = ?',
-                    ['failed', item.id]
-                );
-                
-                if (item.onError) {
-                    await item.onError(error);
-                }
+                console.warn(`⚠️ Item ${row.id} da fila interrompido; será conferido antes de reenviar`);
+                continue;
             }
-            
-            // Delay entre requisições para respeitar o rate limit
-            await new Promise(resolve => setTimeout(resolve, this.delayMs));
+
+            await this.markReconcile(item, 'Interrompido durante o envio para a API', 'queue.reconcile.description');
         }
-        
-        this.isProcessing = false;
+
+        const settling = await db.all("SELECT * FROM queue WHERE status = 'settling' ORDER BY id");
+        for (const row of settling) {
+            await this.settle(this.fromRow(row), JSON.parse(row.result || '{}'));
+        }
+
+        const { count } = await db.get("SELECT COUNT(*) as count FROM queue WHERE status = 'pending'");
+        if (count > 0) {
+            console.log(`🔄 Retomando ${count} item(ns) pendente(s) da fila`);
+        }
+
+        await this.resolveUnknown();
+        this.process();
     }
 
     /**
-     * Processa um item específico baseado no tipo
-     * @param {Object} item - Item a ser processado
-     * @returns {Object} Resultado do processamento
+     * Resolve os itens com resultado desconhecido pelo saldo do cartão de origem,
+     * sem depender de a API honrar a chave de idempotência. Saldo igual ao de
+     * antes do envio: a transferência não aconteceu e o item volta para a fila.
+     * Saldo diferente, ou sem o saldo de antes: vai para reconciliação manual.
+     * Só confere itens desconhecidos há QUEUE_UNKNOWN_RETRY_MS, para a API ter
+     * terminado uma transferência atrasada; sem saldo agora, espera a próxima rodada.
      */
-    async processItem(item) {
-        switch (item.type) {
-            case 'card_to_id':
-                return await this.transferCardToId(item.payload);
-            case 'card_to_card':
-                return await this.transferCardToCard(item.payload);
-            default:
-                throw new Error(`Tipo de operação desconhecido: ${item.type}`);
+    async resolveUnknown() {
+        const rows = await db.all(
+            `SELECT * FROM queue WHERE status = 'unknown' 
+             AND (unknown_since IS NULL OR unknown_since <= datetime('now', ?)) 
+             ORDER BY id`,
+            `-${Math.round(CONFIG.QUEUE_UNKNOWN_RETRY_MS / 1000)} seconds`
+        );
+
+        let resent = 0;
+        for (const row of rows) {
+            const item = this.fromRow(row);
+            if (row.source_balance === null) {
+                await this.markReconcile(item, 'Resultado desconhecido sem saldo do cartão de origem', 'queue.reconcile.unverified');
+                continue;
+            }
+
+            const balance = await this.sourceBalance(item);
+            if (balance === null) continue;
+
+            if (balance !== row.source_balance) {
+                await this.markReconcile(item, 'Resultado desconhecido e saldo do cartão de origem alterado', 'queue.reconcile.unverified');
+                continue;
+            }
+
+            await db.run("UPDATE queue SET status = 'pending', unknown_since = NULL WHERE id = ? AND status = 'unknown'", row.id);
+            resent++;
+        }
+
+        if (resent > 0) {
+            console.log(`🔄 Reenviando ${resent} item(ns) que não chegaram a ser transferidos`);
+            this.process();
         }
     }
 
     /**
-     * Transferência de cartão para ID de usuário (endpoint: /api/transfer/card)
-     * @param {Object} payload - Dados da transferência
-     * @returns {Object} Resultado da API
+     * Saldo atual do cartão de origem de um item
+     * @param {Object} item - Item da fila
+     * @returns {number|null} Coins em unidades base, ou null se a API não respondeu
      */
-    async transferCardToId(payload) {
-        const response = await axios.post(
-            `${CONFIG.API_URL}/api/transfer/card`,
-            {
-                cardCode: payload.fromCard,
-                toId: payload.toId,
-                amount: this.formatCoinAmount(payload.amount)
-            },
-            { timeout: CONFIG.API_TIMEOUT }
-        );
-        
-        if (!response.data || !response.data.success) {
-            throw new Error(response.data?.error || 'Falha na transferência');
+    async sourceBalance(item) {
+        try {
+            const { fromCard } = mapPayloadCards(item.payload, value => cardVault.decrypt(value));
+            return (await coinApi.getCard(fromCard)).coins;
+        } catch (error) {
+            console.warn(`⚠️ Item ${item.id}: saldo do cartão de origem indisponível (${error.code || error.message})`);
+            return null;
         }
-        
-        return {
-            success: true,
-            txId: response.data.txId,
-            date: response.data.date
-        };
     }
 
     /**
-     * Transferência de cartão para cartão (endpoint: /api/card/pay)
-     * @param {Object} payload - Dados da transferência
-     * @returns {Object} Resultado da API
+     * Tira um item do processamento automático: só uma conferência manual decide
+     * se a transferência ocorreu. Avisa no canal de log do servidor.
+     * @param {Object} item - Item da fila
+     * @param {string} error - Motivo gravado em queue.error
+     * @param {string} description - Chave do catálogo com a explicação do log
      */
-    async transferCardToCard(payload) {
-        const response = await axios.post(
-            `${CONFIG.API_URL}/api/card/pay`,
-            {
-                fromCard: payload.fromCard,
-                toCard: payload.toCard,
-                amount: this.formatCoinAmount(payload.amount)
-            },
-            { timeout: CONFIG.API_TIMEOUT }
+    async markReconcile(item, error, description) {
+        await db.run(
+            "UPDATE queue SET status = 'reconcile', error = ?, processed_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [error, item.id]
         );
-        
-        if (!response.data || !response.data.success) {
-            throw new Error(response.data?.error || 'Falha na transferência');
-        }
-        
-        return {
-            success: true,
-            txId: response.data.txId,
-            date: response.data.date
-        };
+        console.warn(`⚠️ Item ${item.id} da fila marcado para reconciliação`);
+        await this.invoke(item, 'onReconcile', [item]);
+
+        const t = await guildTranslator(item.guildId);
+        const logEmbed = createLogEmbed(t('queue.reconcile.title'), '#ffa500')
+            .setDescription(t(description))
+            .addFields(
+                { name: t('queue.fields.item'), value: `#${item.id}`, inline: true },
+                { name: t('queue.fields.type'), value: item.type, inline: true },
+                { name: t('common.fields.user'), value: `<@${item.userId}>`, inline: true }
+            );
+        await sendLog(item.guildId, logEmbed);
     }
 
     /**
-     * Formata a quantia para 8 casas decimais sem notação científica
-     * @param {number} amount - Quantia a ser formatada
-     * @returns {string} Quantia formatada como string decimal
+     * Adiciona um item à fila
+     * @param {Object} item - Item a ser processado ({ guildId, userId, type, payload, onSuccess, onError, onUnknown })
+     * @returns {number} ID do item na fila
      */
-    formatCoinAmount(amount) {
-        // Garantir que é número e tem 8 casas decimais
-        const num = Number(amount);
-        if (isNaN(num)) return '0.00000000';
-        
-        // Usar toFixed para garantir 8 casas decimais e depois remover zeros à direita desnecessários
-        // mas manter pelo menos 1 casa decimal se necessário
-        let formatted = num.toFixed(8);
-        
-        // Remover zeros à direita, mas manter pelo menos uma casa decimal se o número não for inteiro
-        if (formatted.includes('.')) {
-            formatted = formatted.replace(/0+$/, '').replace(/\.$/, '');
+    async add(item) {
+        if (!this.handlers.has(item.type)) {
+            throw new Error(`Tipo de operação desconhecido: ${item.type}`);
         }
-        
-        return formatted;
-    }
-}
 
-// Instância global da fila
-const paymentQueue = new PaymentQueue();
+        // Chave de idempotência: reenvios do mesmo item não duplicam a transferência na API.
+        // Cartões nunca vão em texto puro para o banco.
+        const payload = mapPayloadCards(
+            { ...item.payload, idempotencyKey: item.payload.idempotencyKey || crypto.randomUUID() },
+            value => (isEncrypted(value) ? value : cardVault.encrypt(value))
+        );
 
-// ===================== FUNÇÕES UTILITÁRIAS =====================
+        // O banco é a fonte da verdade; a memória guarda apenas os callbacks
+        const { lastID } = await db.run(
+            'INSERT INTO queue (guild_id, user_id, type, payload, status) VALUES (?, ?, ?, ?, ?)',
+            [item.guildId, item.userId, item.type, JSON.stringify(payload), 'pending']
+        );
 
-/**
- * Aplica máscara no cartão (mostra só 3 primeiros caracteres)
- * @param {string} cardId - ID do cartão
- * @returns {string} Cartão mascarado
- */
-function maskCardId(cardId) {
-    if (!cardId || cardId.length < 3) return '###';
-    const first3 = cardId.substring(0, 3);
-    return first3 + '#'.repeat(Math.max(0, cardId.length - 3));
-}
+        if (item.onSuccess || item.onError || item.onUnknown) {
+            this.callbacks.set(lastID, { onSuccess: item.onSuccess, onError: item.onError, onUnknown: item.onUnknown });
+        }
 
-/**
- * Formata valor em coins (8 casas decimais) sem notação científica
- * @param {number} amount - Quantia em coins
- * @returns {string} Valor formatado como string decimal
- */
-function formatCoin(amount) {
-    const num = Number(amount);
-    if (isNaN(num)) return '0';
-    
-    // Usar toFixed para garantir representação decimal sem notação científica
-    let formatted = num.toFixed(8);
-    
-    // Remover zeros à direita, mas manter pelo menos uma casa decimal se necessário
-    if (formatted.includes('.')) {
-        formatted = formatted.replace(/0+$/, '').replace(/\.$/, '');
+        this.process();
+        return lastID;
     }
-    
-    return formatted;
-}
 
-/**
- * Formata valor em reais (2 casas decimais)
- * @param {number} amount - Quantia em reais
- * @returns {string} Valor formatado
- */
-function formatDollar(amount) {
-    const num = Number(amount);
-    if (isNaN(num)) return '0.00';
-    return num.toFixed(2);
+    /**
+     * Aguarda a fila terminar o processamento em andamento
+     */
+    async drain() {
+        while (this.isProcessing) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
+    /**
+     * Processa a fila sequencialmente, lendo os itens pendentes do banco
+     */
+    async process() {
+        if (this.isProcessing) {
+            // Um item inserido durante a última leitura não seria visto: o laço lê de novo antes de parar
+            this.wakeRequested = true;
+            return;
+        }
+
+        this.isProcessing = true;
+
+        try {
+            do {
+                this.wakeRequested = false;
+                let row;
+                while ((row = await db.get("SELECT * FROM queue WHERE status = 'pending' ORDER BY id LIMIT 1"))) {
+                    await this.run(this.fromRow(row));
+
+                    // Delay entre requisições para respeitar o rate limit
+                    await new Promise(resolve => setTimeout(resolve, this.delayMs));
+                }
+            } while (this.wakeRequested);
+        } catch (error) {
+            console.error('❌ Erro lendo a fila:', error);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Envia um item para a API e aplica os efeitos locais
+     * @param {Object} item - Item carregado do banco
+     */
+    async run(item) {
+        const callbacks = this.callbacks.get(item.id) || {};
+        this.callbacks.delete(item.id);
+
+        // Saldo de antes do envio: se o resultado ficar desconhecido, é ele que
+        // mostra se a transferência aconteceu (ver resolveUnknown)
+        await db.run('UPDATE queue SET source_balance = ? WHERE id = ?', [await this.sourceBalance(item), item.id]);
+
+        let result;
+        try {
+            result = await this.send(item);
+
+            // A API confirmou: guarda o resultado antes de mexer no banco local
+            await db.run(
+                'UPDATE queue SET status = ?, result = ? WHERE id = ?',
+                ['settling', JSON.stringify(result), item.id]
+            );
+        } catch (error) {
+            console.error(`❌ Erro processando item ${item.id}:`, error);
+
+            // Sem resposta conclusiva: não é falha, fica aguardando a conferência
+            if (error.ambiguous) {
+                await db.run(
+                    'UPDATE queue SET status = ?, error = ?, unknown_since = CURRENT_TIMESTAMP WHERE id = ?',
+                    ['unknown', error.message, item.id]
+                );
+
+                const t = await guildTranslator(item.guildId);
+                const logEmbed = createLogEmbed(t('queue.unknown.title'), '#ffa500')
+                    .setDescription(t('queue.unknown.description'))
+                    .addFields(
+                        { name: t('queue.fields.item'), value: `#${item.id}`, inline: true },
+                        { name: t('queue.fields.type'), value: item.type, inline: true },
+                        { name: t('common.fields.error'), value: error.message }
+                    );
+                await sendLog(item.guildId, logEmbed);
+
+                await this.invoke(item, 'callback onUnknown', [error], callbacks.onUnknown);
+                return;
+            }
+
+            await db.run(
+                'UPDATE queue SET status = ?, error = ?, processed_at = CURRENT_TIMESTAMP WHERE id = ?',
+                ['failed', error.message, item.id]
+            );
+
+            await this.invoke(item, 'onError', [item, error]);
+            await this.invoke(item, 'callback onError', [error], callbacks.onError);
+            return;
+        }
+
+        await this.settle(item, result, callbacks);
+    }
+
+    /**
+     * Envia o item para a API, repetindo erros transitórios com backoff exponencial
+     * @param {Object} item - Item da fila
+     * @returns {Object} Resultado da API
+     */
+    async send(item) {
+        for (let attempt = 0; ; attempt++) {
+            await db.run(
+                'UPDATE queue SET status = ?, attempts = attempts + 1 WHERE id = ?',
+                ['processing', item.id]
+            );
+
+            try {
+                return await this.processItem(item);
+            } catch (error) {
+                if (!error.retryable || attempt >= CONFIG.QUEUE_MAX_RETRIES) throw error;
+
+                const delay = this.retryDelay(attempt);
+                console.warn(`⚠️ Item ${item.id}: ${error.code}, nova tentativa em ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Espera antes da próxima tentativa: exponencial com jitter, limitada a QUEUE_RETRY_MAX_MS
+     * @param {number} attempt - Tentativas já falhas (0 = primeira)
+     * @returns {number} Milissegundos
+     */
+    retryDelay(attempt) {
+        const backoff = Math.min(CONFIG.QUEUE_RETRY_BASE_MS * 2 ** attempt, CONFIG.QUEUE_RETRY_MAX_MS);
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    /**
+     * Aplica os efeitos locais de um item já confirmado pela API
+     * @param {Object} item - Item da fila
+     * @param {Object} result - Resultado da API
+     * @param {Object} callbacks - Callbacks em memória, se ainda existirem
+     */
+    async settle(item, result, callbacks = {}) {
+        try {
+            const handler = this.handlers.get(item.type);
+            if (handler?.onSuccess) {
+                await handler.onSuccess(item, result);
+            }
+
+            await db.run(
+                'UPDATE queue SET status = ?, processed_at = CURRENT_TIMESTAMP WHERE id = ?',
+                ['completed', item.id]
+            );
+        } catch (error) {
+            // A transferência aconteceu; não pode ser reenviada, só reconciliada
+            console.error(`❌ Erro aplicando efeitos do item ${item.id}:`, error);
+            await db.run(
+                'UPDATE queue SET status = ?, error = ?, processed_at = CURRENT_TIMESTAMP WHERE id = ?',
+                ['reconcile', error.message, item.id]
+            );
+            await this.invoke(item, 'onReconcile', [item]);
+            return;
+        }
+
+        // O saldo do cartão mudou: o cache é atualizado na próxima rodada
+        await cardBalances.invalidate(item.guildId, item.userId);
+
+        await this.invoke(item, 'callback onSuccess', [result], callbacks.onSuccess);
+    }
+
+    /**
+     * Executa um callback sem deixar exceções derrubarem a fila
+     * @param {Object} item - Item da fila
+     * @param {string} name - Nome do callback (para log)
+     * @param {Array} args - Argumentos
+     * @param {Function} [fn] - Callback; se omitido, usa o do handler registrado
+     */
+    async invoke(item, name, args, fn) {
+        const callback = fn || this.handlers.get(item.type)?.[name];
+        if (!callback) return;
+
+        try {
+            await callback(...args);
+        } catch (error) {
+            console.error(`❌ Erro no ${name} do item ${item.id}:`, error);
+        }
+    }
+
+    /**
+     * Converte uma linha da tabela queue em item
+     * @param {Object} row - Linha do banco
+     * @returns {Object} Item da fila
+     */
+    fromRow(row) {
+        return {
+            id: row.id,
+            guildId: row.guild_id,
+            userId: row.user_id,
+            type: row.type,
+            payload: JSON.parse(row.payload || '{}'),
+            attempts: row.attempts
+        };
+    }
+
+    /**
+     * Processa um item específico baseado no tipo
+     * @param {Object} item - Item a ser processado
+     * @returns {Object} Resultado do processamento
+     */
+    async processItem(item) {
+        const handler = this.handlers.get(item.type);
+        if (!handler) {
+            throw new Error(`Tipo de operação desconhecido: ${item.type}`);
+        }
+
+        // Os cartões só são decifrados aqui, na chamada à API
+        const payload = mapPayloadCards(item.payload, value => cardVault.decrypt(value));
+
+        switch (handler.transfer) {
+            case 'card_to_id':
+                return await coinApi.transferToId(payload);
+            case 'card_to_card':
+                return await coinApi.payCard(payload);
+        }
+    }
 }
 
-/**
- * Trunca valor para 8 casas decimais sem notação científica
- * @param {number} amount - Quantia a ser truncada
- * @returns {string} Valor truncado como string
- */
-function truncateCoin(amount) {
-    const num = Number(amount);
-    if (isNaN(num)) return '0.00000000';
-    
-    // Truncar para 8 casas decimais sem arredondamento
-    const truncated = Math.floor(num * 1e8) / 1e8;
-    
-    // Garantir formato sem notação científica
-    return truncated.toFixed(8).replace(/0+$/, '').replace(/\.$/, '') || '0';
+// Instância global da fila
+const paymentQueue = new PaymentQueue();
+
+// ===================== CACHE DE SALDOS DE CARTÕES =====================
+// O /baltop não consulta a Coin API: lê os saldos guardados em card_balances.
+// Um atualizador em segundo plano consulta um cartão por vez, com o mesmo
+// intervalo da fila (QUEUE_DELAY_MS) e sempre depois dos pagamentos pendentes.
+
+class CardBalanceCache {
+    constructor() {
+        this.ttlMs = CONFIG.CARD_BALANCE_TTL_MS;
+        this.delayMs = CONFIG.QUEUE_DELAY_MS;
+        this.refreshing = null;
+    }
+
+    /**
+     * Cartões sem saldo guardado, invalidados ou mais velhos que o TTL (os sem saldo primeiro)
+     * @param {number} limit - Máximo de cartões
+     * @returns {Array} Linhas { user_id, guild_id, card_id }
+     */
+    async staleCards(limit) {
+        return db.all(`
+            SELECT u.user_id, u.guild_id, u.card_id 
+            FROM users u 
+            LEFT JOIN card_balances c ON c.user_id = u.user_id AND c.guild_id = u.guild_id 
+            WHERE u.card_id IS NOT NULL 
+              AND (c.fetched_at IS NULL OR c.stale = 1 OR c.fetched_at <= datetime('now', ?)) 
+            ORDER BY c.fetched_at IS NOT NULL, c.stale DESC, c.fetched_at 
+            LIMIT ?
+        `, `-${Math.floor(this.ttlMs / 1000)} seconds`, limit);
+    }
+
+    /**
+     * Guarda o saldo consultado, desde que o usuário ainda tenha o mesmo cartão
+     * @param {Object} row - { user_id, guild_id, card_id } com o cartão consultado (cifrado)
+     * @param {Object} status - Resposta de checkCardStatus
+     */
+    async store(row, status) {
+        await db.run(
+            `INSERT INTO card_balances (user_id, guild_id, coins, found, stale, fetched_at) 
+             SELECT ?, ?, ?, ?, 0, CURRENT_TIMESTAMP 
+             WHERE EXISTS (SELECT 1 FROM users WHERE user_id = ? AND guild_id = ? AND card_id = ?) 
+             ON CONFLICT(user_id, guild_id) 
+             DO UPDATE SET coins = excluded.coins, found = excluded.found, stale = 0, fetched_at = excluded.fetched_at`,
+            [
+                row.user_id, row.guild_id, status.success ? status.coins || 0 : 0, status.success ? 1 : 0,
+                row.user_id, row.guild_id, row.card_id
+            ]
+        );
+    }
+
+    /**
+     * Marca o saldo de um usuário como desatualizado (continua visível até ser consultado de novo)
+     * @param {string} guildId - ID do servidor
+     * @param {string} userId - ID do usuário
+     */
+    async invalidate(guildId, userId) {
+        await db.run('UPDATE card_balances SET stale = 1 WHERE user_id = ? AND guild_id = ?', [userId, guildId]);
+    }
+
+    /**
+     * Apaga o saldo guardado (cartão trocado ou removido)
+     * @param {string} guildId - ID do servidor
+     * @param {string} userId - ID do usuário
+     */
+    async forget(guildId, userId) {
+        await db.run('DELETE FROM card_balances WHERE user_id = ? AND guild_id = ?', [userId, guildId]);
+    }
+
+    /**
+     * Atualiza uma rodada de cartões desatualizados; chamadas simultâneas compartilham a mesma rodada
+     * @returns {Promise<number>} Cartões atualizados
+     */
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = this.run().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    /**
+     * Aguarda a rodada em andamento terminar
+     */
+    async drain() {
+        await this.refreshing;
+    }
+
+    /**
+     * Consulta os cartões desatualizados, um por vez
+     * @returns {number} Cartões atualizados
+     */
+    async run() {
+        const rows = await this.staleCards(CONFIG.CARD_BALANCE_REFRESH_BATCH);
+        let updated = 0;
+
+        for (const row of rows) {
+            // Pagamentos têm prioridade no rate limit da API
+            await paymentQueue.drain();
+
+            try {
+                await this.store(row, await checkCardStatus(row.card_id));
+                updated++;
+            } catch (error) {
+                console.warn(`⚠️ Saldo do cartão de ${row.user_id} não atualizado: ${error.message}`);
+            }
+
+            // Delay entre requisições para respeitar o rate limit
+            await new Promise(resolve => setTimeout(resolve, this.delayMs));
+        }
+
+        return updated;
+    }
 }
 
+// Instância global do cache
+const cardBalances = new CardBalanceCache();
+
+// ===================== FUNÇÕES UTILITÁRIAS =====================
+
 /**
- * Trunca valor para 2 casas decimais (formato real)
- * @param {number} amount - Quantia a ser truncada
- * @returns {number} Valor truncado
+ * Representação de um cartão para respostas e logs. O código é secreto:
+ * nenhum caractere nem o tamanho dele são revelados.
+ * @param {string} cardId - ID do cartão
+ * @returns {string} Cartão mascarado
  */
-function truncateDollar(amount) {
-    const num = Number(amount);
-    if (isNaN(num)) return 0;
-    return Math.floor(num * 100) / 100;
+function maskCardId(cardId) {
+    return cardId ? '🔒 ••••••••' : '—';
 }
 
 /**
- * Converte valor para formato aceito pela API (string sem notação científica)
- * @param {number} amount - Valor a ser convertido
- * @returns {string} Valor formatado para API
+ * Formulário (modal) para digitar o código do cartão, que assim não fica
+ * visível nas opções do comando nem no histórico do canal
+ * @param {Function} t - Tradução do servidor
+ * @param {string} target - 'user' (cartão do usuário) ou 'server' (cartão do servidor)
+ * @returns {ModalBuilder} Modal
  */
-function toApiFormat(amount) {
-    const num = Number(amount);
-    if (isNaN(num)) return '0.00000000';
-    
-    // Garantir que tem pelo menos 8 casas decimais quando necessário
-    // Mas remover zeros à direita para valores inteiros
-    let formatted = num.toFixed(8);
-    
-    // Se for um número inteiro (ex: 1.00000000), mostrar como "1"
-    if (formatted.endsWith('.00000000')) {
-        return formatted.substring(0, formatted.length - 9);
-    }
-    
-    // Remover zeros à direita, mas manter o ponto decimal se necessário
-    formatted = formatted.replace(/0+$/, '');
-    if (formatted.endsWith('.')) {
-        formatted = formatted.slice(0, -1);
-    }
-    
-    return formatted;
+function buildCardModal(t, target) {
+    const input = new TextInputBuilder()
+        .setCustomId('card_id')
+        .setLabel(t('cards.modal.label'))
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setMaxLength(200);
+
+    return new ModalBuilder()
+        .setCustomId(`card:${target}`)
+        .setTitle(target === 'server' ? t('cards.modal.serverTitle') : t('cards.modal.userTitle'))
+        .addComponents(new ActionRowBuilder().addComponents(input));
 }
 
 /**
  * Cria embed base com thumbnail
+ * @param {Function} t - Tradução do servidor (o ícone vem da moeda do servidor)
  * @param {string} title - Título do embed
  * @param {string} color - Cor do embed (hex)
- * @returns {EmbedBuilder} Embed configurado
+ * @returns {EmbedBuilder} Embed configurado; a resposta precisa anexar iconFiles(t)
  */
-function createBaseEmbed(title, color = '#0099ff') {
+function createBaseEmbed(t, title, color = '#0099ff') {
     const embed = new EmbedBuilder()
         .setColor(color)
         .setTitle(title)
         .setTimestamp();
     
-    // Adiciona thumbnail se o arquivo existir
-    if (fs.existsSync(CONFIG.ICON_PATH)) {
+    // Adiciona thumbnail com o ícone do servidor, ou o padrão se o arquivo existir
+    if (t.currency.icon) {
+        embed.setThumbnail(`attachment://${t.currency.icon.name}`);
+    } else if (fs.existsSync(CONFIG.ICON_PATH)) {
         embed.setThumbnail('attachment://icon.png');
     }
     
@@ -450,156 +1454,3004 @@ function createLogEmbed(title, color = '#808080') {
  * Envia log para o canal configurado
  * @param {string} guildId - ID do servidor
  * @param {EmbedBuilder} embed - Embed a ser enviado
+ * @param {ActionRowBuilder[]} [components] - Botões da mensagem
+ * @returns {Message|null} Mensagem enviada, ou null se não há canal de log ou o envio falhou
  */
-async function sendLog(guildId, embed) {
+async function sendLog(guildId, embed, components = []) {
     try {
         const config = await db.get('SELECT log_channel_id FROM guild_config WHERE guild_id = ?', guildId);
-        if (!config?.log_channel_id) return;
+        if (!config?.log_channel_id) return null;
         
         const channel = await client.channels.fetch(config.log_channel_id);
         if (channel) {
-            await channel.send({ embeds: [embed] });
+            return await channel.send({ embeds: [embed], components });
         }
     } catch (error) {
         console.error('Erro ao enviar log:', error);
     }
+    return null;
 }
 
 /**
- * Verifica se o membro tem permissão de staff
- * @param {string} guildId - ID do servidor
- * @param {GuildMember} member - Membro a ser verificado
- * @returns {boolean} True se for staff
- */
-async function isStaff(guildId, member) {
-    const config = await db.get('SELECT staff_role_id FROM guild_config WHERE guild_id = ?', guildId);
-    if (!config?.staff_role_id) return false;
-    
-    return member.roles.cache.has(config.staff_role_id);
-}
-
-/**
- * Verifica status do cartão na API (endpoint: /api/card/info)
- * @param {string} cardId - ID do cartão
- * @returns {Object} Status do cartão
+ * Consulta um cartão na Coin API pelo código em texto puro
+ * @param {string} cardId - Código do cartão
+ * @returns {Object} Status do cartão (coins em unidades base)
  */
-async function checkCardStatus(cardId) {
+async function lookupCard(cardId) {
     try {
-        const response = await axios.post(
-            `${CONFIG.API_URL}/api/card/info`,
-            { cardCode: cardId },
-            { timeout: CONFIG.API_TIMEOUT }
-        );
-        
-        return response.data;
+        return await coinApi.getCard(cardId);
     } catch (error) {
-        if (error.response?.status === 404) {
+        if (error.code === COIN_API_ERRORS.CARD_NOT_FOUND) {
             return { success: false, found: false, error: 'CARD_NOT_FOUND' };
         }
         throw error;
     }
 }
 
-// ===================== REGISTRO DE COMANDOS SLASH =====================
 /**
- * Registra todos os comandos slash globalmente (substitui os existentes)
+ * Verifica status do cartão na Coin API
+ * @param {string} storedCard - Cartão como gravado no banco (cifrado)
+ * @returns {Object} Status do cartão (coins em unidades base)
  */
-async function registerSlashCommands() {
-    const commands = [
-        // ===== COMANDOS /MONEY (para usuários) =====
-        {
-            name: 'money',
-            description: 'Comandos de dinheiro e carteira',
-            options: [
+async function checkCardStatus(storedCard) {
+    return lookupCard(cardVault.decrypt(storedCard));
+}
+
+// ===================== IDIOMA E MOEDA =====================
+// Cada servidor escolhe o catálogo de mensagens com /server language
+// (guild_config.locale) e a marca da moeda com /server currency: nome, símbolo,
+// casas decimais exibidas e ícone. Sem escolha, valem o português, o .env
+// (CURRENCY_NAME e CURRENCY_SYMBOL) e o icon.png. A tradução do servidor leva a
+// marca em t.currency, que formatDollar, createBaseEmbed e iconFiles usam.
+
+const CURRENCY_NAME_MAX_LENGTH = 32;
+const CURRENCY_SYMBOL_MAX_LENGTH = 8;
+const CURRENCY_ICON_MAX_BYTES = 256 * 1024;
+const CURRENCY_ICON_TIMEOUT_MS = 10000;
+
+/**
+ * Marca da moeda de um servidor; campos não configurados usam o padrão
+ * @param {Object} [config] - Linha de guild_config
+ * @returns {Object} { name, symbol, decimals, icon: { name, data } ou null (icon.png) }
+ */
+function currencyFromConfig(config) {
+    return {
+        name: config?.currency_name || CONFIG.CURRENCY_NAME,
+        symbol: config?.currency_symbol || CONFIG.CURRENCY_SYMBOL,
+        decimals: config?.currency_decimals ?? DOLLAR_DECIMALS,
+        icon: config?.currency_icon ? { name: `icon.${config.currency_icon_type}`, data: config.currency_icon } : null
+    };
+}
+
+/**
+ * Parâmetros presentes em todas as mensagens de um idioma: o nome da moeda,
+ * em minúsculas ({currency}) e com inicial maiúscula ({Currency})
+ * @param {string} locale - Código do idioma
+ * @param {string} [name] - Nome da moeda; vazio usa o do catálogo
+ * @returns {Object} { currency, Currency }
+ */
+function localeDefaults(locale, name = CONFIG.CURRENCY_NAME) {
+    const currency = name || translate(locale, 'currency.name');
+    return { currency, Currency: currency.charAt(0).toUpperCase() + currency.slice(1) };
+}
+
+/**
+ * Cria a função de tradução de um idioma, com a marca da moeda
+ * @param {string} locale - Código do idioma
+ * @param {Object} [currency] - Marca da moeda (ver currencyFromConfig)
+ * @returns {Function} t(key, params), com t.currency (o nome já resolvido pelo idioma)
+ */
+function localeTranslator(locale, currency = currencyFromConfig(null)) {
+    const defaults = localeDefaults(locale, currency.name);
+    const t = createTranslator(locale, defaults);
+    t.currency = { ...currency, name: defaults.currency };
+    return t;
+}
+
+/**
+ * Função de tradução no idioma e com a moeda do servidor
+ * @param {string} guildId - ID do servidor
+ * @returns {Function} t(key, params), com t.currency
+ */
+async function guildTranslator(guildId) {
+    const config = await db.get(
+        `SELECT locale, currency_name, currency_symbol, currency_decimals, currency_icon, currency_icon_type 
+         FROM guild_config WHERE guild_id = ?`,
+        guildId
+    );
+    return localeTranslator(config?.locale, currencyFromConfig(config));
+}
+
+/**
+ * Formata centavos com o símbolo e as casas decimais da moeda do servidor
+ * @param {Function} t - Tradução do servidor
+ * @param {number} cents - Quantia em centavos
+ * @returns {string} Ex.: "R$10.50"
+ */
+function formatDollar(t, cents) {
+    return `${t.currency.symbol}${formatDollars(cents, t.currency.decimals)}`;
+}
+
+/**
+ * Arquivos anexados às respostas para a miniatura dos embeds (ver createBaseEmbed)
+ * @param {Function} t - Tradução do servidor
+ * @returns {Array} Ícone do servidor, ou o icon.png padrão se existir
+ */
+function iconFiles(t) {
+    if (t.currency.icon) return [{ attachment: t.currency.icon.data, name: t.currency.icon.name }];
+    return fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [];
+}
+
+/**
+ * Define o idioma do servidor (/server language)
+ * @param {string} guildId - ID do servidor
+ * @param {string} locale - Código do idioma (chave de LOCALES)
+ * @param {Object} actor - { id, tag } de quem executa
+ * @returns {Function} t(key, params) no novo idioma
+ */
+async function setGuildLocale(guildId, locale, actor) {
+    await db.run(
+        `INSERT INTO guild_config (guild_id, locale)
+         VALUES (?, ?)
+         ON CONFLICT(guild_id)
+         DO UPDATE SET locale = ?, updated_at = CURRENT_TIMESTAMP`,
+        [guildId, locale, locale]
+    );
+
+    const t = await guildTranslator(guildId);
+    const logEmbed = createLogEmbed(t('language.log'), '#0099ff')
+        .addFields(
+            { name: t('common.fields.admin'), value: actor.tag },
+            { name: t('language.fields.language'), value: LOCALES[locale].name }
+        );
+    await sendLog(guildId, logEmbed);
+    return t;
+}
+
+/**
+ * Lê um nome ou símbolo de moeda digitado pelo usuário
+ * @param {string} value - Texto digitado
+ * @param {number} maxLength - Tamanho máximo
+ * @returns {string|null} Texto sem espaços nas pontas, ou null se vazio, longo demais ou com quebras de linha
+ */
+function parseCurrencyText(value, maxLength) {
+    const text = value.trim();
+    if (!text || text.length > maxLength || /[\r\n`]/.test(text)) return null;
+    return text;
+}
+
+/**
+ * Altera a marca da moeda do servidor (/server currency)
+ * @param {string} guildId - ID do servidor
+ * @param {Object} changes - Colunas de guild_config (currency_name, currency_symbol,
+ * currency_decimals, currency_icon, currency_icon_type); as ausentes mantêm o valor e null volta ao padrão
+ * @param {Object} actor - { id, tag } de quem executa
+ * @returns {Function} t(key, params) do servidor, já com a moeda nova
+ */
+async function setGuildCurrency(guildId, changes, actor) {
+    const current = await db.get(
+        `SELECT currency_name, currency_symbol, currency_decimals, currency_icon, currency_icon_type
+         FROM guild_config WHERE guild_id = ?`,
+        guildId
+    );
+    const currency = { currency_name: null, currency_symbol: null, currency_decimals: null, currency_icon: null, currency_icon_type: null, ...current, ...changes };
+
+    await db.run(
+        `INSERT INTO guild_config (guild_id, currency_name, currency_symbol, currency_decimals, currency_icon, currency_icon_type)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(guild_id)
+         DO UPDATE SET currency_name = excluded.currency_name, currency_symbol = excluded.currency_symbol,
+                       currency_decimals = excluded.currency_decimals, currency_icon = excluded.currency_icon,
+                       currency_icon_type = excluded.currency_icon_type, updated_at = CURRENT_TIMESTAMP`,
+        [guildId, currency.currency_name, currency.currency_symbol, currency.currency_decimals, currency.currency_icon, currency.currency_icon_type]
+    );
+
+    const t = await guildTranslator(guildId);
+    const logEmbed = createLogEmbed(t('currency.log'), '#ffa500')
+        .addFields(
+            { name: t('common.fields.admin'), value: actor.tag },
+            ...currencyFields(t)
+        );
+    await sendLog(guildId, logEmbed);
+    return t;
+}
+
+/**
+ * Campos de embed que descrevem a moeda do servidor
+ * @param {Function} t - Tradução do servidor
+ * @returns {Object[]} Campos (nome, símbolo, casas decimais, exemplo e ícone)
+ */
+function currencyFields(t) {
+    return [
+        { name: t('currency.fields.name'), value: t.currency.name, inline: true },
+        { name: t('currency.fields.symbol'), value: t.currency.symbol, inline: true },
+        { name: t('currency.fields.decimals'), value: `${t.currency.decimals}`, inline: true },
+        { name: t('currency.fields.example'), value: formatDollar(t, 123456), inline: true },
+        { name: t('currency.fields.icon'), value: t.currency.icon ? t('currency.icon.custom') : t('currency.icon.default'), inline: true }
+    ];
+}
+
+// ===================== PERMISSÕES =====================
+// Cargos e usuários recebem capacidades nomeadas (tabela permissions).
+// Administradores do Discord têm todas as capacidades.
+
+// A descrição de cada uma fica nos catálogos (permissions.capabilities)
+const CAPABILITIES = [
+    'economy.give',
+    'economy.take',
+    'economy.set',
+    'economy.history',
+    'server.pay',
+    'server.fine',
+    'server.fines',
+    'server.audit',
+    'config.edit',
+    'perms.manage'
+];
+
+// Capacidades do antigo cargo de staff (/adm setstaff)
+const STAFF_CAPABILITIES = ['economy.give', 'economy.take', 'economy.set', 'economy.history'];
+
+/**
+ * Verifica se o membro tem uma capacidade, por cargo, por usuário ou por ser administrador
+ * @param {GuildMember} member - Membro a ser verificado
+ * @param {string} capability - Uma das CAPABILITIES
+ * @returns {boolean} True se autorizado
+ */
+async function authorize(member, capability) {
+    if (member.permissions.has(PermissionsBitField.Flags.Administrator)) return true;
+
+    const grants = await db.all(
+        'SELECT subject_type, subject_id FROM permissions WHERE guild_id = ? AND capability = ?',
+        member.guild.id, capability
+    );
+    return grants.some(grant => (grant.subject_type === 'user'
+        ? grant.subject_id === member.id
+        : member.roles.cache.has(grant.subject_id)));
+}
+
+/**
+ * Mensagem de recusa para quem não tem a capacidade
+ * @param {Function} t - Tradução do servidor
+ * @param {string} capability - Uma das CAPABILITIES
+ * @returns {string} Mensagem
+ */
+function permissionDenied(t, capability) {
+    return t('permissions.denied', { capability });
+}
+
+/**
+ * Concede uma capacidade a um cargo ou usuário
+ * @param {string} guildId - ID do servidor
+ * @param {Object} subject - { type: 'role'|'user', id }
+ * @param {string} capability - Uma das CAPABILITIES
+ * @param {string} grantedBy - ID de quem concedeu
+ * @returns {boolean} False se já tinha a capacidade
+ */
+async function grantCapability(guildId, subject, capability, grantedBy) {
+    const { changes } = await db.run(
+        `INSERT OR IGNORE INTO permissions (guild_id, subject_type, subject_id, capability, granted_by) 
+         VALUES (?, ?, ?, ?, ?)`,
+        [guildId, subject.type, subject.id, capability, grantedBy]
+    );
+    return changes > 0;
+}
+
+/**
+ * Retira uma capacidade de um cargo ou usuário
+ * @param {string} guildId - ID do servidor
+ * @param {Object} subject - { type: 'role'|'user', id }
+ * @param {string} capability - Uma das CAPABILITIES
+ * @returns {boolean} False se não tinha a capacidade
+ */
+async function revokeCapability(guildId, subject, capability) {
+    const { changes } = await db.run(
+        'DELETE FROM permissions WHERE guild_id = ? AND subject_type = ? AND subject_id = ? AND capability = ?',
+        [guildId, subject.type, subject.id, capability]
+    );
+    return changes > 0;
+}
+
+/**
+ * Menção de um cargo ou usuário das permissões
+ * @param {Object} grant - { subject_type, subject_id }
+ * @returns {string} Menção
+ */
+function formatSubject(grant) {
+    return grant.subject_type === 'role' ? `<@&${grant.subject_id}>` : `<@${grant.subject_id}>`;
+}
+
+// ===================== CÂMBIO =====================
+
+/**
+ * Busca o câmbio do servidor (centavos por coin)
+ * @param {string} guildId - ID do servidor
+ * @returns {number} Câmbio configurado ou o padrão do .env
+ */
+async function getExchangeRate(guildId) {
+    const config = await db.get('SELECT exchange_rate FROM guild_config WHERE guild_id = ?', guildId);
+    return config?.exchange_rate || CONFIG.DEFAULT_EXCHANGE_RATE;
+}
+
+/**
+ * Define o câmbio do servidor e registra no histórico
+ * @param {string} guildId - ID do servidor
+ * @param {number} rate - Centavos por coin
+ * @param {string} setBy - ID de quem alterou
+ */
+async function setExchangeRate(guildId, rate, setBy) {
+    await db.run(
+        `INSERT INTO guild_config (guild_id, exchange_rate) 
+         VALUES (?, ?) 
+         ON CONFLICT(guild_id) 
+         DO UPDATE SET exchange_rate = ?, updated_at = CURRENT_TIMESTAMP`,
+        [guildId, rate, rate]
+    );
+    await db.run(
+        'INSERT INTO rate_history (guild_id, rate, set_by) VALUES (?, ?, ?)',
+        [guildId, rate, setBy]
+    );
+}
+
+/**
+ * Formata o câmbio para exibição
+ * @param {Function} t - Tradução do servidor
+ * @param {number} rate - Centavos por coin
+ * @returns {string} Câmbio formatado
+ */
+function formatRate(t, rate) {
+    return `${formatDollar(t, rate)}/coin`;
+}
+
+// ===================== TAXAS =====================
+// Operações com taxa. A taxa é cobrada na unidade da própria operação:
+// reais para deposit/withdraw/pay/topup, coins para payserver.
+// Os nomes exibidos ficam nos catálogos (fees.operations).
+const FEE_OPERATIONS = {
+    deposit: { unit: 'dollar' },
+    withdraw: { unit: 'dollar' },
+    topup: { unit: 'dollar' },
+    pay: { unit: 'dollar' },
+    payserver: { unit: 'coin' }
+};
+
+/**
+ * Busca a configuração de taxa de uma operação
+ * @param {string} guildId - ID do servidor
+ * @param {string} operation - Operação (chave de FEE_OPERATIONS)
+ * @returns {Object} { percent_bps, flat, min_fee, max_fee } (valores fixos na unidade da operação)
+ */
+async function getFeeConfig(guildId, operation) {
+    const row = await db.get('SELECT percent_bps, flat, min_fee, max_fee FROM guild_fees WHERE guild_id = ? AND operation = ?', guildId, operation);
+    if (row) return row;
+
+    // Sem configuração: o saque usa WITHDRAW_FEE do .env, o resto é isento
+    return {
+        percent_bps: operation === 'withdraw' ? CONFIG.WITHDRAW_FEE : 0,
+        flat: 0,
+        min_fee: 0,
+        max_fee: 0
+    };
+}
+
+/**
+ * Calcula a taxa de uma operação: percentual + fixa, limitada por mínimo e máximo
+ * @param {string} guildId - ID do servidor
+ * @param {string} operation - Operação (chave de FEE_OPERATIONS)
+ * @param {number} amount - Valor da operação (centavos ou unidades base)
+ * @returns {number} Taxa na unidade da operação
+ */
+async function calculateFee(guildId, operation, amount) {
+    const config = await getFeeConfig(guildId, operation);
+
+    let fee = applyPercent(amount, config.percent_bps) + config.flat;
+    if (config.min_fee > 0) fee = Math.max(fee, config.min_fee);
+    if (config.max_fee > 0) fee = Math.min(fee, config.max_fee);
+
+    return fee;
+}
+
+/**
+ * Lê um valor de taxa fixa digitado, na unidade da operação
+ * @param {string} operation - Operação
+ * @param {string} value - Valor digitado
+ * @returns {number|null} Centavos ou unidades base
+ */
+function parseFeeAmount(operation, value) {
+    return FEE_OPERATIONS[operation].unit === 'coin' ? parseCoins(value) : parseDollars(value);
+}
+
+/**
+ * Formata uma taxa na unidade da operação
+ * @param {Function} t - Tradução do servidor
+ * @param {string} operation - Operação
+ * @param {number} fee - Valor da taxa
+ * @returns {string} Taxa formatada
+ */
+function formatFee(t, operation, fee) {
+    return FEE_OPERATIONS[operation]?.unit === 'coin'
+        ? `${formatCoins(fee)} coins`
+        : formatDollar(t, fee);
+}
+
+/**
+ * Descreve a configuração de taxa de forma legível
+ * @param {Function} t - Tradução do servidor
+ * @param {string} operation - Operação
+ * @param {Object} config - { percent_bps, flat, min_fee, max_fee }
+ * @returns {string} Descrição
+ */
+function describeFeeConfig(t, operation, config) {
+    const parts = [`${formatPercent(config.percent_bps)}%`];
+    if (config.flat > 0) parts.push(`+ ${formatFee(t, operation, config.flat)}`);
+    if (config.min_fee > 0) parts.push(t('fees.min', { fee: formatFee(t, operation, config.min_fee) }));
+    if (config.max_fee > 0) parts.push(t('fees.max', { fee: formatFee(t, operation, config.max_fee) }));
+    return parts.join(' ');
+}
+
+// ===================== LIMITES =====================
+// Limites por servidor, conferidos em recordTransaction: toda operação passa
+// por ali antes de chegar à fila ou aos saldos em reais. Valores em centavos;
+// coins são convertidos pelo câmbio atual. 0 = sem limite.
+// approval_threshold não barra nada: acima dele, /server pay e /adm set viram
+// pedidos de aprovação (ver APROVAÇÕES). Os nomes ficam nos catálogos (limits.labels).
+const LIMITS = {
+    max_tx_amount: { option: 'max_tx', unit: 'dollar' },
+    max_daily_volume: { option: 'daily_volume', unit: 'dollar' },
+    max_hourly_conversions: { option: 'hourly_conversions', unit: 'count' },
+    max_daily_mint: { option: 'daily_mint', unit: 'dollar' },
+    approval_threshold: { option: 'approval', unit: 'dollar' }
+};
+
+// Operações de usuários (volume diário), conversões (contagem por hora) e da staff
+const USER_LIMITED_TYPES = ['pay', 'deposit', 'withdraw', 'payserver'];
+const CONVERSION_TYPES = ['deposit', 'withdraw'];
+const STAFF_LIMITED_TYPES = ['give', 'take', 'set', 'server_pay'];
+
+/**
+ * Erro lançado quando uma operação ultrapassa um limite do servidor
+ */
+class LimitExceededError extends Error {
+    constructor(limit, { allowed, used = null, attempted }) {
+        // A mensagem vai para a API web, que responde no idioma padrão
+        super(translate(DEFAULT_LOCALE, 'limits.exceeded', { limit: translate(DEFAULT_LOCALE, `limits.labels.${limit}`) }));
+        this.name = 'LimitExceededError';
+        this.limit = limit;
+        this.allowed = allowed;
+        this.used = used;
+        this.attempted = attempted;
+    }
+}
+
+/**
+ * Busca os limites do servidor
+ * @param {string} guildId - ID do servidor
+ * @returns {Object} Um valor por chave de LIMITS (0 = sem limite)
+ */
+async function getLimits(guildId) {
+    const row = await db.get(
+        'SELECT max_tx_amount, max_daily_volume, max_hourly_conversions, max_daily_mint, approval_threshold FROM guild_limits WHERE guild_id = ?',
+        guildId
+    );
+    return row || Object.fromEntries(Object.keys(LIMITS).map(key => [key, 0]));
+}
+
+/**
+ * Formata um valor na unidade do limite
+ * @param {Function} t - Tradução do servidor
+ * @param {string} limit - Chave de LIMITS
+ * @param {number} value - Valor
+ * @returns {string} Valor formatado
+ */
+function formatLimit(t, limit, value) {
+    return LIMITS[limit].unit === 'count' ? `${value}` : formatDollar(t, value);
+}
+
+/**
+ * Descreve um limite configurado
+ * @param {Function} t - Tradução do servidor
+ * @param {string} limit - Chave de LIMITS
+ * @param {number} value - Valor configurado (0 = sem limite)
+ * @returns {string} Descrição
+ */
+function describeLimit(t, limit, value) {
+    return value > 0 ? formatLimit(t, limit, value) : t('limits.none');
+}
+
+/**
+ * Confere os limites do servidor para uma transação prestes a ser registrada
+ * @param {Object} tx - Dados da transação (ver recordTransaction); em 'set', tx.delta é a diferença no saldo
+ * @throws {LimitExceededError} Se algum limite for ultrapassado (o alerta vai para o canal de log)
+ */
+async function enforceLimits(tx) {
+    if (![...USER_LIMITED_TYPES, ...STAFF_LIMITED_TYPES].includes(tx.type)) return;
+
+    const limits = await getLimits(tx.guildId);
+    const rate = await getExchangeRate(tx.guildId);
+
+    // Valor em centavos; em 'set' conta a diferença, não o saldo final
+    const value = tx.type === 'set'
+        ? Math.abs(tx.delta || 0)
+        : tx.amount || coinsToDollars(tx.coinAmount || 0, rate);
+
+    let breach = null;
+    if (limits.max_tx_amount > 0 && value > limits.max_tx_amount) {
+        breach = new LimitExceededError('max_tx_amount', { allowed: limits.max_tx_amount, attempted: value });
+    }
+
+    if (!breach && limits.max_daily_volume > 0 && USER_LIMITED_TYPES.includes(tx.type)) {
+        const { used } = await db.get(`
+            SELECT COALESCE(SUM(CASE WHEN amount > 0 THEN amount ELSE coin_amount * ? / 100000000 END), 0) as used 
+            FROM transactions 
+            WHERE guild_id = ? AND user_id = ? AND type IN (${USER_LIMITED_TYPES.map(() => '?').join(', ')}) 
+              AND status != 'failed' AND created_at >= datetime('now', '-1 day')
+        `, rate, tx.guildId, tx.userId, ...USER_LIMITED_TYPES);
+        if (used + value > limits.max_daily_volume) {
+            breach = new LimitExceededError('max_daily_volume', { allowed: limits.max_daily_volume, used, attempted: value });
+        }
+    }
+
+    if (!breach && limits.max_hourly_conversions > 0 && CONVERSION_TYPES.includes(tx.type)) {
+        const { used } = await db.get(`
+            SELECT COUNT(*) as used 
+            FROM transactions 
+            WHERE guild_id = ? AND user_id = ? AND type IN ('deposit', 'withdraw') 
+              AND status != 'failed' AND created_at >= datetime('now', '-1 hour')
+        `, tx.guildId, tx.userId);
+        if (used + 1 > limits.max_hourly_conversions) {
+            breach = new LimitExceededError('max_hourly_conversions', { allowed: limits.max_hourly_conversions, used, attempted: 1 });
+        }
+    }
+
+    const minted = tx.type === 'give' ? value : tx.type === 'set' ? Math.max(tx.delta || 0, 0) : 0;
+    if (!breach && limits.max_daily_mint > 0 && minted > 0) {
+        // Emissões = débitos na conta de emissão feitos por este membro da staff
+        const { used } = await db.get(`
+            SELECT COALESCE(-SUM(e.amount), 0) as used 
+            FROM ledger_entries e 
+            JOIN transactions t ON t.id = e.transaction_id 
+            WHERE e.guild_id = ? AND e.account = ? AND e.amount < 0 
+              AND t.actor_id = ? AND t.type IN ('give', 'set') AND t.created_at >= datetime('now', '-1 day')
+        `, tx.guildId, SYSTEM_MINT, tx.actorId);
+        if (used + minted > limits.max_daily_mint) {
+            breach = new LimitExceededError('max_daily_mint', { allowed: limits.max_daily_mint, used, attempted: minted });
+        }
+    }
+
+    if (!breach) return;
+
+    const t = await guildTranslator(tx.guildId);
+    const logEmbed = createLogEmbed(t('limits.log.title'), '#ff0000')
+        .addFields(
+            { name: t('limits.fields.limit'), value: `${t(`limits.labels.${breach.limit}`)}: ${formatLimit(t, breach.limit, breach.allowed)}` },
+            { name: t('common.fields.operation'), value: transactionLabel(t, tx.type), inline: true },
+            { name: t('common.fields.user'), value: `<@${tx.userId}>`, inline: true },
+            { name: t('limits.fields.attempted'), value: formatLimit(t, breach.limit, breach.attempted), inline: true }
+        );
+    if (tx.actorId && tx.actorId !== tx.userId) {
+        logEmbed.addFields({ name: t('common.fields.staff'), value: formatActor(t, tx.actorId), inline: true });
+    }
+    if (breach.used !== null) {
+        logEmbed.addFields({ name: t('limits.fields.used'), value: formatLimit(t, breach.limit, breach.used), inline: true });
+    }
+    // O alerta não é aguardado: enforceLimits pode rodar dentro de uma transação do ledger
+    sendLog(tx.guildId, logEmbed);
+
+    throw breach;
+}
+
+/**
+ * Embed de recusa para uma operação acima do limite
+ * @param {Function} t - Tradução do servidor
+ * @param {LimitExceededError} error - Erro lançado por enforceLimits
+ * @returns {EmbedBuilder} Embed
+ */
+function limitExceededEmbed(t, error) {
+    const embed = createBaseEmbed(t, t('limits.exceededEmbed.title'), '#ff0000')
+        .setDescription(t('limits.exceededEmbed.description', { limit: t(`limits.labels.${error.limit}`) }))
+        .addFields(
+            { name: t('limits.fields.limit'), value: formatLimit(t, error.limit, error.allowed), inline: true },
+            { name: t('limits.fields.thisOperation'), value: formatLimit(t, error.limit, error.attempted), inline: true }
+        );
+    if (error.used !== null) {
+        embed.addFields({ name: t('limits.fields.used'), value: formatLimit(t, error.limit, error.used), inline: true });
+    }
+    return embed;
+}
+
+// ===================== TRANSAÇÕES (LEDGER) =====================
+
+/**
+ * Rótulo exibido no histórico para um tipo de transação (catálogo transactions.labels)
+ * @param {Function} t - Tradução do servidor
+ * @param {string} type - Tipo da transação
+ * @returns {string} Rótulo, ou o próprio tipo se não houver
+ */
+function transactionLabel(t, type) {
+    return t.has(`transactions.labels.${type}`) ? t(`transactions.labels.${type}`) : type;
+}
+
+/**
+ * Registra uma transação no ledger local, depois de conferir os limites do servidor
+ * @param {Object} tx - { guildId, userId, type, amount, coinAmount, txId, status, actorId, approvedBy, counterpartyId, rate, fee }
+ * @returns {number} ID da transação
+ * @throws {LimitExceededError} Se a operação ultrapassar um limite (ver enforceLimits)
+ */
+async function recordTransaction(tx) {
+    await enforceLimits(tx);
+
+    const { lastID } = await db.run(
+        `INSERT INTO transactions 
+         (guild_id, user_id, type, amount, coin_amount, tx_id, status, actor_id, approved_by, counterparty_id, rate, fee, updated_at) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [
+            tx.guildId,
+            tx.userId,
+            tx.type,
+            tx.amount || 0,
+            tx.coinAmount || 0,
+            tx.txId || null,
+            tx.status || 'completed',
+            tx.actorId || null,
+            tx.approvedBy || null,
+            tx.counterpartyId || null,
+            tx.rate || null,
+            tx.fee || 0
+        ]
+    );
+    return lastID;
+}
+
+/**
+ * Atualiza status, txId ou item da fila de uma transação
+ * @param {number} id - ID da transação (ignorado se vazio, ex.: itens legados da fila)
+ * @param {Object} changes - { status, txId, queueId }
+ */
+async function updateTransaction(id, changes) {
+    if (!id) return;
+
+    await db.run(
+        `UPDATE transactions 
+         SET status = COALESCE(?, status), tx_id = COALESCE(?, tx_id), queue_id = COALESCE(?, queue_id), updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ?`,
+        [changes.status || null, changes.txId || null, changes.queueId || null, id]
+    );
+}
+
+/**
+ * Registra a transação como pendente e envia o item para a fila, vinculando os dois
+ * @param {Object} tx - Dados da transação (ver recordTransaction), ou { id } de uma já criada
+ * @param {Object} item - Item da fila (ver PaymentQueue.add)
+ * @returns {number} ID do item na fila
+ */
+async function enqueueTransaction(tx, item) {
+    const transactionId = tx.id || await recordTransaction({ ...tx, status: 'pending' });
+    item.payload.transactionId = transactionId;
+
+    const queueId = await paymentQueue.add(item);
+    await updateTransaction(transactionId, { queueId });
+    return queueId;
+}
+
+/**
+ * Descreve o valor de uma transação do ponto de vista de um usuário
+ * @param {Function} t - Tradução do servidor
+ * @param {Object} row - Linha da tabela transactions
+ * @param {string} viewerId - Usuário que está vendo o histórico
+ * @returns {string} Valor formatado com sinal
+ */
+function describeTransactionAmount(t, row, viewerId) {
+    const dollars = formatDollar(t, row.amount);
+    const coins = `${formatCoins(row.coin_amount)} coins`;
+    // Valor efetivamente creditado quando a taxa sai do destino
+    const netDollars = formatDollar(t, row.amount - (row.fee || 0));
+
+    switch (row.type) {
+        case 'deposit':
+            return `-${dollars} → +${coins}`;
+        case 'withdraw':
+        case 'topup':
+            return `-${coins} → +${netDollars}`;
+        case 'pay':
+            return row.user_id === viewerId
+                ? t('transactions.sentTo', { amount: `-${dollars}`, user: `<@${row.counterparty_id}>` })
+                : t('transactions.receivedFrom', { amount: `+${netDollars}`, user: `<@${row.user_id}>` });
+        case 'opening':
+        case 'give':
+            return `+${dollars}`;
+        case 'take':
+            return `-${dollars}`;
+        case 'set':
+            return `= ${dollars}`;
+        case 'fine':
+            // Pagas em coins (ou multas antigas, cobradas só em coins) mostram o valor em coins
+            return row.coin_amount ? `-${coins}` : `-${dollars}`;
+        case 'payserver':
+            return `-${coins}`;
+        case 'server_pay':
+            return `+${coins}`;
+        default:
+            return dollars;
+    }
+}
+
+/**
+ * Monta uma página do histórico de transações de um usuário
+ * @param {Function} t - Tradução do servidor
+ * @param {string} guildId - ID do servidor
+ * @param {User} targetUser - Usuário cujo histórico será exibido
+ * @param {number} page - Página pedida (1-based)
+ * @returns {Object} { embed, page, totalPages }
+ */
+async function buildHistoryPage(t, guildId, targetUser, page) {
+    const limit = 10;
+
+    const { total } = await db.get(
+        'SELECT COUNT(*) as total FROM transactions WHERE guild_id = ? AND (user_id = ? OR counterparty_id = ?)',
+        guildId, targetUser.id, targetUser.id
+    );
+    const totalPages = pageCount(total, limit);
+    page = clampPage(page, totalPages);
+    const offset = (page - 1) * limit;
+
+    const rows = await db.all(`
+        SELECT * FROM transactions 
+        WHERE guild_id = ? AND (user_id = ? OR counterparty_id = ?) 
+        ORDER BY id DESC 
+        LIMIT ? OFFSET ?
+    `, guildId, targetUser.id, targetUser.id, limit, offset);
+
+    let description = '';
+    for (const row of rows) {
+        const timestamp = Math.floor(Date.parse(`${row.created_at.replace(' ', 'T')}Z`) / 1000);
+        description += `**#${row.id}** ${transactionLabel(t, row.type)} • <t:${timestamp}:d>\n`;
+        description += `└ ${describeTransactionAmount(t, row, targetUser.id)} | ${row.status}`;
+        if (row.fee) description += ` | ${t('history.fee', { fee: formatFee(t, row.type, row.fee) })}`;
+        if (row.rate) description += ` | ${t('history.rate', { rate: formatRate(t, row.rate) })}`;
+        if (row.tx_id) description += ` | \`${row.tx_id}\``;
+        if (row.approved_by) description += ` | ${t('history.approvedBy', { user: `<@${row.approved_by}>` })}`;
+        description += '\n\n';
+    }
+
+    const embed = createBaseEmbed(t, t('history.title', { user: targetUser.tag }), '#0099ff')
+        .setDescription(description || t('history.empty'))
+        .setFooter({ text: t('history.footer', { page, totalPages, total }) });
+    return { embed, page, totalPages };
+}
+
+// ===================== LEDGER (PARTIDAS DOBRADAS) =====================
+// Contas de sistema: a emissão/queima da staff, a ponte com as coins do cartão
+// do servidor e as taxas arrecadadas pelo servidor
+const SYSTEM_MINT = 'system:mint';
+const SYSTEM_COINS = 'system:coins';
+const SYSTEM_SERVER = 'system:server';
+
+/**
+ * Conta do ledger de um usuário
+ * @param {string} userId - ID do usuário
+ * @returns {string} Nome da conta
+ */
+function userAccount(userId) {
+    return `user:${userId}`;
+}
+
+/**
+ * Erro lançado quando um débito deixaria o saldo negativo
+ */
+class InsufficientFundsError extends Error {
+    constructor(account, balance) {
+        super('Saldo insuficiente');
+        this.name = 'InsufficientFundsError';
+        this.account = account;
+        this.balance = balance;
+    }
+}
+
+/**
+ * Erro lançado quando o saldo mudou desde que a operação foi pedida
+ */
+class BalanceChangedError extends Error {
+    constructor(expected, balance) {
+        super('Saldo alterado desde o pedido');
+        this.name = 'BalanceChangedError';
+        this.expected = expected;
+        this.balance = balance;
+    }
+}
+
+/**
+ * Serviço único para movimentar reais. Débito, crédito, transação e lançamentos
+ * são gravados numa só transação SQLite, de modo que a soma dos saldos
+ * em users.dollars sempre fecha com ledger_entries.
+ */
+class Ledger {
+    /**
+     * Executa fn dentro de BEGIN IMMEDIATE/COMMIT, segurando a conexão
+     * (ver guardConnection): o ROLLBACK só desfaz o que fn gravou
+     * @param {Function} fn - Função assíncrona
+     * @returns {*} Retorno de fn
+     */
+    async withTransaction(fn) {
+        return withConnectionLock(() => {
+            const scope = { open: true };
+            return transactionScope.run(scope, async () => {
+                try {
+                    await db.exec('BEGIN IMMEDIATE');
+                    try {
+                        const result = await fn();
+                        await db.exec('COMMIT');
+                        return result;
+                    } catch (error) {
+                        await db.exec('ROLLBACK');
+                        throw error;
+                    }
+                } finally {
+                    // Tarefas disparadas de dentro de fn voltam a esperar a trava
+                    scope.open = false;
+                }
+            });
+        });
+    }
+
+    /**
+     * Lança um valor numa conta. Contas de usuário atualizam users.dollars com
+     * trava de saldo; contas de sistema existem apenas no ledger.
+     * @param {string} guildId - ID do servidor
+     * @param {number} transactionId - Transação dona do lançamento
+     * @param {string} account - Conta
+     * @param {number} amount - Centavos com sinal (negativo = débito)
+     * @returns {number|null} Novo saldo da conta de usuário
+     */
+    async post(guildId, transactionId, account, amount) {
+        let balance = null;
+
+        if (account.startsWith('user:')) {
+            const userId = account.slice('user:'.length);
+
+            if (amount < 0) {
+                const { changes } = await db.run(
+                    'UPDATE users SET dollars = dollars - ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND guild_id = ? AND dollars >= ?',
+                    [-amount, userId, guildId, -amount]
+                );
+                if (changes !== 1) {
+                    const row = await db.get('SELECT dollars FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
+                    throw new InsufficientFundsError(account, row?.dollars || 0);
+                }
+            } else {
+                await db.run(
+                    `INSERT INTO users (user_id, guild_id, dollars) 
+                     VALUES (?, ?, ?) 
+                     ON CONFLICT(user_id, guild_id) 
+                     DO UPDATE SET dollars = dollars + ?, updated_at = CURRENT_TIMESTAMP`,
+                    [userId, guildId, amount, amount]
+                );
+            }
+
+            const row = await db.get('SELECT dollars FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
+            balance = row.dollars;
+        }
+
+        await db.run(
+            'INSERT INTO ledger_entries (guild_id, transaction_id, account, amount) VALUES (?, ?, ?, ?)',
+            [guildId, transactionId, account, amount]
+        );
+
+        return balance;
+    }
+
+    /**
+     * Move reais de uma conta para outra. Se houver taxa, o destino recebe
+     * amount - fee e a taxa vai para a conta do servidor.
+     * @param {Object} transfer - Dados da movimentação
+     * @param {string} transfer.guildId - ID do servidor
+     * @param {string} transfer.from - Conta debitada
+     * @param {string} transfer.to - Conta creditada
+     * @param {number} transfer.amount - Valor em centavos (positivo)
+     * @param {number} [transfer.fee] - Taxa em centavos retida do valor
+     * @param {Object} [transfer.tx] - Dados para criar a transação (ver recordTransaction)
+     * @param {number} [transfer.transactionId] - Transação pendente já existente; só é aplicada uma vez
+     * @param {string} [transfer.status] - Status final da transação (padrão: completed)
+     * @param {string} [transfer.txId] - ID da transação na API
+     * @returns {Object} { transactionId, applied, fromBalance, toBalance }
+     */
+    async transfer({ guildId, from, to, amount, fee = 0, tx, transactionId, status = 'completed', txId }) {
+        if (!Number.isSafeInteger(amount) || !Number.isSafeInteger(fee) || amount <= 0 || fee < 0 || fee >= amount) {
+            throw new Error(`Valor inválido para transferência: ${amount} (taxa ${fee})`);
+        }
+
+        return this.withTransaction(async () => {
+            if (transactionId) {
+                // Idempotente: reaplicar um item da fila não lança duas vezes
+                const { changes } = await db.run(
+                    `UPDATE transactions SET status = ?, tx_id = COALESCE(?, tx_id), updated_at = CURRENT_TIMESTAMP 
+                     WHERE id = ? AND status = 'pending'`,
+                    [status, txId || null, transactionId]
+                );
+                if (changes !== 1) {
+                    return { transactionId, applied: false, fromBalance: null, toBalance: null };
+                }
+            } else {
+                transactionId = await recordTransaction({ ...tx, guildId, amount, fee, status, txId });
+            }
+
+            const fromBalance = await this.post(guildId, transactionId, from, -amount);
+            const toBalance = await this.post(guildId, transactionId, to, amount - fee);
+            if (fee > 0) {
+                await this.post(guildId, transactionId, SYSTEM_SERVER, fee);
+            }
+
+            return { transactionId, applied: true, fromBalance, toBalance };
+        });
+    }
+
+    /**
+     * Estorna todos os lançamentos de uma transação pendente
+     * @param {Object} params - { guildId, transactionId, status }
+     * @returns {boolean} false se a transação já não estava pendente
+     */
+    async reverse({ guildId, transactionId, status = 'failed' }) {
+        return this.withTransaction(async () => {
+            const { changes } = await db.run(
+                `UPDATE transactions SET status = ?, updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = ? AND status = 'pending'`,
+                [status, transactionId]
+            );
+            if (changes !== 1) return false;
+
+            // Créditos primeiro, para nenhuma trava de saldo barrar o estorno
+            const entries = await db.all(
+                'SELECT account, amount FROM ledger_entries WHERE transaction_id = ? ORDER BY amount ASC',
+                transactionId
+            );
+            for (const entry of entries) {
+                await this.post(guildId, transactionId, entry.account, -entry.amount);
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Define o saldo de um usuário, lançando a diferença contra a conta de emissão
+     * @param {Object} params - { guildId, userId, amount, actorId, approvedBy, expectedBalance }
+     * @returns {Object} { transactionId, balance }
+     * @throws {BalanceChangedError} Se expectedBalance foi informado e o saldo atual é outro
+     */
+    async setBalance({ guildId, userId, amount, actorId, approvedBy, expectedBalance = null }) {
+        return this.withTransaction(async () => {
+            const row = await db.get('SELECT dollars FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
+            const current = row?.dollars || 0;
+            if (expectedBalance !== null && current !== expectedBalance) {
+                throw new BalanceChangedError(expectedBalance, current);
+            }
+            const delta = amount - current;
+
+            // Na transação 'set', amount é o saldo final; os lançamentos levam a diferença
+            const transactionId = await recordTransaction({ guildId, userId, type: 'set', amount, actorId, approvedBy, delta });
+
+            if (delta !== 0) {
+                await this.post(guildId, transactionId, SYSTEM_MINT, -delta);
+            }
+            await this.post(guildId, transactionId, userAccount(userId), delta);
+
+            return { transactionId, balance: amount };
+        });
+    }
+}
+
+// Instância global do ledger
+const ledger = new Ledger();
+
+// ===================== EVENTOS E WEBHOOKS =====================
+// Cada operação publica um evento tipado em economyEvents (src/events.js). O
+// despachante abaixo grava uma entrega por webhook interessado do servidor e
+// envia em segundo plano, com assinatura HMAC. Falhas são repetidas com espera
+// exponencial até WEBHOOK_MAX_ATTEMPTS; webhook_deliveries é o registro de tudo.
+
+const economyEvents = new EconomyEventBus();
+
+// Entregas processadas por rodada e mostradas em /server webhooks action:deliveries
+const WEBHOOK_BATCH_SIZE = 50;
+const WEBHOOK_DELIVERIES_SHOWN = 10;
+
+
+/**
+ * Dados de uma transação para os eventos (mesmos nomes e unidades da API web)
+ * @param {Object} row - Linha da tabela transactions
+ * @returns {Object} Transação
+ */
+function eventTransaction(row) {
+    return {
+        transaction_id: row.id,
+        type: row.type,
+        status: row.status,
+        user_id: row.user_id,
+        counterparty_id: row.counterparty_id,
+        amount: row.amount,
+        coin_amount: row.coin_amount,
+        fee: row.fee,
+        rate: row.rate,
+        tx_id: row.tx_id,
+        actor_id: row.actor_id,
+        approved_by: row.approved_by,
+        created_at: row.created_at
+    };
+}
+
+/**
+ * Publica um evento sem nunca interromper a operação que o gerou
+ * @param {string} guildId - ID do servidor
+ * @param {string} type - Chave de ECONOMY_EVENTS
+ * @param {Object} data - Dados do evento
+ */
+function publishEvent(guildId, type, data) {
+    try {
+        economyEvents.publish(guildId, type, data);
+    } catch (error) {
+        console.error(`❌ Erro publicando o evento ${type}:`, error);
+    }
+}
+
+/**
+ * Publica o evento de uma transação, com os dados dela lidos do banco
+ * @param {string} guildId - ID do servidor
+ * @param {string} type - Chave de ECONOMY_EVENTS
+ * @param {number} transactionId - ID da transação
+ * @param {Object} [extra] - Dados adicionais (ex.: { error } em falhas)
+ */
+async function publishTransactionEvent(guildId, type, transactionId, extra = {}) {
+    const row = transactionId ? await db.get('SELECT * FROM transactions WHERE id = ?', transactionId) : null;
+    if (!row) return;
+    publishEvent(guildId, type, { ...eventTransaction(row), ...extra });
+}
+
+/**
+ * Publica o evento de uma multa, com os dados dela lidos do banco
+ * @param {string} guildId - ID do servidor
+ * @param {string} type - Chave de ECONOMY_EVENTS (fine.*)
+ * @param {number} fineId - ID da multa
+ * @param {Object} [extra] - Dados adicionais (ex.: { transaction_id, method })
+ */
+async function publishFineEvent(guildId, type, fineId, extra = {}) {
+    const fine = await db.get('SELECT * FROM fines WHERE id = ?', fineId);
+    if (!fine) return;
+    publishEvent(guildId, type, {
+        fine_id: fine.id,
+        user_id: fine.user_id,
+        amount: fine.amount,
+        paid_amount: fine.paid_amount,
+        reason: fine.reason,
+        status: fine.status,
+        due_at: fine.due_at,
+        issued_by: fine.issued_by,
+        resolved_by: fine.resolved_by,
+        ...extra
+    });
+}
+
+/**
+ * Entrega os eventos aos webhooks dos servidores
+ */
+class WebhookDispatcher {
+    constructor() {
+        this.running = null;
+        this.again = false;
+        this.dispatching = new Set();
+    }
+
+    /**
+     * Recebe um evento do barramento; a gravação das entregas roda em segundo plano
+     * @param {Object} event - Evento publicado
+     */
+    receive(event) {
+        const dispatch = this.dispatch(event)
+            .catch(error => console.error('❌ Erro gravando entregas de webhook:', error))
+            .finally(() => this.dispatching.delete(dispatch));
+        this.dispatching.add(dispatch);
+    }
+
+    /**
+     * Grava uma entrega do evento para cada webhook do servidor que o assina
+     * @param {Object} event - Evento publicado
+     * @returns {number} Entregas criadas
+     */
+    async dispatch(event) {
+        const hooks = await db.all('SELECT id, events FROM webhooks WHERE guild_id = ?', event.guild_id);
+        const targets = hooks.filter(hook => subscribes(JSON.parse(hook.events), event.type));
+
+        for (const hook of targets) {
+            await this.enqueue(hook.id, event);
+        }
+        if (targets.length > 0) this.process();
+        return targets.length;
+    }
+
+    /**
+     * Grava uma entrega pendente
+     * @param {number} webhookId - ID do webhook
+     * @param {Object} event - Evento
+     * @returns {number} ID da entrega
+     */
+    async enqueue(webhookId, event) {
+        const { lastID } = await db.run(
+            `INSERT INTO webhook_deliveries (webhook_id, guild_id, event_id, event_type, payload) 
+             VALUES (?, ?, ?, ?, ?)`,
+            [webhookId, event.guild_id, event.id, event.type, JSON.stringify(event)]
+        );
+        return lastID;
+    }
+
+    /**
+     * Envia as entregas vencidas; chamadas durante uma rodada agendam outra logo depois dela
+     * @returns {Promise} Rodada em andamento
+     */
+    process() {
+        if (this.running) {
+            this.again = true;
+            return this.running;
+        }
+
+        this.running = (async () => {
+            do {
+                this.again = false;
+                await this.run();
+            } while (this.again);
+        })()
+            .catch(error => console.error('❌ Erro entregando webhooks:', error))
+            .finally(() => {
+                this.running = null;
+            });
+        return this.running;
+    }
+
+    /**
+     * Aguarda os eventos recebidos serem gravados e a rodada em andamento terminar
+     */
+    async drain() {
+        while (this.dispatching.size > 0) {
+            await Promise.all(this.dispatching);
+        }
+        await this.running;
+    }
+
+    /**
+     * Envia, uma por vez, as entregas pendentes cujo horário já chegou
+     */
+    async run() {
+        for (;;) {
+            const rows = await db.all(
+                `SELECT d.*, w.url, w.secret FROM webhook_deliveries d 
+                 JOIN webhooks w ON w.id = d.webhook_id 
+                 WHERE d.status = 'pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP 
+                 ORDER BY d.id LIMIT ?`,
+                WEBHOOK_BATCH_SIZE
+            );
+            if (rows.length === 0) return;
+
+            for (const row of rows) {
+                await this.attempt(row);
+            }
+        }
+    }
+
+    /**
+     * Espera até a próxima tentativa
+     * @param {number} attempts - Tentativas já feitas
+     * @returns {number} Segundos
+     */
+    retryDelaySeconds(attempts) {
+        const backoff = Math.min(CONFIG.WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1), CONFIG.WEBHOOK_RETRY_MAX_MS);
+        return Math.ceil(backoff / 1000);
+    }
+
+    /**
+     * Faz uma tentativa de entrega e grava o resultado
+     * @param {Object} row - Entrega com url e secret do webhook
+     */
+    async attempt(row) {
+        const result = await deliverWebhook({
+            url: row.url,
+            secret: row.secret,
+            body: row.payload,
+            eventId: row.event_id,
+            eventType: row.event_type,
+            timeoutMs: CONFIG.WEBHOOK_TIMEOUT_MS,
+            allowPrivate: CONFIG.WEBHOOK_ALLOW_PRIVATE_HOSTS
+        });
+        const attempts = row.attempts + 1;
+
+        if (result.ok) {
+            await db.run(
+                `UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, response_status = ?, error = NULL, delivered_at = CURRENT_TIMESTAMP 
+                 WHERE id = ?`,
+                [attempts, result.status, row.id]
+            );
+            return;
+        }
+
+        if (attempts >= CONFIG.WEBHOOK_MAX_ATTEMPTS) {
+            await db.run(
+                "UPDATE webhook_deliveries SET status = 'failed', attempts = ?, response_status = ?, error = ? WHERE id = ?",
+                [attempts, result.status, result.error, row.id]
+            );
+
+            const t = await guildTranslator(row.guild_id);
+            const logEmbed = createLogEmbed(t('webhooks.undelivered.title'), '#ffa500')
+                .addFields(
+                    { name: 'Webhook', value: `#${row.webhook_id}` },
+                    { name: t('webhooks.fields.event'), value: `${row.event_type} (\`${row.event_id}\`)` },
+                    { name: t('webhooks.fields.attempts'), value: `${attempts}` },
+                    { name: t('common.fields.error'), value: result.error }
+                );
+            await sendLog(row.guild_id, logEmbed);
+            return;
+        }
+
+        await db.run(
+            `UPDATE webhook_deliveries SET attempts = ?, response_status = ?, error = ?, next_attempt_at = datetime('now', ?) 
+             WHERE id = ?`,
+            [attempts, result.status, result.error, `+${this.retryDelaySeconds(attempts)} seconds`, row.id]
+        );
+    }
+}
+
+// Instância global do despachante, ligada ao barramento
+const webhooks = new WebhookDispatcher();
+economyEvents.on('event', event => webhooks.receive(event));
+
+/**
+ * Cadastra um webhook (/server webhooks action:add)
+ * @param {string} guildId - ID do servidor
+ * @param {string} url - URL já validada
+ * @param {string[]} filters - Eventos assinados (ver parseEventFilter)
+ * @param {Object} actor - { id, tag } de quem executa
+ * @returns {Object} { id, secret } (o segredo só é mostrado aqui)
+ */
+async function createWebhook(guildId, url, filters, actor) {
+    const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+    const { lastID } = await db.run(
+        'INSERT INTO webhooks (guild_id, url, secret, events, created_by) VALUES (?, ?, ?, ?, ?)',
+        [guildId, url, secret, JSON.stringify(filters), actor.id]
+    );
+
+    const t = await guildTranslator(guildId);
+    const logEmbed = createLogEmbed(t('webhooks.added.title'), '#ffa500')
+        .addFields(
+            { name: t('common.fields.admin'), value: actor.tag },
+            { name: 'Webhook', value: `#${lastID} ${url}` },
+            { name: t('webhooks.fields.events'), value: filters.join(', ') }
+        );
+    await sendLog(guildId, logEmbed);
+    return { id: lastID, secret };
+}
+
+/**
+ * Remove um webhook; entregas ainda pendentes para ele são canceladas
+ * @param {string} guildId - ID do servidor
+ * @param {number} webhookId - ID do webhook
+ * @param {Object} actor - { id, tag } de quem executa
+ * @returns {boolean} True se o webhook existia
+ */
+async function removeWebhook(guildId, webhookId, actor) {
+    const { changes } = await db.run('DELETE FROM webhooks WHERE guild_id = ? AND id = ?', [guildId, webhookId]);
+    if (changes === 0) return false;
+
+    // O motivo fica gravado na entrega, no idioma do servidor
+    const t = await guildTranslator(guildId);
+    await db.run(
+        "UPDATE webhook_deliveries SET status = 'failed', error = ? WHERE webhook_id = ? AND status = 'pending'",
+        [t('webhooks.removed.deliveryError'), webhookId]
+    );
+
+    const logEmbed = createLogEmbed(t('webhooks.removed.title'), '#ffa500')
+        .addFields(
+            { name: t('common.fields.admin'), value: actor.tag },
+            { name: 'Webhook', value: `#${webhookId}` }
+        );
+    await sendLog(guildId, logEmbed);
+    return true;
+}
+
+// ===================== HANDLERS DA FILA =====================
+// Efeitos locais de cada tipo de item. Rodam a partir do que está gravado em
+// queue.payload, então são reaplicados corretamente após um restart.
+
+/**
+ * Envia log de falha de um item da fila
+ * @param {Object} item - Item da fila
+ * @param {Error} error - Erro ocorrido
+ * @param {string} titleKey - Chave do título do log nos catálogos
+ */
+async function logQueueFailure(item, error, titleKey) {
+    const t = await guildTranslator(item.guildId);
+    const logEmbed = createLogEmbed(t(titleKey), '#ff0000')
+        .addFields(
+            { name: t('common.fields.user'), value: item.payload.userTag || `<@${item.userId}>` },
+            { name: t('queue.fields.queueItem'), value: `#${item.id}` },
+            { name: t('common.fields.error'), value: error.message || t('queue.unknownError') }
+        );
+    await sendLog(item.guildId, logEmbed);
+}
+
+/**
+ * Marca como falha a transação vinculada a um item da fila
+ * @param {Object} item - Item da fila
+ */
+function failTransaction(item) {
+    return updateTransaction(item.payload.transactionId, { status: 'failed' });
+}
+
+/**
+ * Marca para reconciliação a transação vinculada a um item da fila
+ * @param {Object} item - Item da fila
+ */
+function reconcileTransaction(item) {
+    return updateTransaction(item.payload.transactionId, { status: 'reconcile' });
+}
+
+/**
+ * Resposta para quando a Coin API não confirma a transferência de forma conclusiva
+ * @param {Function} t - Tradução do servidor
+ * @param {Interaction} interaction - Interação a responder
+ * @returns {Function} Callback onUnknown do item da fila
+ */
+function replyUnknownOutcome(t, interaction) {
+    return async () => {
+        const embed = createBaseEmbed(t, t('queue.verifying.title'), '#ffa500')
+            .setDescription(t('queue.verifying.description'));
+        await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+    };
+}
+
+// Depósito: servidor envia coins ao usuário. Os reais já foram reservados
+// (debitados) no ledger ao enfileirar; em caso de falha são estornados.
+paymentQueue.registerHandler('deposit', {
+    transfer: 'card_to_id',
+    onSuccess: async (item, result) => {
+        await updateTransaction(item.payload.transactionId, { status: 'completed', txId: result.txId });
+        const { dollarAmount, amount, rate, fee = 0, userTag } = item.payload;
+
+        const t = await guildTranslator(item.guildId);
+        const logEmbed = createLogEmbed(t('deposit.log.title'), '#00ff00')
+            .addFields(
+                { name: t('common.fields.user'), value: userTag },
+                { name: t('deposit.fields.deposited'), value: formatDollar(t, dollarAmount) },
+                { name: t('common.fields.fee'), value: formatFee(t, 'deposit', fee) },
+                { name: t('deposit.fields.coinsReceived'), value: `${formatCoins(amount)}` },
+                { name: t('common.fields.rate'), value: rate ? formatRate(t, rate) : '-' },
+                { name: t('common.fields.transactionId'), value: `\`${result.txId}\`` }
+            );
+        await sendLog(item.guildId, logEmbed);
+        await publishTransactionEvent(item.guildId, 'deposit.completed', item.payload.transactionId);
+    },
+    onError: async (item, error) => {
+        if (item.payload.transactionId) {
+            await ledger.reverse({ guildId: item.guildId, transactionId: item.payload.transactionId });
+        }
+        await logQueueFailure(item, error, 'deposit.log.failed');
+        await publishTransactionEvent(item.guildId, 'deposit.failed', item.payload.transactionId, { error: error.message });
+    },
+    onReconcile: reconcileTransaction
+});
+
+// Saque: usuário envia coins ao servidor e recebe reais
+paymentQueue.registerHandler('withdraw', {
+    transfer: 'card_to_card',
+    onSuccess: async (item, result) => {
+        const { dollarAmount, amount, rate, fee = 0, userTag } = item.payload;
+
+        await ledger.transfer({
+            guildId: item.guildId,
+            from: SYSTEM_COINS,
+            to: userAccount(item.userId),
+            amount: dollarAmount,
+            fee,
+            transactionId: item.payload.transactionId,
+            txId: result.txId
+        });
+
+        const t = await guildTranslator(item.guildId);
+        const logEmbed = createLogEmbed(t('withdraw.log.title'), '#00ff00')
+            .addFields(
+                { name: t('common.fields.user'), value: userTag },
+                { name: t('withdraw.fields.withdrawn'), value: formatDollar(t, dollarAmount) },
+                { name: t('common.fields.fee'), value: formatFee(t, 'withdraw', fee) },
+                { name: t('withdraw.fields.coinsPaid'), value: `${formatCoins(amount)}` },
+                { name: t('common.fields.rate'), value: rate ? formatRate(t, rate) : '-' },
+                { name: t('common.fields.transactionId'), value: `\`${result.txId}\`` }
+            );
+        await sendLog(item.guildId, logEmbed);
+        await publishTransactionEvent(item.guildId, 'withdraw.completed', item.payload.transactionId);
+    },
+    onError: async (item, error) => {
+        await failTransaction(item);
+        await logQueueFailure(item, error, 'withdraw.log.failed');
+        await publishTransactionEvent(item.guildId, 'withdraw.failed', item.payload.transactionId, { error: error.message });
+    },
+    onReconcile: reconcileTransaction
+});
+
+// Pagamento de coins do usuário ao cartão do servidor (valor + taxa)
+paymentQueue.registerHandler('payserver', {
+    transfer: 'card_to_card',
+    onSuccess: async (item, result) => {
+        await updateTransaction(item.payload.transactionId, { status: 'completed', txId: result.txId });
+        const t = await guildTranslator(item.guildId);
+        const logEmbed = createLogEmbed(t('payserver.log.title'), '#00ff00')
+            .addFields(
+                { name: t('common.fields.user'), value: item.payload.userTag },
+                { name: t('common.fields.amount'), value: `${formatCoins(item.payload.amount - (item.payload.fee || 0))} coins` },
+                { name: t('common.fields.fee'), value: formatFee(t, 'payserver', item.payload.fee || 0) },
+                { name: t('common.fields.transactionId'), value: `\`${result.txId}\`` }
+            );
+        await sendLog(item.guildId, logEmbed);
+        await publishTransactionEvent(item.guildId, 'payserver.completed', item.payload.transactionId);
+    },
+    onError: async (item, error) => {
+        await failTransaction(item);
+        await logQueueFailure(item, error, 'payserver.log.failed');
+        await publishTransactionEvent(item.guildId, 'payserver.failed', item.payload.transactionId, { error: error.message });
+    },
+    onReconcile: reconcileTransaction
+});
+
+// Pagamento de coins do servidor a um usuário
+paymentQueue.registerHandler('server_pay', {
+    transfer: 'card_to_id',
+    onSuccess: async (item, result) => {
+        await updateTransaction(item.payload.transactionId, { status: 'completed', txId: result.txId });
+        const t = await guildTranslator(item.guildId);
+        const logEmbed = createLogEmbed(t('serverPay.log.title'), '#00ff00')
+            .addFields(
+                { name: t('common.fields.admin'), value: item.payload.userTag },
+                { name: t('common.fields.user'), value: item.payload.targetTag },
+                { name: t('common.fields.amount'), value: `${formatCoins(item.payload.amount)} coins` },
+                { name: t('common.fields.transactionId'), value: `\`${result.txId}\`` }
+            );
+        await sendLog(item.guildId, logEmbed);
+        await publishTransactionEvent(item.guildId, 'server_pay.completed', item.payload.transactionId);
+    },
+    onError: async (item, error) => {
+        await failTransaction(item);
+        await logQueueFailure(item, error, 'serverPay.log.failed');
+        await publishTransactionEvent(item.guildId, 'server_pay.failed', item.payload.transactionId, { error: error.message });
+    },
+    onReconcile: reconcileTransaction
+});
+
+// Pagamento de multa em coins: do cartão do multado para o cartão do servidor
+paymentQueue.registerHandler('fine', {
+    transfer: 'card_to_card',
+    onSuccess: async (item, result) => {
+        await updateTransaction(item.payload.transactionId, { status: 'completed', txId: result.txId });
+        await settleFine(item.payload.fineId, 'paid', item.userId);
+
+        const t = await guildTranslator(item.guildId);
+        const logEmbed = createLogEmbed(t('fines.log.paidCoins'), '#00ff00')
+            .addFields(
+                { name: t('common.fields.user'), value: item.payload.userTag || `<@${item.userId}>` },
+                { name: t('fines.fields.fine'), value: `#${item.payload.fineId}` },
+                { name: t('common.fields.amount'), value: `${formatDollar(t, item.payload.dollarAmount)} (${formatCoins(item.payload.amount)} coins)` },
+                { name: t('common.fields.transactionId'), value: `\`${result.txId}\`` }
+            );
+        await sendLog(item.guildId, logEmbed);
+        await publishFineEvent(item.guildId, 'fine.paid', item.payload.fineId, { transaction_id: item.payload.transactionId, method: 'coins' });
+    },
+    onError: async (item, error) => {
+        await failTransaction(item);
+        await releaseFine(item.payload.fineId);
+        await logQueueFailure(item, error, 'fines.log.paymentFailed');
+    },
+    onReconcile: reconcileTransaction
+});
+
+// ===================== VERIFICAÇÃO DE CARTÕES =====================
+// A Coin API não lista transferências, então o desafio é detectado pelos saldos:
+// ao cadastrar, o bot anota o saldo do cartão e o do cartão do servidor e sorteia
+// um valor único; o cartão é verificado quando ele cair exatamente esse valor e o
+// cartão do servidor subir exatamente o mesmo valor. Qualquer outro movimento em
+// um dos dois no meio do caminho exige um novo desafio. Só cartões verificados
+// podem ser debitados (saque, payserver, multas em coins).
+
+/**
+ * Saldo atual do cartão do servidor, que recebe as transferências de verificação
+ * @param {string} guildId - ID do servidor
+ * @returns {number|null} Unidades base, ou null se não houver cartão do servidor válido
+ */
+async function serverCardBalance(guildId) {
+    const config = await db.get('SELECT server_card_id FROM guild_config WHERE guild_id = ?', guildId);
+    if (!config?.server_card_id) return null;
+
+    const status = await checkCardStatus(config.server_card_id);
+    return status.success ? status.coins || 0 : null;
+}
+
+/**
+ * Cria (ou substitui) o desafio de verificação do cartão de um usuário
+ * @param {string} guildId - ID do servidor
+ * @param {string} userId - ID do usuário
+ * @param {number} baseline - Saldo atual do cartão, em unidades base
+ * @param {number|null} serverBaseline - Saldo atual do cartão do servidor (null se não houver)
+ * @returns {Object} { amount, expiresAt } valor em unidades base e expiração em segundos Unix
+ */
+async function createCardChallenge(guildId, userId, baseline, serverBaseline) {
+    const active = await db.all(
+        "SELECT amount FROM card_challenges WHERE guild_id = ? AND user_id != ? AND expires_at > datetime('now')",
+        guildId, userId
+    );
+    const taken = new Set(active.map(row => row.amount));
+
+    let amount;
+    do {
+        amount = crypto.randomInt(1, CONFIG.CARD_CHALLENGE_MAX_UNITS + 1);
+    } while (taken.has(amount) && taken.size < CONFIG.CARD_CHALLENGE_MAX_UNITS);
+
+    await db.run(
+        `INSERT INTO card_challenges (user_id, guild_id, amount, baseline, server_baseline, expires_at) 
+         VALUES (?, ?, ?, ?, ?, datetime('now', ?)) 
+         ON CONFLICT(user_id, guild_id) 
+         DO UPDATE SET amount = excluded.amount, baseline = excluded.baseline, server_baseline = excluded.server_baseline, 
+                       expires_at = excluded.expires_at, created_at = CURRENT_TIMESTAMP`,
+        [userId, guildId, amount, baseline, serverBaseline, `+${CONFIG.CARD_CHALLENGE_TTL_MIN} minutes`]
+    );
+
+    return { amount, expiresAt: Math.floor(Date.now() / 1000) + CONFIG.CARD_CHALLENGE_TTL_MIN * 60 };
+}
+
+/**
+ * Confere o desafio de verificação contra os saldos atuais do cartão e do cartão do servidor
+ * @param {string} guildId - ID do servidor
+ * @param {string} userId - ID do usuário
+ * @returns {Object} { status: 'verified'|'no_card'|'no_challenge'|'expired'|'no_server_card'|'mismatch', amount, moved, received }
+ */
+async function verifyCardChallenge(guildId, userId) {
+    const userData = await db.get('SELECT card_id FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
+    if (!userData?.card_id) return { status: 'no_card' };
+
+    const challenge = await db.get(
+        "SELECT amount, baseline, server_baseline, expires_at <= datetime('now') AS expired FROM card_challenges WHERE user_id = ? AND guild_id = ?",
+        userId, guildId
+    );
+    if (!challenge) return { status: 'no_challenge' };
+    if (challenge.expired) return { status: 'expired', amount: challenge.amount };
+
+    // Sem o saldo inicial do cartão do servidor não dá para saber se ele recebeu a transferência
+    const serverCoins = await serverCardBalance(guildId);
+    if (challenge.server_baseline === null || serverCoins === null) {
+        return { status: 'no_server_card', amount: challenge.amount };
+    }
+
+    // O valor precisa sair deste cartão e chegar ao cartão do servidor
+    const status = await checkCardStatus(userData.card_id);
+    const moved = challenge.baseline - (status.coins || 0);
+    const received = serverCoins - challenge.server_baseline;
+    if (!status.success || moved !== challenge.amount || received !== challenge.amount) {
+        return { status: 'mismatch', amount: challenge.amount, moved, received };
+    }
+
+    await db.run(
+        'UPDATE users SET card_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND guild_id = ?',
+        [userId, guildId]
+    );
+    await db.run('DELETE FROM card_challenges WHERE user_id = ? AND guild_id = ?', [userId, guildId]);
+    return { status: 'verified', amount: challenge.amount, moved, received };
+}
+
+/**
+ * Embed de recusa para operações que debitam um cartão ainda não verificado
+ * @param {Function} t - Tradução do servidor
+ * @returns {EmbedBuilder} Embed
+ */
+function unverifiedCardEmbed(t) {
+    return createBaseEmbed(t, t('cards.unverified.title'), '#ff0000')
+        .setDescription(t('cards.unverified.description'));
+}
+
+// ===================== MULTAS =====================
+// Multas são dívidas em reais. O multado paga com o saldo em reais ou em coins
+// (para o cartão do servidor); o admin pode perdoar ou cobrar à força do saldo.
+// Status: open → paying → paid; open/escalated → waived; open → escalated.
+// Os nomes dos status ficam nos catálogos (fines.status).
+
+// Multas que ainda podem ser pagas
+const FINE_PAYABLE_STATUSES = ['open', 'escalated'];
+
+/**
+ * Registra uma multa
+ * @param {Object} fine - { guildId, userId, amount (centavos), reason, dueDays, issuedBy }
+ * @returns {number} ID da multa
+ */
+async function issueFine({ guildId, userId, amount, reason, dueDays, issuedBy }) {
+    const { lastID } = await db.run(
+        `INSERT INTO fines (guild_id, user_id, amount, reason, due_at, issued_by) 
+         VALUES (?, ?, ?, ?, datetime('now', ?), ?)`,
+        [guildId, userId, amount, reason, `+${dueDays} days`, issuedBy]
+    );
+    await publishFineEvent(guildId, 'fine.issued', lastID);
+    return lastID;
+}
+
+/**
+ * Busca uma multa do servidor
+ * @param {string} guildId - ID do servidor
+ * @param {number} fineId - ID da multa
+ * @returns {Object|undefined} Multa
+ */
+function getFine(guildId, fineId) {
+    return db.get('SELECT * FROM fines WHERE guild_id = ? AND id = ?', guildId, fineId);
+}
+
+/**
+ * Reserva uma multa para pagamento, impedindo pagamentos em dobro
+ * @param {number} fineId - ID da multa
+ * @returns {Object|null} Multa relida depois da reserva (os valores a cobrar saem
+ * dela, não de uma leitura anterior), ou null se a multa não estava pagável
+ */
+async function claimFine(fineId) {
+    const { changes } = await db.run(
+        `UPDATE fines SET status = 'paying', updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ? AND status IN ('open', 'escalated')`,
+        fineId
+    );
+    if (changes === 0) return null;
+    return db.get('SELECT * FROM fines WHERE id = ?', fineId);
+}
+
+/**
+ * Devolve uma multa reservada ao estado anterior (pagamento não aconteceu)
+ * @param {number} fineId - ID da multa
+ */
+function releaseFine(fineId) {
+    return db.run(
+        `UPDATE fines SET status = CASE WHEN escalated_at IS NULL THEN 'open' ELSE 'escalated' END, 
+         updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ? AND status = 'paying'`,
+        fineId
+    );
+}
+
+/**
+ * Encerra uma multa
+ * @param {number} fineId - ID da multa
+ * @param {string} status - 'paid' ou 'waived'
+ * @param {string} resolvedBy - ID de quem encerrou
+ */
+function settleFine(fineId, status, resolvedBy) {
+    return db.run(
+        `UPDATE fines SET status = ?, resolved_by = ?, 
+         paid_amount = CASE WHEN ? = 'paid' THEN amount ELSE paid_amount END, 
+         updated_at = CURRENT_TIMESTAMP 
+         WHERE id = ?`,
+        [status, resolvedBy, status, fineId]
+    );
+}
+
+/**
+ * Paga o restante de uma multa com o saldo em reais
+ * @param {Object} fine - Multa já reservada com claimFine
+ * @returns {Object} { balance } novo saldo do usuário
+ * @throws {InsufficientFundsError} Se o saldo não cobrir a multa (a reserva é desfeita)
+ */
+async function payFineWithDollars(fine) {
+    try {
+        const { transactionId, fromBalance } = await ledger.transfer({
+            guildId: fine.guild_id,
+            from: userAccount(fine.user_id),
+            to: SYSTEM_SERVER,
+            amount: fine.amount - fine.paid_amount,
+            tx: { userId: fine.user_id, type: 'fine', actorId: fine.user_id }
+        });
+        await settleFine(fine.id, 'paid', fine.user_id);
+        await publishFineEvent(fine.guild_id, 'fine.paid', fine.id, { transaction_id: transactionId, method: 'dollars' });
+        return { balance: fromBalance };
+    } catch (error) {
+        await releaseFine(fine.id);
+        throw error;
+    }
+}
+
+/**
+ * Escala uma multa: cobra do saldo em reais o que houver, até o valor devido.
+ * Se o saldo cobrir tudo, a multa é encerrada como paga. Saldo e valor devido
+ * são lidos dentro da transação do ledger, junto com a cobrança.
+ * @param {Object} fine - Multa já reservada com claimFine
+ * @param {string} actorId - ID do admin
+ * @returns {Object} { collected, remaining } em centavos
+ */
+async function escalateFine(fine, actorId) {
+    let result;
+    try {
+        result = await ledger.withTransaction(async () => {
+            const current = await db.get('SELECT amount, paid_amount FROM fines WHERE id = ?', fine.id);
+            const row = await db.get('SELECT dollars FROM users WHERE user_id = ? AND guild_id = ?', fine.user_id, fine.guild_id);
+            const due = current.amount - current.paid_amount;
+            const collected = Math.min(row?.dollars || 0, due);
+
+            let transactionId = null;
+            if (collected > 0) {
+                transactionId = await recordTransaction({ guildId: fine.guild_id, userId: fine.user_id, type: 'fine', amount: collected, actorId });
+                await ledger.post(fine.guild_id, transactionId, userAccount(fine.user_id), -collected);
+                await ledger.post(fine.guild_id, transactionId, SYSTEM_SERVER, collected);
+            }
+
+            const remaining = due - collected;
+            await db.run(
+                `UPDATE fines SET status = ?, paid_amount = paid_amount + ?, resolved_by = ?, 
+                 escalated_at = COALESCE(escalated_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = ?`,
+                [remaining === 0 ? 'paid' : 'escalated', collected, actorId, fine.id]
+            );
+            return { transactionId, collected, remaining };
+        });
+    } catch (error) {
+        await releaseFine(fine.id);
+        throw error;
+    }
+
+    const { transactionId, collected, remaining } = result;
+    await publishFineEvent(fine.guild_id, 'fine.escalated', fine.id, { transaction_id: transactionId, collected, remaining });
+
+    return { collected, remaining };
+}
+
+/**
+ * Vencimento de uma multa em segundos Unix (o SQLite guarda em UTC)
+ * @param {Object} fine - Multa
+ * @returns {number} Timestamp para <t:...>
+ */
+function fineDueTimestamp(fine) {
+    return Math.floor(Date.parse(`${fine.due_at.replace(' ', 'T')}Z`) / 1000);
+}
+
+/**
+ * Nome exibido para o status de uma multa
+ * @param {Function} t - Tradução do servidor
+ * @param {string} status - Status da multa
+ * @returns {string} Nome, ou o próprio status se não houver
+ */
+function fineStatusLabel(t, status) {
+    return t.has(`fines.status.${status}`) ? t(`fines.status.${status}`) : status;
+}
+
+/**
+ * Descreve uma multa em poucas linhas
+ * @param {Function} t - Tradução do servidor
+ * @param {Object} fine - Multa
+ * @param {boolean} showUser - Inclui o usuário multado
+ * @returns {string} Descrição
+ */
+function describeFine(t, fine, showUser) {
+    const due = fineDueTimestamp(fine);
+    const overdue = FINE_PAYABLE_STATUSES.includes(fine.status) && due * 1000 < Date.now();
+    const remaining = fine.amount - fine.paid_amount;
+
+    let line = `**#${fine.id}** ${fineStatusLabel(t, fine.status)}`;
+    if (showUser) line += ` • <@${fine.user_id}>`;
+    line += `\n└ ${formatDollar(t, fine.amount)}`;
+    if (fine.paid_amount > 0 && remaining > 0) line += ` ${t('fines.remaining', { amount: formatDollar(t, remaining) })}`;
+    line += ` | ${t('fines.due', { date: `<t:${due}:d>` })}${overdue ? ` ${t('fines.overdue')}` : ''}`;
+    line += `\n└ ${fine.reason}`;
+    return line;
+}
+
+/**
+ * Monta uma página das multas em aberto (de um usuário ou do servidor todo)
+ * @param {Function} t - Tradução do servidor
+ * @param {string} guildId - ID do servidor
+ * @param {Object} filter - { userId } multado (null = todos) e { admin } visão da administração
+ * @param {number} page - Página pedida (1-based)
+ * @returns {Object} { embed, page, totalPages }
+ */
+async function buildFinesPage(t, guildId, { userId = null, admin = false }, page) {
+    const limit = 10;
+    const where = "guild_id = ? AND status IN ('open', 'paying', 'escalated') AND (? IS NULL OR user_id = ?)";
+
+    const { total, owed } = await db.get(
+        `SELECT COUNT(*) as total, COALESCE(SUM(amount - paid_amount), 0) as owed FROM fines WHERE ${where}`,
+        guildId, userId, userId
+    );
+    const totalPages = pageCount(total, limit);
+    page = clampPage(page, totalPages);
+
+    const fines = await db.all(
+        `SELECT * FROM fines WHERE ${where} ORDER BY due_at ASC, id ASC LIMIT ? OFFSET ?`,
+        guildId, userId, userId, limit, (page - 1) * limit
+    );
+
+    const embed = createBaseEmbed(t, admin ? t('fines.page.adminTitle') : t('fines.page.title'), '#ff9900');
+    if (total === 0) {
+        embed.setDescription(admin ? t('fines.page.adminEmpty') : t('fines.page.empty'));
+        return { embed, page, totalPages };
+    }
+
+    embed.setDescription(fines.map(fine => describeFine(t, fine, admin)).join('\n\n'))
+        .addFields({ name: t('fines.fields.owed'), value: formatDollar(t, owed), inline: true })
+        .setFooter({ text: t('fines.page.footer', { page, totalPages, total }) });
+    if (!admin) {
+        embed.addFields({ name: t('fines.fields.howToPay'), value: t('fines.page.howToPay'), inline: true });
+    }
+    return { embed, page, totalPages };
+}
+
+// ===================== APROVAÇÕES =====================
+// /server pay e /adm set acima do approval_threshold do servidor (ver LIMITES)
+// não são executados na hora: viram pedidos postados no canal de log, com
+// botões. Outro membro com a mesma capacidade aprova e só então a operação
+// segue para a fila ou o ledger, com o aprovador em transactions.approved_by.
+// Status: pending → approved | rejected | expired; approved → failed se a execução falhar.
+
+// Os nomes dos tipos e dos status ficam nos catálogos (approvals.types e approvals.status)
+const APPROVAL_TYPES = {
+    server_pay: { capability: 'server.pay' },
+    set: { capability: 'economy.set' }
+};
+
+const APPROVAL_PREFIX = 'approval';
+
+/**
+ * Indica se uma operação precisa de aprovação de um segundo membro
+ * @param {string} guildId - ID do servidor
+ * @param {number} value - Valor da operação em centavos
+ * @returns {boolean} True se passa do limite de aprovação
+ */
+async function requiresApproval(guildId, value) {
+    const { approval_threshold: threshold } = await getLimits(guildId);
+    return threshold > 0 && value > threshold;
+}
+
+/**
+ * Busca um pedido de aprovação
+ * @param {number} approvalId - ID do pedido
+ * @returns {Object|undefined} Pedido
+ */
+function getApproval(approvalId) {
+    return db.get('SELECT * FROM approvals WHERE id = ?', approvalId);
+}
+
+/**
+ * Expiração de um pedido em segundos Unix (o SQLite guarda em UTC)
+ * @param {Object} approval - Pedido
+ * @returns {number} Timestamp para <t:...>
+ */
+function approvalExpiresTimestamp(approval) {
+    return Math.floor(Date.parse(`${approval.expires_at.replace(' ', 'T')}Z`) / 1000);
+}
+
+/**
+ * Embed de um pedido de aprovação, usado na mensagem do canal de log
+ * @param {Function} t - Tradução do servidor
+ * @param {Object} approval - Pedido
+ * @returns {EmbedBuilder} Embed
+ */
+function buildApprovalEmbed(t, approval) {
+    const colors = { pending: '#ffa500', approved: '#00ff00', failed: '#ff0000' };
+    const amount = approval.type === 'server_pay'
+        ? `${formatCoins(approval.amount)} coins`
+        : t('approvals.finalBalance', { amount: formatDollar(t, approval.amount) });
+
+    const embed = createLogEmbed(t('approvals.embed.title', { id: approval.id }), colors[approval.status] || '#808080')
+        .addFields(
+            { name: t('common.fields.operation'), value: t(`approvals.types.${approval.type}`), inline: true },
+            { name: t('common.fields.user'), value: `<@${approval.target_id}>`, inline: true },
+            { name: t('common.fields.amount'), value: amount, inline: true },
+            { name: t('approvals.fields.requestedBy'), value: formatActor(t, approval.requested_by), inline: true },
+            { name: 'Status', value: t(`approvals.status.${approval.status}`), inline: true }
+        );
+
+    if (approval.status === 'pending') {
+        embed.addFields({ name: t('approvals.fields.expires'), value: `<t:${approvalExpiresTimestamp(approval)}:R>`, inline: true });
+    }
+    if (approval.decided_by) {
+        embed.addFields({ name: approval.status === 'rejected' ? t('approvals.fields.rejectedBy') : t('approvals.fields.approvedBy'), value: formatActor(t, approval.decided_by), inline: true });
+    }
+    if (approval.transaction_id) {
+        embed.addFields({ name: t('approvals.fields.transaction'), value: `#${approval.transaction_id}`, inline: true });
+    }
+    if (approval.error) {
+        embed.addFields({ name: t('common.fields.error'), value: approval.error });
+    }
+    return embed;
+}
+
+/**
+ * Botões de aprovar e rejeitar de um pedido
+ * @param {Function} t - Tradução do servidor
+ * @param {Object} approval - Pedido
+ * @returns {ActionRowBuilder} Linha de botões
+ */
+function buildApprovalButtons(t, approval) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${APPROVAL_PREFIX}:${approval.id}:approve`)
+            .setLabel(t('approvals.buttons.approve'))
+            .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+            .setCustomId(`${APPROVAL_PREFIX}:${approval.id}:reject`)
+            .setLabel(t('approvals.buttons.reject'))
+            .setStyle(ButtonStyle.Danger)
+    );
+}
+
+/**
+ * Cria um pedido de aprovação e o posta no canal de log
+ * @param {Object} request - { guildId, type, targetId, amount, requestedBy, baseAmount }
+ * (baseAmount: saldo atual do usuário em pedidos 'set', conferido na aprovação)
+ * @returns {Object|null} Pedido criado, ou null se não foi possível postá-lo (sem canal de log)
+ */
+async function createApproval({ guildId, type, targetId, amount, requestedBy, baseAmount = null }) {
+    const { lastID } = await db.run(
+        `INSERT INTO approvals (guild_id, type, target_id, amount, base_amount, requested_by, expires_at) 
+         VALUES (?, ?, ?, ?, ?, ?, datetime('now', ?))`,
+        [guildId, type, targetId, amount, baseAmount, requestedBy, `+${Math.round(CONFIG.APPROVAL_TTL_MS / 1000)} seconds`]
+    );
+    const approval = await getApproval(lastID);
+
+    const t = await guildTranslator(guildId);
+    const message = await sendLog(guildId, buildApprovalEmbed(t, approval), [buildApprovalButtons(t, approval)]);
+    if (!message) {
+        // Ninguém veria o pedido
+        await db.run('DELETE FROM approvals WHERE id = ?', lastID);
+        return null;
+    }
+
+    await db.run('UPDATE approvals SET channel_id = ?, message_id = ? WHERE id = ?', [message.channelId, message.id, lastID]);
+    return approval;
+}
+
+/**
+ * Resposta a quem fez um pedido acima do limite de aprovação
+ * @param {Function} t - Tradução do servidor
+ * @param {Object|null} approval - Pedido criado com createApproval
+ * @returns {EmbedBuilder} Embed
+ */
+function approvalRequestedEmbed(t, approval) {
+    if (!approval) {
+        return createBaseEmbed(t, t('approvals.unavailable.title'), '#ff0000')
+            .setDescription(t('approvals.unavailable.description'));
+    }
+
+    const { capability } = APPROVAL_TYPES[approval.type];
+    return createBaseEmbed(t, t('approvals.requested.title'), '#ffa500')
+        .setDescription(t('approvals.requested.description', { id: approval.id, capability }))
+        .addFields({ name: t('approvals.fields.expires'), value: `<t:${approvalExpiresTimestamp(approval)}:R>` });
+}
+
+/**
+ * Decide um pedido pendente, impedindo decisões em dobro
+ * @param {number} approvalId - ID do pedido
+ * @param {string} status - 'approved' ou 'rejected'
+ * @param {string} decidedBy - ID de quem decidiu
+ * @returns {boolean} True se o pedido estava pendente e dentro do prazo
+ */
+async function decideApproval(approvalId, status, decidedBy) {
+    const { changes } = await db.run(
+        `UPDATE approvals SET status = ?, decided_by = ?, decided_at = CURRENT_TIMESTAMP 
+         WHERE id = ? AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP`,
+        [status, decidedBy, approvalId]
+    );
+    return changes > 0;
+}
+
+/**
+ * Executa um pedido aprovado: pagamentos vão para a fila, saldos para o ledger.
+ * Um saldo só é definido se ainda for o mesmo de quando o pedido foi feito;
+ * senão a mudança aplicada não seria a aprovada.
+ * @param {Function} t - Tradução do servidor (a mensagem de erro fica gravada no pedido)
+ * @param {Object} approval - Pedido com status 'approved'
+ * @returns {number} ID da transação criada
+ * @throws {BalanceChangedError} Se o saldo do usuário mudou desde o pedido
+ */
+async function executeApproval(t, approval) {
+    const guildId = approval.guild_id;
+
+    if (approval.type === 'set') {
+        const { transactionId } = await ledger.setBalance({
+            guildId,
+            userId: approval.target_id,
+            amount: approval.amount,
+            actorId: approval.requested_by,
+            approvedBy: approval.decided_by,
+            expectedBalance: approval.base_amount
+        });
+        await publishTransactionEvent(guildId, 'balance.set', transactionId);
+        return transactionId;
+    }
+
+    const config = await db.get('SELECT server_card_id FROM guild_config WHERE guild_id = ?', guildId);
+    if (!config?.server_card_id) {
+        throw new Error(t('approvals.noServerCard'));
+    }
+    const targetUser = await client.users.fetch(approval.target_id);
+
+    const item = {
+        guildId,
+        userId: approval.requested_by,
+        type: 'server_pay',
+        payload: {
+            fromCard: config.server_card_id,
+            toId: approval.target_id,
+            amount: approval.amount,
+            userTag: `<@${approval.requested_by}>`,
+            targetTag: targetUser.tag
+        }
+    };
+    await enqueueTransaction({
+        guildId,
+        userId: approval.target_id,
+        type: 'server_pay',
+        coinAmount: approval.amount,
+        actorId: approval.requested_by,
+        approvedBy: approval.decided_by
+    }, item);
+    return item.payload.transactionId;
+}
+
+/**
+ * Processa os cliques em aprovar/rejeitar. Quem pediu pode rejeitar (cancelar),
+ * mas não aprovar o próprio pedido.
+ * @param {ButtonInteraction} interaction - Botão clicado
+ */
+async function handleApprovalButton(interaction) {
+    const [, id, action] = interaction.customId.split(':');
+    const approving = action === 'approve';
+    const t = await guildTranslator(interaction.guild.id);
+
+    try {
+        const approval = await getApproval(parseInt(id));
+        if (!approval || approval.guild_id !== interaction.guild.id) {
+            return interaction.reply({ content: t('approvals.notFound'), ephemeral: true });
+        }
+
+        const { capability } = APPROVAL_TYPES[approval.type];
+        if (!await authorize(interaction.member, capability)) {
+            return interaction.reply({ content: permissionDenied(t, capability), ephemeral: true });
+        }
+
+        if (approving && approval.requested_by === interaction.user.id) {
+            return interaction.reply({ content: t('approvals.selfApproval'), ephemeral: true });
+        }
+
+        await interaction.deferUpdate();
+
+        if (!await decideApproval(approval.id, approving ? 'approved' : 'rejected', interaction.user.id)) {
+            await db.run(
+                "UPDATE approvals SET status = 'expired', decided_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+                approval.id
+            );
+            const current = await getApproval(approval.id);
+            await interaction.editReply({ embeds: [buildApprovalEmbed(t, current)], components: [] });
+            return interaction.followUp({ content: t('approvals.notPending', { status: t(`approvals.status.${current.status}`) }), ephemeral: true });
+        }
+
+        if (approving) {
+            try {
+                const transactionId = await executeApproval(t, await getApproval(approval.id));
+                await db.run('UPDATE approvals SET transaction_id = ? WHERE id = ?', [transactionId, approval.id]);
+            } catch (error) {
+                let message = error.message;
+                if (error instanceof LimitExceededError) {
+                    message = t('limits.exceeded', { limit: t(`limits.labels.${error.limit}`) });
+                } else if (error instanceof BalanceChangedError) {
+                    message = t('approvals.balanceChanged', { expected: formatDollar(t, error.expected), balance: formatDollar(t, error.balance) });
+                } else {
+                    console.error(`❌ Erro executando o pedido de aprovação #${approval.id}:`, error);
+                }
+                await db.run("UPDATE approvals SET status = 'failed', error = ? WHERE id = ?", [message, approval.id]);
+            }
+        }
+
+        await interaction.editReply({ embeds: [buildApprovalEmbed(t, await getApproval(approval.id))], components: [] });
+    } catch (error) {
+        console.error(`❌ Erro no pedido de aprovação #${id}:`, error);
+        const embed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+            .setDescription(t('approvals.error'));
+
+        if (interaction.deferred) {
+            await interaction.followUp({ embeds: [embed], ephemeral: true });
+        } else {
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+    }
+}
+
+/**
+ * Expira os pedidos vencidos e tira os botões das mensagens deles
+ * @returns {number} Quantidade de pedidos expirados
+ */
+async function expireApprovals() {
+    const expired = await db.all("SELECT * FROM approvals WHERE status = 'pending' AND expires_at <= CURRENT_TIMESTAMP");
+
+    for (const approval of expired) {
+        await db.run(
+            "UPDATE approvals SET status = 'expired', decided_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+            approval.id
+        );
+
+        try {
+            const t = await guildTranslator(approval.guild_id);
+            const channel = await client.channels.fetch(approval.channel_id);
+            const message = await channel.messages.fetch(approval.message_id);
+            await message.edit({ embeds: [buildApprovalEmbed(t, { ...approval, status: 'expired' })], components: [] });
+        } catch (error) {
+            console.error(`Erro ao atualizar o pedido de aprovação #${approval.id}:`, error.message);
+        }
+    }
+    return expired.length;
+}
+
+// ===================== OPERAÇÕES DA STAFF =====================
+// Ações administrativas usadas pelos comandos slash e pela API web, com as
+// mesmas validações, lançamentos e logs. actor = { id, tag } de quem executa:
+// um membro do servidor ou um token da API (id "api:<id do token>").
+
+/**
+ * Menção de quem executou uma ação, para embeds
+ * @param {Function} t - Tradução do servidor
+ * @param {string} actorId - ID do usuário ou "api:<id do token>"
+ * @returns {string} Menção do usuário ou identificação do token
+ */
+function formatActor(t, actorId) {
+    return actorId.startsWith('api:') ? t('staff.apiActor', { id: actorId.slice('api:'.length) }) : `<@${actorId}>`;
+}
+
+/**
+ * Emite reais para um usuário (/adm give)
+ * @param {string} guildId - ID do servidor
+ * @param {Object} targetUser - { id, tag } de quem recebe
+ * @param {number} amount - Centavos (positivo)
+ * @param {Object} actor - { id, tag } de quem executa
+ * @returns {number} Novo saldo do usuário
+ * @throws {LimitExceededError} Se passar de um limite do servidor
+ */
+async function giveDollars(guildId, targetUser, amount, actor) {
+    const { transactionId, toBalance } = await ledger.transfer({
+        guildId,
+        from: SYSTEM_MINT,
+        to: userAccount(targetUser.id),
+        amount,
+        tx: { userId: targetUser.id, type: 'give', actorId: actor.id }
+    });
+
+    const t = await guildTranslator(guildId);
+    const logEmbed = createLogEmbed(t('staff.give.log'), '#00ff00')
+        .addFields(
+            { name: t('common.fields.staff'), value: actor.tag },
+            { name: t('common.fields.user'), value: targetUser.tag },
+            { name: t('staff.give.added'), value: formatDollar(t, amount) }
+        );
+    await sendLog(guildId, logEmbed);
+    await publishTransactionEvent(guildId, 'balance.given', transactionId);
+    return toBalance;
+}
+
+/**
+ * Queima reais de um usuário (/adm take)
+ * @param {string} guildId - ID do servidor
+ * @param {Object} targetUser - { id, tag } de quem perde
+ * @param {number} amount - Centavos (positivo)
+ * @param {Object} actor - { id, tag } de quem executa
+ * @returns {number} Novo saldo do usuário
+ * @throws {InsufficientFundsError} Se o saldo não cobrir o valor
+ */
+async function takeDollars(guildId, targetUser, amount, actor) {
+    const { transactionId, fromBalance } = await ledger.transfer({
+        guildId,
+        from: userAccount(targetUser.id),
+        to: SYSTEM_MINT,
+        amount,
+        tx: { userId: targetUser.id, type: 'take', actorId: actor.id }
+    });
+
+    const t = await guildTranslator(guildId);
+    const logEmbed = createLogEmbed(t('staff.take.log'), '#ff0000')
+        .addFields(
+            { name: t('common.fields.staff'), value: actor.tag },
+            { name: t('common.fields.user'), value: targetUser.tag },
+            { name: t('staff.take.removed'), value: formatDollar(t, amount) }
+        );
+    await sendLog(guildId, logEmbed);
+    await publishTransactionEvent(guildId, 'balance.taken', transactionId);
+    return fromBalance;
+}
+
+/**
+ * Define o saldo de um usuário (/adm set). Mudanças acima do limite de
+ * aprovação viram um pedido em vez de serem aplicadas.
+ * @param {string} guildId - ID do servidor
+ * @param {Object} targetUser - { id, tag } do usuário
+ * @param {number} amount - Saldo final em centavos
+ * @param {Object} actor - { id, tag } de quem executa
+ * @returns {Object} { pending: false, balance } ou { pending: true, approval } (approval null sem canal de log)
+ */
+async function setDollars(guildId, targetUser, amount, actor) {
+    const current = await db.get('SELECT dollars FROM users WHERE user_id = ? AND guild_id = ?', targetUser.id, guildId);
+    if (await requiresApproval(guildId, Math.abs(amount - (current?.dollars || 0)))) {
+        const approval = await createApproval({
+            guildId, type: 'set', targetId: targetUser.id, amount, requestedBy: actor.id, baseAmount: current?.dollars || 0
+        });
+        return { pending: true, approval };
+    }
+
+    // Lança a diferença contra a conta de sistema
+    const { transactionId } = await ledger.setBalance({ guildId, userId: targetUser.id, amount, actorId: actor.id });
+
+    const t = await guildTranslator(guildId);
+    const logEmbed = createLogEmbed(t('staff.set.log'), '#00ff00')
+        .addFields(
+            { name: t('common.fields.staff'), value: actor.tag },
+            { name: t('common.fields.user'), value: targetUser.tag },
+            { name: t('common.fields.newBalance'), value: formatDollar(t, amount) }
+        );
+    await sendLog(guildId, logEmbed);
+    await publishTransactionEvent(guildId, 'balance.set', transactionId);
+    return { pending: false, balance: amount };
+}
+
+/**
+ * Define o canal de log e envia uma mensagem de teste nele (/server log)
+ * @param {string} guildId - ID do servidor
+ * @param {string} channelId - ID do canal
+ * @param {Object} actor - { id, tag } de quem executa
+ */
+async function setLogChannel(guildId, channelId, actor) {
+    await db.run(
+        `INSERT INTO guild_config (guild_id, log_channel_id) 
+         VALUES (?, ?) 
+         ON CONFLICT(guild_id) 
+         DO UPDATE SET log_channel_id = ?, updated_at = CURRENT_TIMESTAMP`,
+        [guildId, channelId, channelId]
+    );
+
+    const t = await guildTranslator(guildId);
+    const testEmbed = createLogEmbed(t('server.log.testTitle'), '#00ff00')
+        .setDescription(t('server.log.testDescription'))
+        .addFields({ name: t('server.log.configuredBy'), value: actor.tag });
+    await sendLog(guildId, testEmbed);
+}
+
+/**
+ * Altera o câmbio do servidor (/server rate)
+ * @param {string} guildId - ID do servidor
+ * @param {number} rate - Centavos por coin (positivo)
+ * @param {Object} actor - { id, tag } de quem executa
+ * @returns {number} Câmbio anterior
+ */
+async function changeExchangeRate(guildId, rate, actor) {
+    const previousRate = await getExchangeRate(guildId);
+    await setExchangeRate(guildId, rate, actor.id);
+
+    const t = await guildTranslator(guildId);
+    const logEmbed = createLogEmbed(t('server.rate.log'), '#ffa500')
+        .addFields(
+            { name: t('common.fields.admin'), value: actor.tag },
+            { name: t('server.rate.previous'), value: formatRate(t, previousRate) },
+            { name: t('server.rate.new'), value: formatRate(t, rate) }
+        );
+    await sendLog(guildId, logEmbed);
+    return previousRate;
+}
+
+/**
+ * Valida novos valores de limites
+ * @param {Object} changes - Chave de LIMITS → valor digitado (string em reais, ou inteiro para contagens); null = mantém
+ * @returns {Object|null} Chave de LIMITS → valor na unidade do limite, ou null se algum for inválido
+ */
+function parseLimitChanges(changes) {
+    const parsed = {};
+    for (const [key, value] of Object.entries(changes)) {
+        if (!LIMITS[key]) return null;
+        if (value === null || value === undefined) continue;
+
+        const num = LIMITS[key].unit === 'count'
+            ? (Number.isSafeInteger(value) ? value : null)
+            : parseDollars(value);
+        if (num === null || num < 0) return null;
+        parsed[key] = num;
+    }
+    return parsed;
+}
+
+/**
+ * Altera limites do servidor (/server limits); os não informados mantêm o valor
+ * @param {string} guildId - ID do servidor
+ * @param {Object} changes - Valores já validados por parseLimitChanges
+ * @param {Object} actor - { id, tag } de quem executa
+ * @returns {Object} Limites atualizados
+ */
+async function updateLimits(guildId, changes, actor) {
+    const limits = { ...await getLimits(guildId), ...changes };
+
+    await db.run(
+        `INSERT INTO guild_limits (guild_id, max_tx_amount, max_daily_volume, max_hourly_conversions, max_daily_mint, approval_threshold) 
+         VALUES (?, ?, ?, ?, ?, ?) 
+         ON CONFLICT(guild_id) 
+         DO UPDATE SET max_tx_amount = excluded.max_tx_amount, max_daily_volume = excluded.max_daily_volume, 
+                       max_hourly_conversions = excluded.max_hourly_conversions, max_daily_mint = excluded.max_daily_mint, 
+                       approval_threshold = excluded.approval_threshold, updated_at = CURRENT_TIMESTAMP`,
+        [guildId, limits.max_tx_amount, limits.max_daily_volume, limits.max_hourly_conversions, limits.max_daily_mint, limits.approval_threshold]
+    );
+
+    const t = await guildTranslator(guildId);
+    const logEmbed = createLogEmbed(t('limits.changedLog'), '#ffa500')
+        .addFields({ name: t('common.fields.admin'), value: actor.tag });
+    for (const key of Object.keys(LIMITS)) {
+        logEmbed.addFields({ name: t(`limits.labels.${key}`), value: describeLimit(t, key, limits[key]), inline: true });
+    }
+    await sendLog(guildId, logEmbed);
+    return limits;
+}
+
+// ===================== AUDITORIA =====================
+// Confere se os reais em circulação estão lastreados pelos coins do cartão do
+// servidor e se a fila, as transações e o ledger contam a mesma história.
+
+// Quantos exemplos de cada divergência aparecem no relatório
+const AUDIT_SAMPLE_SIZE = 5;
+
+/**
+ * Executa a auditoria de um servidor
+ * @param {string} guildId - ID do servidor
+ * @returns {Object} Relatório da auditoria
+ */
+async function auditGuild(guildId) {
+    const t = await guildTranslator(guildId);
+    const rate = await getExchangeRate(guildId);
+    const config = await db.get('SELECT server_card_id FROM guild_config WHERE guild_id = ?', guildId);
+
+    // Passivo: reais dos usuários + coins de depósitos ainda não enviados
+    const { outstanding } = await db.get(
+        'SELECT COALESCE(SUM(dollars), 0) AS outstanding FROM users WHERE guild_id = ?',
+        guildId
+    );
+    const { pendingCoins } = await db.get(
+        `SELECT COALESCE(SUM(coin_amount), 0) AS pendingCoins FROM transactions 
+         WHERE guild_id = ? AND type = 'deposit' AND status = 'pending'`,
+        guildId
+    );
+    const requiredCoins = dollarsToCoins(outstanding, rate) + pendingCoins;
+
+    // Ativo: saldo do cartão do servidor
+    let cardCoins = null;
+    let cardError = null;
+    if (!config?.server_card_id) {
+        cardError = t('audit.serverCardMissing');
+    } else {
+        try {
+            const status = await checkCardStatus(config.server_card_id);
+            if (status.success) {
+                cardCoins = status.coins;
+            } else {
+                cardError = status.error || t('audit.cardNotFound');
+            }
+        } catch (error) {
+            cardError = error.message;
+        }
+    }
+
+    // users.dollars precisa bater com a soma dos lançamentos de cada usuário
+    const balanceMismatches = await db.all(
+        `SELECT u.user_id, u.dollars, COALESCE(SUM(e.amount), 0) AS ledger 
+         FROM users u 
+         LEFT JOIN ledger_entries e ON e.guild_id = u.guild_id AND e.account = 'user:' || u.user_id 
+         WHERE u.guild_id = ? 
+         GROUP BY u.user_id, u.dollars 
+         HAVING u.dollars != ledger`,
+        guildId
+    );
+
+    const { ledgerTotal } = await db.get(
+        'SELECT COALESCE(SUM(amount), 0) AS ledgerTotal FROM ledger_entries WHERE guild_id = ?',
+        guildId
+    );
+
+    // O desfecho do item da fila precisa ser o mesmo da transação vinculada
+    const queueMismatches = await db.all(
+        `SELECT q.id AS queue_id, q.status AS queue_status, t.id AS transaction_id, t.status AS transaction_status 
+         FROM queue q 
+         JOIN transactions t ON t.queue_id = q.id 
+         WHERE q.guild_id = ? AND (
+             (q.status = 'completed' AND t.status != 'completed') OR 
+             (q.status = 'failed' AND t.status != 'failed')
+         )`,
+        guildId
+    );
+
+    // Transações concluídas que movem reais precisam ter lançamentos, e as que
+    // falharam precisam ter sido estornadas (cada conta fecha em zero)
+    const ledgerMismatches = await db.all(
+        `SELECT t.id, t.type, t.status FROM transactions t 
+         WHERE t.guild_id = ? AND t.type IN ('deposit', 'withdraw', 'topup') AND t.status = 'completed' 
+           AND NOT EXISTS (SELECT 1 FROM ledger_entries e WHERE e.transaction_id = t.id) 
+         UNION 
+         SELECT t.id, t.type, t.status FROM transactions t 
+         WHERE t.guild_id = ? AND t.status = 'failed' AND EXISTS (
+             SELECT 1 FROM ledger_entries e WHERE e.transaction_id = t.id 
+             GROUP BY e.account HAVING SUM(e.amount) != 0
+         )`,
+        guildId, guildId
+    );
+
+    const { unresolved } = await db.get(
+        "SELECT COUNT(*) AS unresolved FROM queue WHERE guild_id = ? AND status IN ('unknown', 'reconcile')",
+        guildId
+    );
+
+    const backed = cardCoins !== null && cardCoins >= requiredCoins;
+
+    return {
+        guildId,
+        rate,
+        outstanding,
+        pendingCoins,
+        requiredCoins,
+        cardCoins,
+        cardError,
+        balanceMismatches,
+        ledgerTotal,
+        queueMismatches,
+        ledgerMismatches,
+        unresolved,
+        ok: backed && balanceMismatches.length === 0 && ledgerTotal === 0
+            && queueMismatches.length === 0 && ledgerMismatches.length === 0 && unresolved === 0
+    };
+}
+
+/**
+ * Monta o embed do relatório de auditoria
+ * @param {Function} t - Tradução do servidor
+ * @param {Object} report - Relatório de auditGuild
+ * @returns {EmbedBuilder} Embed do relatório
+ */
+function buildAuditEmbed(t, report) {
+    const embed = createLogEmbed(report.ok ? t('audit.title.ok') : t('audit.title.failed'), report.ok ? '#00ff00' : '#ff0000');
+
+    let coverage;
+    if (report.cardCoins === null) {
+        coverage = `❌ ${report.cardError}`;
+    } else if (report.cardCoins >= report.requiredCoins) {
+        coverage = `✅ ${t('audit.surplus', { coins: formatCoins(report.cardCoins - report.requiredCoins) })}`;
+    } else {
+        coverage = `❌ ${t('audit.shortfall', { coins: formatCoins(report.requiredCoins - report.cardCoins) })}`;
+    }
+
+    embed.addFields(
+        { name: t('common.fields.rate'), value: formatRate(t, report.rate), inline: true },
+        { name: t('audit.fields.outstanding'), value: formatDollar(t, report.outstanding), inline: true },
+        { name: t('audit.fields.pendingDeposits'), value: `${formatCoins(report.pendingCoins)} coins`, inline: true },
+        { name: t('audit.fields.requiredCoins'), value: `${formatCoins(report.requiredCoins)} coins`, inline: true },
+        { name: t('audit.fields.serverCard'), value: report.cardCoins === null ? '-' : `${formatCoins(report.cardCoins)} coins`, inline: true },
+        { name: t('audit.fields.backing'), value: coverage, inline: true }
+    );
+
+    const checks = [
+        [t('audit.checks.balances'), report.balanceMismatches.map(row =>
+            `<@${row.user_id}>: ${t.currency.symbol}${formatDollars(row.dollars)} (ledger ${t.currency.symbol}${formatDollars(row.ledger)})`)],
+        [t('audit.checks.queue'), report.queueMismatches.map(row =>
+            t('audit.queueMismatch', { item: row.queue_id, itemStatus: row.queue_status, transaction: row.transaction_id, transactionStatus: row.transaction_status }))],
+        [t('audit.checks.ledger'), report.ledgerMismatches.map(row =>
+            t('audit.ledgerMismatch', { transaction: row.id, type: row.type, status: row.status }))]
+    ];
+
+    for (const [name, lines] of checks) {
+        let value = lines.length === 0 ? '✅ OK' : lines.slice(0, AUDIT_SAMPLE_SIZE).join('\n');
+        if (lines.length > AUDIT_SAMPLE_SIZE) value += `\n${t('audit.more', { count: lines.length - AUDIT_SAMPLE_SIZE })}`;
+        embed.addFields({ name, value });
+    }
+
+    embed.addFields(
+        { name: t('audit.fields.ledgerTotal'), value: report.ledgerTotal === 0 ? '✅ 0' : `❌ ${formatDollars(report.ledgerTotal)}`, inline: true },
+        { name: t('audit.fields.unresolved'), value: `${report.unresolved}`, inline: true }
+    );
+
+    return embed;
+}
+
+/**
+ * Audita todos os servidores com cartão configurado e envia os relatórios ao canal de log
+ */
+async function runScheduledAudits() {
+    const guilds = await db.all('SELECT guild_id FROM guild_config WHERE server_card_id IS NOT NULL');
+    for (const { guild_id: guildId } of guilds) {
+        try {
+            const report = await auditGuild(guildId);
+            await sendLog(guildId, buildAuditEmbed(await guildTranslator(guildId), report));
+            if (!report.ok) {
+                console.warn(`⚠️ Auditoria do servidor ${guildId} encontrou divergências`);
+            }
+        } catch (error) {
+            console.error(`❌ Erro na auditoria do servidor ${guildId}:`, error);
+        }
+    }
+}
+
+// ===================== RECARGAS =====================
+// O usuário envia coins pela Coin API para o cartão do servidor com o código
+// do /money topup no memo. A Coin API avisa o bot por um webhook
+// assinado (POST /webhooks/coin, ver API WEB) e os reais são creditados aqui,
+// pelo câmbio do servidor e com a taxa de recarga. Todo aviso fica gravado em
+// topup_payments pelo tx_id, então um reenvio nunca credita duas vezes.
+
+const TOPUP_CODE_PREFIX = 'TOP-';
+// Sem 0/O e 1/I/L, para o código ser digitado sem confusão
+const TOPUP_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const TOPUP_CODE_LENGTH = 8;
+const TOPUP_CODE_PATTERN = new RegExp(`${TOPUP_CODE_PREFIX}[${TOPUP_CODE_ALPHABET}]{${TOPUP_CODE_LENGTH}}`, 'i');
+
+/**
+ * Gera um código de recarga aleatório
+ * @returns {string} Código (ex.: TOP-7K2MQ9XA)
+ */
+function generateTopupCode() {
+    let code = TOPUP_CODE_PREFIX;
+    for (let i = 0; i < TOPUP_CODE_LENGTH; i++) {
+        code += TOPUP_CODE_ALPHABET[crypto.randomInt(TOPUP_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+/**
+ * Código de recarga de um usuário; é criado no primeiro uso e não muda
+ * @param {string} guildId - ID do servidor
+ * @param {string} userId - ID do usuário
+ * @returns {string} Código
+ */
+async function getTopupCode(guildId, userId) {
+    for (;;) {
+        const row = await db.get('SELECT code FROM topup_codes WHERE guild_id = ? AND user_id = ?', guildId, userId);
+        if (row) return row.code;
+
+        // Ignora colisões de código (gera outro) e corridas com outro pedido do mesmo usuário
+        await db.run('INSERT OR IGNORE INTO topup_codes (code, guild_id, user_id) VALUES (?, ?, ?)', [generateTopupCode(), guildId, userId]);
+    }
+}
+
+/**
+ * Grava o desfecho de um aviso de pagamento
+ * @param {string} txId - ID da transação na Coin API
+ * @param {Object} changes - { status, reason, amount, fee, transactionId }
+ * @returns {Object} Aviso atualizado (linha de topup_payments)
+ */
+async function settleTopupPayment(txId, { status, reason = null, amount = 0, fee = 0, transactionId = null }) {
+    await db.run(
+        'UPDATE topup_payments SET status = ?, reason = ?, amount = ?, fee = ?, transaction_id = ? WHERE tx_id = ?',
+        [status, reason, amount, fee, transactionId, txId]
+    );
+    return db.get('SELECT * FROM topup_payments WHERE tx_id = ?', txId);
+}
+
+/**
+ * Avisa no canal de log (ou no console, se o servidor é desconhecido) um pagamento não creditado
+ * @param {Object} payment - Linha de topup_payments
+ */
+async function logRejectedTopup(payment) {
+    if (!payment.guild_id) {
+        console.warn(`⚠️ Pagamento ${payment.tx_id} sem código de recarga válido (memo: ${payment.memo || '-'})`);
+        return;
+    }
+
+    const t = await guildTranslator(payment.guild_id);
+    const logEmbed = createLogEmbed(t('topup.rejected.log'), '#ffa500')
+        .addFields(
+            { name: t('common.fields.user'), value: `<@${payment.user_id}>` },
+            { name: t('topup.fields.coinsReceived'), value: `${formatCoins(payment.coins)}` },
+            { name: t('common.fields.reason'), value: payment.reason },
+            { name: t('common.fields.transactionId'), value: `\`${payment.tx_id}\`` }
+        );
+    await sendLog(payment.guild_id, logEmbed);
+}
+
+/**
+ * Processa um aviso de pagamento recebido pelo cartão do servidor
+ * @param {Object} payment - Dados do aviso
+ * @param {string} payment.txId - ID da transação na Coin API (chave de idempotência)
+ * @param {string} payment.to - Cartão que recebeu os coins
+ * @param {number} payment.coins - Coins recebidos, em unidades base
+ * @param {string} payment.memo - Memo do pagamento, onde vem o código de recarga
+ * @returns {Object} Linha de topup_payments, com duplicate = true se o aviso já tinha sido processado
+ */
+async function receiveTopup({ txId, to, coins, memo }) {
+    const match = TOPUP_CODE_PATTERN.exec(memo || '');
+    const owner = match
+        ? await db.get('SELECT code, guild_id, user_id FROM topup_codes WHERE code = ?', match[0].toUpperCase())
+        : null;
+
+    // Reserva o tx_id antes de creditar: avisos repetidos param aqui
+    const { changes } = await db.run(
+        `INSERT OR IGNORE INTO topup_payments (tx_id, guild_id, user_id, code, coins, memo, status) 
+         VALUES (?, ?, ?, ?, ?, ?, 'received')`,
+        [txId, owner?.guild_id || null, owner?.user_id || null, owner?.code || null, coins, memo || null]
+    );
+    if (changes === 0) {
+        return { ...await db.get('SELECT * FROM topup_payments WHERE tx_id = ?', txId), duplicate: true };
+    }
+
+    if (!owner) {
+        // Sem código não há servidor: o motivo fica no idioma padrão
+        const payment = await settleTopupPayment(txId, { status: 'unmatched', reason: translate(DEFAULT_LOCALE, 'topup.rejected.noCode') });
+        await logRejectedTopup(payment);
+        return payment;
+    }
+
+    const { guild_id: guildId, user_id: userId } = owner;
+    const t = await guildTranslator(guildId);
+    // Só valem coins que entraram no cartão do servidor, de onde os saques são pagos
+    const config = await db.get('SELECT server_card_id FROM guild_config WHERE guild_id = ?', guildId);
+    if (!config?.server_card_id || cardVault.decrypt(config.server_card_id) !== to) {
+        const payment = await settleTopupPayment(txId, { status: 'rejected', reason: t('topup.rejected.wrongCard') });
+        await logRejectedTopup(payment);
+        return payment;
+    }
+
+    const rate = await getExchangeRate(guildId);
+    const amount = coinsToDollars(coins, rate);
+    const fee = await calculateFee(guildId, 'topup', amount);
+    if (amount <= 0 || fee >= amount) {
+        const payment = await settleTopupPayment(txId, { status: 'rejected', reason: t('topup.rejected.belowFee'), amount, fee });
+        await logRejectedTopup(payment);
+        return payment;
+    }
+
+    let transactionId;
+    try {
+        ({ transactionId } = await ledger.transfer({
+            guildId,
+            from: SYSTEM_COINS,
+            to: userAccount(userId),
+            amount,
+            fee,
+            txId,
+            tx: { userId, type: 'topup', coinAmount: coins, rate, actorId: userId }
+        }));
+    } catch (error) {
+        // Nada foi creditado: libera o tx_id para a Coin API reenviar o aviso
+        await db.run('DELETE FROM topup_payments WHERE tx_id = ?', txId);
+        throw error;
+    }
+
+    const payment = await settleTopupPayment(txId, { status: 'credited', amount, fee, transactionId });
+
+    const logEmbed = createLogEmbed(t('topup.credited.log'), '#00ff00')
+        .addFields(
+            { name: t('common.fields.user'), value: `<@${userId}>` },
+            { name: t('topup.fields.coinsReceived'), value: `${formatCoins(coins)}` },
+            { name: t('topup.fields.credited'), value: formatDollar(t, amount - fee) },
+            { name: t('common.fields.fee'), value: formatFee(t, 'topup', fee) },
+            { name: t('common.fields.rate'), value: formatRate(t, rate) },
+            { name: t('common.fields.transactionId'), value: `\`${txId}\`` }
+        );
+    await sendLog(guildId, logEmbed);
+    await publishTransactionEvent(guildId, 'topup.credited', transactionId);
+
+    return payment;
+}
+
+// ===================== REGISTRO DE COMANDOS SLASH =====================
+/**
+ * Registra todos os comandos slash globalmente (substitui os existentes)
+ */
+async function registerSlashCommands() {
+    const commands = [
+        // ===== COMANDOS /MONEY (para usuários) =====
+        {
+            name: 'money',
+            description: 'Comandos de dinheiro e carteira',
+            options: [
+                {
+                    name: 'balance',
+                    description: 'Mostra seu saldo em reais e coins',
+                    type: 1 // SUB_COMMAND
+                },
+                {
+                    name: 'pay',
+                    description: 'Paga reais para outro usuário',
+                    type: 1,
+                    options: [
+                        {
+                            name: 'user',
+                            description: 'Usuário que receberá o pagamento',
+                            type: 6, // USER
+                            required: true
+                        },
+                        {
+                            name: 'amount',
+                            description: 'Quantia em reais (ex: 10.50)',
+                            type: 3, // STRING
+                            required: true
+                        }
+                    ]
+                },
+                {
+                    name: 'withdraw',
+                    description: 'Saca reais convertendo para coins',
+                    type: 1,
+                    options: [
+                        {
+                            name: 'amount',
+                            description: 'Quantia em reais (ex: 10.00)',
+                            type: 3,
+                            required: true
+                        }
+                    ]
+                },
+                {
+                    name: 'deposit',
+                    description: 'Deposita coins convertendo para reais',
+                    type: 1,
+                    options: [
+                        {
+                            name: 'amount',
+                            description: 'Quantia em reais (ex: 10.00)',
+                            type: 3,
+                            required: true
+                        }
+                    ]
+                },
+                {
+                    name: 'topup',
+                    description: 'Mostra seu código para recarregar reais enviando coins pela Coin API',
+                    type: 1,
+                    options: [
+                        {
+                            name: 'amount',
+                            description: 'Quantia em reais que você quer receber (mostra quantos coins enviar)',
+                            type: 3,
+                            required: false
+                        }
+                    ]
+                },
+                {
+                    name: 'history',
+                    description: 'Mostra seu histórico de transações',
+                    type: 1,
+                    options: [
+                        {
+                            name: 'page',
+                            description: 'Número da página',
+                            type: 4, // INTEGER
+                            required: false
+                        }
+                    ]
+                },
+                {
+                    name: 'fines',
+                    description: 'Mostra e paga suas multas',
+                    type: 1,
+                    options: [
+                        {
+                            name: 'pay',
+                            description: 'ID da multa a pagar',
+                            type: 4,
+                            required: false
+                        },
+                        {
+                            name: 'method',
+                            description: 'Forma de pagamento (padrão: reais)',
+                            type: 3,
+                            required: false,
+                            choices: [
+                                { name: 'Saldo em reais', value: 'dollars' },
+                                { name: 'Coins do cartão', value: 'coins' }
+                            ]
+                        }
+                    ]
+                },
+                {
+                    name: 'privacy',
+                    description: 'Mostra ou altera suas preferências de privacidade',
+                    type: 1,
+                    options: [
+                        {
+                            name: 'hide_baltop',
+                            description: 'Esconde você do /baltop',
+                            type: 5, // BOOLEAN
+                            required: false
+                        }
+                    ]
+                }
+            ]
+        },
+        
+        // ===== COMANDOS /SERVER (configuração do servidor) =====
+        {
+            name: 'server',
+            description: 'Comandos de configuração do servidor (Admin)',
+            options: [
+                {
+                    name: 'card',
+                    description: 'Configura o cartão do servidor (o código é digitado num formulário privado)',
+                    type: 1
+                },
+                {
+                    name: 'log',
+                    description: 'Configura o canal de logs',
+                    type: 1,
+                    options: [
+                        {
+                            name: 'channel',
+                            description: 'Canal para receber os logs',
+                            type: 7, // CHANNEL
+                            required: true
+                        }
+                    ]
+                },
                 {
                     name: 'balance',
-                    description: 'Mostra seu saldo em reais e coins',
-                    type: 1 // SUB_COMMAND
+                    description: 'Mostra o saldo do servidor em coins',
+                    type: 1
                 },
                 {
-                    name: 'pay',
-                    description: 'Paga reais para outro usuário',
+                    name: 'rate',
+                    description: 'Mostra ou define o câmbio do servidor (reais por coin)',
                     type: 1,
                     options: [
                         {
-                            name: 'user',
-                            description: 'Usuário que receberá o pagamento',
-                            type: 6, // USER
-                            required: true
-                        },
-                        {
-                            name: 'amount',
-                            description: 'Quantia em reais (ex: 10.50)',
-                            type: 3, // STRING
-                            required: true
+                            name: 'rate',
+                            description: 'Reais por 1 coin (ex: 100000000). Vazio para apenas consultar',
+                            type: 3,
+                            required: false
                         }
                     ]
                 },
                 {
-                    name: 'withdraw',
-                    description: 'Saca reais convertendo para coins',
+                    name: 'audit',
+                    description: 'Confere o lastro em coins e a consistência do ledger (Admin)',
+                    type: 1
+                },
+                {
+                    name: 'privacy',
+                    description: 'Mostra ou define quais comandos respondem de forma privada',
                     type: 1,
                     options: [
                         {
-                            name: 'amount',
-                            description: 'Quantia em reais (ex: 10.00)',
+                            name: 'command',
+                            description: 'Comando a configurar',
                             type: 3,
-                            required: true
+                            required: false,
+                            choices: Object.entries(PRIVACY_COMMANDS).map(([value, { label }]) => ({ name: label, value }))
+                        },
+                        {
+                            name: 'private',
+                            description: 'Responder só para quem usou o comando',
+                            type: 5,
+                            required: false
                         }
                     ]
                 },
                 {
-                    name: 'deposit',
-                    description: 'Deposita coins convertendo para reais',
+                    name: 'language',
+                    description: 'Mostra ou altera o idioma das mensagens do bot',
                     type: 1,
                     options: [
                         {
-                            name: 'amount',
-                            description: 'Quantia em reais (ex: 10.00)',
+                            name: 'language',
+                            description: 'Idioma',
                             type: 3,
-                            required: true
+                            required: false,
+                            choices: Object.entries(LOCALES).map(([value, { name }]) => ({ name, value }))
                         }
                     ]
-                }
-            ]
-        },
-        
-        // ===== COMANDOS /SERVER (configuração do servidor) =====
-        {
-            name: 'server',
-            description: 'Comandos de configuração do servidor (Admin)',
-            options: [
+                },
                 {
-                    name: 'card',
-                    description: 'Configura o cartão do servidor',
+                    name: 'currency',
+                    description: 'Mostra ou altera o nome, o símbolo, as casas decimais e o ícone da moeda',
                     type: 1,
                     options: [
                         {
-                            name: 'card_id',
-                            description: 'ID do cartão do servidor',
+                            name: 'name',
+                            description: 'Nome da moeda nas mensagens (ex: dólares)',
                             type: 3,
-                            required: true
+                            required: false,
+                            max_length: CURRENCY_NAME_MAX_LENGTH
+                        },
+                        {
+                            name: 'symbol',
+                            description: 'Símbolo antes dos valores (ex: US$)',
+                            type: 3,
+                            required: false,
+                            max_length: CURRENCY_SYMBOL_MAX_LENGTH
+                        },
+                        {
+                            name: 'decimals',
+                            description: 'Casas decimais exibidas e aceitas nos valores (0 a 2)',
+                            type: 4,
+                            required: false,
+                            min_value: 0,
+                            max_value: DOLLAR_DECIMALS
+                        },
+                        {
+                            name: 'icon',
+                            description: 'Ícone dos embeds (PNG, JPG, GIF ou WEBP, até 256 KB)',
+                            type: 11,
+                            required: false
+                        },
+                        {
+                            name: 'reset',
+                            description: 'Volta a moeda ao padrão do bot',
+                            type: 5,
+                            required: false
                         }
                     ]
                 },
                 {
-                    name: 'log',
-                    description: 'Configura o canal de logs',
+                    name: 'limits',
+                    description: 'Mostra ou configura os limites de transação do servidor',
                     type: 1,
                     options: [
                         {
-                            name: 'channel',
-                            description: 'Canal para receber os logs',
-                            type: 7, // CHANNEL
-                            required: true
+                            name: 'max_tx',
+                            description: 'Valor máximo por transação, em reais (0 = sem limite)',
+                            type: 3,
+                            required: false
+                        },
+                        {
+                            name: 'daily_volume',
+                            description: 'Volume máximo por usuário em 24 horas, em reais (0 = sem limite)',
+                            type: 3,
+                            required: false
+                        },
+                        {
+                            name: 'hourly_conversions',
+                            description: 'Saques e depósitos por usuário por hora (0 = sem limite)',
+                            type: 4,
+                            required: false,
+                            min_value: 0
+                        },
+                        {
+                            name: 'daily_mint',
+                            description: 'Reais que cada membro da staff pode emitir em 24 horas (0 = sem limite)',
+                            type: 3,
+                            required: false
+                        },
+                        {
+                            name: 'approval',
+                            description: '/server pay e /adm set acima deste valor em reais exigem aprovação de outro membro (0 = nunca)',
+                            type: 3,
+                            required: false
                         }
                     ]
                 },
                 {
-                    name: 'balance',
-                    description: 'Mostra o saldo do servidor em coins',
+                    name: 'topup',
+                    description: 'Mostra o estado das recargas (/money topup) pagas ao cartão do servidor',
                     type: 1
                 },
+                {
+                    name: 'fees',
+                    description: 'Mostra ou configura as taxas do servidor',
+                    type: 1,
+                    options: [
+                        {
+                            name: 'operation',
+                            description: 'Operação a configurar',
+                            type: 3,
+                            required: false,
+                            choices: Object.keys(FEE_OPERATIONS).map(value => ({ name: translate(DEFAULT_LOCALE, `fees.operations.${value}`), value }))
+                        },
+                        {
+                            name: 'percent',
+                            description: 'Taxa percentual (ex: 1.5 para 1,5%)',
+                            type: 3,
+                            required: false
+                        },
+                        {
+                            name: 'flat',
+                            description: 'Taxa fixa na unidade da operação (reais ou coins)',
+                            type: 3,
+                            required: false
+                        },
+                        {
+                            name: 'min',
+                            description: 'Taxa mínima (0 = sem mínimo)',
+                            type: 3,
+                            required: false
+                        },
+                        {
+                            name: 'max',
+                            description: 'Taxa máxima (0 = sem teto)',
+                            type: 3,
+                            required: false
+                        }
+                    ]
+                },
                 {
                     name: 'pay',
                     description: 'Servidor paga coins para um usuário',
@@ -621,7 +4473,7 @@ async function registerSlashCommands() {
                 },
                 {
                     name: 'fine',
-                    description: 'Aplica multa em coins a um usuário',
+                    description: 'Aplica uma multa em reais a um usuário',
                     type: 1,
                     options: [
                         {
@@ -632,9 +4484,120 @@ async function registerSlashCommands() {
                         },
                         {
                             name: 'amount',
-                            description: 'Quantia em coins (ex: 0.00000001)',
+                            description: 'Valor em reais (ex: 10.00)',
+                            type: 3,
+                            required: true
+                        },
+                        {
+                            name: 'reason',
+                            description: 'Motivo da multa',
                             type: 3,
                             required: true
+                        },
+                        {
+                            name: 'days',
+                            description: `Prazo para pagamento em dias (padrão: ${CONFIG.FINE_DUE_DAYS})`,
+                            type: 4,
+                            required: false
+                        }
+                    ]
+                },
+                {
+                    name: 'fines',
+                    description: 'Lista, perdoa ou escala multas',
+                    type: 1,
+                    options: [
+                        {
+                            name: 'action',
+                            description: 'Ação',
+                            type: 3,
+                            required: true,
+                            choices: [
+                                { name: 'Listar', value: 'list' },
+                                { name: 'Perdoar', value: 'waive' },
+                                { name: 'Escalar (cobrar do saldo)', value: 'escalate' }
+                            ]
+                        },
+                        {
+                            name: 'id',
+                            description: 'ID da multa (para perdoar ou escalar)',
+                            type: 4,
+                            required: false
+                        },
+                        {
+                            name: 'user',
+                            description: 'Filtra a lista por usuário',
+                            type: 6,
+                            required: false
+                        }
+                    ]
+                },
+                {
+                    name: 'api',
+                    description: 'Gerencia os tokens da API web e do painel',
+                    type: 1,
+                    options: [
+                        {
+                            name: 'action',
+                            description: 'Ação',
+                            type: 3,
+                            required: true,
+                            choices: [
+                                { name: 'Listar', value: 'list' },
+                                { name: 'Criar', value: 'create' },
+                                { name: 'Revogar', value: 'revoke' }
+                            ]
+                        },
+                        {
+                            name: 'label',
+                            description: 'Nome do token (para criar)',
+                            type: 3,
+                            required: false,
+                            max_length: 50
+                        },
+                        {
+                            name: 'id',
+                            description: 'ID do token (para revogar)',
+                            type: 4,
+                            required: false
+                        }
+                    ]
+                },
+                {
+                    name: 'webhooks',
+                    description: 'Gerencia os webhooks que recebem os eventos da economia',
+                    type: 1,
+                    options: [
+                        {
+                            name: 'action',
+                            description: 'Ação',
+                            type: 3,
+                            required: true,
+                            choices: [
+                                { name: 'Listar', value: 'list' },
+                                { name: 'Adicionar', value: 'add' },
+                                { name: 'Remover', value: 'remove' },
+                                { name: 'Testar', value: 'test' },
+                                { name: 'Entregas', value: 'deliveries' }
+                            ]
+                        },
+                        {
+                            name: 'url',
+                            description: 'URL que recebe os eventos (para adicionar)',
+                            type: 3,
+                            required: false
+                        },
+                        {
+                            name: 'events',
+                            description: 'Eventos separados por vírgula, ex.: deposit.completed,fine.* (padrão: todos)',
+                            type: 3,
+                            required: false
+                        },
+                        {
+                            name: 'id',
+                            description: 'ID do webhook (para remover, testar ou filtrar entregas)',
+                            type: 4,
+                            required: false
                         }
                     ]
                 }
@@ -646,6 +4609,84 @@ async function registerSlashCommands() {
             name: 'adm',
             description: 'Comandos administrativos para economia (Staff)',
             options: [
+                {
+                    name: 'perms',
+                    description: 'Gerencia as permissões de cargos e usuários',
+                    type: 2, // SUB_COMMAND_GROUP
+                    options: [
+                        {
+                            name: 'grant',
+                            description: 'Concede uma permissão a um cargo ou usuário',
+                            type: 1,
+                            options: [
+                                {
+                                    name: 'capability',
+                                    description: 'Permissão',
+                                    type: 3,
+                                    required: true,
+                                    choices: CAPABILITIES.map(capability => ({ name: capability, value: capability }))
+                                },
+                                {
+                                    name: 'role',
+                                    description: 'Cargo que receberá a permissão',
+                                    type: 8,
+                                    required: false
+                                },
+                                {
+                                    name: 'user',
+                                    description: 'Usuário que receberá a permissão',
+                                    type: 6,
+                                    required: false
+                                }
+                            ]
+                        },
+                        {
+                            name: 'revoke',
+                            description: 'Retira uma permissão de um cargo ou usuário',
+                            type: 1,
+                            options: [
+                                {
+                                    name: 'capability',
+                                    description: 'Permissão',
+                                    type: 3,
+                                    required: true,
+                                    choices: CAPABILITIES.map(capability => ({ name: capability, value: capability }))
+                                },
+                                {
+                                    name: 'role',
+                                    description: 'Cargo que perderá a permissão',
+                                    type: 8,
+                                    required: false
+                                },
+                                {
+                                    name: 'user',
+                                    description: 'Usuário que perderá a permissão',
+                                    type: 6,
+                                    required: false
+                                }
+                            ]
+                        },
+                        {
+                            name: 'list',
+                            description: 'Lista as permissões do servidor, de um cargo ou de um usuário',
+                            type: 1,
+                            options: [
+                                {
+                                    name: 'role',
+                                    description: 'Filtrar por cargo',
+                                    type: 8,
+                                    required: false
+                                },
+                                {
+                                    name: 'user',
+                                    description: 'Filtrar por usuário',
+                                    type: 6,
+                                    required: false
+                                }
+                            ]
+                        }
+                    ]
+                },
                 {
                     name: 'setstaff',
                     description: 'Configura o cargo de staff',
@@ -715,6 +4756,25 @@ async function registerSlashCommands() {
                             required: true
                         }
                     ]
+                },
+                {
+                    name: 'history',
+                    description: 'Mostra o histórico de transações de um usuário',
+                    type: 1,
+                    options: [
+                        {
+                            name: 'user',
+                            description: 'Usuário cujo histórico será exibido',
+                            type: 6,
+                            required: true
+                        },
+                        {
+                            name: 'page',
+                            description: 'Número da página',
+                            type: 4,
+                            required: false
+                        }
+                    ]
                 }
             ]
         },
@@ -722,13 +4782,33 @@ async function registerSlashCommands() {
         // ===== COMANDOS AVULSOS =====
         {
             name: 'setcard',
-            description: 'Configura seu cartão Coin',
-            options: [{
-                name: 'card_id',
-                description: 'Seu ID do cartão',
-                type: 3,
-                required: true
-            }]
+            description: 'Configura seu cartão Coin (atalho para /card set)'
+        },
+        {
+            name: 'card',
+            description: 'Gerencia seu cartão Coin',
+            options: [
+                {
+                    name: 'set',
+                    description: 'Configura seu cartão (o código é digitado num formulário privado)',
+                    type: 1
+                },
+                {
+                    name: 'verify',
+                    description: 'Conclui a verificação do seu cartão',
+                    type: 1
+                },
+                {
+                    name: 'status',
+                    description: 'Mostra o estado do seu cartão',
+                    type: 1
+                },
+                {
+                    name: 'remove',
+                    description: 'Desvincula seu cartão',
+                    type: 1
+                }
+            ]
         },
         {
             name: 'coinbalance',
@@ -737,12 +4817,19 @@ async function registerSlashCommands() {
         {
             name: 'baltop',
             description: 'Mostra o ranking de riqueza',
-            options: [{
-                name: 'page',
-                description: 'Número da página',
-                type: 4, // INTEGER
-                required: false
-            }]
+            options: [
+                {
+                    name: 'sort',
+                    description: 'Ordenar por',
+                    type: 3,
+                    required: false,
+                    choices: [
+                        { name: 'Reais', value: 'dollars' },
+                        { name: 'Coins', value: 'coins' },
+                        { name: 'Patrimônio (reais + coins)', value: 'networth' }
+                    ]
+                }
+            ]
         },
         {
             name: 'payserver',
@@ -754,75 +4841,572 @@ async function registerSlashCommands() {
                 required: true
             }]
         }
-    ];
+    ];
+
+    try {
+        const rest = new REST({ version: '10' }).setToken(CONFIG.BOT_TOKEN);
+        
+        console.log('🔄 Deletando comandos antigos e registrando novos comandos slash globalmente...');
+        
+        // Registrar novos comandos, com as descrições nos outros idiomas
+        await rest.put(
+            Routes.applicationCommands(CONFIG.BOT_CLIENT_ID),
+            { body: localizeCommands(commands, localeDefaults) }
+        );
+        
+        console.log('✅ Comandos slash registrados com sucesso!');
+    } catch (error) {
+        console.error('❌ Erro ao registrar comandos slash:', error);
+    }
+}
+
+// ===================== PRIVACIDADE =====================
+// Cada servidor escolhe quais comandos respondem só para quem usou (ephemeral).
+// guild_config.private_commands guarda a lista em JSON; NULL usa os padrões abaixo.
+
+// Comandos configuráveis e se são privados por padrão
+const PRIVACY_COMMANDS = {
+    'money balance': { label: '/money balance', private: true },
+    'money history': { label: '/money history', private: true },
+    'money fines': { label: '/money fines', private: true },
+    'money pay': { label: '/money pay', private: false },
+    'money deposit': { label: '/money deposit', private: false },
+    'money withdraw': { label: '/money withdraw', private: false },
+    'payserver': { label: '/payserver', private: false },
+    'baltop': { label: '/baltop', private: false },
+    'server balance': { label: '/server balance', private: false }
+};
+
+// Comandos que mostram dados do cartão ou tokens: sempre privados
+const ALWAYS_PRIVATE_COMMANDS = ['card', 'coinbalance', 'money privacy', 'money topup', 'server api', 'server webhooks'];
+
+/**
+ * Lista de comandos privados do servidor
+ * @param {string} guildId - ID do servidor
+ * @returns {Set<string>} Chaves de PRIVACY_COMMANDS
+ */
+async function getPrivateCommands(guildId) {
+    const config = await db.get('SELECT private_commands FROM guild_config WHERE guild_id = ?', guildId);
+    if (config?.private_commands) {
+        return new Set(JSON.parse(config.private_commands));
+    }
+    return new Set(Object.keys(PRIVACY_COMMANDS).filter(key => PRIVACY_COMMANDS[key].private));
+}
+
+/**
+ * Define se um comando responde de forma privada no servidor
+ * @param {string} guildId - ID do servidor
+ * @param {string} key - Chave de PRIVACY_COMMANDS
+ * @param {boolean} isPrivate - Privado ou público
+ * @returns {Set<string>} Nova lista de comandos privados
+ */
+async function setCommandPrivacy(guildId, key, isPrivate) {
+    const privateCommands = await getPrivateCommands(guildId);
+    if (isPrivate) {
+        privateCommands.add(key);
+    } else {
+        privateCommands.delete(key);
+    }
+
+    const value = JSON.stringify([...privateCommands]);
+    await db.run(
+        `INSERT INTO guild_config (guild_id, private_commands) 
+         VALUES (?, ?) 
+         ON CONFLICT(guild_id) 
+         DO UPDATE SET private_commands = ?, updated_at = CURRENT_TIMESTAMP`,
+        [guildId, value, value]
+    );
+    return privateCommands;
+}
+
+/**
+ * Decide se a resposta de um comando deve ser privada
+ * @param {string} guildId - ID do servidor
+ * @param {string} commandName - Nome do comando
+ * @param {string|null} subcommand - Subcomando, se houver
+ * @returns {boolean} True para responder com ephemeral
+ */
+async function isPrivateCommand(guildId, commandName, subcommand) {
+    const key = subcommand ? `${commandName} ${subcommand}` : commandName;
+    if (ALWAYS_PRIVATE_COMMANDS.includes(commandName) || ALWAYS_PRIVATE_COMMANDS.includes(key)) return true;
+    if (!guildId || !PRIVACY_COMMANDS[key]) return false;
+    return (await getPrivateCommands(guildId)).has(key);
+}
+
+/**
+ * Responde só para quem usou o comando, mesmo que a resposta adiada seja
+ * pública (ex.: erros que mostram saldos). A resposta pública é apagada.
+ * @param {CommandInteraction} interaction - Interação já adiada
+ * @param {Object} reply - Conteúdo da resposta
+ */
+async function replyPrivate(interaction, reply) {
+    if (interaction.ephemeral) {
+        return interaction.editReply(reply);
+    }
+    await interaction.deleteReply();
+    return interaction.followUp({ ...reply, ephemeral: true });
+}
+
+/**
+ * Indica se a resposta é privada: comando adiado com ephemeral ou botão numa mensagem privada
+ * @param {Interaction} interaction - Comando ou botão
+ * @returns {boolean} True se só quem usou vê a resposta
+ */
+function isEphemeralReply(interaction) {
+    return Boolean(interaction.ephemeral ?? interaction.message?.flags?.has(MessageFlags.Ephemeral));
+}
+
+// ===================== RANKING =====================
+// Ordenações do /baltop (o nome de cada uma fica nos catálogos, em baltop.sort)
+const BALTOP_SORTS = ['dollars', 'coins', 'networth'];
+
+/**
+ * Monta uma página do /baltop. Coins vêm do cache (card_balances);
+ * patrimônio = reais + coins pelo câmbio.
+ * @param {Function} t - Tradução do servidor
+ * @param {Interaction} interaction - Comando ou botão de paginação
+ * @param {number} page - Página pedida (1-based)
+ * @param {string} sort - Uma de BALTOP_SORTS
+ * @returns {Object} { embed, page, totalPages }
+ */
+async function buildBaltopPage(t, interaction, page, sort) {
+    const guildId = interaction.guild.id;
+    const userId = interaction.user.id;
+    const limit = 10;
+    const rate = await getExchangeRate(guildId);
+    if (!BALTOP_SORTS.includes(sort)) sort = 'dollars';
+    
+    const orderBy = {
+        dollars: 'u.dollars DESC',
+        coins: 'coins DESC, u.dollars DESC',
+        networth: 'net_worth DESC, u.dollars DESC'
+    }[sort];
+    
+    // Quem optou por sair do ranking não aparece (nem conta nas páginas)
+    const { listed } = await db.get(
+        'SELECT COUNT(*) as listed FROM users WHERE guild_id = ? AND COALESCE(hide_from_baltop, 0) = 0',
+        guildId
+    );
+    const totalPages = pageCount(listed, limit);
+    page = clampPage(page, totalPages);
+    const offset = (page - 1) * limit;
+    
+    const topUsers = await db.all(`
+        SELECT u.user_id, u.dollars, u.card_id IS NOT NULL AS has_card, 
+               COALESCE(c.coins, 0) AS coins, c.fetched_at IS NOT NULL AS cached, 
+               u.dollars + CAST(COALESCE(c.coins, 0) AS REAL) * ? / 100000000 AS net_worth 
+        FROM users u 
+        LEFT JOIN card_balances c ON c.user_id = u.user_id AND c.guild_id = u.guild_id 
+        WHERE u.guild_id = ? AND COALESCE(u.hide_from_baltop, 0) = 0 
+        ORDER BY ${orderBy} 
+        LIMIT ? OFFSET ?
+    `, rate, guildId, limit, offset);
+    
+    // Totais de todos os usuários, não só da página
+    const totals = await db.get(`
+        SELECT 
+            SUM(dollars) as total_dollars,
+            COUNT(*) as total_users
+        FROM users 
+        WHERE guild_id = ?
+    `, guildId);
+    const coinTotals = await db.get(`
+        SELECT COALESCE(SUM(coins), 0) as total_coins, 
+               CAST(strftime('%s', MIN(fetched_at)) AS INTEGER) as oldest 
+        FROM card_balances 
+        WHERE guild_id = ?
+    `, guildId);
+    
+    // Cartões ainda não consultados: o atualizador busca em segundo plano
+    if (topUsers.some(user => user.has_card && !user.cached)) {
+        cardBalances.refresh().catch(error => console.error('❌ Erro atualizando saldos dos cartões:', error));
+    }
+    
+    let description = '';
+    for (let i = 0; i < topUsers.length; i++) {
+        const user = topUsers[i];
+        const discordUser = await client.users.fetch(user.user_id).catch(() => null);
+        const username = discordUser ? discordUser.tag : t('baltop.unknownUser', { id: user.user_id });
+        const position = offset + i + 1;
+        const coins = user.has_card && !user.cached ? '⏳' : formatCoins(user.coins);
+        
+        description += `**${position}.** ${username}\n`;
+        description += `└ 💵 ${formatDollar(t, user.dollars)} | 🪙 ${coins} coins`;
+        if (sort === 'networth') {
+            description += ` | 📊 ${formatDollar(t, user.dollars + coinsToDollars(user.coins, rate))}`;
+        }
+        description += '\n\n';
+    }
+    
+    const embed = createBaseEmbed(t, t('baltop.title'), '#FFD700')
+        .setDescription(description || t('baltop.empty'))
+        .addFields(
+            { name: t('baltop.fields.economyTotal'), value: formatDollar(t, totals?.total_dollars || 0), inline: true },
+            { name: t('baltop.fields.coinTotal'), value: `${formatCoins(coinTotals.total_coins)}`, inline: true },
+            { name: t('baltop.fields.userTotal'), value: `${totals?.total_users || 0}`, inline: true },
+            {
+                name: t('baltop.fields.coinsUpdated'),
+                value: coinTotals.oldest ? t('baltop.coinsUpdatedSince', { time: `<t:${coinTotals.oldest}:R>` }) : t('baltop.coinsNotFetched'),
+                inline: true
+            }
+        )
+        .setFooter({ text: t('baltop.footer', { page, totalPages, sort: t(`baltop.sort.${sort}`) }) });
+    
+    // O saldo de quem pediu só aparece se a resposta for privada
+    if (isEphemeralReply(interaction)) {
+        const userData = await db.get('SELECT dollars FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
+        embed.addFields({ name: t('baltop.fields.yourBalance'), value: formatDollar(t, userData?.dollars || 0), inline: true });
+    }
+    
+    return { embed, page, totalPages };
+}
+
+// ===================== PAGINAÇÃO =====================
+// Listas respondem com botões de navegação (src/paginator.js). O estado fica no
+// customId do botão; cada visão remonta a página a partir dele e, se exigir uma
+// capacidade, repete a verificação de permissão a cada clique.
+
+const PAGINATED_VIEWS = {
+    baltop: {
+        render: (t, interaction, page, [sort]) => buildBaltopPage(t, interaction, page, sort)
+    },
+    history: {
+        render: (t, interaction, page) => buildHistoryPage(t, interaction.guild.id, interaction.user, page)
+    },
+    admhistory: {
+        capability: 'economy.history',
+        render: async (t, interaction, page, [targetId]) => buildHistoryPage(t, interaction.guild.id, await client.users.fetch(targetId), page)
+    },
+    fines: {
+        render: (t, interaction, page) => buildFinesPage(t, interaction.guild.id, { userId: interaction.user.id }, page)
+    },
+    serverfines: {
+        capability: 'server.fines',
+        render: (t, interaction, page, [targetId]) => buildFinesPage(t, interaction.guild.id, { userId: targetId || null, admin: true }, page)
+    }
+};
 
+/**
+ * Responde com uma página de uma visão paginada e os botões de navegação
+ * @param {Interaction} interaction - Comando adiado ou botão com deferUpdate
+ * @param {string} view - Chave de PAGINATED_VIEWS
+ * @param {number} page - Página pedida (1-based)
+ * @param {string[]} [args] - Estado extra da visão, gravado nos botões
+ */
+async function replyWithPage(interaction, view, page, args = []) {
+    const t = await guildTranslator(interaction.guild.id);
+    const result = await PAGINATED_VIEWS[view].render(t, interaction, page, args);
+    const components = result.totalPages > 1
+        ? [buildPageButtons({ view, ownerId: interaction.user.id, page: result.page, totalPages: result.totalPages, args })]
+        : [];
+    
+    await interaction.editReply({ embeds: [result.embed], components, files: iconFiles(t) });
+}
+
+/**
+ * Processa os cliques nos botões de paginação
+ * @param {ButtonInteraction} interaction - Botão clicado
+ */
+async function handleButton(interaction) {
+    const state = parsePageId(interaction.customId);
+    const view = state && PAGINATED_VIEWS[state.view];
+    if (!view) return;
+    
+    const t = await guildTranslator(interaction.guild.id);
     try {
-        const rest = new REST({ version: '10' }).setToken(CONFIG.BOT_TOKEN);
-        
-        console.log('🔄 Deletando comandos antigos e registrando novos comandos slash globalmente...');
+        if (state.ownerId !== interaction.user.id) {
+            return interaction.reply({ content: t('pagination.notOwner'), ephemeral: true });
+        }
         
-        // Registrar novos comandos
-        await rest.put(
-            Routes.applicationCommands(CONFIG.BOT_CLIENT_ID),
-            { body: commands }
-        );
+        if (view.capability && !await authorize(interaction.member, view.capability)) {
+            return interaction.reply({ content: permissionDenied(t, view.capability), ephemeral: true });
+        }
         
-        console.log('✅ Comandos slash registrados com sucesso!');
+        await interaction.deferUpdate();
+        await replyWithPage(interaction, state.view, state.page, state.args);
     } catch (error) {
-        console.error('❌ Erro ao registrar comandos slash:', error);
+        console.error(`❌ Erro na paginação ${state.view}:`, error);
+        const embed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+            .setDescription(t('pagination.error'));
+        
+        if (interaction.deferred) {
+            await interaction.followUp({ embeds: [embed], ephemeral: true });
+        } else {
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+        }
     }
 }
 
 // ===================== HANDLER DE INTERAÇÕES =====================
 /**
- * Processa todas as interações de comandos slash
+ * Processa o envio dos formulários de cartão (ver buildCardModal)
+ * @param {ModalSubmitInteraction} interaction - Formulário enviado
  */
-client.on('interactionCreate', async (interaction) => {
-    if (!interaction.isCommand()) return;
-    
-    const { commandName, options, guild, member, user } = interaction;
+async function handleModalSubmit(interaction) {
+    const { customId, guild, member, user } = interaction;
+    const t = await guildTranslator(guild.id);
     
     try {
-        await interaction.deferReply();
+        await interaction.deferReply({ ephemeral: true });
+        const cardId = interaction.fields.getTextInputValue('card_id').trim();
         
-        // ===== COMANDO /SETCARD =====
-        if (commandName === 'setcard') {
-            const cardId = options.getString('card_id');
+        // ===== FORMULÁRIO DO CARTÃO DO USUÁRIO =====
+        if (customId === 'card:user') {
             const guildId = guild.id;
             const userId = user.id;
             
             try {
-                // Salva no banco de dados sem verificar na API
+                // Recusa cartões que não existem na API (ex.: erro de digitação)
+                const status = await lookupCard(cardId);
+                if (!status.success) {
+                    const embed = createBaseEmbed(t, t('cards.notFound.title'), '#ff0000')
+                        .setDescription(t('cards.notFound.description'));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+                
+                // Recadastrar o mesmo cartão já verificado não exige novo desafio
+                const current = await db.get('SELECT card_id, card_verified_at FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
+                if (current?.card_verified_at && cardVault.decrypt(current.card_id) === cardId) {
+                    const embed = createBaseEmbed(t, t('cards.alreadyVerified.title'), '#00ff00')
+                        .setDescription(t('cards.alreadyVerified.description'))
+                        .addFields({ name: t('cards.fields.card'), value: maskCardId(cardId), inline: true });
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+                
+                // Salva no banco de dados (cifrado), ainda não verificado
+                const storedCard = cardVault.encrypt(cardId);
                 await db.run(
                     `INSERT INTO users (user_id, guild_id, card_id, dollars) 
                      VALUES (?, ?, ?, 0) 
                      ON CONFLICT(user_id, guild_id) 
-                     DO UPDATE SET card_id = ?, updated_at = CURRENT_TIMESTAMP`,
-                    [userId, guildId, cardId, cardId]
+                     DO UPDATE SET card_id = ?, card_verified_at = NULL, updated_at = CURRENT_TIMESTAMP`,
+                    [userId, guildId, storedCard, storedCard]
                 );
+                await cardBalances.store({ user_id: userId, guild_id: guildId, card_id: storedCard }, status);
                 
-                const embed = createBaseEmbed('✅ Cartão Configurado', '#00ff00')
-                    .setDescription(`Seu cartão foi configurado com sucesso!`)
+                const challenge = await createCardChallenge(guildId, userId, status.coins || 0, await serverCardBalance(guildId));
+                
+                const embed = createBaseEmbed(t, t('cards.challenge.title'), '#ffa500')
+                    .setDescription(t('cards.challenge.description', { coins: formatCoins(challenge.amount) }))
                     .addFields(
-                        { name: 'Cartão', value: maskCardId(cardId), inline: true }
+                        { name: t('cards.fields.card'), value: maskCardId(cardId), inline: true },
+                        { name: t('cards.fields.challenge'), value: `${formatCoins(challenge.amount)} coins`, inline: true },
+                        { name: t('cards.fields.expires'), value: `<t:${challenge.expiresAt}:R>`, inline: true }
                     );
                 
-                await interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
                 
                 // Log da operação
-                const logEmbed = createLogEmbed('📝 Configuração de Cartão', '#00ff00')
-                    .setDescription(`Usuário configurou cartão`)
+                const logEmbed = createLogEmbed(t('cards.set.log'), '#00ff00')
+                    .setDescription(t('cards.set.logDescription'))
                     .addFields(
-                        { name: 'Usuário', value: user.tag },
-                        { name: 'Cartão', value: maskCardId(cardId) }
+                        { name: t('common.fields.user'), value: user.tag },
+                        { name: t('cards.fields.card'), value: maskCardId(cardId) }
                     );
                 await sendLog(guildId, logEmbed);
                 
             } catch (error) {
                 console.error('Erro ao configurar cartão:', error);
-                const embed = createBaseEmbed('❌ Erro', '#ff0000')
-                    .setDescription('Ocorreu um erro ao configurar o cartão. Tente novamente.');
-                await interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                const embed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                    .setDescription(t('cards.set.error'));
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+            }
+        }
+        
+        // ===== FORMULÁRIO DO CARTÃO DO SERVIDOR =====
+        else if (customId === 'card:server') {
+            // A permissão é conferida de novo: o formulário pode ser enviado depois
+            if (!await authorize(member, 'config.edit')) {
+                return interaction.editReply(permissionDenied(t, 'config.edit'));
+            }
+            
+            const guildId = guild.id;
+            
+            try {
+                // Salva no banco de dados (cifrado) sem verificar na API
+                const storedCard = cardVault.encrypt(cardId);
+                await db.run(
+                    `INSERT INTO guild_config (guild_id, server_card_id) 
+                     VALUES (?, ?) 
+                     ON CONFLICT(guild_id) 
+                     DO UPDATE SET server_card_id = ?, updated_at = CURRENT_TIMESTAMP`,
+                    [guildId, storedCard, storedCard]
+                );
+                
+                const embed = createBaseEmbed(t, t('cards.server.title'), '#00ff00')
+                    .setDescription(t('cards.server.description'))
+                    .addFields(
+                        { name: t('cards.fields.card'), value: maskCardId(cardId), inline: true }
+                    );
+                
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                
+                // Log da operação
+                const logEmbed = createLogEmbed(t('cards.server.log'), '#00ff00')
+                    .setDescription(t('cards.server.logDescription'))
+                    .addFields(
+                        { name: t('common.fields.admin'), value: user.tag },
+                        { name: t('cards.fields.card'), value: maskCardId(cardId) }
+                    );
+                await sendLog(guildId, logEmbed);
+                
+            } catch (error) {
+                console.error('Erro ao configurar cartão do servidor:', error);
+                const embed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                    .setDescription(t('cards.server.error'));
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+            }
+        }
+        
+    } catch (error) {
+        console.error(`❌ Erro no formulário ${customId}:`, error);
+        const embed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+            .setDescription(t('cards.modal.error'));
+        
+        if (interaction.deferred) {
+            await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+        } else {
+            await interaction.reply({ embeds: [embed], files: iconFiles(t), ephemeral: true });
+        }
+    }
+}
+
+/**
+ * Processa todas as interações de comandos slash
+ * @param {Interaction} interaction - Interação recebida do Discord
+ */
+async function handleInteraction(interaction) {
+    if (interaction.isModalSubmit()) return handleModalSubmit(interaction);
+    if (interaction.isButton()) {
+        return interaction.customId.startsWith(`${APPROVAL_PREFIX}:`) ? handleApprovalButton(interaction) : handleButton(interaction);
+    }
+    if (!interaction.isCommand()) return;
+    
+    const { commandName, options, guild, member, user } = interaction;
+    const t = await guildTranslator(guild.id);
+    
+    try {
+        // O código do cartão é digitado num modal, que precisa ser a primeira resposta
+        const subcommand = options.getSubcommand(false);
+        if (commandName === 'setcard' || (commandName === 'card' && subcommand === 'set')) {
+            return await interaction.showModal(buildCardModal(t, 'user'));
+        }
+        if (commandName === 'server' && subcommand === 'card') {
+            if (!await authorize(member, 'config.edit')) {
+                return interaction.reply({ content: permissionDenied(t, 'config.edit'), ephemeral: true });
+            }
+            return await interaction.showModal(buildCardModal(t, 'server'));
+        }
+        
+        // Respostas sobre cartões e comandos configurados como privados ficam visíveis só para quem usou
+        await interaction.deferReply({ ephemeral: await isPrivateCommand(guild?.id, commandName, subcommand) });
+        
+        // ===== COMANDO /CARD =====
+        // /card set e /setcard abrem o formulário antes do deferReply (ver acima)
+        if (commandName === 'card') {
+            const subcommand = options.getSubcommand();
+            const guildId = guild.id;
+            const userId = user.id;
+            
+            // Subcomando: verify
+            if (subcommand === 'verify') {
+                try {
+                    const result = await verifyCardChallenge(guildId, userId);
+                    
+                    if (result.status === 'verified') {
+                        const embed = createBaseEmbed(t, t('cards.verify.title'), '#00ff00')
+                            .setDescription(t('cards.verify.description'));
+                        await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                        
+                        const logEmbed = createLogEmbed(t('cards.verify.title'), '#00ff00')
+                            .addFields({ name: t('common.fields.user'), value: user.tag });
+                        await sendLog(guildId, logEmbed);
+                        return;
+                    }
+                    
+                    const embed = createBaseEmbed(t, t('cards.verify.failedTitle'), '#ff0000')
+                        .setDescription(t(`cards.verify.${result.status}`, {
+                            amount: formatCoins(result.amount || 0),
+                            moved: formatCoins(result.moved || 0),
+                            received: formatCoins(result.received || 0)
+                        }));
+                    await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                
+                } catch (error) {
+                    console.error('Erro ao verificar cartão:', error);
+                    const embed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                        .setDescription(t('cards.verify.error'));
+                    await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+            }
+            
+            // Subcomando: status
+            else if (subcommand === 'status') {
+                const userData = await db.get('SELECT card_id, card_verified_at FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
+                
+                if (!userData?.card_id) {
+                    const embed = createBaseEmbed(t, t('cards.status.title'), '#0099ff')
+                        .setDescription(t('cards.status.none'));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+                
+                const embed = createBaseEmbed(t, t('cards.status.title'), '#0099ff')
+                    .addFields({ name: t('cards.fields.card'), value: maskCardId(userData.card_id), inline: true });
+                
+                if (userData.card_verified_at) {
+                    const verifiedAt = Math.floor(Date.parse(`${userData.card_verified_at.replace(' ', 'T')}Z`) / 1000);
+                    embed.addFields({ name: t('cards.fields.verification'), value: t('cards.status.verified', { time: `<t:${verifiedAt}:R>` }), inline: true });
+                } else {
+                    const challenge = await db.get(
+                        "SELECT amount, expires_at > datetime('now') AS active FROM card_challenges WHERE user_id = ? AND guild_id = ?",
+                        userId, guildId
+                    );
+                    embed.addFields({
+                        name: t('cards.fields.verification'),
+                        value: challenge?.active
+                            ? t('cards.status.pending', { coins: formatCoins(challenge.amount) })
+                            : t('cards.status.unverified'),
+                        inline: true
+                    });
+                }
+                
+                try {
+                    const status = await checkCardStatus(userData.card_id);
+                    embed.addFields({
+                        name: t('common.fields.balance'),
+                        value: status.success ? `${formatCoins(status.coins || 0)} coins` : t('cards.status.notInApi'),
+                        inline: true
+                    });
+                } catch (error) {
+                    console.error('Erro ao consultar cartão:', error);
+                    embed.addFields({ name: t('common.fields.balance'), value: t('cards.status.apiUnavailable'), inline: true });
+                }
+                
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+            }
+            
+            // Subcomando: remove
+            else if (subcommand === 'remove') {
+                const { changes } = await db.run(
+                    `UPDATE users SET card_id = NULL, card_verified_at = NULL, updated_at = CURRENT_TIMESTAMP 
+                     WHERE user_id = ? AND guild_id = ? AND card_id IS NOT NULL`,
+                    [userId, guildId]
+                );
+                await db.run('DELETE FROM card_challenges WHERE user_id = ? AND guild_id = ?', [userId, guildId]);
+                await cardBalances.forget(guildId, userId);
+                
+                if (changes === 0) {
+                    return interaction.editReply(t('cards.remove.none'));
+                }
+                
+                // Transferências já na fila guardam a própria cópia do cartão e seguem normalmente
+                const embed = createBaseEmbed(t, t('cards.remove.title'), '#00ff00')
+                    .setDescription(t('cards.remove.description'));
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                
+                const logEmbed = createLogEmbed(t('cards.remove.title'), '#ffa500')
+                    .addFields({ name: t('common.fields.user'), value: user.tag });
+                await sendLog(guildId, logEmbed);
             }
         }
         
@@ -835,106 +5419,37 @@ client.on('interactionCreate', async (interaction) => {
             const userData = await db.get('SELECT card_id FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
             
             if (!userData?.card_id) {
-                const embed = createBaseEmbed('❌ Cartão não configurado', '#ff0000')
-                    .setDescription('Use `/setcard` para configurar seu cartão primeiro.');
-                return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                const embed = createBaseEmbed(t, t('cards.missing.title'), '#ff0000')
+                    .setDescription(t('cards.missing.description'));
+                return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
             }
             
             try {
                 const status = await checkCardStatus(userData.card_id);
                 
-                const embed = createBaseEmbed('💰 Seu Saldo em Coins', '#0099ff')
+                const embed = createBaseEmbed(t, t('balance.coins.title'), '#0099ff')
                     .addFields(
-                        { name: 'Saldo', value: `${formatCoin(status.coins || 0)} coins`, inline: true },
-                        { name: 'Total de Transações', value: `${status.totalTransactions || 0}`, inline: true }
+                        { name: t('common.fields.balance'), value: `${formatCoins(status.coins || 0)} coins`, inline: true },
+                        { name: t('balance.coins.transactions'), value: `${status.totalTransactions || 0}`, inline: true }
                     );
                 
                 if (status.cooldownRemainingMs > 0) {
-                    embed.addFields({ name: 'Próximo Claim', value: `${Math.ceil(status.cooldownRemainingMs / 60000)} minutos`, inline: true });
+                    embed.addFields({ name: t('balance.coins.nextClaim'), value: t('balance.coins.minutes', { minutes: Math.ceil(status.cooldownRemainingMs / 60000) }), inline: true });
                 }
                 
-                await interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
                 
             } catch (error) {
                 console.error('Erro ao verificar saldo:', error);
-                const embed = createBaseEmbed('❌ Erro', '#ff0000')
-                    .setDescription('Ocorreu um erro ao verificar seu saldo.');
-                await interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                const embed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                    .setDescription(t('balance.error'));
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
             }
         }
         
         // ===== COMANDO /BALTOP =====
         else if (commandName === 'baltop') {
-            const page = options.getInteger('page') || 1;
-            
-            const guildId = guild.id;
-            const userId = user.id;
-            const limit = 10;
-            const offset = (page - 1) * limit;
-            
-            // Busca top usuários
-            const topUsers = await db.all(`
-                SELECT user_id, dollars, card_id 
-                FROM users 
-                WHERE guild_id = ? 
-                ORDER BY dollars DESC 
-                LIMIT ? OFFSET ?
-            `, guildId, limit, offset);
-            
-            // Busca totais
-            const totals = await db.get(`
-                SELECT 
-                    SUM(dollars) as total_dollars,
-                    COUNT(*) as total_users
-                FROM users 
-                WHERE guild_id = ?
-            `, guildId);
-            
-            // Busca saldo do usuário atual
-            const userData = await db.get('SELECT dollars FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
-            const userDollars = userData?.dollars || 0;
-            
-            // Busca saldo total em coins
-            let totalCoins = 0;
-            for (const user of topUsers) {
-                if (user.card_id) {
-                    try {
-                        const status = await checkCardStatus(user.card_id);
-                        if (status.success) {
-                            user.coins = status.coins || 0;
-                            totalCoins += user.coins;
-                        }
-                    } catch (error) {
-                        user.coins = 0;
-                    }
-                } else {
-                    user.coins = 0;
-                }
-            }
-            
-            // Constrói a lista
-            let description = '';
-            for (let i = 0; i < topUsers.length; i++) {
-                const user = topUsers[i];
-                const discordUser = await client.users.fetch(user.user_id).catch(() => null);
-                const username = discordUser ? discordUser.tag : `Usuário ${user.user_id}`;
-                const position = offset + i + 1;
-                
-                description += `**${position}.** ${username}\n`;
-                description += `└ 💵 ${CONFIG.CURRENCY_SYMBOL}${formatDollar(user.dollars)} | 🪙 ${formatCoin(user.coins || 0)} coins\n\n`;
-            }
-            
-            const embed = createBaseEmbed('🏆 Ranking de Riqueza', '#FFD700')
-                .setDescription(description || 'Nenhum usuário encontrado.')
-                .addFields(
-                    { name: 'Total na Economia', value: `${CONFIG.CURRENCY_SYMBOL}${formatDollar(totals?.total_dollars || 0)}`, inline: true },
-                    { name: 'Total em Coins', value: `${formatCoin(totalCoins)}`, inline: true },
-                    { name: 'Total de Usuários', value: `${totals?.total_users || 0}`, inline: true },
-                    { name: 'Seu Saldo', value: `${CONFIG.CURRENCY_SYMBOL}${formatDollar(userDollars)}`, inline: true }
-                )
-                .setFooter({ text: `Página ${page}` });
-            
-            await interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+            await replyWithPage(interaction, 'baltop', 1, [options.getString('sort') || 'dollars']);
         }
         
         // ===== COMANDO /MONEY (subcomandos) =====
@@ -960,110 +5475,277 @@ client.on('interactionCreate', async (interaction) => {
                     }
                 }
                 
-                const embed = createBaseEmbed('💰 Seu Saldo', '#0099ff')
+                const embed = createBaseEmbed(t, t('balance.title'), '#0099ff')
                     .addFields(
-                        { name: 'Saldo em Reais', value: `${CONFIG.CURRENCY_SYMBOL}${formatDollar(dollars)}`, inline: true },
-                        { name: 'Saldo em Coins', value: `${formatCoin(coins)} coins`, inline: true }
+                        { name: t('balance.fields.dollars'), value: formatDollar(t, dollars), inline: true },
+                        { name: t('balance.fields.coins'), value: `${formatCoins(coins)} coins`, inline: true }
                     );
                 
                 if (!userData?.card_id) {
-                    embed.setFooter({ text: 'Configure seu cartão com /setcard para ver saldo em coins' });
+                    embed.setFooter({ text: t('balance.noCardFooter') });
                 }
                 
-                await interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
             }
             
             // Subcomando: pay
             else if (subcommand === 'pay') {
                 const targetUser = options.getUser('user');
                 const amountStr = options.getString('amount');
-                const dollarAmount = parseFloat(amountStr);
+                const dollarAmount = parseDollars(amountStr, t.currency.decimals);
                 
-                if (isNaN(dollarAmount) || dollarAmount <= 0) {
-                    return interaction.editReply('❌ Valor inválido.');
+                if (dollarAmount === null || dollarAmount <= 0) {
+                    return interaction.editReply(t('common.invalidAmount'));
                 }
                 
                 const guildId = guild.id;
                 const userId = user.id;
-                const dollarAmountTruncated = truncateDollar(dollarAmount);
-                
-                // Busca dados do pagador
-                const payerData = await db.get('SELECT card_id, dollars FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
-                
-                // Verifica saldo em reais
-                const currentDollars = payerData?.dollars || 0;
-                if (currentDollars < dollarAmountTruncated) {
-                    const embed = createBaseEmbed('❌ Saldo Insuficiente em Reais', '#ff0000')
-                        .setDescription(`Você tem apenas ${CONFIG.CURRENCY_SYMBOL}${formatDollar(currentDollars)}`);
-                    return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
-                }
-                
-                // Busca dados do recebedor
-                const receiverData = await db.get('SELECT user_id FROM users WHERE user_id = ? AND guild_id = ?', targetUser.id, guildId);
                 
-                // Se o recebedor não existir no banco, cria um registro para ele com saldo 0
-                if (!receiverData) {
-                    await db.run(
-                        `INSERT INTO users (user_id, guild_id, dollars) 
-                         VALUES (?, ?, 0)`,
-                        [targetUser.id, guildId]
-                    );
+                // A taxa sai do valor recebido pelo destinatário
+                const fee = await calculateFee(guildId, 'pay', dollarAmount);
+                if (fee >= dollarAmount) {
+                    const embed = createBaseEmbed(t, t('common.tooLow.title'), '#ff0000')
+                        .setDescription(t('common.tooLow.fee', { operation: t('fees.operations.pay').toLowerCase(), fee: formatFee(t, 'pay', fee) }));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
                 }
                 
                 try {
-                    // Atualiza saldo do pagador (diminui)
-                    const newPayerDollars = truncateDollar(currentDollars - dollarAmountTruncated);
-                    await db.run(
-                        'UPDATE users SET dollars = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND guild_id = ?',
-                        [newPayerDollars, userId, guildId]
-                    );
-                    
-                    // Atualiza saldo do recebedor (aumenta)
-                    await db.run(
-                        `INSERT INTO users (user_id, guild_id, dollars) 
-                         VALUES (?, ?, ?) 
-                         ON CONFLICT(user_id, guild_id) 
-                         DO UPDATE SET dollars = dollars + ?, updated_at = CURRENT_TIMESTAMP`,
-                        [targetUser.id, guildId, dollarAmountTruncated, dollarAmountTruncated]
-                    );
-                    
-                    // Busca novo saldo do recebedor para mostrar
-                    const receiverNewData = await db.get('SELECT dollars FROM users WHERE user_id = ? AND guild_id = ?', targetUser.id, guildId);
+                    const { transactionId, fromBalance, toBalance } = await ledger.transfer({
+                        guildId,
+                        from: userAccount(userId),
+                        to: userAccount(targetUser.id),
+                        amount: dollarAmount,
+                        fee,
+                        tx: { userId, type: 'pay', counterpartyId: targetUser.id, actorId: userId }
+                    });
                     
-                    const successEmbed = createBaseEmbed('✅ Pagamento em Reais Realizado', '#00ff00')
-                        .setDescription(`Pagamento de **${CONFIG.CURRENCY_SYMBOL}${formatDollar(dollarAmountTruncated)}** enviado com sucesso!`)
+                    const successEmbed = createBaseEmbed(t, t('pay.success.title'), '#00ff00')
+                        .setDescription(t('pay.success.description', { amount: formatDollar(t, dollarAmount) }))
                         .addFields(
-                            { name: 'Para', value: targetUser.tag, inline: true },
-                            { name: 'Seu novo saldo', value: `${CONFIG.CURRENCY_SYMBOL}${formatDollar(newPayerDollars)}`, inline: true },
-                            { name: 'Saldo do destinatário', value: `${CONFIG.CURRENCY_SYMBOL}${formatDollar(receiverNewData?.dollars || 0)}`, inline: true }
+                            { name: t('common.fields.to'), value: targetUser.tag, inline: true },
+                            { name: t('common.fields.fee'), value: formatFee(t, 'pay', fee), inline: true },
+                            { name: t('common.fields.yourNewBalance'), value: formatDollar(t, fromBalance), inline: true },
+                            { name: t('pay.fields.recipientBalance'), value: formatDollar(t, toBalance), inline: true }
                         );
                     
-                    await interaction.editReply({ embeds: [successEmbed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    await interaction.editReply({ embeds: [successEmbed], files: iconFiles(t) });
                     
                     // Log da operação
-                    const logEmbed = createLogEmbed('💰 Pagamento em Reais', '#00ff00')
+                    const logEmbed = createLogEmbed(t('pay.log'), '#00ff00')
                         .addFields(
-                            { name: 'De', value: user.tag },
-                            { name: 'Para', value: targetUser.tag },
-                            { name: 'Valor', value: `${CONFIG.CURRENCY_SYMBOL}${formatDollar(dollarAmountTruncated)}` }
+                            { name: t('common.fields.from'), value: user.tag },
+                            { name: t('common.fields.to'), value: targetUser.tag },
+                            { name: t('common.fields.amount'), value: formatDollar(t, dollarAmount) },
+                            { name: t('common.fields.fee'), value: formatFee(t, 'pay', fee) }
                         );
                     await sendLog(guildId, logEmbed);
+                    await publishTransactionEvent(guildId, 'pay.completed', transactionId);
                     
                 } catch (error) {
+                    if (error instanceof LimitExceededError) {
+                        return replyPrivate(interaction, { embeds: [limitExceededEmbed(t, error)], files: iconFiles(t) });
+                    }
+                    if (error instanceof InsufficientFundsError) {
+                        const embed = createBaseEmbed(t, t('insufficient.dollars.title'), '#ff0000')
+                            .setDescription(t('insufficient.youHave', { amount: formatDollar(t, error.balance) }));
+                        return replyPrivate(interaction, { embeds: [embed], files: iconFiles(t) });
+                    }
+                    
                     console.error('Erro no pagamento:', error);
-                    const errorEmbed = createBaseEmbed('❌ Erro', '#ff0000')
-                        .setDescription('Ocorreu um erro ao processar o pagamento.');
-                    await interaction.editReply({ embeds: [errorEmbed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    const errorEmbed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                        .setDescription(t('pay.error'));
+                    await interaction.editReply({ embeds: [errorEmbed], files: iconFiles(t) });
+                }
+            }
+            
+            // Subcomando: history
+            else if (subcommand === 'history') {
+                await replyWithPage(interaction, 'history', options.getInteger('page') || 1);
+            }
+            
+            // Subcomando: fines (lista ou paga multas)
+            else if (subcommand === 'fines') {
+                const guildId = guild.id;
+                const userId = user.id;
+                const fineId = options.getInteger('pay');
+                
+                // Sem ID: lista as multas em aberto
+                if (!fineId) {
+                    return replyWithPage(interaction, 'fines', 1);
+                }
+                
+                const fine = await getFine(guildId, fineId);
+                if (!fine || fine.user_id !== userId) {
+                    return interaction.editReply(t('fines.notFound'));
+                }
+                if (!FINE_PAYABLE_STATUSES.includes(fine.status)) {
+                    return interaction.editReply(t('fines.notPayable', { status: fineStatusLabel(t, fine.status) }));
+                }
+                
+                const method = options.getString('method') || 'dollars';
+                
+                // Pagamento com o saldo em reais
+                if (method === 'dollars') {
+                    const claimed = await claimFine(fine.id);
+                    if (!claimed) {
+                        return interaction.editReply(t('fines.alreadyPaying'));
+                    }
+                    const remaining = claimed.amount - claimed.paid_amount;
+                    
+                    try {
+                        const { balance } = await payFineWithDollars(claimed);
+                        
+                        const successEmbed = createBaseEmbed(t, t('fines.paid.title'), '#00ff00')
+                            .setDescription(t('fines.paid.description', { id: fine.id, amount: formatDollar(t, remaining) }))
+                            .addFields(
+                                { name: t('common.fields.reason'), value: fine.reason },
+                                { name: t('common.fields.yourNewBalance'), value: formatDollar(t, balance), inline: true }
+                            );
+                        await interaction.editReply({ embeds: [successEmbed], files: iconFiles(t) });
+                        
+                        const logEmbed = createLogEmbed(t('fines.paid.title'), '#00ff00')
+                            .addFields(
+                                { name: t('common.fields.user'), value: user.tag },
+                                { name: t('fines.fields.fine'), value: `#${fine.id}` },
+                                { name: t('common.fields.amount'), value: formatDollar(t, remaining) }
+                            );
+                        await sendLog(guildId, logEmbed);
+                        
+                    } catch (error) {
+                        if (error instanceof InsufficientFundsError) {
+                            const embed = createBaseEmbed(t, t('insufficient.dollars.title'), '#ff0000')
+                                .setDescription(t('insufficient.youHave', { amount: formatDollar(t, error.balance) }))
+                                .addFields({ name: t('fines.fields.amount'), value: formatDollar(t, remaining) });
+                            return replyPrivate(interaction, { embeds: [embed], files: iconFiles(t) });
+                        }
+                        
+                        console.error('Erro no pagamento da multa:', error);
+                        const errorEmbed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                            .setDescription(t('fines.payError'));
+                        await interaction.editReply({ embeds: [errorEmbed], files: iconFiles(t) });
+                    }
+                    return;
+                }
+                
+                // Pagamento em coins: do cartão do usuário para o cartão do servidor
+                const userData = await db.get('SELECT card_id, card_verified_at FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
+                if (!userData?.card_id) {
+                    const embed = createBaseEmbed(t, t('cards.missing.title'), '#ff0000')
+                        .setDescription(t('cards.missing.configureFirst'));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+                if (!userData.card_verified_at) {
+                    return interaction.editReply({ embeds: [unverifiedCardEmbed(t)], files: iconFiles(t) });
+                }
+                
+                const config = await db.get('SELECT server_card_id FROM guild_config WHERE guild_id = ?', guildId);
+                if (!config?.server_card_id) {
+                    const embed = createBaseEmbed(t, t('server.notConfigured.title'), '#ff0000')
+                        .setDescription(t('fines.noServerCard'));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+                
+                // Reserva antes de calcular: o valor em coins sai do que falta depois da reserva
+                const claimed = await claimFine(fine.id);
+                if (!claimed) {
+                    return interaction.editReply(t('fines.alreadyPaying'));
+                }
+                
+                const remaining = claimed.amount - claimed.paid_amount;
+                const rate = await getExchangeRate(guildId);
+                const coinAmount = dollarsToCoins(remaining, rate);
+                
+                const userCardStatus = await checkCardStatus(userData.card_id);
+                if (!userCardStatus.success || userCardStatus.coins < coinAmount) {
+                    await releaseFine(fine.id);
+                    const embed = createBaseEmbed(t, t('insufficient.coins.title'), '#ff0000')
+                        .setDescription(t('insufficient.coins.description', { needed: formatCoins(coinAmount), coins: formatCoins(userCardStatus.coins || 0) }));
+                    return replyPrivate(interaction, { embeds: [embed], files: iconFiles(t) });
+                }
+                
+                try {
+                    await enqueueTransaction({
+                        guildId,
+                        userId,
+                        type: 'fine',
+                        amount: remaining,
+                        coinAmount,
+                        rate,
+                        actorId: userId
+                    }, {
+                        guildId,
+                        userId,
+                        type: 'fine',
+                        payload: {
+                            fromCard: userData.card_id,
+                            toCard: config.server_card_id,
+                            amount: coinAmount,
+                            dollarAmount: remaining,
+                            rate,
+                            fineId: fine.id,
+                            userTag: user.tag
+                        },
+                        onSuccess: async (result) => {
+                            const successEmbed = createBaseEmbed(t, t('fines.paid.title'), '#00ff00')
+                                .setDescription(t('fines.paid.description', { id: fine.id, amount: formatDollar(t, remaining) }))
+                                .addFields(
+                                    { name: t('common.fields.reason'), value: fine.reason },
+                                    { name: t('common.fields.youPaid'), value: `${formatCoins(coinAmount)} coins`, inline: true },
+                                    { name: t('common.fields.rate'), value: formatRate(t, rate), inline: true },
+                                    { name: t('common.fields.transactionId'), value: `\`${result.txId}\``, inline: false }
+                                );
+                            await interaction.editReply({ embeds: [successEmbed], files: iconFiles(t) });
+                        },
+                        onError: async () => {
+                            const errorEmbed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                                .setDescription(t('fines.payError'));
+                            await interaction.editReply({ embeds: [errorEmbed], files: iconFiles(t) });
+                        },
+                        onUnknown: replyUnknownOutcome(t, interaction)
+                    });
+                    
+                } catch (error) {
+                    await releaseFine(fine.id);
+                    console.error('Erro no pagamento da multa:', error);
+                    const errorEmbed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                        .setDescription(t('fines.payError'));
+                    await interaction.editReply({ embeds: [errorEmbed], files: iconFiles(t) });
+                }
+            }
+            
+            // Subcomando: privacy (opt-out do ranking)
+            else if (subcommand === 'privacy') {
+                const hide = options.getBoolean('hide_baltop');
+                const guildId = guild.id;
+                const userId = user.id;
+                
+                if (hide !== null) {
+                    await db.run(
+                        `INSERT INTO users (user_id, guild_id, dollars, hide_from_baltop) 
+                         VALUES (?, ?, 0, ?) 
+                         ON CONFLICT(user_id, guild_id) 
+                         DO UPDATE SET hide_from_baltop = ?, updated_at = CURRENT_TIMESTAMP`,
+                        [userId, guildId, hide ? 1 : 0, hide ? 1 : 0]
+                    );
                 }
+                
+                const userData = await db.get('SELECT hide_from_baltop FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
+                const hidden = Boolean(userData?.hide_from_baltop);
+                
+                const embed = createBaseEmbed(t, t('privacy.user.title'), '#0099ff')
+                    .addFields({ name: t('privacy.user.ranking'), value: hidden ? t('privacy.user.hidden') : t('privacy.user.shown'), inline: true })
+                    .setFooter({ text: t('privacy.user.footer') });
+                
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
             }
             
             // Subcomando: deposit (converte reais para coins)
             else if (subcommand === 'deposit') {
                 const amountStr = options.getString('amount');
-                const dollarAmount = parseFloat(amountStr);
+                const dollarAmount = parseDollars(amountStr, t.currency.decimals);
                 
-                if (isNaN(dollarAmount) || dollarAmount <= 0) {
-                    return interaction.editReply('❌ Valor inválido.');
+                if (dollarAmount === null || dollarAmount <= 0) {
+                    return interaction.editReply(t('common.invalidAmount'));
                 }
                 
                 const guildId = guild.id;
@@ -1073,178 +5755,291 @@ client.on('interactionCreate', async (interaction) => {
                 const userData = await db.get('SELECT card_id, dollars FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
                 
                 if (!userData?.card_id) {
-                    const embed = createBaseEmbed('❌ Cartão não configurado', '#ff0000')
-                        .setDescription('Configure seu cartão primeiro com `/setcard`');
-                    return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    const embed = createBaseEmbed(t, t('cards.missing.title'), '#ff0000')
+                        .setDescription(t('cards.missing.configureFirst'));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
                 }
                 
                 // Verifica saldo em reais
                 const currentDollars = userData.dollars || 0;
                 if (currentDollars < dollarAmount) {
-                    const embed = createBaseEmbed('❌ Saldo Insuficiente em Reais', '#ff0000')
-                        .setDescription(`Você tem apenas ${CONFIG.CURRENCY_SYMBOL}${formatDollar(currentDollars)}`);
-                    return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    const embed = createBaseEmbed(t, t('insufficient.dollars.title'), '#ff0000')
+                        .setDescription(t('insufficient.youHave', { amount: formatDollar(t, currentDollars) }));
+                    return replyPrivate(interaction, { embeds: [embed], files: iconFiles(t) });
                 }
                 
                 // Busca configurações do servidor
                 const config = await db.get('SELECT server_card_id FROM guild_config WHERE guild_id = ?', guildId);
                 if (!config?.server_card_id) {
-                    const embed = createBaseEmbed('❌ Servidor não configurado', '#ff0000')
-                        .setDescription('O servidor ainda não configurou um cartão. Um administrador precisa usar `/server card`.');
-                    return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    const embed = createBaseEmbed(t, t('server.notConfigured.title'), '#ff0000')
+                        .setDescription(t('server.notConfigured.askAdmin'));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
                 }
                 
-                // Verifica se o cartão do servidor existe na API
+                // Verifica se o cartão do servidor existe na API; sem o saldo não há como garantir o depósito
                 const serverCardStatus = await checkCardStatus(config.server_card_id);
+                if (!serverCardStatus.success) {
+                    const embed = createBaseEmbed(t, t('server.cardUnavailable.title'), '#ff0000')
+                        .setDescription(t('server.cardUnavailable.description'));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+                
+                // Desconta a taxa e converte o restante pelo câmbio do servidor
+                const fee = await calculateFee(guildId, 'deposit', dollarAmount);
+                if (fee >= dollarAmount) {
+                    const embed = createBaseEmbed(t, t('common.tooLow.title'), '#ff0000')
+                        .setDescription(t('common.tooLow.fee', { operation: t('fees.operations.deposit').toLowerCase(), fee: formatFee(t, 'deposit', fee) }));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+                
+                const rate = await getExchangeRate(guildId);
+                const coinAmount = dollarsToCoins(dollarAmount - fee, rate);
                 
-                // Calcula conversão: 1 real = 0.00000001 coins (1 satoshi)
-                const coinAmount = dollarAmount * 0.00000001;
-                const formattedCoinAmount = toApiFormat(coinAmount);
+                if (coinAmount <= 0) {
+                    const embed = createBaseEmbed(t, t('common.tooLow.title'), '#ff0000')
+                        .setDescription(t('common.tooLow.rate', { rate: formatRate(t, rate) }));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
                 
                 // Verifica se o servidor tem saldo suficiente
                 if (serverCardStatus.coins < coinAmount) {
-                    const embed = createBaseEmbed('❌ Servidor sem Saldo', '#ff0000')
-                        .setDescription('O servidor não tem saldo suficiente para processar este depósito. Contacte um administrador.');
-                    return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    const embed = createBaseEmbed(t, t('deposit.serverShortTitle'), '#ff0000')
+                        .setDescription(t('deposit.serverShort'));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
                 }
                 
+                let reservation;
                 try {
+                    // Reserva os reais no ledger antes de enviar as coins
+                    reservation = await ledger.transfer({
+                        guildId,
+                        from: userAccount(userId),
+                        to: SYSTEM_COINS,
+                        amount: dollarAmount,
+                        fee,
+                        status: 'pending',
+                        tx: { userId, type: 'deposit', coinAmount, rate }
+                    });
+                    
                     // Processa o depósito (servidor paga para o usuário)
-                    const result = await paymentQueue.add({
+                    await enqueueTransaction({ id: reservation.transactionId }, {
                         guildId,
                         userId,
-                        type: 'card_to_id',
+                        type: 'deposit',
                         payload: {
                             fromCard: config.server_card_id,
                             toId: userId,
-                            amount: coinAmount
+                            amount: coinAmount,
+                            dollarAmount,
+                            rate,
+                            fee,
+                            userTag: user.tag
                         },
                         onSuccess: async (result) => {
-                            // Atualiza saldo em reais do usuário (diminui)
-                            const newDollars = truncateDollar(currentDollars - dollarAmount);
-                            await db.run(
-                                'UPDATE users SET dollars = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND guild_id = ?',
-                                [newDollars, userId, guildId]
-                            );
+                            const updated = await db.get('SELECT dollars FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
                             
-                            const successEmbed = createBaseEmbed('✅ Depósito Realizado', '#00ff00')
-                                .setDescription(`Depósito de **${CONFIG.CURRENCY_SYMBOL}${formatDollar(dollarAmount)}** convertido com sucesso!`)
+                            const successEmbed = createBaseEmbed(t, t('deposit.success.title'), '#00ff00')
+                                .setDescription(t('deposit.success.description', { amount: formatDollar(t, dollarAmount) }))
                                 .addFields(
-                                    { name: 'Você recebeu', value: `${formatCoin(coinAmount)} coins`, inline: true },
-                                    { name: 'Saldo atual em reais', value: `${CONFIG.CURRENCY_SYMBOL}${formatDollar(newDollars)}`, inline: true },
-                                    { name: 'ID da Transação', value: `\`${result.txId}\``, inline: false }
+                                    { name: t('common.fields.youReceived'), value: `${formatCoins(coinAmount)} coins`, inline: true },
+                                    { name: t('common.fields.fee'), value: formatFee(t, 'deposit', fee), inline: true },
+                                    { name: t('common.fields.rate'), value: formatRate(t, rate), inline: true },
+                                    { name: t('common.fields.currentDollars'), value: formatDollar(t, updated?.dollars || 0), inline: true },
+                                    { name: t('common.fields.transactionId'), value: `\`${result.txId}\``, inline: false }
                                 );
                             
-                            await interaction.editReply({ embeds: [successEmbed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
-                            
-                            const logEmbed = createLogEmbed('💰 Depósito Realizado', '#00ff00')
-                                .addFields(
-                                    { name: 'Usuário', value: user.tag },
-                                    { name: 'Valor depositado', value: `${CONFIG.CURRENCY_SYMBOL}${formatDollar(dollarAmount)}` },
-                                    { name: 'Coins recebidos', value: `${formatCoin(coinAmount)}` },
-                                    { name: 'ID da Transação', value: `\`${result.txId}\`` }
-                                );
-                            await sendLog(guildId, logEmbed);
-                        }
+                            await interaction.editReply({ embeds: [successEmbed], files: iconFiles(t) });
+                        },
+                        onError: async () => {
+                            const errorEmbed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                                .setDescription(t('deposit.error'));
+                            await interaction.editReply({ embeds: [errorEmbed], files: iconFiles(t) });
+                        },
+                        onUnknown: replyUnknownOutcome(t, interaction)
                     });
                     
                 } catch (error) {
+                    if (error instanceof LimitExceededError) {
+                        return replyPrivate(interaction, { embeds: [limitExceededEmbed(t, error)], files: iconFiles(t) });
+                    }
+                    if (error instanceof InsufficientFundsError) {
+                        const embed = createBaseEmbed(t, t('insufficient.dollars.title'), '#ff0000')
+                            .setDescription(t('insufficient.youHave', { amount: formatDollar(t, error.balance) }));
+                        return replyPrivate(interaction, { embeds: [embed], files: iconFiles(t) });
+                    }
+                    
+                    // A reserva foi feita mas o item não entrou na fila: estorna
+                    if (reservation) {
+                        await ledger.reverse({ guildId, transactionId: reservation.transactionId });
+                    }
+                    
                     console.error('Erro no depósito:', error);
-                    const errorEmbed = createBaseEmbed('❌ Erro', '#ff0000')
-                        .setDescription('Ocorreu um erro ao processar o depósito.');
-                    await interaction.editReply({ embeds: [errorEmbed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    const errorEmbed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                        .setDescription(t('deposit.error'));
+                    await interaction.editReply({ embeds: [errorEmbed], files: iconFiles(t) });
+                }
+            }
+            
+            // Subcomando: topup (código para recarregar reais pela Coin API; a resposta é sempre privada)
+            else if (subcommand === 'topup') {
+                const guildId = guild.id;
+                const config = await db.get('SELECT server_card_id FROM guild_config WHERE guild_id = ?', guildId);
+                
+                if (!CONFIG.COIN_WEBHOOK_SECRET || !config?.server_card_id) {
+                    const embed = createBaseEmbed(t, t('topup.unavailable.title'), '#ff0000')
+                        .setDescription(CONFIG.COIN_WEBHOOK_SECRET
+                            ? t('topup.notConfigured')
+                            : t('topup.unavailable.disabled'));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+                
+                const amountStr = options.getString('amount');
+                const dollarAmount = amountStr === null ? null : parseDollars(amountStr, t.currency.decimals);
+                if (amountStr !== null && (dollarAmount === null || dollarAmount <= 0)) {
+                    return interaction.editReply(t('common.invalidAmount'));
+                }
+                
+                const code = await getTopupCode(guildId, user.id);
+                const rate = await getExchangeRate(guildId);
+                
+                const embed = createBaseEmbed(t, t('topup.code.title'), '#0099ff')
+                    .setDescription(t('topup.code.description'))
+                    .addFields(
+                        { name: t('topup.code.yourCode'), value: `\`${code}\``, inline: true },
+                        { name: t('common.fields.rate'), value: formatRate(t, rate), inline: true },
+                        { name: t('common.fields.fee'), value: describeFeeConfig(t, 'topup', await getFeeConfig(guildId, 'topup')), inline: true }
+                    )
+                    .setFooter({ text: t('topup.code.footer') });
+                
+                if (dollarAmount !== null) {
+                    embed.addFields({
+                        name: t('topup.code.toReceive', { amount: formatDollar(t, dollarAmount) }),
+                        value: t('topup.code.send', { coins: formatCoins(dollarsToCoins(dollarAmount, rate)) })
+                    });
                 }
+                
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
             }
             
             // Subcomando: withdraw (converte coins para reais)
             else if (subcommand === 'withdraw') {
                 const amountStr = options.getString('amount');
-                const dollarAmount = parseFloat(amountStr);
+                const dollarAmount = parseDollars(amountStr, t.currency.decimals);
                 
-                if (isNaN(dollarAmount) || dollarAmount <= 0) {
-                    return interaction.editReply('❌ Valor inválido.');
+                if (dollarAmount === null || dollarAmount <= 0) {
+                    return interaction.editReply(t('common.invalidAmount'));
                 }
                 
                 const guildId = guild.id;
                 const userId = user.id;
                 
                 // Busca dados do usuário
-                const userData = await db.get('SELECT card_id, dollars FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
+                const userData = await db.get('SELECT card_id, card_verified_at, dollars FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
                 
                 if (!userData?.card_id) {
-                    const embed = createBaseEmbed('❌ Cartão não configurado', '#ff0000')
-                        .setDescription('Configure seu cartão primeiro com `/setcard`');
-                    return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    const embed = createBaseEmbed(t, t('cards.missing.title'), '#ff0000')
+                        .setDescription(t('cards.missing.configureFirst'));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+                if (!userData.card_verified_at) {
+                    return interaction.editReply({ embeds: [unverifiedCardEmbed(t)], files: iconFiles(t) });
                 }
                 
                 // Busca configurações do servidor
                 const config = await db.get('SELECT server_card_id FROM guild_config WHERE guild_id = ?', guildId);
                 if (!config?.server_card_id) {
-                    const embed = createBaseEmbed('❌ Servidor não configurado', '#ff0000')
-                        .setDescription('O servidor ainda não configurou um cartão. Um administrador precisa usar `/server card`.');
-                    return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    const embed = createBaseEmbed(t, t('server.notConfigured.title'), '#ff0000')
+                        .setDescription(t('server.notConfigured.askAdmin'));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
                 }
                 
-                // Verifica se o cartão do servidor existe na API
+                // Verifica se o cartão do servidor existe na API; sem ele as coins não têm para onde ir
                 const serverCardStatus = await checkCardStatus(config.server_card_id);
+                if (!serverCardStatus.success) {
+                    const embed = createBaseEmbed(t, t('server.cardUnavailable.title'), '#ff0000')
+                        .setDescription(t('server.cardUnavailable.description'));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
                 
-                // Calcula conversão: reais -> coins
-                const coinAmount = dollarAmount * 0.00000001;
-                const formattedCoinAmount = toApiFormat(coinAmount);
+                // Calcula conversão pelo câmbio do servidor; a taxa sai dos reais creditados
+                const fee = await calculateFee(guildId, 'withdraw', dollarAmount);
+                if (fee >= dollarAmount) {
+                    const embed = createBaseEmbed(t, t('common.tooLow.title'), '#ff0000')
+                        .setDescription(t('common.tooLow.fee', { operation: t('fees.operations.withdraw').toLowerCase(), fee: formatFee(t, 'withdraw', fee) }));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+                
+                const rate = await getExchangeRate(guildId);
+                const coinAmount = dollarsToCoins(dollarAmount, rate);
+                
+                if (coinAmount <= 0) {
+                    const embed = createBaseEmbed(t, t('common.tooLow.title'), '#ff0000')
+                        .setDescription(t('common.tooLow.rate', { rate: formatRate(t, rate) }));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
                 
                 // Verifica saldo em coins do usuário
                 const userCardStatus = await checkCardStatus(userData.card_id);
                 if (!userCardStatus.success || userCardStatus.coins < coinAmount) {
-                    const embed = createBaseEmbed('❌ Saldo Insuficiente em Coins', '#ff0000')
-                        .setDescription(`Você precisa de ${formatCoin(coinAmount)} coins, mas tem apenas ${formatCoin(userCardStatus.coins || 0)}`);
-                    return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    const embed = createBaseEmbed(t, t('insufficient.coins.title'), '#ff0000')
+                        .setDescription(t('insufficient.coins.description', { needed: formatCoins(coinAmount), coins: formatCoins(userCardStatus.coins || 0) }));
+                    return replyPrivate(interaction, { embeds: [embed], files: iconFiles(t) });
                 }
                 
                 try {
                     // Processa o saque (usuário paga para o servidor)
-                    const result = await paymentQueue.add({
+                    await enqueueTransaction({
                         guildId,
                         userId,
-                        type: 'card_to_card',
+                        type: 'withdraw',
+                        amount: dollarAmount,
+                        coinAmount,
+                        rate,
+                        fee
+                    }, {
+                        guildId,
+                        userId,
+                        type: 'withdraw',
                         payload: {
                             fromCard: userData.card_id,
                             toCard: config.server_card_id,
-                            amount: coinAmount
+                            amount: coinAmount,
+                            dollarAmount,
+                            rate,
+                            fee,
+                            userTag: user.tag
                         },
                         onSuccess: async (result) => {
-                            // Atualiza saldo em reais do usuário (aumenta)
-                            const newDollars = truncateDollar((userData.dollars || 0) + dollarAmount);
-                            await db.run(
-                                'UPDATE users SET dollars = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND guild_id = ?',
-                                [newDollars, userId, guildId]
-                            );
+                            const updated = await db.get('SELECT dollars FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
                             
-                            const successEmbed = createBaseEmbed('✅ Saque Realizado', '#00ff00')
-                                .setDescription(`Saque de **${CONFIG.CURRENCY_SYMBOL}${formatDollar(dollarAmount)}** convertido com sucesso!`)
+                            const successEmbed = createBaseEmbed(t, t('withdraw.success.title'), '#00ff00')
+                                .setDescription(t('withdraw.success.description', { amount: formatDollar(t, dollarAmount) }))
                                 .addFields(
-                                    { name: 'Você pagou', value: `${formatCoin(coinAmount)} coins`, inline: true },
-                                    { name: 'Saldo atual em reais', value: `${CONFIG.CURRENCY_SYMBOL}${formatDollar(newDollars)}`, inline: true },
-                                    { name: 'ID da Transação', value: `\`${result.txId}\``, inline: false }
+                                    { name: t('common.fields.youPaid'), value: `${formatCoins(coinAmount)} coins`, inline: true },
+                                    { name: t('common.fields.fee'), value: formatFee(t, 'withdraw', fee), inline: true },
+                                    { name: t('common.fields.rate'), value: formatRate(t, rate), inline: true },
+                                    { name: t('common.fields.currentDollars'), value: formatDollar(t, updated?.dollars || 0), inline: true },
+                                    { name: t('common.fields.transactionId'), value: `\`${result.txId}\``, inline: false }
                                 );
                             
-                            await interaction.editReply({ embeds: [successEmbed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
-                            
-                            const logEmbed = createLogEmbed('💰 Saque Realizado', '#00ff00')
-                                .addFields(
-                                    { name: 'Usuário', value: user.tag },
-                                    { name: 'Valor sacado', value: `${CONFIG.CURRENCY_SYMBOL}${formatDollar(dollarAmount)}` },
-                                    { name: 'Coins pagos', value: `${formatCoin(coinAmount)}` },
-                                    { name: 'ID da Transação', value: `\`${result.txId}\`` }
-                                );
-                            await sendLog(guildId, logEmbed);
-                        }
+                            await interaction.editReply({ embeds: [successEmbed], files: iconFiles(t) });
+                        },
+                        onError: async () => {
+                            const errorEmbed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                                .setDescription(t('withdraw.error'));
+                            await interaction.editReply({ embeds: [errorEmbed], files: iconFiles(t) });
+                        },
+                        onUnknown: replyUnknownOutcome(t, interaction)
                     });
                     
                 } catch (error) {
+                    if (error instanceof LimitExceededError) {
+                        return replyPrivate(interaction, { embeds: [limitExceededEmbed(t, error)], files: iconFiles(t) });
+                    }
                     console.error('Erro no saque:', error);
-                    const errorEmbed = createBaseEmbed('❌ Erro', '#ff0000')
-                        .setDescription('Ocorreu um erro ao processar o saque.');
-                    await interaction.editReply({ embeds: [errorEmbed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    const errorEmbed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                        .setDescription(t('withdraw.error'));
+                    await interaction.editReply({ embeds: [errorEmbed], files: iconFiles(t) });
                 }
             }
         }
@@ -1252,80 +6047,97 @@ client.on('interactionCreate', async (interaction) => {
         // ===== COMANDO /PAYSERVER =====
         else if (commandName === 'payserver') {
             const amountStr = options.getString('amount');
-            const amount = parseFloat(amountStr);
+            const coinAmount = parseCoins(amountStr);
             
-            if (isNaN(amount) || amount <= 0) {
-                return interaction.editReply('❌ Valor inválido.');
+            if (coinAmount === null || coinAmount <= 0) {
+                return interaction.editReply(t('common.invalidAmount'));
             }
             
             const guildId = guild.id;
             const userId = user.id;
-            const coinAmount = amount;
-            const formattedCoinAmount = toApiFormat(coinAmount);
+            
+            // A taxa é cobrada por cima do valor, e vai junto para o cartão do servidor
+            const fee = await calculateFee(guildId, 'payserver', coinAmount);
+            const totalCoins = coinAmount + fee;
             
             // Busca configurações do servidor
             const config = await db.get('SELECT server_card_id FROM guild_config WHERE guild_id = ?', guildId);
             if (!config?.server_card_id) {
-                const embed = createBaseEmbed('❌ Servidor não configurado', '#ff0000')
-                    .setDescription('O servidor ainda não configurou um cartão.');
-                return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                const embed = createBaseEmbed(t, t('server.notConfigured.title'), '#ff0000')
+                    .setDescription(t('server.notConfigured.description'));
+                return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
             }
             
             // Busca cartão do usuário
-            const userData = await db.get('SELECT card_id FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
+            const userData = await db.get('SELECT card_id, card_verified_at FROM users WHERE user_id = ? AND guild_id = ?', userId, guildId);
             if (!userData?.card_id) {
-                const embed = createBaseEmbed('❌ Cartão não configurado', '#ff0000')
-                    .setDescription('Use `/setcard` para configurar seu cartão primeiro.');
-                return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                const embed = createBaseEmbed(t, t('cards.missing.title'), '#ff0000')
+                    .setDescription(t('cards.missing.description'));
+                return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+            }
+            if (!userData.card_verified_at) {
+                return interaction.editReply({ embeds: [unverifiedCardEmbed(t)], files: iconFiles(t) });
             }
             
             // Verifica saldo do usuário
             const userCardStatus = await checkCardStatus(userData.card_id);
-            if (!userCardStatus.success || userCardStatus.coins < coinAmount) {
-                const embed = createBaseEmbed('❌ Saldo Insuficiente', '#ff0000')
-                    .setDescription(`Você não tem saldo suficiente.`)
+            if (!userCardStatus.success || userCardStatus.coins < totalCoins) {
+                const embed = createBaseEmbed(t, t('insufficient.title'), '#ff0000')
+                    .setDescription(t('insufficient.description'))
                     .addFields(
-                        { name: 'Seu saldo', value: `${formatCoin(userCardStatus.coins || 0)} coins` },
-                        { name: 'Valor', value: `${formatCoin(coinAmount)} coins` }
+                        { name: t('common.fields.yourBalance'), value: `${formatCoins(userCardStatus.coins || 0)} coins` },
+                        { name: t('common.fields.amount'), value: `${formatCoins(coinAmount)} coins` },
+                        { name: t('common.fields.fee'), value: formatFee(t, 'payserver', fee) }
                     );
-                return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                return replyPrivate(interaction, { embeds: [embed], files: iconFiles(t) });
             }
             
             try {
                 // Processa o pagamento para o servidor
-                const result = await paymentQueue.add({
+                await enqueueTransaction({
+                    guildId,
+                    userId,
+                    type: 'payserver',
+                    coinAmount,
+                    fee
+                }, {
                     guildId,
                     userId,
-                    type: 'card_to_id',
+                    type: 'payserver',
                     payload: {
                         fromCard: userData.card_id,
-                        toId: userId,
-                        amount: coinAmount
+                        toCard: config.server_card_id,
+                        amount: totalCoins,
+                        fee,
+                        userTag: user.tag
                     },
                     onSuccess: async (result) => {
-                        const successEmbed = createBaseEmbed('✅ Pagamento ao Servidor Realizado', '#00ff00')
-                            .setDescription(`Pagamento de **${formatCoin(coinAmount)} coins** enviado com sucesso!`)
+                        const successEmbed = createBaseEmbed(t, t('payserver.success.title'), '#00ff00')
+                            .setDescription(t('pay.success.description', { amount: `${formatCoins(coinAmount)} coins` }))
                             .addFields(
-                                { name: 'ID da Transação', value: `\`${result.txId}\`` }
+                                { name: t('common.fields.fee'), value: formatFee(t, 'payserver', fee), inline: true },
+                                { name: t('payserver.fields.totalDebited'), value: `${formatCoins(totalCoins)} coins`, inline: true },
+                                { name: t('common.fields.transactionId'), value: `\`${result.txId}\`` }
                             );
                         
-                        await interaction.editReply({ embeds: [successEmbed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
-                        
-                        const logEmbed = createLogEmbed('🏦 Pagamento ao Servidor', '#00ff00')
-                            .addFields(
-                                { name: 'Usuário', value: user.tag },
-                                { name: 'Valor', value: `${formatCoin(coinAmount)} coins` },
-                                { name: 'ID da Transação', value: `\`${result.txId}\`` }
-                            );
-                        await sendLog(guildId, logEmbed);
-                    }
+                        await interaction.editReply({ embeds: [successEmbed], files: iconFiles(t) });
+                    },
+                    onError: async () => {
+                        const errorEmbed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                            .setDescription(t('pay.error'));
+                        await interaction.editReply({ embeds: [errorEmbed], files: iconFiles(t) });
+                    },
+                    onUnknown: replyUnknownOutcome(t, interaction)
                 });
                 
             } catch (error) {
+                if (error instanceof LimitExceededError) {
+                    return replyPrivate(interaction, { embeds: [limitExceededEmbed(t, error)], files: iconFiles(t) });
+                }
                 console.error('Erro no pagamento:', error);
-                const errorEmbed = createBaseEmbed('❌ Erro', '#ff0000')
-                    .setDescription('Ocorreu um erro ao processar o pagamento.');
-                await interaction.editReply({ embeds: [errorEmbed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                const errorEmbed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                    .setDescription(t('pay.error'));
+                await interaction.editReply({ embeds: [errorEmbed], files: iconFiles(t) });
             }
         }
         
@@ -1333,283 +6145,796 @@ client.on('interactionCreate', async (interaction) => {
         else if (commandName === 'server') {
             const subcommand = options.getSubcommand();
             
-            // Subcomando: card - apenas registra o card sem verificar na API
-            if (subcommand === 'card') {
-                if (!member.permissions.has(PermissionsBitField.Flags.Administrator)) {
-                    return interaction.editReply('❌ Apenas administradores podem usar este comando.');
+            // Subcomando: card abre o formulário antes do deferReply (ver acima)
+            
+            // Subcomando: log
+            if (subcommand === 'log') {
+                if (!await authorize(member, 'config.edit')) {
+                    return interaction.editReply(permissionDenied(t, 'config.edit'));
                 }
                 
-                const cardId = options.getString('card_id');
+                const channel = options.getChannel('channel');
+                
+                // Grava e envia uma mensagem de teste no canal
+                await setLogChannel(guild.id, channel.id, user);
+                
+                const embed = createBaseEmbed(t, t('server.log.title'), '#00ff00')
+                    .setDescription(t('server.log.description', { channel: `${channel}` }));
+                
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+            }
+            
+            // Subcomando: balance
+            else if (subcommand === 'balance') {
                 const guildId = guild.id;
                 
+                const config = await db.get('SELECT server_card_id FROM guild_config WHERE guild_id = ?', guildId);
+                
+                if (!config?.server_card_id) {
+                    const embed = createBaseEmbed(t, t('server.notConfigured.title'), '#ff0000')
+                        .setDescription(t('server.notConfigured.description'));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+                
                 try {
-                    // Salva no banco de dados sem verificar na API
-                    await db.run(
-                        `INSERT INTO guild_config (guild_id, server_card_id) 
-                         VALUES (?, ?) 
-                         ON CONFLICT(guild_id) 
-                         DO UPDATE SET server_card_id = ?, updated_at = CURRENT_TIMESTAMP`,
-                        [guildId, cardId, cardId]
+                    const status = await checkCardStatus(config.server_card_id);
+                    const rate = await getExchangeRate(guildId);
+                    
+                    const embed = createBaseEmbed(t, t('server.balance.title'), '#0099ff')
+                        .addFields(
+                            { name: t('common.fields.balance'), value: `${formatCoins(status.coins || 0)} coins`, inline: true },
+                            { name: t('server.balance.equivalent'), value: formatDollar(t, coinsToDollars(status.coins || 0, rate)), inline: true },
+                            { name: t('common.fields.rate'), value: formatRate(t, rate), inline: true },
+                            { name: t('balance.coins.transactions'), value: `${status.totalTransactions || 0}`, inline: true }
+                        );
+                    
+                    await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                    
+                } catch (error) {
+                    console.error('Erro ao verificar saldo do servidor:', error);
+                    const embed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                        .setDescription(t('server.balance.error'));
+                    await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+            }
+            
+            // Subcomando: audit
+            else if (subcommand === 'audit') {
+                if (!await authorize(member, 'server.audit')) {
+                    return interaction.editReply(permissionDenied(t, 'server.audit'));
+                }
+                
+                const report = await auditGuild(guild.id);
+                const embed = buildAuditEmbed(t, report)
+                    .setFooter({ text: t('audit.requestedBy', { user: user.tag }) });
+                
+                await interaction.editReply({ embeds: [embed] });
+                await sendLog(guild.id, embed);
+            }
+            
+            // Subcomando: topup (estado das recargas do /money topup, pagas ao cartão do servidor)
+            else if (subcommand === 'topup') {
+                if (!await authorize(member, 'config.edit')) {
+                    return interaction.editReply(permissionDenied(t, 'config.edit'));
+                }
+                
+                const guildId = guild.id;
+                const config = await db.get('SELECT server_card_id FROM guild_config WHERE guild_id = ?', guildId);
+                const { credited, total } = await db.get(
+                    `SELECT COUNT(*) AS credited, COALESCE(SUM(amount - fee), 0) AS total 
+                     FROM topup_payments WHERE guild_id = ? AND status = 'credited'`,
+                    guildId
+                );
+                
+                // Os avisos chegam pela API web: sem ela ou sem o segredo, nada é creditado
+                const webhookStatus = !CONFIG.COIN_WEBHOOK_SECRET
+                    ? t('topup.server.setVariable', { variable: 'COIN_WEBHOOK_SECRET' })
+                    : CONFIG.WEB_PORT > 0 ? t('topup.server.enabled') : t('topup.server.setVariable', { variable: 'WEB_PORT' });
+                
+                const embed = createBaseEmbed(t, t('topup.server.title'), '#0099ff')
+                    .addFields(
+                        { name: t('topup.server.card'), value: config?.server_card_id ? t('topup.server.cardConfigured') : t('topup.server.notConfigured'), inline: true },
+                        { name: t('topup.server.notices'), value: webhookStatus, inline: true },
+                        { name: t('topup.server.credited'), value: `${credited} (${formatDollar(t, total)})`, inline: true }
                     );
+                
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+            }
+            
+            // Subcomando: api (tokens da API web; a resposta é sempre privada)
+            else if (subcommand === 'api') {
+                if (!await authorize(member, 'perms.manage')) {
+                    return interaction.editReply(permissionDenied(t, 'perms.manage'));
+                }
+                
+                const action = options.getString('action');
+                const guildId = guild.id;
+                
+                if (action === 'create') {
+                    const label = options.getString('label') || t('api.defaultLabel', { user: user.username });
+                    const { id, token } = await createApiToken(guildId, label, user.id);
+                    
+                    const embed = createBaseEmbed(t, t('api.created.title'), '#00ff00')
+                        .setDescription(t('api.created.description', { token }))
+                        .addFields(
+                            { name: 'ID', value: `#${id}`, inline: true },
+                            { name: t('api.fields.name'), value: label, inline: true },
+                            { name: t('api.fields.usage'), value: t('api.created.usage') }
+                        );
+                    await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
                     
-                    const embed = createBaseEmbed('✅ Cartão do Servidor Configurado', '#00ff00')
-                        .setDescription(`Cartão do servidor configurado com sucesso!`)
+                    const logEmbed = createLogEmbed(t('api.created.title'), '#ffa500')
                         .addFields(
-                            { name: 'Cartão', value: maskCardId(cardId), inline: true }
+                            { name: t('common.fields.admin'), value: user.tag },
+                            { name: 'Token', value: `#${id} (${label})` }
                         );
+                    await sendLog(guildId, logEmbed);
+                }
+                
+                else if (action === 'revoke') {
+                    const tokenId = options.getInteger('id');
+                    if (!tokenId || !await revokeApiToken(guildId, tokenId)) {
+                        return interaction.editReply(t('api.notFound'));
+                    }
                     
-                    await interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    const embed = createBaseEmbed(t, t('api.revoked.title'), '#00ff00')
+                        .setDescription(t('api.revoked.description', { id: tokenId }));
+                    await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
                     
-                    // Log da operação
-                    const logEmbed = createLogEmbed('⚙️ Configuração do Servidor', '#00ff00')
-                        .setDescription(`Cartão do servidor configurado`)
+                    const logEmbed = createLogEmbed(t('api.revoked.title'), '#ffa500')
                         .addFields(
-                            { name: 'Admin', value: user.tag },
-                            { name: 'Cartão', value: maskCardId(cardId) }
+                            { name: t('common.fields.admin'), value: user.tag },
+                            { name: 'Token', value: `#${tokenId}` }
                         );
                     await sendLog(guildId, logEmbed);
+                }
+                
+                else {
+                    const tokens = await db.all(
+                        'SELECT id, label, created_by, created_at, last_used_at FROM api_tokens WHERE guild_id = ? ORDER BY id',
+                        guildId
+                    );
                     
-                } catch (error) {
-                    console.error('Erro ao configurar cartão do servidor:', error);
-                    const embed = createBaseEmbed('❌ Erro', '#ff0000')
-                        .setDescription('Ocorreu um erro ao configurar o cartão.');
-                    await interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    const embed = createBaseEmbed(t, t('api.list.title'), '#0099ff')
+                        .setDescription(tokens.map(token => t('api.list.line', {
+                            id: token.id,
+                            label: token.label,
+                            user: `<@${token.created_by}>`,
+                            used: token.last_used_at ? t('api.list.lastUsed', { time: token.last_used_at }) : t('api.list.neverUsed')
+                        })).join('\n') || t('api.list.empty'))
+                        .setFooter({ text: CONFIG.WEB_PORT > 0 ? t('api.list.dashboard', { url: `http://${CONFIG.WEB_HOST}:${CONFIG.WEB_PORT}/` }) : t('api.list.disabled') });
+                    await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
                 }
             }
             
-            // Subcomando: log
-            else if (subcommand === 'log') {
-                if (!member.permissions.has(PermissionsBitField.Flags.Administrator)) {
-                    return interaction.editReply('❌ Apenas administradores podem usar este comando.');
+            // Subcomando: webhooks (eventos da economia para outros serviços; a resposta é sempre privada)
+            else if (subcommand === 'webhooks') {
+                if (!await authorize(member, 'config.edit')) {
+                    return interaction.editReply(permissionDenied(t, 'config.edit'));
                 }
                 
-                const channel = options.getChannel('channel');
+                const action = options.getString('action');
                 const guildId = guild.id;
+                const webhookId = options.getInteger('id');
                 
-                await db.run(
-                    `INSERT INTO guild_config (guild_id, log_channel_id) 
-                     VALUES (?, ?) 
-                     ON CONFLICT(guild_id) 
-                     DO UPDATE SET log_channel_id = ?, updated_at = CURRENT_TIMESTAMP`,
-                    [guildId, channel.id, channel.id]
-                );
+                if (action === 'add') {
+                    const url = parseWebhookUrl(options.getString('url'), { allowPrivate: CONFIG.WEBHOOK_ALLOW_PRIVATE_HOSTS });
+                    if (!url) {
+                        return interaction.editReply(t('webhooks.invalidUrl'));
+                    }
+                    const filters = parseEventFilter(options.getString('events'));
+                    if (!filters) {
+                        return interaction.editReply(t('webhooks.unknownEvent', { events: Object.keys(ECONOMY_EVENTS).map(type => `\`${type}\``).join(', ') }));
+                    }
+                    
+                    const { id, secret } = await createWebhook(guildId, url, filters, user);
+                    
+                    const embed = createBaseEmbed(t, t('webhooks.added.title'), '#00ff00')
+                        .setDescription(t('webhooks.added.description', { secret }))
+                        .addFields(
+                            { name: 'ID', value: `#${id}`, inline: true },
+                            { name: t('webhooks.fields.events'), value: filters.join(', '), inline: true },
+                            { name: 'URL', value: url },
+                            { name: t('webhooks.fields.signature'), value: t('webhooks.added.signature') }
+                        );
+                    await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
                 
-                const embed = createBaseEmbed('✅ Canal de Log Configurado', '#00ff00')
-                    .setDescription(`Logs serão enviados para ${channel}`);
+                else if (action === 'remove') {
+                    if (!webhookId || !await removeWebhook(guildId, webhookId, user)) {
+                        return interaction.editReply(t('webhooks.notFound'));
+                    }
+                    
+                    const embed = createBaseEmbed(t, t('webhooks.removed.title'), '#00ff00')
+                        .setDescription(t('webhooks.removed.description', { id: webhookId }));
+                    await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
                 
-                await interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                else if (action === 'test') {
+                    const hook = webhookId ? await db.get('SELECT id, url FROM webhooks WHERE guild_id = ? AND id = ?', guildId, webhookId) : null;
+                    if (!hook) {
+                        return interaction.editReply(t('webhooks.notFound'));
+                    }
+                    
+                    // O teste vai só para este webhook, fora do barramento
+                    const deliveryId = await webhooks.enqueue(hook.id, createEvent(guildId, 'webhook.test', { webhook_id: hook.id, requested_by: user.id }));
+                    await webhooks.process();
+                    const delivery = await db.get('SELECT status, attempts, response_status, error FROM webhook_deliveries WHERE id = ?', deliveryId);
+                    
+                    const delivered = delivery.status === 'delivered';
+                    const embed = createBaseEmbed(t, delivered ? t('webhooks.test.delivered') : t('webhooks.test.undelivered'), delivered ? '#00ff00' : '#ff0000')
+                        .addFields(
+                            { name: 'URL', value: hook.url },
+                            { name: t('webhooks.fields.response'), value: delivery.response_status ? `HTTP ${delivery.response_status}` : delivery.error || '-', inline: true },
+                            { name: 'Status', value: t(`webhooks.status.${delivery.status}`), inline: true }
+                        );
+                    if (delivery.status === 'pending') {
+                        embed.setFooter({ text: t('webhooks.test.retrying') });
+                    }
+                    await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
                 
-                // Teste do canal de log
-                const testEmbed = createLogEmbed('📝 Canal de Log Configurado', '#00ff00')
-                    .setDescription('Este canal agora receberá todos os logs do sistema.')
-                    .addFields({ name: 'Configurado por', value: user.tag });
+                else if (action === 'deliveries') {
+                    const deliveries = await db.all(
+                        `SELECT id, webhook_id, event_type, status, attempts, response_status, error, created_at 
+                         FROM webhook_deliveries 
+                         WHERE guild_id = ? AND (? IS NULL OR webhook_id = ?) 
+                         ORDER BY id DESC LIMIT ?`,
+                        guildId, webhookId, webhookId, WEBHOOK_DELIVERIES_SHOWN
+                    );
+                    
+                    const embed = createBaseEmbed(t, t('webhooks.deliveries.title'), '#0099ff')
+                        .setDescription(deliveries.map(d =>
+                            t('webhooks.deliveries.line', { id: d.id, status: t(`webhooks.status.${d.status}`), webhook: d.webhook_id, event: d.event_type, attempts: d.attempts }) +
+                            (d.response_status ? ` • HTTP ${d.response_status}` : d.error ? ` • ${d.error}` : '')
+                        ).join('\n') || t('webhooks.deliveries.empty'))
+                        .setFooter({ text: webhookId
+                            ? t('webhooks.deliveries.footerWebhook', { count: WEBHOOK_DELIVERIES_SHOWN, id: webhookId })
+                            : t('webhooks.deliveries.footer', { count: WEBHOOK_DELIVERIES_SHOWN }) });
+                    await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
                 
-                await sendLog(guildId, testEmbed);
+                else {
+                    const hooks = await db.all(
+                        `SELECT w.id, w.url, w.events, 
+                                SUM(d.status = 'delivered') AS delivered, SUM(d.status = 'pending') AS pending, SUM(d.status = 'failed') AS failed 
+                         FROM webhooks w 
+                         LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id 
+                         WHERE w.guild_id = ? 
+                         GROUP BY w.id 
+                         ORDER BY w.id`,
+                        guildId
+                    );
+                    
+                    const embed = createBaseEmbed(t, t('webhooks.list.title'), '#0099ff')
+                        .setDescription(hooks.map(h =>
+                            `**#${h.id}** ${h.url}\n${t('webhooks.fields.events')}: ${JSON.parse(h.events).join(', ')} • ✅ ${h.delivered || 0} ⏳ ${h.pending || 0} ❌ ${h.failed || 0}`
+                        ).join('\n\n') || t('webhooks.empty'));
+                    await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
             }
             
-            // Subcomando: balance
-            else if (subcommand === 'balance') {
+            // Subcomando: privacy (quais comandos respondem de forma privada)
+            else if (subcommand === 'privacy') {
+                if (!await authorize(member, 'config.edit')) {
+                    return interaction.editReply(permissionDenied(t, 'config.edit'));
+                }
+                
                 const guildId = guild.id;
+                const command = options.getString('command');
+                const isPrivate = options.getBoolean('private');
                 
-                const config = await db.get('SELECT server_card_id FROM guild_config WHERE guild_id = ?', guildId);
+                if ((command === null) !== (isPrivate === null)) {
+                    return interaction.editReply(t('privacy.server.bothOptions'));
+                }
                 
-                if (!config?.server_card_id) {
-                    const embed = createBaseEmbed('❌ Servidor não configurado', '#ff0000')
-                        .setDescription('O servidor ainda não configurou um cartão.');
-                    return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                let privateCommands;
+                if (command) {
+                    privateCommands = await setCommandPrivacy(guildId, command, isPrivate);
+                    
+                    const logEmbed = createLogEmbed(t('privacy.server.log'), '#0099ff')
+                        .addFields(
+                            { name: t('common.fields.admin'), value: user.tag },
+                            { name: t('privacy.server.command'), value: PRIVACY_COMMANDS[command].label },
+                            { name: t('privacy.server.reply'), value: isPrivate ? t('privacy.server.private') : t('privacy.server.public') }
+                        );
+                    await sendLog(guildId, logEmbed);
+                } else {
+                    privateCommands = await getPrivateCommands(guildId);
                 }
                 
-                try {
-                    const status = await checkCardStatus(config.server_card_id);
+                const lines = Object.entries(PRIVACY_COMMANDS)
+                    .map(([key, { label }]) => `${privateCommands.has(key) ? '🔒' : '🌐'} \`${label}\``);
+                
+                const embed = createBaseEmbed(t, t('privacy.server.title'), '#0099ff')
+                    .setDescription(lines.join('\n'))
+                    .addFields({ name: t('privacy.server.alwaysPrivate'), value: t('privacy.server.alwaysPrivateList') })
+                    .setFooter({ text: t('privacy.server.footer') });
+                
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+            }
+            
+            // Subcomando: language
+            else if (subcommand === 'language') {
+                const locale = options.getString('language');
+                
+                // Sem opção, só mostra o idioma atual
+                let reply = t;
+                if (locale) {
+                    if (!await authorize(member, 'config.edit')) {
+                        return interaction.editReply(permissionDenied(t, 'config.edit'));
+                    }
+                    if (!LOCALES[locale]) {
+                        return interaction.editReply(t('language.invalid'));
+                    }
+                    // A resposta já sai no idioma novo
+                    reply = await setGuildLocale(guild.id, locale, user);
+                }
+                
+                const embed = createBaseEmbed(reply, reply(locale ? 'language.changed' : 'language.title'), locale ? '#00ff00' : '#0099ff')
+                    .setDescription(reply('language.current', { language: LOCALES[reply.locale].name }))
+                    .addFields({ name: reply('language.fields.available'), value: Object.values(LOCALES).map(({ name }) => name).join(', ') })
+                    .setFooter({ text: reply('language.footer') });
+                
+                await interaction.editReply({ embeds: [embed], files: iconFiles(reply) });
+            }
+            
+            // Subcomando: currency
+            else if (subcommand === 'currency') {
+                const name = options.getString('name');
+                const symbol = options.getString('symbol');
+                const decimals = options.getInteger('decimals');
+                const icon = options.getAttachment('icon');
+                const reset = options.getBoolean('reset');
+                const changing = Boolean(reset) || [name, symbol, decimals, icon].some(v => v !== null);
+                
+                // Sem opções, só mostra a moeda atual
+                let reply = t;
+                if (changing) {
+                    if (!await authorize(member, 'config.edit')) {
+                        return interaction.editReply(permissionDenied(t, 'config.edit'));
+                    }
+                    
+                    // reset volta tudo ao padrão; as outras opções valem por cima dele
+                    const changes = reset
+                        ? { currency_name: null, currency_symbol: null, currency_decimals: null, currency_icon: null, currency_icon_type: null }
+                        : {};
+                    if (name !== null) {
+                        changes.currency_name = parseCurrencyText(name, CURRENCY_NAME_MAX_LENGTH);
+                        if (!changes.currency_name) return interaction.editReply(t('currency.invalidName', { max: CURRENCY_NAME_MAX_LENGTH }));
+                    }
+                    if (symbol !== null) {
+                        changes.currency_symbol = parseCurrencyText(symbol, CURRENCY_SYMBOL_MAX_LENGTH);
+                        if (!changes.currency_symbol) return interaction.editReply(t('currency.invalidSymbol', { max: CURRENCY_SYMBOL_MAX_LENGTH }));
+                    }
+                    if (decimals !== null) {
+                        if (decimals < 0 || decimals > DOLLAR_DECIMALS) {
+                            return interaction.editReply(t('currency.invalidDecimals', { max: DOLLAR_DECIMALS }));
+                        }
+                        changes.currency_decimals = decimals;
+                    }
+                    if (icon) {
+                        // O tamanho informado pelo Discord evita baixar o que já seria recusado
+                        const result = icon.size > CURRENCY_ICON_MAX_BYTES
+                            ? { ok: false, error: 'too_large' }
+                            : await fetchIcon({ url: icon.url, maxBytes: CURRENCY_ICON_MAX_BYTES, timeoutMs: CURRENCY_ICON_TIMEOUT_MS });
+                        if (!result.ok) {
+                            return interaction.editReply(t(`currency.iconErrors.${result.error}`, { max: CURRENCY_ICON_MAX_BYTES / 1024 }));
+                        }
+                        changes.currency_icon = result.data;
+                        changes.currency_icon_type = result.ext;
+                    }
+                    
+                    // A resposta já sai com a moeda nova
+                    reply = await setGuildCurrency(guild.id, changes, user);
+                }
+                
+                const embed = createBaseEmbed(reply, reply(changing ? 'currency.changed' : 'currency.title'), changing ? '#00ff00' : '#0099ff')
+                    .addFields(...currencyFields(reply))
+                    .setFooter({ text: reply('currency.footer') });
+                
+                await interaction.editReply({ embeds: [embed], files: iconFiles(reply) });
+            }
+            
+            // Subcomando: limits
+            else if (subcommand === 'limits') {
+                const guildId = guild.id;
+                const values = Object.fromEntries(Object.entries(LIMITS).map(([key, { option, unit }]) => [
+                    key,
+                    unit === 'count' ? options.getInteger(option) : options.getString(option)
+                ]));
+                const changing = Object.values(values).some(v => v !== null);
+                
+                let limits = await getLimits(guildId);
+                if (changing) {
+                    if (!await authorize(member, 'config.edit')) {
+                        return interaction.editReply(permissionDenied(t, 'config.edit'));
+                    }
+                    
+                    // Campos não informados mantêm o valor atual
+                    const changes = parseLimitChanges(values);
+                    if (!changes) {
+                        return interaction.editReply(t('limits.invalid'));
+                    }
+                    limits = await updateLimits(guildId, changes, user);
+                }
+                
+                const embed = createBaseEmbed(t, changing ? t('limits.configured') : t('limits.title'), changing ? '#00ff00' : '#0099ff')
+                    .setFooter({ text: t('limits.footer') });
+                for (const key of Object.keys(LIMITS)) {
+                    embed.addFields({ name: t(`limits.labels.${key}`), value: describeLimit(t, key, limits[key]), inline: true });
+                }
+                
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+            }
+            
+            // Subcomando: fees
+            else if (subcommand === 'fees') {
+                const guildId = guild.id;
+                const operation = options.getString('operation');
+                const values = {
+                    percent_bps: options.getString('percent'),
+                    flat: options.getString('flat'),
+                    min_fee: options.getString('min'),
+                    max_fee: options.getString('max')
+                };
+                
+                // Sem valores: apenas consulta
+                if (Object.values(values).every(v => v === null)) {
+                    const operations = operation ? [operation] : Object.keys(FEE_OPERATIONS);
+                    const embed = createBaseEmbed(t, t('fees.title'), '#0099ff');
+                    
+                    for (const op of operations) {
+                        const feeConfig = await getFeeConfig(guildId, op);
+                        embed.addFields({ name: t(`fees.operations.${op}`), value: describeFeeConfig(t, op, feeConfig), inline: true });
+                    }
+                    
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+                
+                if (!await authorize(member, 'config.edit')) {
+                    return interaction.editReply(permissionDenied(t, 'config.edit'));
+                }
+                
+                if (!operation) {
+                    return interaction.editReply(t('fees.missingOperation'));
+                }
+                
+                // Campos não informados mantêm o valor atual
+                const feeConfig = { ...await getFeeConfig(guildId, operation) };
+                for (const [key, value] of Object.entries(values)) {
+                    if (value === null) continue;
+                    
+                    const num = key === 'percent_bps' ? parsePercent(value) : parseFeeAmount(operation, value);
+                    if (num === null || (key === 'percent_bps' && num >= 10000)) {
+                        return interaction.editReply(t('fees.invalid'));
+                    }
+                    feeConfig[key] = num;
+                }
+                
+                if (feeConfig.max_fee > 0 && feeConfig.min_fee > feeConfig.max_fee) {
+                    return interaction.editReply(t('fees.minAboveMax'));
+                }
+                
+                await db.run(
+                    `INSERT INTO guild_fees (guild_id, operation, percent_bps, flat, min_fee, max_fee) 
+                     VALUES (?, ?, ?, ?, ?, ?) 
+                     ON CONFLICT(guild_id, operation) 
+                     DO UPDATE SET percent_bps = ?, flat = ?, min_fee = ?, max_fee = ?, updated_at = CURRENT_TIMESTAMP`,
+                    [
+                        guildId, operation, feeConfig.percent_bps, feeConfig.flat, feeConfig.min_fee, feeConfig.max_fee,
+                        feeConfig.percent_bps, feeConfig.flat, feeConfig.min_fee, feeConfig.max_fee
+                    ]
+                );
+                
+                const embed = createBaseEmbed(t, t('fees.configured'), '#00ff00')
+                    .addFields(
+                        { name: t('common.fields.operation'), value: t(`fees.operations.${operation}`), inline: true },
+                        { name: t('common.fields.fee'), value: describeFeeConfig(t, operation, feeConfig), inline: true }
+                    );
+                
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                
+                const logEmbed = createLogEmbed(t('fees.log'), '#ffa500')
+                    .addFields(
+                        { name: t('common.fields.admin'), value: user.tag },
+                        { name: t('common.fields.operation'), value: t(`fees.operations.${operation}`) },
+                        { name: t('common.fields.fee'), value: describeFeeConfig(t, operation, feeConfig) }
+                    );
+                await sendLog(guildId, logEmbed);
+            }
+            
+            // Subcomando: rate
+            else if (subcommand === 'rate') {
+                const guildId = guild.id;
+                const rateStr = options.getString('rate');
+                
+                // Sem valor: apenas consulta o câmbio atual e as últimas alterações
+                if (!rateStr) {
+                    const rate = await getExchangeRate(guildId);
+                    const changes = await db.all(
+                        'SELECT rate, set_by, created_at FROM rate_history WHERE guild_id = ? ORDER BY id DESC LIMIT 5',
+                        guildId
+                    );
                     
-                    const embed = createBaseEmbed('🏦 Saldo do Servidor', '#0099ff')
+                    const embed = createBaseEmbed(t, t('server.rate.title'), '#0099ff')
                         .addFields(
-                            { name: 'Saldo', value: `${formatCoin(status.coins || 0)} coins`, inline: true },
-                            { name: 'Total de Transações', value: `${status.totalTransactions || 0}`, inline: true }
+                            { name: t('server.rate.current'), value: formatRate(t, rate), inline: true },
+                            { name: t('server.rate.one'), value: `${formatCoins(dollarsToCoins(100, rate))} coins`, inline: true }
                         );
                     
-                    await interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    if (changes.length > 0) {
+                        embed.addFields({
+                            name: t('server.rate.history'),
+                            value: changes.map(c => t('server.rate.change', { rate: formatRate(t, c.rate), user: `<@${c.set_by}>`, time: c.created_at })).join('\n')
+                        });
+                    }
                     
-                } catch (error) {
-                    console.error('Erro ao verificar saldo do servidor:', error);
-                    const embed = createBaseEmbed('❌ Erro', '#ff0000')
-                        .setDescription('Ocorreu um erro ao verificar o saldo do servidor.');
-                    await interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+                
+                if (!await authorize(member, 'config.edit')) {
+                    return interaction.editReply(permissionDenied(t, 'config.edit'));
+                }
+                
+                const rate = parseDollars(rateStr);
+                if (rate === null || rate <= 0) {
+                    return interaction.editReply(t('server.rate.invalid'));
                 }
+                
+                const previousRate = await changeExchangeRate(guildId, rate, user);
+                
+                const embed = createBaseEmbed(t, t('server.rate.updated'), '#00ff00')
+                    .addFields(
+                        { name: t('server.rate.previous'), value: formatRate(t, previousRate), inline: true },
+                        { name: t('server.rate.new'), value: formatRate(t, rate), inline: true }
+                    );
+                
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
             }
             
             // Subcomando: pay
             else if (subcommand === 'pay') {
-                if (!member.permissions.has(PermissionsBitField.Flags.Administrator)) {
-                    return interaction.editReply('❌ Apenas administradores podem usar este comando.');
+                if (!await authorize(member, 'server.pay')) {
+                    return interaction.editReply(permissionDenied(t, 'server.pay'));
                 }
                 
                 const targetUser = options.getUser('user');
                 const amountStr = options.getString('amount');
-                const amount = parseFloat(amountStr);
+                const coinAmount = parseCoins(amountStr);
                 
-                if (isNaN(amount) || amount <= 0) {
-                    return interaction.editReply('❌ Valor inválido.');
+                if (coinAmount === null || coinAmount <= 0) {
+                    return interaction.editReply(t('common.invalidAmount'));
                 }
                 
                 const guildId = guild.id;
-                const coinAmount = amount;
-                const formattedCoinAmount = toApiFormat(coinAmount);
                 
                 // Busca configurações do servidor
                 const config = await db.get('SELECT server_card_id FROM guild_config WHERE guild_id = ?', guildId);
                 if (!config?.server_card_id) {
-                    const embed = createBaseEmbed('❌ Servidor não configurado', '#ff0000')
-                        .setDescription('O servidor ainda não configurou um cartão. Use `/server card` primeiro.');
-                    return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    const embed = createBaseEmbed(t, t('server.notConfigured.title'), '#ff0000')
+                        .setDescription(t('server.notConfigured.useCommand'));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
                 }
                 
                 // Verifica se o cartão do servidor existe na API
                 const serverCardStatus = await checkCardStatus(config.server_card_id);
+                if (!serverCardStatus.success) {
+                    const embed = createBaseEmbed(t, t('server.cardUnavailable.title'), '#ff0000')
+                        .setDescription(t('server.cardUnavailable.description'));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
                 
                 // Verifica saldo do servidor
                 if (serverCardStatus.coins < coinAmount) {
-                    const embed = createBaseEmbed('❌ Saldo Insuficiente no Servidor', '#ff0000')
-                        .setDescription(`O servidor não tem saldo suficiente.`)
+                    const embed = createBaseEmbed(t, t('insufficient.server.title'), '#ff0000')
+                        .setDescription(t('insufficient.server.description'))
                         .addFields(
-                            { name: 'Saldo do servidor', value: `${formatCoin(serverCardStatus.coins || 0)} coins` },
-                            { name: 'Valor do pagamento', value: `${formatCoin(coinAmount)} coins` }
+                            { name: t('serverPay.serverBalance'), value: `${formatCoins(serverCardStatus.coins || 0)} coins` },
+                            { name: t('serverPay.amount'), value: `${formatCoins(coinAmount)} coins` }
                         );
-                    return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
                 }
                 
                 // Busca cartão do usuário
                 const userData = await db.get('SELECT card_id FROM users WHERE user_id = ? AND guild_id = ?', targetUser.id, guildId);
                 if (!userData?.card_id) {
-                    const embed = createBaseEmbed('❌ Usuário não configurado', '#ff0000')
-                        .setDescription(`${targetUser.tag} ainda não configurou um cartão.`);
-                    return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    const embed = createBaseEmbed(t, t('serverPay.noCard.title'), '#ff0000')
+                        .setDescription(t('serverPay.noCard.description', { user: targetUser.tag }));
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+                
+                // Valores altos esperam a aprovação de outro membro
+                if (await requiresApproval(guildId, coinsToDollars(coinAmount, await getExchangeRate(guildId)))) {
+                    const approval = await createApproval({
+                        guildId, type: 'server_pay', targetId: targetUser.id, amount: coinAmount, requestedBy: user.id
+                    });
+                    return interaction.editReply({ embeds: [approvalRequestedEmbed(t, approval)], files: iconFiles(t) });
                 }
                 
                 try {
                     // Processa o pagamento
-                    const result = await paymentQueue.add({
+                    await enqueueTransaction({
+                        guildId,
+                        userId: targetUser.id,
+                        type: 'server_pay',
+                        coinAmount,
+                        actorId: user.id
+                    }, {
                         guildId,
                         userId: user.id,
-                        type: 'card_to_id',
+                        type: 'server_pay',
                         payload: {
                             fromCard: config.server_card_id,
                             toId: targetUser.id,
-                            amount: coinAmount
+                            amount: coinAmount,
+                            userTag: user.tag,
+                            targetTag: targetUser.tag
                         },
                         onSuccess: async (result) => {
-                            const successEmbed = createBaseEmbed('✅ Pagamento do Servidor Realizado', '#00ff00')
-                                .setDescription(`Pagamento de **${formatCoin(coinAmount)} coins** enviado com sucesso!`)
+                            const successEmbed = createBaseEmbed(t, t('serverPay.success'), '#00ff00')
+                                .setDescription(t('pay.success.description', { amount: `${formatCoins(coinAmount)} coins` }))
                                 .addFields(
-                                    { name: 'Para', value: targetUser.tag },
-                                    { name: 'ID da Transação', value: `\`${result.txId}\`` }
+                                    { name: t('common.fields.to'), value: targetUser.tag },
+                                    { name: t('common.fields.transactionId'), value: `\`${result.txId}\`` }
                                 );
                             
-                            await interaction.editReply({ embeds: [successEmbed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
-                            
-                            const logEmbed = createLogEmbed('💰 Pagamento do Servidor', '#00ff00')
-                                .addFields(
-                                    { name: 'Admin', value: user.tag },
-                                    { name: 'Usuário', value: targetUser.tag },
-                                    { name: 'Valor', value: `${formatCoin(coinAmount)} coins` },
-                                    { name: 'ID da Transação', value: `\`${result.txId}\`` }
-                                );
-                            await sendLog(guildId, logEmbed);
-                        }
+                            await interaction.editReply({ embeds: [successEmbed], files: iconFiles(t) });
+                        },
+                        onError: async () => {
+                            const errorEmbed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                                .setDescription(t('pay.error'));
+                            await interaction.editReply({ embeds: [errorEmbed], files: iconFiles(t) });
+                        },
+                        onUnknown: replyUnknownOutcome(t, interaction)
                     });
                     
                 } catch (error) {
+                    if (error instanceof LimitExceededError) {
+                        return replyPrivate(interaction, { embeds: [limitExceededEmbed(t, error)], files: iconFiles(t) });
+                    }
                     console.error('Erro no pagamento:', error);
-                    const errorEmbed = createBaseEmbed('❌ Erro', '#ff0000')
-                        .setDescription('Ocorreu um erro ao processar o pagamento.');
-                    await interaction.editReply({ embeds: [errorEmbed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    const errorEmbed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                        .setDescription(t('pay.error'));
+                    await interaction.editReply({ embeds: [errorEmbed], files: iconFiles(t) });
                 }
             }
             
-            // Subcomando: fine
+            // Subcomando: fine (registra uma multa em reais; nada é cobrado na hora)
             else if (subcommand === 'fine') {
-                if (!member.permissions.has(PermissionsBitField.Flags.Administrator)) {
-                    return interaction.editReply('❌ Apenas administradores podem usar este comando.');
+                if (!await authorize(member, 'server.fine')) {
+                    return interaction.editReply(permissionDenied(t, 'server.fine'));
                 }
                 
                 const targetUser = options.getUser('user');
-                const amountStr = options.getString('amount');
-                const amount = parseFloat(amountStr);
+                const amount = parseDollars(options.getString('amount'), t.currency.decimals);
+                const reason = options.getString('reason').trim();
+                const days = options.getInteger('days') ?? CONFIG.FINE_DUE_DAYS;
                 
-                if (isNaN(amount) || amount <= 0) {
-                    return interaction.editReply('❌ Valor inválido.');
+                if (amount === null || amount <= 0) {
+                    return interaction.editReply(t('common.invalidAmount'));
+                }
+                if (!reason) {
+                    return interaction.editReply(t('fines.missingReason'));
+                }
+                if (days < 0) {
+                    return interaction.editReply(t('fines.invalidDays'));
                 }
                 
                 const guildId = guild.id;
-                const coinAmount = amount;
-                const formattedCoinAmount = toApiFormat(coinAmount);
+                const fineId = await issueFine({
+                    guildId,
+                    userId: targetUser.id,
+                    amount,
+                    reason,
+                    dueDays: days,
+                    issuedBy: user.id
+                });
+                const fine = await getFine(guildId, fineId);
                 
-                // Busca configurações do servidor
-                const config = await db.get('SELECT server_card_id FROM guild_config WHERE guild_id = ?', guildId);
-                if (!config?.server_card_id) {
-                    const embed = createBaseEmbed('❌ Servidor não configurado', '#ff0000')
-                        .setDescription('O servidor ainda não configurou um cartão.');
-                    return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                const successEmbed = createBaseEmbed(t, t('fines.applied.title'), '#00ff00')
+                    .setDescription(t('fines.applied.description', { id: fineId, amount: formatDollar(t, amount), user: targetUser.tag }))
+                    .addFields(
+                        { name: t('common.fields.reason'), value: reason },
+                        { name: t('fines.fields.due'), value: `<t:${fineDueTimestamp(fine)}:d>`, inline: true },
+                        { name: t('fines.fields.payment'), value: t('fines.applied.howToPay', { user: targetUser.tag, id: fineId }), inline: true }
+                    );
+                await interaction.editReply({ embeds: [successEmbed], files: iconFiles(t) });
+                
+                const logEmbed = createLogEmbed(t('fines.log.applied'), '#ff0000')
+                    .addFields(
+                        { name: t('common.fields.admin'), value: user.tag },
+                        { name: t('fines.fields.finedUser'), value: targetUser.tag },
+                        { name: t('common.fields.amount'), value: formatDollar(t, amount) },
+                        { name: t('common.fields.reason'), value: reason },
+                        { name: t('fines.fields.fine'), value: `#${fineId}` }
+                    );
+                await sendLog(guildId, logEmbed);
+            }
+            
+            // Subcomando: fines (gestão de multas)
+            else if (subcommand === 'fines') {
+                if (!await authorize(member, 'server.fines')) {
+                    return interaction.editReply(permissionDenied(t, 'server.fines'));
                 }
                 
-                // Busca cartão do usuário
-                const userData = await db.get('SELECT card_id FROM users WHERE user_id = ? AND guild_id = ?', targetUser.id, guildId);
-                if (!userData?.card_id) {
-                    const embed = createBaseEmbed('❌ Usuário não configurado', '#ff0000')
-                        .setDescription(`${targetUser.tag} ainda não configurou um cartão.`);
-                    return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                const guildId = guild.id;
+                const action = options.getString('action');
+                
+                if (action === 'list') {
+                    const targetUser = options.getUser('user');
+                    return replyWithPage(interaction, 'serverfines', 1, [targetUser?.id ?? '']);
                 }
                 
-                // Verifica saldo do usuário
-                const userCardStatus = await checkCardStatus(userData.card_id);
-                if (!userCardStatus.success || userCardStatus.coins < coinAmount) {
-                    const embed = createBaseEmbed('❌ Saldo Insuficiente', '#ff0000')
-                        .setDescription(`${targetUser.tag} não tem saldo suficiente.`)
+                const fineId = options.getInteger('id');
+                const fine = fineId ? await getFine(guildId, fineId) : null;
+                if (!fine) {
+                    return interaction.editReply(t('fines.notFound'));
+                }
+                
+                if (action === 'waive') {
+                    // Multas em pagamento em coins não podem ser perdoadas no meio da transferência
+                    const { changes } = await db.run(
+                        `UPDATE fines SET status = 'waived', resolved_by = ?, updated_at = CURRENT_TIMESTAMP 
+                         WHERE id = ? AND status IN ('open', 'escalated')`,
+                        [user.id, fine.id]
+                    );
+                    if (changes === 0) {
+                        return interaction.editReply(t('fines.waived.notAllowed', { status: fineStatusLabel(t, fine.status) }));
+                    }
+                    
+                    const embed = createBaseEmbed(t, t('fines.waived.title'), '#00ff00')
+                        .setDescription(t('fines.waived.description', { id: fine.id, user: fine.user_id }))
                         .addFields(
-                            { name: 'Saldo atual', value: `${formatCoin(userCardStatus.coins || 0)} coins` },
-                            { name: 'Valor da multa', value: `${formatCoin(coinAmount)} coins` }
+                            { name: t('fines.fields.waivedAmount'), value: formatDollar(t, fine.amount - fine.paid_amount), inline: true },
+                            { name: t('fines.fields.originalReason'), value: fine.reason, inline: true }
                         );
-                    return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                    
+                    const logEmbed = createLogEmbed(t('fines.waived.title'), '#00ff00')
+                        .addFields(
+                            { name: t('common.fields.admin'), value: user.tag },
+                            { name: t('common.fields.user'), value: `<@${fine.user_id}>` },
+                            { name: t('fines.fields.fine'), value: `#${fine.id}` },
+                            { name: t('common.fields.amount'), value: formatDollar(t, fine.amount - fine.paid_amount) }
+                        );
+                    await sendLog(guildId, logEmbed);
+                    await publishFineEvent(guildId, 'fine.waived', fine.id);
                 }
                 
-                try {
-                    // Processa a multa
-                    const result = await paymentQueue.add({
-                        guildId,
-                        userId: user.id,
-                        type: 'card_to_id',
-                        payload: {
-                            fromCard: userData.card_id,
-                            toId: user.id,
-                            amount: coinAmount
-                        },
-                        onSuccess: async (result) => {
-                            const successEmbed = createBaseEmbed('✅ Multa Aplicada', '#00ff00')
-                                .setDescription(`Multa de **${formatCoin(coinAmount)} coins** aplicada com sucesso!`)
-                                .addFields(
-                                    { name: 'Usuário', value: targetUser.tag },
-                                    { name: 'Valor', value: `${formatCoin(coinAmount)} coins` },
-                                    { name: 'ID da Transação', value: `\`${result.txId}\`` }
-                                );
-                            
-                            await interaction.editReply({ embeds: [successEmbed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
-                            
-                            const logEmbed = createLogEmbed('⚠️ Multa Aplicada', '#ff0000')
-                                .addFields(
-                                    { name: 'Admin', value: user.tag },
-                                    { name: 'Usuário multado', value: targetUser.tag },
-                                    { name: 'Valor', value: `${formatCoin(coinAmount)} coins` },
-                                    { name: 'ID da Transação', value: `\`${result.txId}\`` }
-                                );
-                            await sendLog(guildId, logEmbed);
-                        }
-                    });
+                else if (action === 'escalate') {
+                    const claimed = await claimFine(fine.id);
+                    if (!claimed) {
+                        return interaction.editReply(t('fines.escalated.notAllowed', { status: fineStatusLabel(t, fine.status) }));
+                    }
                     
-                } catch (error) {
-                    console.error('Erro na multa:', error);
-                    const errorEmbed = createBaseEmbed('❌ Erro', '#ff0000')
-                        .setDescription('Ocorreu um erro ao aplicar a multa.');
-                    await interaction.editReply({ embeds: [errorEmbed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                    try {
+                        const { collected, remaining } = await escalateFine(claimed, user.id);
+                        
+                        const embed = createBaseEmbed(t, t(remaining === 0 ? 'fines.escalated.collectedTitle' : 'fines.escalated.title'), remaining === 0 ? '#00ff00' : '#ff0000')
+                            .setDescription(t('fines.escalated.description', { id: fine.id, user: fine.user_id }))
+                            .addFields(
+                                { name: t('fines.fields.collected'), value: formatDollar(t, collected), inline: true },
+                                { name: t('fines.fields.stillOwed'), value: formatDollar(t, remaining), inline: true }
+                            );
+                        await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                        
+                        const logEmbed = createLogEmbed(t('fines.escalated.title'), '#ff0000')
+                            .addFields(
+                                { name: t('common.fields.admin'), value: user.tag },
+                                { name: t('common.fields.user'), value: `<@${fine.user_id}>` },
+                                { name: t('fines.fields.fine'), value: `#${fine.id}` },
+                                { name: t('fines.fields.collected'), value: formatDollar(t, collected) },
+                                { name: t('fines.fields.stillOwed'), value: formatDollar(t, remaining) }
+                            );
+                        await sendLog(guildId, logEmbed);
+                        
+                    } catch (error) {
+                        console.error('Erro ao escalar multa:', error);
+                        const errorEmbed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+                            .setDescription(t('fines.escalated.error'));
+                        await interaction.editReply({ embeds: [errorEmbed], files: iconFiles(t) });
+                    }
                 }
             }
         }
@@ -1618,186 +6943,215 @@ client.on('interactionCreate', async (interaction) => {
         else if (commandName === 'adm') {
             const subcommand = options.getSubcommand();
             
+            // Grupo: perms (grant, revoke, list)
+            if (options.getSubcommandGroup(false) === 'perms') {
+                if (!await authorize(member, 'perms.manage')) {
+                    return interaction.editReply(permissionDenied(t, 'perms.manage'));
+                }
+                
+                const guildId = guild.id;
+                const role = options.getRole('role');
+                const targetUser = options.getUser('user');
+                const subject = role ? { type: 'role', id: role.id } : targetUser ? { type: 'user', id: targetUser.id } : null;
+                
+                if (subcommand === 'list') {
+                    const grants = await db.all(
+                        `SELECT subject_type, subject_id, capability FROM permissions 
+                         WHERE guild_id = ? AND (? IS NULL OR (subject_type = ? AND subject_id = ?)) 
+                         ORDER BY subject_type, subject_id`,
+                        guildId, subject?.id ?? null, subject?.type ?? null, subject?.id ?? null
+                    );
+                    
+                    const lines = CAPABILITIES.map(capability => {
+                        const holders = grants.filter(grant => grant.capability === capability).map(formatSubject);
+                        return `**${capability}** — ${t(`permissions.capabilities.${capability}`)}\n└ ${holders.length > 0 ? holders.join(', ') : t('permissions.list.adminsOnly')}`;
+                    });
+                    
+                    const embed = createBaseEmbed(t, t('permissions.list.title'), '#0099ff')
+                        .setDescription(lines.join('\n\n'))
+                        .setFooter({ text: t('permissions.list.footer') });
+                    if (subject) {
+                        embed.setTitle(t('permissions.list.subjectTitle', { subject: role ? role.name : targetUser.tag }));
+                    }
+                    
+                    return interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                }
+                
+                const capability = options.getString('capability');
+                if (!subject || (role && targetUser)) {
+                    return interaction.editReply(t('permissions.missingSubject'));
+                }
+                
+                const granting = subcommand === 'grant';
+                const changed = granting
+                    ? await grantCapability(guildId, subject, capability, user.id)
+                    : await revokeCapability(guildId, subject, capability);
+                const mention = formatSubject({ subject_type: subject.type, subject_id: subject.id });
+                
+                if (!changed) {
+                    return interaction.editReply(t(granting ? 'permissions.alreadyHas' : 'permissions.doesNotHave', { subject: mention, capability }));
+                }
+                
+                const embed = createBaseEmbed(t, t(granting ? 'permissions.granted.title' : 'permissions.revoked.title'), granting ? '#00ff00' : '#ffa500')
+                    .setDescription(t(granting ? 'permissions.granted.description' : 'permissions.revoked.description', { subject: mention, capability }))
+                    .addFields({ name: t('permissions.fields.capability'), value: t(`permissions.capabilities.${capability}`) });
+                
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+                
+                const logEmbed = createLogEmbed(t(granting ? 'permissions.granted.log' : 'permissions.revoked.log'), granting ? '#00ff00' : '#ffa500')
+                    .addFields(
+                        { name: t('common.fields.admin'), value: user.tag },
+                        { name: t('common.fields.to'), value: mention },
+                        { name: t('permissions.fields.permission'), value: capability }
+                    );
+                await sendLog(guildId, logEmbed);
+            }
+            
             // Subcomando: setstaff
-            if (subcommand === 'setstaff') {
-                if (!member.permissions.has(PermissionsBitField.Flags.Administrator)) {
-                    return interaction.editReply('❌ Apenas administradores podem usar este comando.');
+            else if (subcommand === 'setstaff') {
+                if (!await authorize(member, 'perms.manage')) {
+                    return interaction.editReply(permissionDenied(t, 'perms.manage'));
                 }
                 
                 const role = options.getRole('role');
                 const guildId = guild.id;
                 
-                await db.run(
-                    `INSERT INTO guild_config (guild_id, staff_role_id) 
-                     VALUES (?, ?) 
-                     ON CONFLICT(guild_id) 
-                     DO UPDATE SET staff_role_id = ?, updated_at = CURRENT_TIMESTAMP`,
-                    [guildId, role.id, role.id]
-                );
+                // Atalho: concede ao cargo as capacidades de staff
+                for (const capability of STAFF_CAPABILITIES) {
+                    await grantCapability(guildId, { type: 'role', id: role.id }, capability, user.id);
+                }
                 
-                const embed = createBaseEmbed('✅ Cargo Staff Configurado', '#00ff00')
-                    .setDescription(`Cargo ${role.name} agora tem permissões de staff.`);
+                const embed = createBaseEmbed(t, t('permissions.staff.title'), '#00ff00')
+                    .setDescription(t('permissions.staff.description', { role: role.name }))
+                    .addFields({ name: t('permissions.fields.capabilities'), value: STAFF_CAPABILITIES.map(c => `\`${c}\``).join(', ') });
                 
-                await interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
                 
-                const logEmbed = createLogEmbed('⚙️ Configuração de Staff', '#00ff00')
+                const logEmbed = createLogEmbed(t('permissions.staff.log'), '#00ff00')
                     .addFields(
-                        { name: 'Admin', value: user.tag },
-                        { name: 'Cargo', value: role.name }
+                        { name: t('common.fields.admin'), value: user.tag },
+                        { name: t('permissions.fields.role'), value: role.name }
                     );
                 await sendLog(guildId, logEmbed);
             }
             
             // Subcomando: give
             else if (subcommand === 'give') {
-                if (!await isStaff(guild.id, member)) {
-                    return interaction.editReply('❌ Você não tem permissão de staff.');
+                if (!await authorize(member, 'economy.give')) {
+                    return interaction.editReply(permissionDenied(t, 'economy.give'));
                 }
                 
                 const targetUser = options.getUser('user');
                 const amountStr = options.getString('amount');
-                const amount = parseFloat(amountStr);
+                const dollarAmount = parseDollars(amountStr, t.currency.decimals);
                 
-                if (isNaN(amount) || amount <= 0) {
-                    return interaction.editReply('❌ Valor inválido.');
+                if (dollarAmount === null || dollarAmount <= 0) {
+                    return interaction.editReply(t('common.invalidAmount'));
                 }
                 
-                const guildId = guild.id;
-                const dollarAmount = truncateDollar(amount);
-                
-                // Atualiza saldo
-                await db.run(
-                    `INSERT INTO users (user_id, guild_id, dollars) 
-                     VALUES (?, ?, ?) 
-                     ON CONFLICT(user_id, guild_id) 
-                     DO UPDATE SET dollars = dollars + ?, updated_at = CURRENT_TIMESTAMP`,
-                    [targetUser.id, guildId, dollarAmount, dollarAmount]
-                );
-                
-                // Busca novo saldo
-                const userData = await db.get('SELECT dollars FROM users WHERE user_id = ? AND guild_id = ?', targetUser.id, guildId);
+                // Emite os reais a partir da conta de sistema
+                const toBalance = await giveDollars(guild.id, targetUser, dollarAmount, user);
                 
-                const embed = createBaseEmbed('✅ Reais Adicionados', '#00ff00')
-                    .setDescription(`${CONFIG.CURRENCY_SYMBOL}${formatDollar(dollarAmount)} adicionados para ${targetUser.tag}`)
+                const embed = createBaseEmbed(t, t('staff.give.title'), '#00ff00')
+                    .setDescription(t('staff.give.description', { amount: formatDollar(t, dollarAmount), user: targetUser.tag }))
                     .addFields(
-                        { name: 'Novo saldo', value: `${CONFIG.CURRENCY_SYMBOL}${formatDollar(userData?.dollars || 0)}` }
+                        { name: t('common.fields.newBalance'), value: formatDollar(t, toBalance) }
                     );
                 
-                await interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
-                
-                const logEmbed = createLogEmbed('💰 Adição de Reais', '#00ff00')
-                    .addFields(
-                        { name: 'Staff', value: user.tag },
-                        { name: 'Usuário', value: targetUser.tag },
-                        { name: 'Valor adicionado', value: `${CONFIG.CURRENCY_SYMBOL}${formatDollar(dollarAmount)}` }
-                    );
-                await sendLog(guildId, logEmbed);
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
             }
             
             // Subcomando: take
             else if (subcommand === 'take') {
-                if (!await isStaff(guild.id, member)) {
-                    return interaction.editReply('❌ Você não tem permissão de staff.');
+                if (!await authorize(member, 'economy.take')) {
+                    return interaction.editReply(permissionDenied(t, 'economy.take'));
                 }
                 
                 const targetUser = options.getUser('user');
                 const amountStr = options.getString('amount');
-                const amount = parseFloat(amountStr);
+                const dollarAmount = parseDollars(amountStr, t.currency.decimals);
                 
-                if (isNaN(amount) || amount <= 0) {
-                    return interaction.editReply('❌ Valor inválido.');
+                if (dollarAmount === null || dollarAmount <= 0) {
+                    return interaction.editReply(t('common.invalidAmount'));
                 }
                 
-                const guildId = guild.id;
-                const dollarAmount = truncateDollar(amount);
-                
-                // Verifica saldo atual
-                const userData = await db.get('SELECT dollars FROM users WHERE user_id = ? AND guild_id = ?', targetUser.id, guildId);
-                const currentDollars = userData?.dollars || 0;
-                
-                if (currentDollars < dollarAmount) {
-                    const embed = createBaseEmbed('❌ Saldo Insuficiente', '#ff0000')
-                        .setDescription(`${targetUser.tag} tem apenas ${CONFIG.CURRENCY_SYMBOL}${formatDollar(currentDollars)}`);
-                    return interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                // Queima os reais na conta de sistema (com trava de saldo)
+                let newDollars;
+                try {
+                    newDollars = await takeDollars(guild.id, targetUser, dollarAmount, user);
+                } catch (error) {
+                    if (!(error instanceof InsufficientFundsError)) throw error;
+                    
+                    const embed = createBaseEmbed(t, t('insufficient.title'), '#ff0000')
+                        .setDescription(t('insufficient.userHas', { user: targetUser.tag, amount: formatDollar(t, error.balance) }));
+                    return replyPrivate(interaction, { embeds: [embed], files: iconFiles(t) });
                 }
                 
-                // Atualiza saldo
-                const newDollars = truncateDollar(currentDollars - dollarAmount);
-                await db.run(
-                    'UPDATE users SET dollars = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND guild_id = ?',
-                    [newDollars, targetUser.id, guildId]
-                );
-                
-                const embed = createBaseEmbed('✅ Reais Removidos', '#00ff00')
-                    .setDescription(`${CONFIG.CURRENCY_SYMBOL}${formatDollar(dollarAmount)} removidos de ${targetUser.tag}`)
+                const embed = createBaseEmbed(t, t('staff.take.title'), '#00ff00')
+                    .setDescription(t('staff.take.description', { amount: formatDollar(t, dollarAmount), user: targetUser.tag }))
                     .addFields(
-                        { name: 'Novo saldo', value: `${CONFIG.CURRENCY_SYMBOL}${formatDollar(newDollars)}` }
+                        { name: t('common.fields.newBalance'), value: formatDollar(t, newDollars) }
                     );
                 
-                await interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
-                
-                const logEmbed = createLogEmbed('💰 Remoção de Reais', '#ff0000')
-                    .addFields(
-                        { name: 'Staff', value: user.tag },
-                        { name: 'Usuário', value: targetUser.tag },
-                        { name: 'Valor removido', value: `${CONFIG.CURRENCY_SYMBOL}${formatDollar(dollarAmount)}` }
-                    );
-                await sendLog(guildId, logEmbed);
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
             }
             
             // Subcomando: set
             else if (subcommand === 'set') {
-                if (!await isStaff(guild.id, member)) {
-                    return interaction.editReply('❌ Você não tem permissão de staff.');
+                if (!await authorize(member, 'economy.set')) {
+                    return interaction.editReply(permissionDenied(t, 'economy.set'));
                 }
                 
                 const targetUser = options.getUser('user');
                 const amountStr = options.getString('amount');
-                const amount = parseFloat(amountStr);
+                const dollarAmount = parseDollars(amountStr, t.currency.decimals);
                 
-                if (isNaN(amount) || amount < 0) {
-                    return interaction.editReply('❌ Valor inválido.');
+                if (dollarAmount === null) {
+                    return interaction.editReply(t('common.invalidAmount'));
                 }
                 
-                const guildId = guild.id;
-                const dollarAmount = truncateDollar(amount);
-                
-                // Define saldo
-                await db.run(
-                    `INSERT INTO users (user_id, guild_id, dollars) 
-                     VALUES (?, ?, ?) 
-                     ON CONFLICT(user_id, guild_id) 
-                     DO UPDATE SET dollars = ?, updated_at = CURRENT_TIMESTAMP`,
-                    [targetUser.id, guildId, dollarAmount, dollarAmount]
-                );
+                // Mudanças grandes de saldo esperam a aprovação de outro membro
+                const result = await setDollars(guild.id, targetUser, dollarAmount, user);
+                if (result.pending) {
+                    return interaction.editReply({ embeds: [approvalRequestedEmbed(t, result.approval)], files: iconFiles(t) });
+                }
                 
-                const embed = createBaseEmbed('✅ Saldo Definido', '#00ff00')
-                    .setDescription(`Saldo de ${targetUser.tag} definido para ${CONFIG.CURRENCY_SYMBOL}${formatDollar(dollarAmount)}`);
+                const embed = createBaseEmbed(t, t('staff.set.title'), '#00ff00')
+                    .setDescription(t('staff.set.description', { user: targetUser.tag, amount: formatDollar(t, dollarAmount) }));
                 
-                await interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+                await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
+            }
+            
+            // Subcomando: history
+            else if (subcommand === 'history') {
+                if (!await authorize(member, 'economy.history')) {
+                    return interaction.editReply(permissionDenied(t, 'economy.history'));
+                }
                 
-                const logEmbed = createLogEmbed('💰 Definição de Saldo', '#00ff00')
-                    .addFields(
-                        { name: 'Staff', value: user.tag },
-                        { name: 'Usuário', value: targetUser.tag },
-                        { name: 'Novo saldo', value: `${CONFIG.CURRENCY_SYMBOL}${formatDollar(dollarAmount)}` }
-                    );
-                await sendLog(guildId, logEmbed);
+                const targetUser = options.getUser('user');
+                await replyWithPage(interaction, 'admhistory', options.getInteger('page') || 1, [targetUser.id]);
             }
         }
         
     } catch (error) {
+        // Limites barrados fora dos blocos try dos comandos (ex.: /adm give e /adm set)
+        if (error instanceof LimitExceededError && interaction.deferred) {
+            return replyPrivate(interaction, { embeds: [limitExceededEmbed(t, error)], files: iconFiles(t) });
+        }
+        
         console.error(`❌ Erro no comando ${commandName}:`, error);
-        const embed = createBaseEmbed('❌ Erro', '#ff0000')
-            .setDescription('Ocorreu um erro ao executar este comando.');
+        const embed = createBaseEmbed(t, t('common.error.title'), '#ff0000')
+            .setDescription(t('common.error.command'));
         
         if (interaction.deferred) {
-            await interaction.editReply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+            await interaction.editReply({ embeds: [embed], files: iconFiles(t) });
         } else {
-            await interaction.reply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [], ephemeral: true });
+            await interaction.reply({ embeds: [embed], files: iconFiles(t), ephemeral: true });
         }
     }
-});
+}
+
+client.on('interactionCreate', handleInteraction);
 
 // ===================== HANDLER DE MENSAGENS (comandos com prefixo) =====================
 /**
@@ -1816,45 +7170,388 @@ client.on('messageCreate', async (message) => {
     
     // Comando de ajuda
     if (commandName === 'ajuda') {
-        const embed = createBaseEmbed('📋 Comandos Disponíveis', '#0099ff')
-            .setDescription('Use `/` para ver todos os comandos slash disponíveis!')
+        const t = message.guild ? await guildTranslator(message.guild.id) : localeTranslator(DEFAULT_LOCALE);
+        const embed = createBaseEmbed(t, t('help.title'), '#0099ff')
+            .setDescription(t('help.description'))
             .addFields(
-                { name: '💰 /money', value: 
-                    '`balance` - Ver saldo\n' +
-                    '`pay` - Pagar outro usuário\n' +
-                    '`withdraw` - Sacar reais para coins\n' +
-                    '`deposit` - Depositar coins para reais'
-                },
-                { name: '🖥️ /server', value: 
-                    '`card` - Configurar cartão do servidor (Admin)\n' +
-                    '`log` - Configurar canal de logs (Admin)\n' +
-                    '`balance` - Ver saldo do servidor\n' +
-                    '`pay` - Servidor pagar usuário (Admin)\n' +
-                    '`fine` - Aplicar multa (Admin)'
-                },
-                { name: '⚙️ /adm', value: 
-                    '`setstaff` - Configurar cargo staff (Admin)\n' +
-                    '`give` - Adicionar reais (Staff)\n' +
-                    '`take` - Remover reais (Staff)\n' +
-                    '`set` - Definir saldo (Staff)'
-                },
-                { name: '🔧 Outros', value: 
-                    '`/setcard` - Configurar seu cartão\n' +
-                    '`/coinbalance` - Ver saldo em coins\n' +
-                    '`/baltop` - Ver ranking\n' +
-                    '`/payserver` - Pagar ao servidor'
-                }
+                { name: '💰 /money', value: t('help.money') },
+                { name: '🖥️ /server', value: t('help.server') },
+                { name: '⚙️ /adm', value: t('help.adm') },
+                { name: t('help.othersTitle'), value: t('help.others') }
             );
         
-        await message.reply({ embeds: [embed], files: fs.existsSync(CONFIG.ICON_PATH) ? ['icon.png'] : [] });
+        await message.reply({ embeds: [embed], files: iconFiles(t) });
     }
 });
 
+// ===================== API WEB =====================
+// Servidor HTTP local (src/webServer.js) com a API REST e o painel de
+// src/dashboard.html. Cada token pertence a um servidor e só enxerga os dados
+// dele. Um token vale como administrador da economia, então só quem tem
+// perms.manage cria tokens (/server api). Só o hash SHA-256 do token é gravado.
+// Valores em JSON seguem o banco: reais em centavos e coins em unidades base.
+
+const API_TOKEN_PREFIX = 'cbt_';
+const API_MAX_PAGE_SIZE = 100;
+const DASHBOARD_PATH = path.join(__dirname, 'src', 'dashboard.html');
+
+/**
+ * Hash de um token da API, como é gravado no banco
+ * @param {string} token - Token em texto puro
+ * @returns {string} SHA-256 em hex
+ */
+function hashApiToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Cria um token da API para um servidor
+ * @param {string} guildId - ID do servidor
+ * @param {string} label - Nome para identificar o token
+ * @param {string} createdBy - ID de quem criou
+ * @returns {Object} { id, token } (o token só existe aqui, em texto puro)
+ */
+async function createApiToken(guildId, label, createdBy) {
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const { lastID } = await db.run(
+        'INSERT INTO api_tokens (guild_id, token_hash, label, created_by) VALUES (?, ?, ?, ?)',
+        [guildId, hashApiToken(token), label, createdBy]
+    );
+    return { id: lastID, token };
+}
+
+/**
+ * Revoga um token da API
+ * @param {string} guildId - ID do servidor
+ * @param {number} tokenId - ID do token
+ * @returns {boolean} True se o token existia
+ */
+async function revokeApiToken(guildId, tokenId) {
+    const { changes } = await db.run('DELETE FROM api_tokens WHERE guild_id = ? AND id = ?', [guildId, tokenId]);
+    return changes > 0;
+}
+
+/**
+ * Identifica o servidor e o autor das ações a partir de um token
+ * @param {string} token - Token enviado em Authorization: Bearer
+ * @returns {Object|null} { guildId, actor }, ou null se o token não existe
+ */
+async function authenticateApiToken(token) {
+    const row = await db.get('SELECT id, guild_id, label FROM api_tokens WHERE token_hash = ?', hashApiToken(token));
+    if (!row) return null;
+
+    await db.run('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', row.id);
+    return { guildId: row.guild_id, actor: { id: `api:${row.id}`, tag: `API: ${row.label} (token #${row.id})` } };
+}
+
+/**
+ * Lê limit/offset da query string
+ * @param {Object} query - Query string
+ * @returns {Object} { limit, offset }
+ */
+function apiPagination(query) {
+    const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), API_MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+    return { limit, offset };
+}
+
+/**
+ * Lê um valor em reais do corpo da requisição (string como no Discord, ou número)
+ * @param {*} value - Valor enviado
+ * @param {boolean} allowZero - Aceita 0
+ * @returns {number} Centavos
+ * @throws {HttpError} 400 se inválido
+ */
+function apiDollars(value, allowZero = false) {
+    const amount = parseDollars(typeof value === 'number' ? String(value) : value);
+    if (amount === null || (!allowZero && amount <= 0)) {
+        throw new HttpError(400, 'Valor inválido');
+    }
+    return amount;
+}
+
+/**
+ * Busca o usuário do Discord alvo de uma operação
+ * @param {string} userId - ID do usuário
+ * @returns {Object} { id, tag }
+ * @throws {HttpError} 404 se o usuário não existe
+ */
+async function apiTargetUser(userId) {
+    try {
+        const user = await client.users.fetch(userId);
+        return { id: user.id, tag: user.tag };
+    } catch {
+        throw new HttpError(404, 'Usuário não encontrado');
+    }
+}
+
+/**
+ * Converte os erros da economia em respostas HTTP
+ * @param {Function} fn - Operação
+ * @returns {*} Retorno de fn
+ */
+async function withEconomyErrors(fn) {
+    try {
+        return await fn();
+    } catch (error) {
+        if (error instanceof LimitExceededError) {
+            throw new HttpError(422, error.message, {
+                limit: error.limit, allowed: error.allowed, used: error.used, attempted: error.attempted
+            });
+        }
+        if (error instanceof InsufficientFundsError) {
+            throw new HttpError(409, 'Saldo insuficiente', { balance: error.balance });
+        }
+        throw error;
+    }
+}
+
+/**
+ * Linha de users sem o cartão cifrado
+ * @param {Object} row - Linha da tabela users
+ * @returns {Object} Usuário para a API
+ */
+function apiUser(row) {
+    return {
+        user_id: row.user_id,
+        dollars: row.dollars,
+        card_configured: Boolean(row.card_id),
+        card_verified_at: row.card_verified_at,
+        hide_from_baltop: Boolean(row.hide_from_baltop),
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+/**
+ * Configuração do servidor para a API, sem o cartão cifrado
+ * @param {string} guildId - ID do servidor
+ * @returns {Object} Configuração, câmbio, limites e moeda
+ */
+async function apiGuildConfig(guildId) {
+    const config = await db.get('SELECT * FROM guild_config WHERE guild_id = ?', guildId) || {};
+    const { currency } = await guildTranslator(guildId);
+    return {
+        guild_id: guildId,
+        server_card_configured: Boolean(config.server_card_id),
+        log_channel_id: config.log_channel_id || null,
+        exchange_rate: await getExchangeRate(guildId),
+        private_commands: [...await getPrivateCommands(guildId)],
+        limits: { ...await getLimits(guildId) },
+        currency: { name: currency.name, symbol: currency.symbol, decimals: currency.decimals, custom_icon: Boolean(currency.icon) },
+        updated_at: config.updated_at || null
+    };
+}
+
+// Rotas da API; todas as de /api exigem token e ficam restritas ao servidor dele.
+// /webhooks/coin não usa token: vale a assinatura HMAC da Coin API (ver RECARGAS).
+const API_ROUTES = [
+    {
+        method: 'GET',
+        path: '/',
+        public: true,
+        type: 'text/html; charset=utf-8',
+        handler: () => fs.readFile(DASHBOARD_PATH, 'utf8')
+    },
+    {
+        method: 'POST',
+        path: '/webhooks/coin',
+        public: true,
+        handler: async ({ body, rawBody, headers }) => {
+            if (!CONFIG.COIN_WEBHOOK_SECRET) throw new HttpError(404, 'Rota não encontrada');
+
+            const valid = verifySignature({
+                secret: CONFIG.COIN_WEBHOOK_SECRET,
+                timestamp: headers['x-coin-timestamp'],
+                body: rawBody,
+                signature: headers['x-coin-signature']
+            });
+            if (!valid) throw new HttpError(401, 'Assinatura inválida');
+
+            const coins = fromApiCoins(body.amount);
+            const to = typeof body.to === 'number' ? String(body.to) : body.to;
+            if (typeof body.txId !== 'string' || !body.txId || typeof to !== 'string' || !to || coins <= 0) {
+                throw new HttpError(400, 'Aviso de pagamento inválido: txId, to e amount são obrigatórios');
+            }
+
+            const payment = await receiveTopup({ txId: body.txId, to, coins, memo: typeof body.memo === 'string' ? body.memo : '' });
+            return {
+                tx_id: payment.tx_id,
+                status: payment.status,
+                duplicate: Boolean(payment.duplicate),
+                transaction_id: payment.transaction_id,
+                amount: payment.amount,
+                fee: payment.fee,
+                reason: payment.reason
+            };
+        }
+    },
+    {
+        method: 'GET',
+        path: '/api/guild',
+        handler: ({ auth }) => apiGuildConfig(auth.guildId)
+    },
+    {
+        method: 'PATCH',
+        path: '/api/guild/config',
+        handler: async ({ auth, body }) => {
+            const allowed = ['log_channel_id', 'exchange_rate', 'limits'];
+            const unknown = Object.keys(body).filter(key => !allowed.includes(key));
+            if (unknown.length > 0) {
+                throw new HttpError(400, `Campos desconhecidos: ${unknown.join(', ')}`);
+            }
+
+            // Valida tudo antes de gravar qualquer coisa
+            if (body.log_channel_id !== undefined && !/^\d+$/.test(String(body.log_channel_id))) {
+                throw new HttpError(400, 'Canal de log inválido');
+            }
+            const rate = body.exchange_rate !== undefined ? apiDollars(body.exchange_rate) : null;
+            const limits = body.limits !== undefined ? parseLimitChanges(body.limits || {}) : null;
+            if (body.limits !== undefined && !limits) {
+                throw new HttpError(400, 'Valor de limite inválido');
+            }
+
+            if (body.log_channel_id !== undefined) {
+                await setLogChannel(auth.guildId, String(body.log_channel_id), auth.actor);
+            }
+            if (rate !== null) {
+                await changeExchangeRate(auth.guildId, rate, auth.actor);
+            }
+            if (limits) {
+                await updateLimits(auth.guildId, limits, auth.actor);
+            }
+            return apiGuildConfig(auth.guildId);
+        }
+    },
+    {
+        method: 'GET',
+        path: '/api/users',
+        handler: async ({ auth, query }) => {
+            const { limit, offset } = apiPagination(query);
+            const { total } = await db.get('SELECT COUNT(*) as total FROM users WHERE guild_id = ?', auth.guildId);
+            const rows = await db.all(
+                'SELECT * FROM users WHERE guild_id = ? ORDER BY dollars DESC, user_id LIMIT ? OFFSET ?',
+                auth.guildId, limit, offset
+            );
+            return { total, limit, offset, users: rows.map(apiUser) };
+        }
+    },
+    {
+        method: 'GET',
+        path: '/api/users/:id',
+        handler: async ({ auth, params }) => {
+            const row = await db.get('SELECT * FROM users WHERE guild_id = ? AND user_id = ?', auth.guildId, params.id);
+            if (!row) throw new HttpError(404, 'Usuário não encontrado');
+            return apiUser(row);
+        }
+    },
+    {
+        method: 'POST',
+        path: '/api/users/:id/give',
+        handler: async ({ auth, params, body }) => {
+            const amount = apiDollars(body.amount);
+            const target = await apiTargetUser(params.id);
+            const balance = await withEconomyErrors(() => giveDollars(auth.guildId, target, amount, auth.actor));
+            return { user_id: target.id, dollars: balance };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/api/users/:id/take',
+        handler: async ({ auth, params, body }) => {
+            const amount = apiDollars(body.amount);
+            const target = await apiTargetUser(params.id);
+            const balance = await withEconomyErrors(() => takeDollars(auth.guildId, target, amount, auth.actor));
+            return { user_id: target.id, dollars: balance };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/api/users/:id/set',
+        handler: async ({ auth, params, body }) => {
+            const amount = apiDollars(body.amount, true);
+            const target = await apiTargetUser(params.id);
+            const result = await withEconomyErrors(() => setDollars(auth.guildId, target, amount, auth.actor));
+
+            if (!result.pending) return { user_id: target.id, dollars: result.balance };
+            if (!result.approval) {
+                throw new HttpError(409, 'Este valor exige aprovação, mas o servidor não tem canal de log');
+            }
+            return { status: 202, body: { user_id: target.id, approval_id: result.approval.id, status: 'pending' } };
+        }
+    },
+    {
+        method: 'GET',
+        path: '/api/transactions',
+        handler: async ({ auth, query }) => {
+            const { limit, offset } = apiPagination(query);
+            const filters = ['guild_id = ?'];
+            const values = [auth.guildId];
+            if (query.user) {
+                filters.push('(user_id = ? OR counterparty_id = ?)');
+                values.push(query.user, query.user);
+            }
+            for (const column of ['type', 'status']) {
+                if (query[column]) {
+                    filters.push(`${column} = ?`);
+                    values.push(query[column]);
+                }
+            }
+
+            const where = filters.join(' AND ');
+            const { total } = await db.get(`SELECT COUNT(*) as total FROM transactions WHERE ${where}`, ...values);
+            const transactions = await db.all(
+                `SELECT * FROM transactions WHERE ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+                ...values, limit, offset
+            );
+            return { total, limit, offset, transactions };
+        }
+    },
+    {
+        method: 'GET',
+        path: '/api/queue',
+        handler: async ({ auth, query }) => {
+            const { limit, offset } = apiPagination(query);
+            const filters = ['guild_id = ?'];
+            const values = [auth.guildId];
+            if (query.status) {
+                filters.push('status = ?');
+                values.push(query.status);
+            }
+
+            const where = filters.join(' AND ');
+            const { total } = await db.get(`SELECT COUNT(*) as total FROM queue WHERE ${where}`, ...values);
+            const rows = await db.all(`SELECT * FROM queue WHERE ${where} ORDER BY id DESC LIMIT ? OFFSET ?`, ...values, limit, offset);
+
+            // O payload tem os cartões cifrados: só o valor e a transação vão para a API
+            const items = rows.map(({ payload, ...item }) => {
+                const data = JSON.parse(payload || '{}');
+                return { ...item, amount: data.amount ?? null, transaction_id: data.transactionId ?? null };
+            });
+            return { total, limit, offset, items };
+        }
+    }
+];
+
+/**
+ * Cria o servidor HTTP da API e do painel (sem listen)
+ * @returns {http.Server} Servidor
+ */
+function createApiServer() {
+    return createWebServer({
+        routes: API_ROUTES,
+        authenticate: authenticateApiToken,
+        onError: error => console.error('❌ Erro na API web:', error)
+    });
+}
+
 // ===================== INICIALIZAÇÃO =====================
 /**
  * Inicia o bot e todas as suas dependências
  */
 async function start() {
+    validateConfig();
+
     try {
         // Inicializa banco de dados
         await initDatabase();
@@ -1866,6 +7563,43 @@ async function start() {
         await client.login(CONFIG.BOT_TOKEN);
         console.log('✅ Bot conectado ao Discord com sucesso');
         
+        // Recupera itens da fila que ficaram pendentes antes do restart
+        await paymentQueue.start();
+        
+        // Auditoria periódica dos servidores
+        if (CONFIG.AUDIT_INTERVAL_MS > 0) {
+            setInterval(() => {
+                runScheduledAudits().catch(error => console.error('❌ Erro nas auditorias:', error));
+            }, CONFIG.AUDIT_INTERVAL_MS);
+        }
+        
+        // Mantém o cache de saldos dos cartões atualizado
+        cardBalances.refresh().catch(error => console.error('❌ Erro atualizando saldos dos cartões:', error));
+        setInterval(() => {
+            cardBalances.refresh().catch(error => console.error('❌ Erro atualizando saldos dos cartões:', error));
+        }, CONFIG.CARD_BALANCE_REFRESH_MS);
+        
+        // API web e painel
+        if (CONFIG.WEB_PORT > 0) {
+            createApiServer().listen(CONFIG.WEB_PORT, CONFIG.WEB_HOST, () => {
+                console.log(`✅ API web em http://${CONFIG.WEB_HOST}:${CONFIG.WEB_PORT}/`);
+            });
+        }
+        
+        // Reenvia entregas de webhooks que falharam (e as que ficaram de um restart)
+        webhooks.process();
+        setInterval(() => webhooks.process(), CONFIG.WEBHOOK_SWEEP_MS);
+        
+        // Expira pedidos de aprovação vencidos
+        setInterval(() => {
+            expireApprovals().catch(error => console.error('❌ Erro expirando pedidos de aprovação:', error));
+        }, CONFIG.APPROVAL_SWEEP_MS);
+        
+        // Confere periodicamente itens com resultado desconhecido
+        setInterval(() => {
+            paymentQueue.resolveUnknown().catch(error => console.error('❌ Erro conferindo itens da fila:', error));
+        }, CONFIG.QUEUE_UNKNOWN_RETRY_MS);
+        
         // Define status do bot
         client.user.setActivity('/ajuda', { type: 'WATCHING' });
         
@@ -1875,14 +7609,51 @@ async function start() {
     }
 }
 
-// Tratamento de erros não capturados
-process.on('uncaughtException', (error) => {
-    console.error('❌ Exceção não capturada:', error);
-});
+// Só inicia o bot quando executado diretamente (node index.js); os testes importam o módulo
+if (require.main === module) {
+    // Tratamento de erros não capturados
+    process.on('uncaughtException', (error) => {
+        console.error('❌ Exceção não capturada:', error);
+    });
 
-process.on('unhandledRejection', (error) => {
-    console.error('❌ Promise rejeitada não tratada:', error);
-});
+    process.on('unhandledRejection', (error) => {
+        console.error('❌ Promise rejeitada não tratada:', error);
+    });
+
+    const [command] = process.argv.slice(2);
+
+    if (command === 'generate-card-key') {
+        console.log(generateKey());
+    } else if (command === 'rotate-card-key') {
+        rotateCardKey().catch((error) => {
+            console.error('❌ Falha na rotação da chave dos cartões:', error.message);
+            process.exit(1);
+        });
+    } else {
+        // Inicia o bot
+        start();
+    }
+}
 
-// Inicia o bot
-start();
+module.exports = {
+    CONFIG,
+    client,
+    coinApi,
+    cardVault,
+    paymentQueue,
+    cardBalances,
+    ledger,
+    events: economyEvents,
+    webhooks,
+    initDatabase,
+    handleInteraction,
+    registerSlashCommands,
+    auditGuild,
+    expireApprovals,
+    createApiServer,
+    reencryptCards,
+    start,
+    get db() {
+        return db;
+    }
+};
@@ -0,0 +1,149 @@
+// cardVault.js - Criptografia dos códigos de cartão guardados no banco
+// O código de um cartão basta para gastar os coins dele, então ele nunca é
+// gravado em texto puro: fica cifrado com AES-256-GCM e só é decifrado no
+// momento da chamada à Coin API.
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+// Formato gravado: enc:v1:<id da chave>:<iv>:<tag>:<texto cifrado> (base64url)
+const PREFIX = 'enc:v1:';
+
+/**
+ * Erro de criptografia de cartões (chave ausente, desconhecida ou dado adulterado)
+ */
+class CardVaultError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CardVaultError';
+    }
+}
+
+/**
+ * Lê uma chave de 32 bytes em hex (64 caracteres) ou base64
+ * @param {string} value - Chave como veio do .env
+ * @returns {Buffer|null} Chave, ou null se inválida
+ */
+function parseKey(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+
+    const text = value.trim();
+    const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+    return key.length === KEY_BYTES ? key : null;
+}
+
+/**
+ * Gera uma chave nova, pronta para o .env
+ * @returns {string} Chave em base64
+ */
+function generateKey() {
+    return crypto.randomBytes(KEY_BYTES).toString('base64');
+}
+
+/**
+ * Identificador curto de uma chave, gravado junto do dado para saber com qual chave decifrar
+ * @param {Buffer} key - Chave
+ * @returns {string} 8 caracteres hex
+ */
+function keyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+/**
+ * Indica se um valor do banco já está cifrado
+ * @param {string} value - Valor gravado
+ * @returns {boolean} True se cifrado
+ */
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+class CardVault {
+    /**
+     * @param {Object} config - Configuração
+     * @param {string} [config.key] - Chave atual (hex ou base64)
+     * @param {string[]} [config.previousKeys] - Chaves antigas, aceitas só para decifrar durante a rotação
+     */
+    constructor({ key, previousKeys = [] } = {}) {
+        this.key = parseKey(key);
+        this.keyId = this.key ? keyId(this.key) : null;
+
+        this.keys = new Map();
+        for (const candidate of [key, ...previousKeys].map(parseKey).filter(Boolean)) {
+            this.keys.set(keyId(candidate), candidate);
+        }
+    }
+
+    /**
+     * Cifra um código de cartão com a chave atual
+     * @param {string} cardId - Código em texto puro
+     * @returns {string} Valor para gravar no banco
+     */
+    encrypt(cardId) {
+        if (!this.key) {
+            throw new CardVaultError('CARD_ENCRYPTION_KEY não configurada');
+        }
+
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+        const encrypted = Buffer.concat([cipher.update(String(cardId), 'utf8'), cipher.final()]);
+
+        return PREFIX + [this.keyId, iv, cipher.getAuthTag(), encrypted]
+            .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+            .join(':');
+    }
+
+    /**
+     * Decifra um valor gravado
+     * @param {string} value - Valor do banco
+     * @returns {string} Código do cartão em texto puro
+     */
+    decrypt(value) {
+        if (!isEncrypted(value)) {
+            throw new CardVaultError('Cartão gravado sem criptografia');
+        }
+
+        const [id, iv, tag, encrypted] = value.slice(PREFIX.length).split(':');
+        const key = this.keys.get(id);
+        if (!key) {
+            throw new CardVaultError(`Cartão cifrado com uma chave desconhecida (${id})`);
+        }
+
+        try {
+            const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+            decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+            return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64url')), decipher.final()]).toString('utf8');
+        } catch {
+            throw new CardVaultError('Cartão cifrado inválido ou adulterado');
+        }
+    }
+
+    /**
+     * Indica se um valor precisa ser (re)cifrado com a chave atual
+     * @param {string} value - Valor do banco
+     * @returns {boolean} True se está em texto puro ou cifrado com outra chave
+     */
+    needsReencrypt(value) {
+        return !isEncrypted(value) || value.slice(PREFIX.length).split(':')[0] !== this.keyId;
+    }
+
+    /**
+     * Cifra de novo com a chave atual; texto puro é cifrado pela primeira vez
+     * @param {string} value - Valor do banco
+     * @returns {string} Valor cifrado com a chave atual
+     */
+    reencrypt(value) {
+        return this.encrypt(isEncrypted(value) ? this.decrypt(value) : value);
+    }
+}
+
+module.exports = {
+    CardVault,
+    CardVaultError,
+    parseKey,
+    generateKey,
+    isEncrypted
+};
@@ -0,0 +1,360 @@
+// coinApi.js - Cliente da Coin API e implementação em memória para testes
+// Todos os valores em coins entram e saem em unidades base (1e-8), como no
+// resto do bot. A conversão para o formato da API acontece só aqui.
+
+const axios = require('axios');
+const { fromApiCoins, toApiCoins, parseCoins } = require('./money');
+
+// Códigos de erro normalizados
+const COIN_API_ERRORS = {
+    TIMEOUT: 'TIMEOUT',                       // Sem resposta no prazo; a operação pode ter ocorrido
+    NETWORK: 'NETWORK',                       // Falha de conexão antes de qualquer resposta
+    CARD_NOT_FOUND: 'CARD_NOT_FOUND',
+    INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+    RATE_LIMITED: 'RATE_LIMITED',
+    SERVER_ERROR: 'SERVER_ERROR',             // 5xx da API
+    REJECTED: 'REJECTED'                      // A API recusou a operação por outro motivo
+};
+
+// Erros transitórios: vale a pena tentar de novo (com a mesma chave de idempotência)
+const RETRYABLE_ERRORS = [
+    COIN_API_ERRORS.TIMEOUT,
+    COIN_API_ERRORS.NETWORK,
+    COIN_API_ERRORS.SERVER_ERROR,
+    COIN_API_ERRORS.RATE_LIMITED
+];
+
+// Erros em que não dá para saber se a transferência foi feita
+const AMBIGUOUS_ERRORS = [
+    COIN_API_ERRORS.TIMEOUT,
+    COIN_API_ERRORS.NETWORK,
+    COIN_API_ERRORS.SERVER_ERROR
+];
+
+/**
+ * Erro da Coin API com código normalizado
+ */
+class CoinApiError extends Error {
+    /**
+     * @param {string} code - Um dos COIN_API_ERRORS
+     * @param {string} message - Mensagem legível
+     * @param {number} [status] - Status HTTP, se houve resposta
+     */
+    constructor(code, message, status) {
+        super(message);
+        this.name = 'CoinApiError';
+        this.code = code;
+        this.status = status;
+    }
+
+    // Pode ser tentado de novo
+    get retryable() {
+        return RETRYABLE_ERRORS.includes(this.code);
+    }
+
+    // A operação pode ter acontecido do lado da API
+    get ambiguous() {
+        return AMBIGUOUS_ERRORS.includes(this.code);
+    }
+}
+
+/**
+ * Identifica o código de uma recusa pela mensagem da API
+ * @param {string} message - Mensagem de erro da API
+ * @returns {string} Código normalizado
+ */
+function codeFromApiMessage(message) {
+    if (/insufficient|saldo/i.test(message || '')) return COIN_API_ERRORS.INSUFFICIENT_FUNDS;
+    if (/not found|não encontrado|nao encontrado/i.test(message || '')) return COIN_API_ERRORS.CARD_NOT_FOUND;
+    return COIN_API_ERRORS.REJECTED;
+}
+
+/**
+ * Converte um erro do axios em CoinApiError
+ * @param {Error} error - Erro original
+ * @returns {CoinApiError} Erro normalizado
+ */
+function normalizeAxiosError(error) {
+    if (error instanceof CoinApiError) return error;
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new CoinApiError(COIN_API_ERRORS.TIMEOUT, 'Tempo esgotado aguardando a Coin API');
+    }
+
+    const status = error.response?.status;
+    if (!status) {
+        return new CoinApiError(COIN_API_ERRORS.NETWORK, `Falha de conexão com a Coin API: ${error.message}`);
+    }
+
+    const message = error.response.data?.error || `Coin API respondeu ${status}`;
+    if (status === 404) return new CoinApiError(COIN_API_ERRORS.CARD_NOT_FOUND, message, status);
+    if (status === 429) return new CoinApiError(COIN_API_ERRORS.RATE_LIMITED, message, status);
+    if (status >= 500) return new CoinApiError(COIN_API_ERRORS.SERVER_ERROR, message, status);
+
+    return new CoinApiError(codeFromApiMessage(message), message, status);
+}
+
+/**
+ * Cliente HTTP da Coin API
+ */
+class CoinApiClient {
+    /**
+     * @param {Object} options - { baseUrl, timeout }
+     */
+    constructor({ baseUrl, timeout }) {
+        this.baseUrl = baseUrl;
+        this.timeout = timeout;
+    }
+
+    /**
+     * Faz um POST na API, normalizando erros
+     * @param {string} endpoint - Caminho (ex.: /api/card/info)
+     * @param {Object} body - Corpo da requisição
+     * @param {string} [idempotencyKey] - Chave enviada no header Idempotency-Key
+     * @returns {Object} Dados da resposta
+     */
+    async post(endpoint, body, idempotencyKey) {
+        const headers = idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {};
+
+        try {
+            const response = await axios.post(`${this.baseUrl}${endpoint}`, body, { timeout: this.timeout, headers });
+            return response.data || {};
+        } catch (error) {
+            throw normalizeAxiosError(error);
+        }
+    }
+
+    /**
+     * Consulta um cartão (endpoint: /api/card/info)
+     * @param {string} cardCode - Código do cartão
+     * @returns {Object} Dados do cartão, com coins em unidades base
+     */
+    async getCard(cardCode) {
+        const data = await this.post('/api/card/info', { cardCode });
+        return { ...data, coins: fromApiCoins(data.coins) };
+    }
+
+    /**
+     * Transfere de um cartão para o ID de um usuário (endpoint: /api/transfer/card)
+     * @param {Object} transfer - { fromCard, toId, amount, idempotencyKey }
+     * @returns {Object} { success, txId, date }
+     */
+    async transferToId({ fromCard, toId, amount, idempotencyKey }) {
+        const data = await this.post('/api/transfer/card', { cardCode: fromCard, toId, amount: toApiCoins(amount) }, idempotencyKey);
+        return this.transferResult(data);
+    }
+
+    /**
+     * Transfere de um cartão para outro cartão (endpoint: /api/card/pay)
+     * @param {Object} transfer - { fromCard, toCard, amount, idempotencyKey }
+     * @returns {Object} { success, txId, date }
+     */
+    async payCard({ fromCard, toCard, amount, idempotencyKey }) {
+        const data = await this.post('/api/card/pay', { fromCard, toCard, amount: toApiCoins(amount) }, idempotencyKey);
+        return this.transferResult(data);
+    }
+
+    /**
+     * Valida a resposta de uma transferência
+     * @param {Object} data - Resposta da API
+     * @returns {Object} { success, txId, date }
+     */
+    transferResult(data) {
+        if (!data.success) {
+            const message = data.error || 'Falha na transferência';
+            throw new CoinApiError(codeFromApiMessage(message), message);
+        }
+
+        return { success: true, txId: data.txId, date: data.date };
+    }
+}
+
+/**
+ * Implementação em memória da Coin API, para rodar o bot e os testes sem rede.
+ * Os saldos dos cartões e as falhas são programáveis.
+ */
+class MockCoinApiClient {
+    /**
+     * @param {Object} [options] - { cards: { código: unidades base }, latencyMs }
+     */
+    constructor({ cards = {}, latencyMs = 0 } = {}) {
+        this.cards = new Map(Object.entries(cards));
+        // Coins recebidos por ID de usuário via /api/transfer/card
+        this.accounts = new Map();
+        this.latencyMs = latencyMs;
+        this.failures = [];
+        this.calls = [];
+        this.nextTxId = 1;
+        // Resultados por chave de idempotência: reenvios devolvem a transferência original
+        this.completed = new Map();
+    }
+
+    /**
+     * Define o saldo de um cartão (cria o cartão se não existir)
+     * @param {string} cardCode - Código do cartão
+     * @param {number} units - Saldo em unidades base
+     */
+    setCard(cardCode, units) {
+        this.cards.set(cardCode, units);
+    }
+
+    /**
+     * Saldo atual de um cartão
+     * @param {string} cardCode - Código do cartão
+     * @returns {number|undefined} Unidades base
+     */
+    balanceOf(cardCode) {
+        return this.cards.get(cardCode);
+    }
+
+    /**
+     * Programa falhas para as próximas chamadas
+     * @param {string} endpoint - 'getCard', 'transferToId', 'payCard' ou '*'
+     * @param {string} code - Um dos COIN_API_ERRORS
+     * @param {number} [times] - Quantas chamadas devem falhar
+     * @param {Object} [options] - { applied: true } faz a transferência acontecer antes do erro
+     *                             (ex.: timeout depois que a API já processou)
+     */
+    failNext(endpoint, code, times = 1, { applied = false } = {}) {
+        this.failures.push({ endpoint, code, times, applied });
+    }
+
+    /**
+     * Registra a chamada, aplica a latência e dispara falhas programadas
+     * @param {string} endpoint - Nome do método
+     * @param {Object} args - Argumentos da chamada
+     * @returns {CoinApiError|null} Falha a lançar depois de aplicar a operação, se programada
+     */
+    async simulate(endpoint, args) {
+        this.calls.push({ endpoint, ...args });
+
+        if (this.latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+        }
+
+        const failure = this.failures.find(f => f.endpoint === endpoint || f.endpoint === '*');
+        if (!failure) return null;
+
+        if (--failure.times <= 0) {
+            this.failures.splice(this.failures.indexOf(failure), 1);
+        }
+
+        const error = new CoinApiError(failure.code, `Falha simulada: ${failure.code}`);
+        if (!failure.applied) throw error;
+        return error;
+    }
+
+    /**
+     * Executa uma transferência uma única vez por chave de idempotência
+     * @param {string} [idempotencyKey] - Chave da transferência
+     * @param {Function} apply - Movimenta os saldos
+     * @returns {Object} { success, txId, date }
+     */
+    once(idempotencyKey, apply) {
+        if (idempotencyKey && this.completed.has(idempotencyKey)) {
+            return this.completed.get(idempotencyKey);
+        }
+
+        apply();
+        const result = { success: true, txId: `mock-${this.nextTxId++}`, date: new Date().toISOString() };
+        if (idempotencyKey) this.completed.set(idempotencyKey, result);
+        return result;
+    }
+
+    /**
+     * Debita um cartão, validando existência e saldo
+     * @param {string} cardCode - Código do cartão
+     * @param {number} amount - Unidades base
+     */
+    debit(cardCode, amount) {
+        if (!this.cards.has(cardCode)) {
+            throw new CoinApiError(COIN_API_ERRORS.CARD_NOT_FOUND, 'Card not found', 404);
+        }
+        if (!Number.isSafeInteger(amount) || amount <= 0) {
+            throw new CoinApiError(COIN_API_ERRORS.REJECTED, 'Invalid amount', 400);
+        }
+        if (this.cards.get(cardCode) < amount) {
+            throw new CoinApiError(COIN_API_ERRORS.INSUFFICIENT_FUNDS, 'Insufficient funds', 400);
+        }
+        this.cards.set(cardCode, this.cards.get(cardCode) - amount);
+    }
+
+    // Mesmo contrato de CoinApiClient.getCard
+    async getCard(cardCode) {
+        await this.simulate('getCard', { cardCode });
+
+        if (!this.cards.has(cardCode)) {
+            throw new CoinApiError(COIN_API_ERRORS.CARD_NOT_FOUND, 'Card not found', 404);
+        }
+        return { success: true, coins: this.cards.get(cardCode) };
+    }
+
+    // Mesmo contrato de CoinApiClient.transferToId
+    async transferToId({ fromCard, toId, amount, idempotencyKey }) {
+        const lateFailure = await this.simulate('transferToId', { fromCard, toId, amount, idempotencyKey });
+
+        const result = this.once(idempotencyKey, () => {
+            this.debit(fromCard, amount);
+            this.accounts.set(toId, (this.accounts.get(toId) || 0) + amount);
+        });
+
+        if (lateFailure) throw lateFailure;
+        return result;
+    }
+
+    // Mesmo contrato de CoinApiClient.payCard
+    async payCard({ fromCard, toCard, amount, idempotencyKey }) {
+        const lateFailure = await this.simulate('payCard', { fromCard, toCard, amount, idempotencyKey });
+
+        const result = this.once(idempotencyKey, () => {
+            if (!this.cards.has(toCard)) {
+                throw new CoinApiError(COIN_API_ERRORS.CARD_NOT_FOUND, 'Card not found', 404);
+            }
+            this.debit(fromCard, amount);
+            this.cards.set(toCard, this.cards.get(toCard) + amount);
+        });
+
+        if (lateFailure) throw lateFailure;
+        return result;
+    }
+}
+
+/**
+ * Lê a lista de cartões do mock no formato "CARD1=10.5,CARD2=3"
+ * @param {string} value - Lista de cartões
+ * @returns {Object} { código: unidades base }
+ */
+function parseMockCards(value) {
+    const cards = {};
+    for (const entry of (value || '').split(',')) {
+        const [code, amount] = entry.split('=').map(part => part.trim());
+        if (!code) continue;
+
+        const units = parseCoins(amount || '0');
+        if (units === null) {
+            throw new Error(`Saldo inválido para o cartão ${code} em COIN_API_MOCK_CARDS`);
+        }
+        cards[code] = units;
+    }
+    return cards;
+}
+
+/**
+ * Cria o cliente da Coin API de acordo com a configuração
+ * @param {Object} config - { mode, baseUrl, timeout, mockCards, mockLatencyMs }
+ * @returns {CoinApiClient|MockCoinApiClient} Cliente
+ */
+function createCoinApiClient({ mode, baseUrl, timeout, mockCards, mockLatencyMs }) {
+    if (mode === 'mock') {
+        return new MockCoinApiClient({ cards: parseMockCards(mockCards), latencyMs: mockLatencyMs });
+    }
+    return new CoinApiClient({ baseUrl, timeout });
+}
+
+module.exports = {
+    COIN_API_ERRORS,
+    CoinApiError,
+    CoinApiClient,
+    MockCoinApiClient,
+    createCoinApiClient
+};
@@ -0,0 +1,57 @@
+// currencyIcon.js - Ícone da moeda de cada servidor
+// O ícone enviado em /server currency é baixado do Discord e guardado no banco,
+// porque os links de anexos do Discord expiram. O tipo vem dos primeiros bytes
+// do arquivo, não do nome nem do Content-Type informado.
+
+const IMAGE_TYPES = [
+    { ext: 'png', matches: data => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { ext: 'jpg', matches: data => data.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+    { ext: 'gif', matches: data => ['GIF87a', 'GIF89a'].includes(data.subarray(0, 6).toString('latin1')) },
+    { ext: 'webp', matches: data => data.subarray(0, 4).toString('latin1') === 'RIFF' && data.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+/**
+ * Identifica o formato de uma imagem pelos primeiros bytes
+ * @param {Buffer} data - Conteúdo do arquivo
+ * @returns {string|null} Extensão ('png', 'jpg', 'gif' ou 'webp'), ou null se não for imagem aceita
+ */
+function detectImageType(data) {
+    if (!Buffer.isBuffer(data)) return null;
+    return IMAGE_TYPES.find(type => type.matches(data))?.ext ?? null;
+}
+
+/**
+ * Baixa o ícone enviado como anexo
+ * @param {Object} params - Dados do download
+ * @param {string} params.url - URL do anexo
+ * @param {number} params.maxBytes - Tamanho máximo aceito
+ * @param {number} params.timeoutMs - Tempo máximo de espera
+ * @returns {Object} { ok, data, ext } ou { ok: false, error } com error 'too_large',
+ * 'not_image' ou 'download_failed' (erros de rede não lançam)
+ */
+async function fetchIcon({ url, maxBytes, timeoutMs }) {
+    let data;
+    try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+        if (!response.ok) {
+            await response.body?.cancel();
+            return { ok: false, error: 'download_failed' };
+        }
+        if (Number(response.headers.get('content-length')) > maxBytes) {
+            await response.body?.cancel();
+            return { ok: false, error: 'too_large' };
+        }
+        data = Buffer.from(await response.arrayBuffer());
+    } catch {
+        return { ok: false, error: 'download_failed' };
+    }
+
+    if (data.length > maxBytes) return { ok: false, error: 'too_large' };
+    const ext = detectImageType(data);
+    return ext ? { ok: true, data, ext } : { ok: false, error: 'not_image' };
+}
+
+module.exports = {
+    detectImageType,
+    fetchIcon
+};
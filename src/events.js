@@ -0,0 +1,75 @@
+// events.js - Barramento de eventos da economia
+// Cada operação concluída (ou que falhou na Coin API) publica um evento tipado.
+// Quem estiver interessado escuta no barramento: os webhooks dos servidores
+// (ver WEBHOOKS no index.js) ou qualquer outro módulo do bot.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Tipos de evento e quando são publicados
+const ECONOMY_EVENTS = {
+    'deposit.completed': 'Depósito concluído (reais → coins)',
+    'deposit.failed': 'Depósito recusado pela Coin API (reais estornados)',
+    'withdraw.completed': 'Saque concluído (coins → reais)',
+    'withdraw.failed': 'Saque recusado pela Coin API',
+    'topup.credited': 'Recarga pela Coin API creditada',
+    'pay.completed': 'Pagamento em reais entre usuários',
+    'payserver.completed': 'Pagamento de coins ao servidor',
+    'payserver.failed': 'Pagamento ao servidor recusado pela Coin API',
+    'server_pay.completed': 'Pagamento de coins do servidor a um usuário',
+    'server_pay.failed': 'Pagamento do servidor recusado pela Coin API',
+    'balance.given': 'Reais adicionados pela staff',
+    'balance.taken': 'Reais removidos pela staff',
+    'balance.set': 'Saldo definido pela staff',
+    'fine.issued': 'Multa aplicada',
+    'fine.paid': 'Multa paga',
+    'fine.waived': 'Multa perdoada',
+    'fine.escalated': 'Multa cobrada do saldo',
+    'webhook.test': 'Teste enviado por /server webhooks (só para o webhook testado)'
+};
+
+/**
+ * Monta um evento
+ * @param {string} guildId - ID do servidor
+ * @param {string} type - Chave de ECONOMY_EVENTS
+ * @param {Object} data - Dados do evento (valores inteiros: centavos e unidades base)
+ * @returns {Object} { id, type, guild_id, created_at, data }
+ * @throws {Error} Se o tipo não existe
+ */
+function createEvent(guildId, type, data = {}) {
+    if (!ECONOMY_EVENTS[type]) {
+        throw new Error(`Tipo de evento desconhecido: ${type}`);
+    }
+    return {
+        id: `evt_${crypto.randomUUID()}`,
+        type,
+        guild_id: guildId,
+        created_at: new Date().toISOString(),
+        data
+    };
+}
+
+/**
+ * Barramento: emite cada evento pelo próprio tipo e por 'event' (todos os tipos)
+ */
+class EconomyEventBus extends EventEmitter {
+    /**
+     * Publica um evento
+     * @param {string} guildId - ID do servidor
+     * @param {string} type - Chave de ECONOMY_EVENTS
+     * @param {Object} data - Dados do evento
+     * @returns {Object} Evento publicado
+     */
+    publish(guildId, type, data) {
+        const event = createEvent(guildId, type, data);
+        this.emit(type, event);
+        this.emit('event', event);
+        return event;
+    }
+}
+
+module.exports = {
+    ECONOMY_EVENTS,
+    createEvent,
+    EconomyEventBus
+};
@@ -0,0 +1,135 @@
+// i18n.js - Catálogos de mensagens e tradução por servidor
+// As mensagens ficam em src/locales/<idioma>.js, com chaves em pontos
+// ("money.balance.title") e parâmetros entre chaves ("{amount}"). O português
+// é o idioma padrão e a referência: chave que falta em outro idioma cai nele.
+// As descrições dos comandos slash vão para o Discord em description_localizations.
+
+const LOCALES = {
+    pt: { name: 'Português', discord: ['pt-BR'], messages: require('./locales/pt') },
+    en: { name: 'English', discord: ['en-US', 'en-GB'], messages: require('./locales/en') }
+};
+
+const DEFAULT_LOCALE = 'pt';
+
+/**
+ * Procura uma chave num catálogo
+ * @param {Object} messages - Catálogo
+ * @param {string} key - Chave em pontos
+ * @returns {*} Mensagem, ou undefined
+ */
+function lookup(messages, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+}
+
+/**
+ * Substitui os parâmetros {nome} de uma mensagem
+ * @param {string} text - Mensagem
+ * @param {Object} params - Valores; parâmetros sem valor ficam como estão
+ * @returns {string} Mensagem final
+ */
+function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * Normaliza um idioma
+ * @param {string} locale - Código do idioma
+ * @returns {string} O próprio código, ou o padrão se não houver catálogo
+ */
+function resolveLocale(locale) {
+    return LOCALES[locale] ? locale : DEFAULT_LOCALE;
+}
+
+/**
+ * Verifica se uma chave existe (no idioma ou no padrão)
+ * @param {string} locale - Código do idioma
+ * @param {string} key - Chave em pontos
+ * @returns {boolean} True se há mensagem
+ */
+function hasMessage(locale, key) {
+    return typeof lookup(LOCALES[resolveLocale(locale)].messages, key) === 'string'
+        || typeof lookup(LOCALES[DEFAULT_LOCALE].messages, key) === 'string';
+}
+
+/**
+ * Traduz uma chave
+ * @param {string} locale - Código do idioma
+ * @param {string} key - Chave em pontos
+ * @param {Object} [params] - Parâmetros da mensagem
+ * @returns {string} Mensagem no idioma, no padrão se faltar, ou a própria chave
+ */
+function translate(locale, key, params = {}) {
+    let message = lookup(LOCALES[resolveLocale(locale)].messages, key);
+    if (typeof message !== 'string') message = lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+    return typeof message === 'string' ? interpolate(message, params) : key;
+}
+
+/**
+ * Cria a função de tradução de um idioma
+ * @param {string} locale - Código do idioma
+ * @param {Object} [defaults] - Parâmetros presentes em todas as mensagens (ex.: nome da moeda)
+ * @returns {Function} t(key, params), com t.locale e t.has(key)
+ */
+function createTranslator(locale, defaults = {}) {
+    const resolved = resolveLocale(locale);
+    const t = (key, params = {}) => translate(resolved, key, { ...defaults, ...params });
+    t.locale = resolved;
+    t.has = key => hasMessage(resolved, key);
+    return t;
+}
+
+/**
+ * Traduções de uma chave nos outros idiomas, no formato do Discord
+ * @param {string} key - Chave em pontos
+ * @param {Object|Function} [params] - Parâmetros da mensagem, ou função que os retorna para cada idioma
+ * @returns {Object|undefined} { 'en-US': '...', ... }, ou undefined se nenhum idioma tem a chave
+ */
+function discordLocalizations(key, params = {}) {
+    const localizations = {};
+    for (const [code, { discord, messages }] of Object.entries(LOCALES)) {
+        if (code === DEFAULT_LOCALE) continue;
+
+        const message = lookup(messages, key);
+        if (typeof message !== 'string') continue;
+        const text = interpolate(message, typeof params === 'function' ? params(code) : params);
+        for (const discordLocale of discord) {
+            localizations[discordLocale] = text;
+        }
+    }
+    return Object.keys(localizations).length > 0 ? localizations : undefined;
+}
+
+/**
+ * Adiciona description_localizations aos comandos slash (e às opções e subcomandos)
+ * A descrição de commands.<caminho> vem dos catálogos, com o caminho formado pelos
+ * nomes (ex.: "money.pay.amount"); a descrição padrão continua a da definição.
+ * Escolhas de uma opção recebem name_localizations de <caminho>.choices.<valor>.
+ * @param {Object[]} commands - Definições dos comandos, no formato da API do Discord
+ * @param {Object|Function} [params] - Parâmetros das descrições (ver discordLocalizations)
+ * @param {string} [prefix] - Caminho das definições no catálogo
+ * @returns {Object[]} Os mesmos comandos, alterados
+ */
+function localizeCommands(commands, params = {}, prefix = 'commands') {
+    for (const command of commands) {
+        const key = `${prefix}.${command.name}`;
+        const descriptions = discordLocalizations(`${key}.description`, params);
+        if (descriptions) command.description_localizations = descriptions;
+
+        for (const choice of command.choices || []) {
+            const names = discordLocalizations(`${key}.choices.${choice.value}`, params);
+            if (names) choice.name_localizations = names;
+        }
+        if (command.options) localizeCommands(command.options, params, key);
+    }
+    return commands;
+}
+
+module.exports = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    resolveLocale,
+    translate,
+    createTranslator,
+    discordLocalizations,
+    localizeCommands
+};
@@ -0,0 +1,1141 @@
+// en.js - Mensagens em inglês
+// Mesma estrutura de pt.js; chaves que faltarem aqui são exibidas em português.
+// A seção commands traz as descrições dos comandos slash (description_localizations).
+
+module.exports = {
+    currency: {
+        name: 'reais',
+        title: '💱 Server Currency',
+        changed: '✅ Currency Changed',
+        footer: 'Amounts are still stored in cents; with fewer decimal places, the cents are not shown',
+        log: '💱 Currency Changed',
+        fields: {
+            name: 'Name',
+            symbol: 'Symbol',
+            decimals: 'Decimal places',
+            example: 'Example',
+            icon: 'Icon'
+        },
+        icon: {
+            custom: 'Server icon',
+            default: 'Bot default'
+        },
+        invalidName: '❌ Invalid name: use up to {max} characters, with no line breaks or backticks.',
+        invalidSymbol: '❌ Invalid symbol: use up to {max} characters, with no line breaks or backticks.',
+        invalidDecimals: '❌ Decimal places go from 0 to {max}.',
+        iconErrors: {
+            too_large: '❌ The icon is larger than {max} KB.',
+            not_image: '❌ The icon must be a PNG, JPG, GIF or WEBP image.',
+            download_failed: '❌ Could not download the icon. Try uploading it again.'
+        }
+    },
+
+    common: {
+        fields: {
+            user: 'User',
+            error: 'Error',
+            operation: 'Operation',
+            staff: 'Staff',
+            admin: 'Admin',
+            fee: 'Fee',
+            rate: 'Exchange rate',
+            transactionId: 'Transaction ID',
+            amount: 'Amount',
+            newBalance: 'New balance',
+            reason: 'Reason',
+            balance: 'Balance',
+            to: 'To',
+            from: 'From',
+            yourNewBalance: 'Your new balance',
+            youPaid: 'You paid',
+            yourBalance: 'Your balance',
+            currentDollars: 'Current {currency} balance',
+            youReceived: 'You received'
+        },
+        error: {
+            title: '❌ Error',
+            command: 'An error occurred while running this command.'
+        },
+        invalidAmount: '❌ Invalid amount.',
+        tooLow: {
+            title: '❌ Amount too low',
+            fee: 'The {operation} fee ({fee}) takes the whole amount.',
+            rate: 'At the current exchange rate ({rate}), this amount does not reach 0.00000001 coins.'
+        }
+    },
+
+    help: {
+        title: '📋 Available Commands',
+        description: 'Type `/` to see every available slash command!',
+        money: '`balance` - Show your balance\n`pay` - Pay another user\n`withdraw` - Withdraw {currency} as coins\n`deposit` - Deposit coins as {currency}\n`topup` - Code to top up {currency} through the Coin API\n`history` - Show your transaction history\n`fines` - Show and pay your fines\n`privacy` - Leave or rejoin the leaderboard',
+        server: '`card` - Configure the server card (`config.edit`)\n`log` - Configure the log channel (`config.edit`)\n`balance` - Show the server balance\n`rate` - Show/set the exchange rate (`config.edit`)\n`fees` - Show/configure fees (`config.edit`)\n`limits` - Show/configure transaction and approval limits (`config.edit`)\n`audit` - Audit backing and ledger (`server.audit`)\n`privacy` - Set private replies (`config.edit`)\n`language` - Show/set the bot language (`config.edit`)\n`currency` - Show/set the currency name, symbol, decimal places and icon (`config.edit`)\n`pay` - Server pays a user (`server.pay`; large amounts need approval)\n`fine` - Fine a user in {currency} (`server.fine`)\n`fines` - List, waive or escalate fines (`server.fines`)\n`topup` - Show the top-up status (`config.edit`)\n`api` - Web API and dashboard tokens (`perms.manage`)\n`webhooks` - Send economy events to other services (`config.edit`)',
+        adm: '`perms` - Grant, revoke and list permissions (`perms.manage`)\n`setstaff` - Give the staff permissions to a role (`perms.manage`)\n`give` - Add {currency} (`economy.give`)\n`take` - Remove {currency} (`economy.take`)\n`set` - Set a balance (`economy.set`; large amounts need approval)\n`history` - Show a user\'s history (`economy.history`)',
+        othersTitle: '🔧 Other',
+        others: '`/card` - Configure (`set`), verify, show or remove your card\n`/coinbalance` - Show your coin balance\n`/baltop [sort]` - Show the leaderboard by {currency}, coins or net worth\n`/payserver` - Pay the server'
+    },
+
+    language: {
+        title: '🌐 Server Language',
+        changed: '✅ Language Changed',
+        current: 'Bot messages in this server are in **{language}**.',
+        invalid: '❌ Unknown language.',
+        footer: 'Use /server language language:<language> to change it',
+        log: '🌐 Language Changed',
+        fields: {
+            language: 'Language',
+            available: 'Available languages'
+        }
+    },
+
+    permissions: {
+        denied: '❌ You do not have the `{capability}` permission to use this command.',
+        capabilities: {
+            economy: {
+                give: 'Add {currency} (/adm give)',
+                take: 'Remove {currency} (/adm take)',
+                set: 'Set balances (/adm set)',
+                history: 'View other users\' history (/adm history)'
+            },
+            server: {
+                pay: 'Pay users from the server (/server pay)',
+                fine: 'Issue fines (/server fine)',
+                fines: 'List, waive and escalate fines (/server fines)',
+                audit: 'Audit backing and ledger (/server audit)'
+            },
+            config: {
+                edit: 'Change the server card, logs, exchange rate, fees, limits, top-ups, webhooks, language, currency and privacy'
+            },
+            perms: {
+                manage: 'Manage permissions and API tokens (/adm perms, /adm setstaff and /server api)'
+            }
+        },
+        list: {
+            title: '🔑 Server Permissions',
+            subjectTitle: '🔑 Permissions of {subject}',
+            adminsOnly: 'administrators only',
+            footer: 'Discord administrators have every permission'
+        },
+        missingSubject: '❌ Provide a role or a user (only one).',
+        alreadyHas: '❌ {subject} already has the `{capability}` permission.',
+        doesNotHave: '❌ {subject} does not have the `{capability}` permission.',
+        granted: {
+            title: '✅ Permission Granted',
+            description: '{subject} now has the `{capability}` permission.',
+            log: '🔑 Permission Granted'
+        },
+        revoked: {
+            title: '🚫 Permission Revoked',
+            description: '{subject} no longer has the `{capability}` permission.',
+            log: '🔑 Permission Revoked'
+        },
+        fields: {
+            capability: 'Capability',
+            capabilities: 'Capabilities',
+            permission: 'Permission',
+            role: 'Role'
+        },
+        staff: {
+            title: '✅ Staff Role Configured',
+            description: 'Role {role} now has staff permissions.',
+            log: '⚙️ Staff Configuration'
+        }
+    },
+
+    cards: {
+        modal: {
+            label: 'Card code',
+            serverTitle: 'Server card',
+            userTitle: 'Your Coin card',
+            error: 'An error occurred while processing the form.'
+        },
+        unverified: {
+            title: '❌ Card not verified',
+            description: 'Your card has not been verified yet. Complete the challenge sent by `/setcard` and use `/card verify`.'
+        },
+        notFound: {
+            title: '❌ Card not found',
+            description: 'This card does not exist in the Coin API. Check the code and try again.'
+        },
+        alreadyVerified: {
+            title: '✅ Card Already Verified',
+            description: 'This card is already configured and verified.'
+        },
+        fields: {
+            card: 'Card',
+            challenge: 'Challenge amount',
+            expires: 'Expires',
+            verification: 'Verification'
+        },
+        challenge: {
+            title: '📝 Card Configured — Verification Pending',
+            description: 'To confirm the card is yours, transfer **exactly {coins} coins** from it to the server card and then use `/card verify`.\nDo not move funds on the card in any other way until the verification is complete.'
+        },
+        set: {
+            log: '📝 Card Configuration',
+            logDescription: 'User configured a card (verification pending)',
+            error: 'An error occurred while configuring the card. Please try again.'
+        },
+        server: {
+            title: '✅ Server Card Configured',
+            description: 'Server card configured successfully!',
+            log: '⚙️ Server Configuration',
+            logDescription: 'Server card configured',
+            error: 'An error occurred while configuring the card.'
+        },
+        verify: {
+            title: '✅ Card Verified',
+            description: 'Verification transfer found. Your card can now be used for withdrawals and payments.',
+            failedTitle: '❌ Card not Verified',
+            no_card: 'Use `/setcard` to configure your card first.',
+            no_challenge: 'There is no pending verification. Use `/setcard` to generate a new challenge.',
+            expired: 'The challenge has expired. Use `/setcard` again to generate another one.',
+            no_server_card: 'The server has no valid card to receive the verification. Ask an administrator to configure it and use `/setcard` again.',
+            mismatch: 'The transfer of {amount} coins from your card to the server card was not found (left your card: {moved} coins; reached the server card: {received} coins). If you already made the transfer, wait a few moments; if either card was moved in some other way, use `/setcard` again.',
+            error: 'An error occurred while verifying the card. Please try again.'
+        },
+        status: {
+            title: '💳 Your Card',
+            none: 'No card configured. Use `/card set` to configure one.',
+            verified: '✅ Verified {time}',
+            pending: '⏳ Pending: transfer {coins} coins from the card and use `/card verify`',
+            unverified: '❌ Not verified: use `/card set` to generate a new challenge',
+            notInApi: '❌ Card not found in the API',
+            apiUnavailable: '⚠️ API unavailable'
+        },
+        remove: {
+            none: '❌ You do not have a card configured.',
+            title: '🗑️ Card Removed',
+            description: 'Your card has been unlinked. Your {currency} balance is still available.'
+        },
+        missing: {
+            title: '❌ Card not configured',
+            description: 'Use `/setcard` to configure your card first.',
+            configureFirst: 'Configure your card first with `/setcard`'
+        }
+    },
+
+    balance: {
+        coins: {
+            title: '💰 Your Coin Balance',
+            transactions: 'Total Transactions',
+            nextClaim: 'Next Claim',
+            minutes: '{minutes} minutes'
+        },
+        error: 'An error occurred while checking your balance.',
+        title: '💰 Your Balance',
+        fields: {
+            dollars: '{Currency} Balance',
+            coins: 'Coin Balance'
+        },
+        noCardFooter: 'Configure your card with /setcard to see your coin balance'
+    },
+
+    pay: {
+        success: {
+            title: '✅ {Currency} Payment Sent',
+            description: 'Payment of **{amount}** sent successfully!'
+        },
+        fields: {
+            recipientBalance: 'Recipient balance'
+        },
+        log: '💰 {Currency} Payment',
+        error: 'An error occurred while processing the payment.'
+    },
+
+    insufficient: {
+        dollars: {
+            title: '❌ Insufficient {Currency} Balance'
+        },
+        youHave: 'You only have {amount}',
+        coins: {
+            title: '❌ Insufficient Coin Balance',
+            description: 'You need {needed} coins, but you only have {coins}'
+        },
+        title: '❌ Insufficient Balance',
+        description: 'You do not have enough balance.',
+        userHas: '{user} only has {amount}',
+        server: {
+            title: '❌ Insufficient Server Balance',
+            description: 'The server does not have enough balance.'
+        }
+    },
+
+    deposit: {
+        log: {
+            title: '💰 Deposit Completed',
+            failed: '❌ Deposit Failed'
+        },
+        fields: {
+            deposited: 'Amount deposited',
+            coinsReceived: 'Coins received'
+        },
+        serverShort: 'The server does not have enough balance to process this deposit. Contact an administrator.',
+        serverShortTitle: '❌ Server Out of Balance',
+        success: {
+            title: '✅ Deposit Completed',
+            description: 'Deposit of **{amount}** converted successfully!'
+        },
+        error: 'An error occurred while processing the deposit.'
+    },
+
+    withdraw: {
+        log: {
+            title: '💰 Withdrawal Completed',
+            failed: '❌ Withdrawal Failed'
+        },
+        fields: {
+            withdrawn: 'Amount withdrawn',
+            coinsPaid: 'Coins paid'
+        },
+        success: {
+            title: '✅ Withdrawal Completed',
+            description: 'Withdrawal of **{amount}** converted successfully!'
+        },
+        error: 'An error occurred while processing the withdrawal.'
+    },
+
+    topup: {
+        fields: {
+            coinsReceived: 'Coins received',
+            credited: 'Amount credited'
+        },
+        rejected: {
+            log: '⚠️ Top-up Not Credited',
+            noCode: 'No valid top-up code in the memo',
+            wrongCard: 'The coins were not sent to the server card',
+            belowFee: 'Amount too low to cover the top-up fee'
+        },
+        credited: {
+            log: '💰 Top-up Received'
+        },
+        notConfigured: 'The server has not configured a card to receive top-ups yet. An administrator needs to use `/server card`.',
+        unavailable: {
+            title: '❌ Top-up Unavailable',
+            disabled: 'Coin API top-ups are not enabled on this bot.'
+        },
+        code: {
+            title: '💳 {Currency} Top-up',
+            description: 'Send coins through the Coin API to the server card with the code below in the memo. The {currency} are added to your balance as soon as the Coin API confirms the payment.',
+            yourCode: 'Your code',
+            footer: 'The code is yours alone and works for every top-up. Payments without it are not credited.',
+            toReceive: 'To receive {amount}',
+            send: 'Send {coins} coins (before the fee)'
+        },
+        server: {
+            setVariable: '❌ Set {variable}',
+            enabled: '✅ Enabled at `POST /webhooks/coin`',
+            title: '💳 Top-ups',
+            card: 'Server card',
+            cardConfigured: '✅ Configured',
+            notConfigured: '❌ Not configured (`/server card`)',
+            notices: 'Coin API notices',
+            credited: 'Credited top-ups'
+        }
+    },
+
+    payserver: {
+        log: {
+            title: '🏦 Payment to the Server',
+            failed: '❌ Payment to the Server Failed'
+        },
+        success: {
+            title: '✅ Payment to the Server Sent'
+        },
+        fields: {
+            totalDebited: 'Total debited'
+        }
+    },
+
+    transactions: {
+        labels: {
+            opening: '📂 Opening balance',
+            deposit: '📤 Deposit',
+            withdraw: '📥 Withdrawal',
+            topup: '💳 Top-up',
+            pay: '💸 Payment',
+            give: '➕ Addition (staff)',
+            take: '➖ Removal (staff)',
+            set: '✏️ Balance set (staff)',
+            fine: '⚠️ Fine',
+            server_pay: '🏦 Payment from the server',
+            payserver: '🏦 Payment to the server'
+        },
+        sentTo: '{amount} to {user}',
+        receivedFrom: '{amount} from {user}'
+    },
+
+    history: {
+        title: '📜 History of {user}',
+        empty: 'No transactions found.',
+        footer: 'Page {page} of {totalPages} • {total} transaction(s)',
+        fee: 'fee {fee}',
+        rate: 'rate {rate}',
+        approvedBy: 'approved by {user}'
+    },
+
+    fees: {
+        operations: {
+            deposit: 'Deposit',
+            withdraw: 'Withdrawal',
+            topup: 'Top-up',
+            pay: 'Payment',
+            payserver: 'Payment to the server'
+        },
+        min: 'min. {fee}',
+        max: 'max. {fee}',
+        title: '🧾 Server Fees',
+        missingOperation: '❌ Provide the operation you want to configure.',
+        invalid: '❌ Invalid fee value.',
+        minAboveMax: '❌ The minimum fee cannot be greater than the maximum.',
+        configured: '✅ Fee Configured',
+        log: '🧾 Fee Changed'
+    },
+
+    limits: {
+        labels: {
+            max_tx_amount: 'Maximum per transaction',
+            max_daily_volume: 'Daily volume per user',
+            max_hourly_conversions: 'Withdrawals and deposits per hour',
+            max_daily_mint: 'Daily issuance per staff member',
+            approval_threshold: 'Dual approval above'
+        },
+        none: 'no limit',
+        exceeded: 'Limit exceeded: {limit}',
+        fields: {
+            limit: 'Limit',
+            attempted: 'Attempted',
+            used: 'Already used',
+            thisOperation: 'This operation'
+        },
+        log: {
+            title: '🚨 Limit Exceeded'
+        },
+        exceededEmbed: {
+            title: '🚫 Limit Exceeded',
+            description: 'This operation exceeds the server limit: **{limit}**.'
+        },
+        changedLog: '🚦 Limits Changed',
+        invalid: '❌ Invalid limit value.',
+        configured: '✅ Limits Configured',
+        title: '🚦 Server Limits',
+        footer: '0 = no limit • volumes and issuance count the last 24 hours'
+    },
+
+    approvals: {
+        types: {
+            server_pay: '🏦 Payment from the server',
+            set: '✏️ Balance change'
+        },
+        status: {
+            pending: '⏳ Awaiting approval',
+            approved: '✅ Approved',
+            rejected: '❌ Rejected',
+            expired: '⌛ Expired',
+            failed: '⚠️ Failed'
+        },
+        finalBalance: '{amount} (final balance)',
+        embed: {
+            title: '🔐 Approval Request #{id}'
+        },
+        fields: {
+            requestedBy: 'Requested by',
+            expires: 'Expires',
+            rejectedBy: 'Rejected by',
+            approvedBy: 'Approved by',
+            transaction: 'Transaction'
+        },
+        buttons: {
+            approve: 'Approve',
+            reject: 'Reject'
+        },
+        unavailable: {
+            title: '❌ Approval Unavailable',
+            description: 'This amount needs approval from another member, but the server has no log channel for the request. Set one up with `/server log`.'
+        },
+        requested: {
+            title: '⏳ Approval Required',
+            description: 'The amount is above the server\'s approval threshold. Request **#{id}** was posted to the log channel and will run once another member with the `{capability}` permission approves it.'
+        },
+        noServerCard: 'The server has no card configured.',
+        balanceChanged: "The user's balance changed since the request (it was {expected}, now it is {balance}). Make a new request.",
+        notFound: '❌ Approval request not found.',
+        selfApproval: '❌ Another member has to approve your request.',
+        notPending: '❌ This request is no longer pending ({status}).',
+        error: 'Something went wrong while processing the approval request.'
+    },
+
+    fines: {
+        log: {
+            paidCoins: '✅ Fine Paid in Coins',
+            paymentFailed: '❌ Fine Payment Failed',
+            applied: '⚠️ Fine Issued'
+        },
+        fields: {
+            fine: 'Fine',
+            owed: 'Total owed',
+            howToPay: 'How to pay',
+            amount: 'Fine amount',
+            due: 'Due',
+            payment: 'Payment',
+            finedUser: 'Fined user',
+            waivedAmount: 'Amount waived',
+            originalReason: 'Original reason',
+            collected: 'Collected',
+            stillOwed: 'Still owed'
+        },
+        status: {
+            open: '🟡 Open',
+            paying: '⏳ Being paid',
+            paid: '✅ Paid',
+            waived: '🕊️ Waived',
+            escalated: '🔴 Escalated'
+        },
+        remaining: '({amount} left)',
+        due: 'due {date}',
+        overdue: '⏰ overdue',
+        page: {
+            adminTitle: '⚠️ Open Fines',
+            title: '⚠️ Your Fines',
+            adminEmpty: 'No open fines.',
+            empty: 'You have no open fines. 🎉',
+            footer: 'Page {page} of {totalPages} • {total} fine(s)',
+            howToPay: '`/money fines pay:<id> method:<{currency}|coins>`'
+        },
+        notFound: '❌ Fine not found.',
+        notPayable: '❌ This fine cannot be paid ({status}).',
+        alreadyPaying: '❌ This fine is already being paid.',
+        paid: {
+            title: '✅ Fine Paid',
+            description: 'Fine **#{id}** of **{amount}** paid successfully!'
+        },
+        payError: 'An error occurred while paying the fine.',
+        noServerCard: 'The server has not configured a card yet. Pay the fine with your {currency} balance.',
+        missingReason: '❌ Provide the reason for the fine.',
+        invalidDays: '❌ Invalid deadline.',
+        applied: {
+            title: '✅ Fine Issued',
+            description: 'Fine **#{id}** of **{amount}** issued to {user}.',
+            howToPay: '{user} pays with `/money fines pay:{id}`'
+        },
+        waived: {
+            title: '🕊️ Fine Waived',
+            description: 'Fine **#{id}** of <@{user}> waived.',
+            notAllowed: '❌ This fine cannot be waived ({status}).'
+        },
+        escalated: {
+            notAllowed: '❌ This fine cannot be escalated ({status}).',
+            collectedTitle: '✅ Fine Collected',
+            title: '🔴 Fine Escalated',
+            description: 'Fine **#{id}** of <@{user}> charged to the {currency} balance.',
+            error: 'An error occurred while escalating the fine.'
+        }
+    },
+
+    staff: {
+        apiActor: 'API (token #{id})',
+        give: {
+            log: '💰 {Currency} Added',
+            added: 'Amount added',
+            title: '✅ {Currency} Added',
+            description: '{amount} added to {user}'
+        },
+        take: {
+            log: '💰 {Currency} Removed',
+            removed: 'Amount removed',
+            title: '✅ {Currency} Removed',
+            description: '{amount} removed from {user}'
+        },
+        set: {
+            log: '💰 Balance Set',
+            title: '✅ Balance Set',
+            description: '{user}\'s balance set to {amount}'
+        }
+    },
+
+    server: {
+        log: {
+            testTitle: '📝 Log Channel Configured',
+            testDescription: 'This channel will now receive all system logs.',
+            configuredBy: 'Configured by',
+            title: '✅ Log Channel Configured',
+            description: 'Logs will be sent to {channel}'
+        },
+        rate: {
+            log: '💱 Exchange Rate Changed',
+            previous: 'Previous',
+            new: 'New',
+            title: '💱 Server Exchange Rate',
+            current: 'Current rate',
+            one: '1 real',
+            history: 'Recent changes',
+            change: '{rate} by {user} on {time}',
+            invalid: '❌ Invalid exchange rate.',
+            updated: '✅ Exchange Rate Updated'
+        },
+        notConfigured: {
+            title: '❌ Server not configured',
+            askAdmin: 'The server has not configured a card yet. An administrator needs to use `/server card`.',
+            description: 'The server has not configured a card yet.',
+            useCommand: 'The server has not configured a card yet. Use `/server card` first.'
+        },
+        cardUnavailable: {
+            title: '❌ Server Card Unavailable',
+            description: 'The server card was not found in the Coin API. An administrator needs to check `/server card`.'
+        },
+        balance: {
+            title: '🏦 Server Balance',
+            equivalent: 'Equivalent',
+            error: 'An error occurred while checking the server balance.'
+        }
+    },
+
+    serverPay: {
+        log: {
+            title: '💰 Payment from the Server',
+            failed: '❌ Payment from the Server Failed'
+        },
+        serverBalance: 'Server balance',
+        amount: 'Payment amount',
+        noCard: {
+            title: '❌ User not configured',
+            description: '{user} has not configured a card yet.'
+        },
+        success: '✅ Server Payment Sent'
+    },
+
+    audit: {
+        serverCardMissing: 'Server card not configured',
+        cardNotFound: 'Card not found',
+        title: {
+            ok: '✅ Audit Found No Discrepancies',
+            failed: '⚠️ Audit Found Discrepancies'
+        },
+        surplus: 'Surplus of {coins} coins',
+        shortfall: 'Short by {coins} coins',
+        fields: {
+            outstanding: '{Currency} in circulation',
+            pendingDeposits: 'Pending deposits',
+            requiredCoins: 'Coins required',
+            serverCard: 'Server card',
+            backing: 'Backing',
+            ledgerTotal: 'Ledger total',
+            unresolved: 'Items awaiting resolution'
+        },
+        checks: {
+            balances: 'Balances differing from the ledger',
+            queue: 'Queue vs transactions',
+            ledger: 'Transactions vs ledger'
+        },
+        queueMismatch: 'Item #{item} {itemStatus}, transaction #{transaction} {transactionStatus}',
+        ledgerMismatch: 'Transaction #{transaction} ({type}) {status}',
+        more: '... and {count} more',
+        requestedBy: 'Requested by {user}'
+    },
+
+    privacy: {
+        user: {
+            title: '🔒 Your Privacy',
+            ranking: 'Ranking (/baltop)',
+            hidden: '🙈 You do not appear in the ranking',
+            shown: '👀 You appear in the ranking',
+            footer: 'Use /money privacy hide_baltop:<true|false> to change it'
+        },
+        server: {
+            bothOptions: '❌ Provide `command` and `private` together, or neither to see the configuration.',
+            log: '🔒 Privacy Changed',
+            command: 'Command',
+            reply: 'Reply',
+            private: 'Private',
+            public: 'Public',
+            title: '🔒 Reply Privacy',
+            alwaysPrivate: 'Always private',
+            alwaysPrivateList: '`/card`, `/coinbalance`, `/money privacy`, `/money topup`, `/server api` and `/server webhooks`',
+            footer: '🔒 only whoever used it sees the reply • 🌐 everyone in the channel sees it'
+        }
+    },
+
+    baltop: {
+        sort: {
+            dollars: '{currency}',
+            coins: 'coins',
+            networth: 'net worth'
+        },
+        unknownUser: 'User {id}',
+        title: '🏆 Wealth Ranking',
+        empty: 'No users found.',
+        fields: {
+            economyTotal: 'Economy Total',
+            coinTotal: 'Coin Total',
+            userTotal: 'Total Users',
+            coinsUpdated: 'Coins Updated',
+            yourBalance: 'Your Balance'
+        },
+        coinsUpdatedSince: '{time} or later',
+        coinsNotFetched: '⏳ Not fetched yet',
+        footer: 'Page {page} of {totalPages} • Sorted by {sort}'
+    },
+
+    pagination: {
+        notOwner: '❌ Only whoever used the command can change pages.',
+        error: 'An error occurred while changing pages.'
+    },
+
+    queue: {
+        fields: {
+            item: 'Item',
+            type: 'Type',
+            queueItem: 'Queue item'
+        },
+        reconcile: {
+            title: '⚠️ Queue Item Needs Reconciliation',
+            description: 'The bot restarted while this item was being sent to the API. Check manually whether the transfer went through.',
+            unverified: 'The Coin API did not give a conclusive answer and the source card balance does not confirm that the transfer did not happen. Check manually before resending.'
+        },
+        unknown: {
+            title: '⚠️ Transfer With Unknown Outcome',
+            description: 'The Coin API did not give a conclusive answer. The bot will check the source card balance: if nothing left it, the item is resent; otherwise it is left for manual reconciliation.'
+        },
+        unknownError: 'Unknown error',
+        verifying: {
+            title: '⏳ Transfer Being Verified',
+            description: 'The Coin API did not confirm the operation in time. The bot will check whether it went through before trying again, and the result will show up in your history.'
+        }
+    },
+
+    webhooks: {
+        undelivered: {
+            title: '⚠️ Webhook Not Delivered'
+        },
+        added: {
+            title: '🔗 Webhook Added',
+            description: 'Save the secret now: it will not be shown again.\n```{secret}```',
+            signature: 'Every delivery carries `X-Webhook-Signature: sha256=<hex>`, the HMAC-SHA256 of `<X-Webhook-Timestamp>.<body>` with the secret. Retries repeat the same `X-Webhook-Id`.'
+        },
+        removed: {
+            title: '🗑️ Webhook Removed',
+            deliveryError: 'Webhook removed',
+            description: 'Webhook #{id} no longer receives events.'
+        },
+        fields: {
+            event: 'Event',
+            events: 'Events',
+            attempts: 'Attempts',
+            signature: 'Signature',
+            response: 'Response'
+        },
+        status: {
+            pending: '⏳ Pending',
+            delivered: '✅ Delivered',
+            failed: '❌ Failed'
+        },
+        invalidUrl: '❌ Invalid URL. Use a public `http://` or `https://` address (localhost and private networks are not accepted).',
+        unknownEvent: '❌ Unknown event. Available: {events}',
+        notFound: '❌ Webhook not found. Use `/server webhooks action:list` to see the IDs.',
+        test: {
+            delivered: '✅ Test Delivered',
+            undelivered: '❌ Test Not Delivered',
+            retrying: 'New attempts will be made automatically.'
+        },
+        list: {
+            title: '🔗 Webhooks'
+        },
+        deliveries: {
+            title: '📬 Webhook Deliveries',
+            line: '**#{id}** {status} • webhook #{webhook} • `{event}` • {attempts} attempt(s)',
+            empty: 'No deliveries recorded.',
+            footer: 'Last {count} deliveries',
+            footerWebhook: 'Last {count} deliveries of webhook #{id}'
+        },
+        empty: 'No webhooks configured.'
+    },
+
+    api: {
+        defaultLabel: 'Token for {user}',
+        created: {
+            title: '🔑 API Token Created',
+            description: 'Save the token now: it will not be shown again.\n```{token}```',
+            usage: 'Send it in the `Authorization: Bearer <token>` header. The token has administrator access to this server\'s economy.'
+        },
+        fields: {
+            name: 'Name',
+            usage: 'Usage'
+        },
+        notFound: '❌ Token not found. Use `/server api action:list` to see the IDs.',
+        revoked: {
+            title: '🗑️ API Token Revoked',
+            description: 'Token #{id} no longer works.'
+        },
+        list: {
+            title: '🔑 API Tokens',
+            line: '**#{id}** {label} • created by {user} • {used}',
+            lastUsed: 'last used {time}',
+            neverUsed: 'never used',
+            empty: 'No tokens created.',
+            dashboard: 'Dashboard at {url}',
+            disabled: 'Web API disabled (set WEB_PORT)'
+        }
+    },
+
+    commands: {
+        money: {
+            description: 'Money and wallet commands',
+            balance: {
+                description: 'Shows your {currency} and coin balance'
+            },
+            pay: {
+                description: 'Pays {currency} to another user',
+                user: {
+                    description: 'User who will receive the payment'
+                },
+                amount: {
+                    description: 'Amount in {currency} (e.g. 10.50)'
+                }
+            },
+            withdraw: {
+                description: 'Withdraws {currency} by converting them to coins',
+                amount: {
+                    description: 'Amount in {currency} (e.g. 10.00)'
+                }
+            },
+            deposit: {
+                description: 'Deposits coins by converting them to {currency}',
+                amount: {
+                    description: 'Amount in {currency} (e.g. 10.00)'
+                }
+            },
+            topup: {
+                description: 'Shows your code for topping up {currency} by sending coins through the Coin API',
+                amount: {
+                    description: 'Amount in {currency} you want to receive (shows how many coins to send)'
+                }
+            },
+            history: {
+                description: 'Shows your transaction history',
+                page: {
+                    description: 'Page number'
+                }
+            },
+            fines: {
+                description: 'Shows and pays your fines',
+                pay: {
+                    description: 'ID of the fine to pay'
+                },
+                method: {
+                    description: 'Payment method (default: {currency})',
+                    choices: {
+                        dollars: '{Currency} balance',
+                        coins: 'Card coins'
+                    }
+                }
+            },
+            privacy: {
+                description: 'Shows or changes your privacy preferences',
+                hide_baltop: {
+                    description: 'Hides you from /baltop'
+                }
+            }
+        },
+        server: {
+            description: 'Server configuration commands (Admin)',
+            card: {
+                description: 'Configures the server card (the code is typed in a private form)'
+            },
+            log: {
+                description: 'Configures the log channel',
+                channel: {
+                    description: 'Channel that will receive the logs'
+                }
+            },
+            balance: {
+                description: 'Shows the server\'s coin balance'
+            },
+            rate: {
+                description: 'Shows or sets the server exchange rate ({currency} per coin)',
+                rate: {
+                    description: '{Currency} per 1 coin (e.g. 100000000). Leave empty to only view it'
+                }
+            },
+            audit: {
+                description: 'Checks the coin backing and ledger consistency (Admin)'
+            },
+            privacy: {
+                description: 'Shows or sets which commands reply privately',
+                command: {
+                    description: 'Command to configure'
+                },
+                private: {
+                    description: 'Reply only to whoever used the command'
+                }
+            },
+            language: {
+                description: 'Shows or changes the language of the bot\'s messages',
+                language: {
+                    description: 'Language'
+                }
+            },
+            currency: {
+                description: 'Shows or changes the currency name, symbol, decimal places and icon',
+                name: {
+                    description: 'Currency name in messages (e.g. dollars)'
+                },
+                symbol: {
+                    description: 'Symbol before amounts (e.g. US$)'
+                },
+                decimals: {
+                    description: 'Decimal places shown and accepted in amounts (0 to 2)'
+                },
+                icon: {
+                    description: 'Embed icon (PNG, JPG, GIF or WEBP, up to 256 KB)'
+                },
+                reset: {
+                    description: 'Restores the bot\'s default currency'
+                }
+            },
+            limits: {
+                description: 'Shows or configures the server\'s transaction limits',
+                max_tx: {
+                    description: 'Maximum amount per transaction, in {currency} (0 = no limit)'
+                },
+                daily_volume: {
+                    description: 'Maximum volume per user in 24 hours, in {currency} (0 = no limit)'
+                },
+                hourly_conversions: {
+                    description: 'Withdrawals and deposits per user per hour (0 = no limit)'
+                },
+                daily_mint: {
+                    description: '{Currency} each staff member can issue in 24 hours (0 = no limit)'
+                },
+                approval: {
+                    description: '/server pay and /adm set above this amount in {currency} need another member\'s approval (0 = never)'
+                }
+            },
+            topup: {
+                description: 'Shows the status of top-ups (/money topup) paid to the server card'
+            },
+            fees: {
+                description: 'Shows or configures the server\'s fees',
+                operation: {
+                    description: 'Operation to configure',
+                    choices: {
+                        deposit: 'Deposit',
+                        withdraw: 'Withdrawal',
+                        topup: 'Top-up',
+                        pay: 'Payment',
+                        payserver: 'Payment to the server'
+                    }
+                },
+                percent: {
+                    description: 'Percentage fee (e.g. 1.5 for 1.5%)'
+                },
+                flat: {
+                    description: 'Flat fee in the operation\'s unit ({currency} or coins)'
+                },
+                min: {
+                    description: 'Minimum fee (0 = no minimum)'
+                },
+                max: {
+                    description: 'Maximum fee (0 = no cap)'
+                }
+            },
+            pay: {
+                description: 'Server pays coins to a user',
+                user: {
+                    description: 'User who will receive the payment'
+                },
+                amount: {
+                    description: 'Amount in coins (e.g. 0.00000001)'
+                }
+            },
+            fine: {
+                description: 'Fines a user an amount in {currency}',
+                user: {
+                    description: 'User who will be fined'
+                },
+                amount: {
+                    description: 'Amount in {currency} (e.g. 10.00)'
+                },
+                reason: {
+                    description: 'Reason for the fine'
+                },
+                days: {
+                    description: 'Days to pay (default: 7)'
+                }
+            },
+            fines: {
+                description: 'Lists, waives or escalates fines',
+                action: {
+                    description: 'Action',
+                    choices: {
+                        list: 'List',
+                        waive: 'Waive',
+                        escalate: 'Escalate (charge the balance)'
+                    }
+                },
+                id: {
+                    description: 'Fine ID (to waive or escalate)'
+                },
+                user: {
+                    description: 'Filters the list by user'
+                }
+            },
+            api: {
+                description: 'Manages the web API and dashboard tokens',
+                action: {
+                    description: 'Action',
+                    choices: {
+                        list: 'List',
+                        create: 'Create',
+                        revoke: 'Revoke'
+                    }
+                },
+                label: {
+                    description: 'Token name (to create)'
+                },
+                id: {
+                    description: 'Token ID (to revoke)'
+                }
+            },
+            webhooks: {
+                description: 'Manages the webhooks that receive economy events',
+                action: {
+                    description: 'Action',
+                    choices: {
+                        list: 'List',
+                        add: 'Add',
+                        remove: 'Remove',
+                        test: 'Test',
+                        deliveries: 'Deliveries'
+                    }
+                },
+                url: {
+                    description: 'URL that receives the events (to add)'
+                },
+                events: {
+                    description: 'Comma-separated events, e.g. deposit.completed,fine.* (default: all)'
+                },
+                id: {
+                    description: 'Webhook ID (to remove, test or filter deliveries)'
+                }
+            }
+        },
+        adm: {
+            description: 'Economy administration commands (Staff)',
+            perms: {
+                description: 'Manages role and user permissions',
+                grant: {
+                    description: 'Grants a permission to a role or user',
+                    capability: {
+                        description: 'Permission'
+                    },
+                    role: {
+                        description: 'Role that will receive the permission'
+                    },
+                    user: {
+                        description: 'User who will receive the permission'
+                    }
+                },
+                revoke: {
+                    description: 'Removes a permission from a role or user',
+                    capability: {
+                        description: 'Permission'
+                    },
+                    role: {
+                        description: 'Role that will lose the permission'
+                    },
+                    user: {
+                        description: 'User who will lose the permission'
+                    }
+                },
+                list: {
+                    description: 'Lists the permissions of the server, a role or a user',
+                    role: {
+                        description: 'Filter by role'
+                    },
+                    user: {
+                        description: 'Filter by user'
+                    }
+                }
+            },
+            setstaff: {
+                description: 'Configures the staff role',
+                role: {
+                    description: 'Role that will have staff permissions'
+                }
+            },
+            give: {
+                description: 'Adds {currency} to a user',
+                user: {
+                    description: 'User who will receive the {currency}'
+                },
+                amount: {
+                    description: 'Amount in {currency} (e.g. 100.00)'
+                }
+            },
+            take: {
+                description: 'Removes {currency} from a user',
+                user: {
+                    description: 'User who will have {currency} removed'
+                },
+                amount: {
+                    description: 'Amount in {currency} (e.g. 50.00)'
+                }
+            },
+            set: {
+                description: 'Sets a user\'s {currency} balance',
+                user: {
+                    description: 'User whose balance will be set'
+                },
+                amount: {
+                    description: 'Amount in {currency} (e.g. 200.00)'
+                }
+            },
+            history: {
+                description: 'Shows a user\'s transaction history',
+                user: {
+                    description: 'User whose history will be shown'
+                },
+                page: {
+                    description: 'Page number'
+                }
+            }
+        },
+        setcard: {
+            description: 'Configures your Coin card (shortcut for /card set)'
+        },
+        card: {
+            description: 'Manages your Coin card',
+            set: {
+                description: 'Configures your card (the code is typed in a private form)'
+            },
+            verify: {
+                description: 'Completes your card verification'
+            },
+            status: {
+                description: 'Shows your card status'
+            },
+            remove: {
+                description: 'Unlinks your card'
+            }
+        },
+        coinbalance: {
+            description: 'Shows your coin balance'
+        },
+        baltop: {
+            description: 'Shows the wealth ranking',
+            sort: {
+                description: 'Sort by',
+                choices: {
+                    dollars: '{Currency}',
+                    coins: 'Coins',
+                    networth: 'Net worth ({currency} + coins)'
+                }
+            }
+        },
+        payserver: {
+            description: 'Pays coins to the server',
+            amount: {
+                description: 'Amount in coins (e.g. 0.00000001)'
+            }
+        }
+    }
+};
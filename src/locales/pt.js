@@ -0,0 +1,807 @@
+// pt.js - Mensagens em português (idioma padrão)
+// Referência das chaves: os outros catálogos seguem esta estrutura, e o que
+// faltar neles é exibido em português. {currency} e {Currency} são o nome da
+// moeda (minúsculo e com inicial maiúscula), presentes em todas as mensagens.
+
+module.exports = {
+    // Nome padrão da moeda (CURRENCY_NAME no .env e /server currency substituem)
+    // e a marca da moeda do servidor (/server currency)
+    currency: {
+        name: 'reais',
+        title: '💱 Moeda do Servidor',
+        changed: '✅ Moeda Alterada',
+        footer: 'Os valores continuam guardados em centavos; com menos casas decimais, os centavos não aparecem',
+        log: '💱 Moeda Alterada',
+        fields: {
+            name: 'Nome',
+            symbol: 'Símbolo',
+            decimals: 'Casas decimais',
+            example: 'Exemplo',
+            icon: 'Ícone'
+        },
+        icon: {
+            custom: 'Próprio do servidor',
+            default: 'Padrão do bot'
+        },
+        invalidName: '❌ Nome inválido: use até {max} caracteres, sem quebras de linha nem crases.',
+        invalidSymbol: '❌ Símbolo inválido: use até {max} caracteres, sem quebras de linha nem crases.',
+        invalidDecimals: '❌ As casas decimais vão de 0 a {max}.',
+        iconErrors: {
+            too_large: '❌ O ícone passa de {max} KB.',
+            not_image: '❌ O ícone precisa ser uma imagem PNG, JPG, GIF ou WEBP.',
+            download_failed: '❌ Não foi possível baixar o ícone. Tente enviar de novo.'
+        }
+    },
+
+    // Textos usados em vários comandos
+    common: {
+        fields: {
+            user: 'Usuário',
+            error: 'Erro',
+            operation: 'Operação',
+            staff: 'Staff',
+            admin: 'Admin',
+            fee: 'Taxa',
+            rate: 'Câmbio',
+            transactionId: 'ID da Transação',
+            amount: 'Valor',
+            newBalance: 'Novo saldo',
+            reason: 'Motivo',
+            balance: 'Saldo',
+            to: 'Para',
+            from: 'De',
+            yourNewBalance: 'Seu novo saldo',
+            youPaid: 'Você pagou',
+            yourBalance: 'Seu saldo',
+            currentDollars: 'Saldo atual em {currency}',
+            youReceived: 'Você recebeu'
+        },
+        error: {
+            title: '❌ Erro',
+            command: 'Ocorreu um erro ao executar este comando.'
+        },
+        invalidAmount: '❌ Valor inválido.',
+        tooLow: {
+            title: '❌ Valor muito baixo',
+            fee: 'A taxa de {operation} ({fee}) consome todo o valor.',
+            rate: 'Com o câmbio atual ({rate}), este valor não chega a 0.00000001 coins.'
+        }
+    },
+
+    // !ajuda
+    help: {
+        title: '📋 Comandos Disponíveis',
+        description: 'Use `/` para ver todos os comandos slash disponíveis!',
+        money: '`balance` - Ver saldo\n`pay` - Pagar outro usuário\n`withdraw` - Sacar {currency} para coins\n`deposit` - Depositar coins para {currency}\n`topup` - Código para recarregar {currency} pela Coin API\n`history` - Ver histórico de transações\n`fines` - Ver e pagar suas multas\n`privacy` - Sair ou voltar ao ranking',
+        server: '`card` - Configurar cartão do servidor (`config.edit`)\n`log` - Configurar canal de logs (`config.edit`)\n`balance` - Ver saldo do servidor\n`rate` - Ver/definir câmbio (`config.edit`)\n`fees` - Ver/configurar taxas (`config.edit`)\n`limits` - Ver/configurar limites de transação e de aprovação (`config.edit`)\n`audit` - Auditar lastro e ledger (`server.audit`)\n`privacy` - Definir respostas privadas (`config.edit`)\n`language` - Ver/definir o idioma do bot (`config.edit`)\n`currency` - Ver/definir nome, símbolo, casas decimais e ícone da moeda (`config.edit`)\n`pay` - Servidor pagar usuário (`server.pay`; valores altos exigem aprovação)\n`fine` - Aplicar multa em {currency} (`server.fine`)\n`fines` - Listar, perdoar ou escalar multas (`server.fines`)\n`topup` - Ver o estado das recargas (`config.edit`)\n`api` - Tokens da API web e do painel (`perms.manage`)\n`webhooks` - Enviar eventos da economia para outros serviços (`config.edit`)',
+        adm: '`perms` - Conceder, revogar e listar permissões (`perms.manage`)\n`setstaff` - Dar as permissões de staff a um cargo (`perms.manage`)\n`give` - Adicionar {currency} (`economy.give`)\n`take` - Remover {currency} (`economy.take`)\n`set` - Definir saldo (`economy.set`; valores altos exigem aprovação)\n`history` - Ver histórico de um usuário (`economy.history`)',
+        othersTitle: '🔧 Outros',
+        others: '`/card` - Configurar (`set`), verificar, ver ou remover seu cartão\n`/coinbalance` - Ver saldo em coins\n`/baltop [sort]` - Ver ranking por {currency}, coins ou patrimônio\n`/payserver` - Pagar ao servidor'
+    },
+
+    // Idioma do servidor (/server language)
+    language: {
+        title: '🌐 Idioma do Servidor',
+        changed: '✅ Idioma Alterado',
+        current: 'As mensagens do bot neste servidor estão em **{language}**.',
+        invalid: '❌ Idioma desconhecido.',
+        footer: 'Use /server language language:<idioma> para alterar',
+        log: '🌐 Idioma Alterado',
+        fields: {
+            language: 'Idioma',
+            available: 'Idiomas disponíveis'
+        }
+    },
+
+    // Permissões
+    permissions: {
+        denied: '❌ Você não tem a permissão `{capability}` para usar este comando.',
+        capabilities: {
+            economy: {
+                give: 'Adicionar {currency} (/adm give)',
+                take: 'Remover {currency} (/adm take)',
+                set: 'Definir saldos (/adm set)',
+                history: 'Ver o histórico de outros usuários (/adm history)'
+            },
+            server: {
+                pay: 'Pagar usuários pelo servidor (/server pay)',
+                fine: 'Aplicar multas (/server fine)',
+                fines: 'Listar, perdoar e escalar multas (/server fines)',
+                audit: 'Auditar lastro e ledger (/server audit)'
+            },
+            config: {
+                edit: 'Alterar cartão, logs, câmbio, taxas, limites, recargas, webhooks, idioma, moeda e privacidade do servidor'
+            },
+            perms: {
+                manage: 'Gerenciar permissões e tokens da API (/adm perms, /adm setstaff e /server api)'
+            }
+        },
+        list: {
+            title: '🔑 Permissões do Servidor',
+            subjectTitle: '🔑 Permissões de {subject}',
+            adminsOnly: 'só administradores',
+            footer: 'Administradores do Discord têm todas as permissões'
+        },
+        missingSubject: '❌ Informe um cargo ou um usuário (apenas um).',
+        alreadyHas: '❌ {subject} já tem a permissão `{capability}`.',
+        doesNotHave: '❌ {subject} não tem a permissão `{capability}`.',
+        granted: {
+            title: '✅ Permissão Concedida',
+            description: '{subject} agora tem a permissão `{capability}`.',
+            log: '🔑 Permissão Concedida'
+        },
+        revoked: {
+            title: '🚫 Permissão Revogada',
+            description: '{subject} não tem mais a permissão `{capability}`.',
+            log: '🔑 Permissão Revogada'
+        },
+        fields: {
+            capability: 'Capacidade',
+            capabilities: 'Capacidades',
+            permission: 'Permissão',
+            role: 'Cargo'
+        },
+        staff: {
+            title: '✅ Cargo Staff Configurado',
+            description: 'Cargo {role} agora tem permissões de staff.',
+            log: '⚙️ Configuração de Staff'
+        }
+    },
+
+    // Cartões
+    cards: {
+        modal: {
+            label: 'Código do cartão',
+            serverTitle: 'Cartão do servidor',
+            userTitle: 'Seu cartão Coin',
+            error: 'Ocorreu um erro ao processar o formulário.'
+        },
+        unverified: {
+            title: '❌ Cartão não verificado',
+            description: 'Seu cartão ainda não foi verificado. Conclua o desafio enviado pelo `/setcard` e use `/card verify`.'
+        },
+        notFound: {
+            title: '❌ Cartão não encontrado',
+            description: 'Este cartão não existe na Coin API. Confira o código e tente novamente.'
+        },
+        alreadyVerified: {
+            title: '✅ Cartão já Verificado',
+            description: 'Este cartão já está configurado e verificado.'
+        },
+        fields: {
+            card: 'Cartão',
+            challenge: 'Valor do desafio',
+            expires: 'Expira',
+            verification: 'Verificação'
+        },
+        challenge: {
+            title: '📝 Cartão Configurado — Verificação Pendente',
+            description: 'Para confirmar que o cartão é seu, transfira **exatamente {coins} coins** a partir dele para o cartão do servidor e depois use `/card verify`.\nNão movimente o cartão de outra forma até concluir a verificação.'
+        },
+        set: {
+            log: '📝 Configuração de Cartão',
+            logDescription: 'Usuário configurou cartão (verificação pendente)',
+            error: 'Ocorreu um erro ao configurar o cartão. Tente novamente.'
+        },
+        server: {
+            title: '✅ Cartão do Servidor Configurado',
+            description: 'Cartão do servidor configurado com sucesso!',
+            log: '⚙️ Configuração do Servidor',
+            logDescription: 'Cartão do servidor configurado',
+            error: 'Ocorreu um erro ao configurar o cartão.'
+        },
+        verify: {
+            title: '✅ Cartão Verificado',
+            description: 'Transferência de verificação encontrada. Seu cartão já pode ser usado em saques e pagamentos.',
+            failedTitle: '❌ Cartão não Verificado',
+            no_card: 'Use `/setcard` para configurar seu cartão primeiro.',
+            no_challenge: 'Não há verificação pendente. Use `/setcard` para gerar um novo desafio.',
+            expired: 'O desafio expirou. Use `/setcard` de novo para gerar outro.',
+            no_server_card: 'O servidor não tem um cartão válido para receber a verificação. Peça a um administrador para configurá-lo e use `/setcard` de novo.',
+            mismatch: 'A transferência de {amount} coins do seu cartão para o cartão do servidor não foi encontrada (saiu do seu cartão: {moved} coins; chegou ao cartão do servidor: {received} coins). Se já fez a transferência, aguarde alguns instantes; se algum dos cartões foi movimentado de outra forma, use `/setcard` de novo.',
+            error: 'Ocorreu um erro ao verificar o cartão. Tente novamente.'
+        },
+        status: {
+            title: '💳 Seu Cartão',
+            none: 'Nenhum cartão configurado. Use `/card set` para configurar.',
+            verified: '✅ Verificado {time}',
+            pending: '⏳ Pendente: transfira {coins} coins do cartão e use `/card verify`',
+            unverified: '❌ Não verificado: use `/card set` para gerar um novo desafio',
+            notInApi: '❌ Cartão não encontrado na API',
+            apiUnavailable: '⚠️ API indisponível'
+        },
+        remove: {
+            none: '❌ Você não tem um cartão configurado.',
+            title: '🗑️ Cartão Removido',
+            description: 'Seu cartão foi desvinculado. Seu saldo em {currency} continua disponível.'
+        },
+        missing: {
+            title: '❌ Cartão não configurado',
+            description: 'Use `/setcard` para configurar seu cartão primeiro.',
+            configureFirst: 'Configure seu cartão primeiro com `/setcard`'
+        }
+    },
+
+    // Saldos (/money balance e /coinbalance)
+    balance: {
+        coins: {
+            title: '💰 Seu Saldo em Coins',
+            transactions: 'Total de Transações',
+            nextClaim: 'Próximo Claim',
+            minutes: '{minutes} minutos'
+        },
+        error: 'Ocorreu um erro ao verificar seu saldo.',
+        title: '💰 Seu Saldo',
+        fields: {
+            dollars: 'Saldo em {Currency}',
+            coins: 'Saldo em Coins'
+        },
+        noCardFooter: 'Configure seu cartão com /setcard para ver saldo em coins'
+    },
+
+    // Pagamentos entre usuários (/money pay)
+    pay: {
+        success: {
+            title: '✅ Pagamento em {Currency} Realizado',
+            description: 'Pagamento de **{amount}** enviado com sucesso!'
+        },
+        fields: {
+            recipientBalance: 'Saldo do destinatário'
+        },
+        log: '💰 Pagamento em {Currency}',
+        error: 'Ocorreu um erro ao processar o pagamento.'
+    },
+
+    // Saldo insuficiente
+    insufficient: {
+        dollars: {
+            title: '❌ Saldo Insuficiente em {Currency}'
+        },
+        youHave: 'Você tem apenas {amount}',
+        coins: {
+            title: '❌ Saldo Insuficiente em Coins',
+            description: 'Você precisa de {needed} coins, mas tem apenas {coins}'
+        },
+        title: '❌ Saldo Insuficiente',
+        description: 'Você não tem saldo suficiente.',
+        userHas: '{user} tem apenas {amount}',
+        server: {
+            title: '❌ Saldo Insuficiente no Servidor',
+            description: 'O servidor não tem saldo suficiente.'
+        }
+    },
+
+    // Depósitos (/money deposit)
+    deposit: {
+        log: {
+            title: '💰 Depósito Realizado',
+            failed: '❌ Falha no Depósito'
+        },
+        fields: {
+            deposited: 'Valor depositado',
+            coinsReceived: 'Coins recebidos'
+        },
+        serverShort: 'O servidor não tem saldo suficiente para processar este depósito. Contacte um administrador.',
+        serverShortTitle: '❌ Servidor sem Saldo',
+        success: {
+            title: '✅ Depósito Realizado',
+            description: 'Depósito de **{amount}** convertido com sucesso!'
+        },
+        error: 'Ocorreu um erro ao processar o depósito.'
+    },
+
+    // Saques (/money withdraw)
+    withdraw: {
+        log: {
+            title: '💰 Saque Realizado',
+            failed: '❌ Falha no Saque'
+        },
+        fields: {
+            withdrawn: 'Valor sacado',
+            coinsPaid: 'Coins pagos'
+        },
+        success: {
+            title: '✅ Saque Realizado',
+            description: 'Saque de **{amount}** convertido com sucesso!'
+        },
+        error: 'Ocorreu um erro ao processar o saque.'
+    },
+
+    // Recargas pela Coin API (/money topup e /server topup)
+    topup: {
+        fields: {
+            coinsReceived: 'Coins recebidos',
+            credited: 'Valor creditado'
+        },
+        rejected: {
+            log: '⚠️ Recarga Não Creditada',
+            noCode: 'Nenhum código de recarga válido no memo',
+            wrongCard: 'Os coins não foram enviados para o cartão do servidor',
+            belowFee: 'Valor baixo demais para cobrir a taxa de recarga'
+        },
+        credited: {
+            log: '💰 Recarga Recebida'
+        },
+        notConfigured: 'O servidor ainda não configurou um cartão para receber as recargas. Um administrador precisa usar `/server card`.',
+        unavailable: {
+            title: '❌ Recarga Indisponível',
+            disabled: 'As recargas pela Coin API não estão ativadas neste bot.'
+        },
+        code: {
+            title: '💳 Recarga de {Currency}',
+            description: 'Envie coins pela Coin API para o cartão do servidor com o código abaixo no memo. Os {currency} entram no seu saldo assim que a Coin API confirmar o pagamento.',
+            yourCode: 'Seu código',
+            footer: 'O código é só seu e vale para todas as recargas. Pagamentos sem ele não são creditados.',
+            toReceive: 'Para receber {amount}',
+            send: 'Envie {coins} coins (antes da taxa)'
+        },
+        server: {
+            setVariable: '❌ Defina {variable}',
+            enabled: '✅ Ativados em `POST /webhooks/coin`',
+            title: '💳 Recargas',
+            card: 'Cartão do servidor',
+            cardConfigured: '✅ Configurado',
+            notConfigured: '❌ Não configurado (`/server card`)',
+            notices: 'Avisos da Coin API',
+            credited: 'Recargas creditadas'
+        }
+    },
+
+    // Pagamentos ao servidor (/payserver)
+    payserver: {
+        log: {
+            title: '🏦 Pagamento ao Servidor',
+            failed: '❌ Falha no Pagamento ao Servidor'
+        },
+        success: {
+            title: '✅ Pagamento ao Servidor Realizado'
+        },
+        fields: {
+            totalDebited: 'Total debitado'
+        }
+    },
+
+    // Transações e histórico
+    transactions: {
+        labels: {
+            opening: '📂 Saldo de abertura',
+            deposit: '📤 Depósito',
+            withdraw: '📥 Saque',
+            topup: '💳 Recarga',
+            pay: '💸 Pagamento',
+            give: '➕ Adição (staff)',
+            take: '➖ Remoção (staff)',
+            set: '✏️ Saldo definido (staff)',
+            fine: '⚠️ Multa',
+            server_pay: '🏦 Pagamento do servidor',
+            payserver: '🏦 Pagamento ao servidor'
+        },
+        sentTo: '{amount} para {user}',
+        receivedFrom: '{amount} de {user}'
+    },
+    history: {
+        title: '📜 Histórico de {user}',
+        empty: 'Nenhuma transação encontrada.',
+        footer: 'Página {page} de {totalPages} • {total} transação(ões)',
+        fee: 'taxa {fee}',
+        rate: 'câmbio {rate}',
+        approvedBy: 'aprovado por {user}'
+    },
+
+    // Taxas
+    fees: {
+        operations: {
+            deposit: 'Depósito',
+            withdraw: 'Saque',
+            topup: 'Recarga',
+            pay: 'Pagamento',
+            payserver: 'Pagamento ao servidor'
+        },
+        min: 'mín. {fee}',
+        max: 'máx. {fee}',
+        title: '🧾 Taxas do Servidor',
+        missingOperation: '❌ Informe a operação que deseja configurar.',
+        invalid: '❌ Valor de taxa inválido.',
+        minAboveMax: '❌ A taxa mínima não pode ser maior que a máxima.',
+        configured: '✅ Taxa Configurada',
+        log: '🧾 Taxa Alterada'
+    },
+
+    // Limites
+    limits: {
+        labels: {
+            max_tx_amount: 'Máximo por transação',
+            max_daily_volume: 'Volume diário por usuário',
+            max_hourly_conversions: 'Saques e depósitos por hora',
+            max_daily_mint: 'Emissão diária por membro da staff',
+            approval_threshold: 'Aprovação dupla acima de'
+        },
+        none: 'sem limite',
+        exceeded: 'Limite excedido: {limit}',
+        fields: {
+            limit: 'Limite',
+            attempted: 'Tentativa',
+            used: 'Já usado',
+            thisOperation: 'Esta operação'
+        },
+        log: {
+            title: '🚨 Limite Excedido'
+        },
+        exceededEmbed: {
+            title: '🚫 Limite Excedido',
+            description: 'Esta operação ultrapassa o limite do servidor: **{limit}**.'
+        },
+        changedLog: '🚦 Limites Alterados',
+        invalid: '❌ Valor de limite inválido.',
+        configured: '✅ Limites Configurados',
+        title: '🚦 Limites do Servidor',
+        footer: '0 = sem limite • volumes e emissões contam as últimas 24 horas'
+    },
+
+    // Aprovações
+    approvals: {
+        types: {
+            server_pay: '🏦 Pagamento do servidor',
+            set: '✏️ Definição de saldo'
+        },
+        status: {
+            pending: '⏳ Aguardando aprovação',
+            approved: '✅ Aprovado',
+            rejected: '❌ Rejeitado',
+            expired: '⌛ Expirado',
+            failed: '⚠️ Falhou'
+        },
+        finalBalance: '{amount} (saldo final)',
+        embed: {
+            title: '🔐 Pedido de Aprovação #{id}'
+        },
+        fields: {
+            requestedBy: 'Pedido por',
+            expires: 'Expira',
+            rejectedBy: 'Rejeitado por',
+            approvedBy: 'Aprovado por',
+            transaction: 'Transação'
+        },
+        buttons: {
+            approve: 'Aprovar',
+            reject: 'Rejeitar'
+        },
+        unavailable: {
+            title: '❌ Aprovação Indisponível',
+            description: 'Este valor exige aprovação de outro membro, mas o servidor não tem canal de log para o pedido. Configure um com `/server log`.'
+        },
+        requested: {
+            title: '⏳ Aprovação Necessária',
+            description: 'O valor passa do limite de aprovação do servidor. O pedido **#{id}** foi enviado ao canal de log e será executado quando outro membro com a permissão `{capability}` aprovar.'
+        },
+        noServerCard: 'O servidor não tem cartão configurado.',
+        balanceChanged: 'O saldo do usuário mudou desde o pedido (era {expected}, agora é {balance}). Faça um novo pedido.',
+        notFound: '❌ Pedido de aprovação não encontrado.',
+        selfApproval: '❌ Outro membro precisa aprovar o seu pedido.',
+        notPending: '❌ Este pedido não está mais pendente ({status}).',
+        error: 'Ocorreu um erro ao processar o pedido de aprovação.'
+    },
+
+    // Multas
+    fines: {
+        log: {
+            paidCoins: '✅ Multa Paga em Coins',
+            paymentFailed: '❌ Falha no Pagamento de Multa',
+            applied: '⚠️ Multa Aplicada'
+        },
+        fields: {
+            fine: 'Multa',
+            owed: 'Total devido',
+            howToPay: 'Como pagar',
+            amount: 'Valor da multa',
+            due: 'Vencimento',
+            payment: 'Pagamento',
+            finedUser: 'Usuário multado',
+            waivedAmount: 'Valor perdoado',
+            originalReason: 'Motivo original',
+            collected: 'Cobrado',
+            stillOwed: 'Ainda devido'
+        },
+        status: {
+            open: '🟡 Aberta',
+            paying: '⏳ Em pagamento',
+            paid: '✅ Paga',
+            waived: '🕊️ Perdoada',
+            escalated: '🔴 Escalada'
+        },
+        remaining: '(falta {amount})',
+        due: 'vence {date}',
+        overdue: '⏰ vencida',
+        page: {
+            adminTitle: '⚠️ Multas em Aberto',
+            title: '⚠️ Suas Multas',
+            adminEmpty: 'Nenhuma multa em aberto.',
+            empty: 'Você não tem multas em aberto. 🎉',
+            footer: 'Página {page} de {totalPages} • {total} multa(s)',
+            howToPay: '`/money fines pay:<id> method:<{currency}|coins>`'
+        },
+        notFound: '❌ Multa não encontrada.',
+        notPayable: '❌ Esta multa não pode ser paga ({status}).',
+        alreadyPaying: '❌ Esta multa já está sendo paga.',
+        paid: {
+            title: '✅ Multa Paga',
+            description: 'Multa **#{id}** de **{amount}** paga com sucesso!'
+        },
+        payError: 'Ocorreu um erro ao pagar a multa.',
+        noServerCard: 'O servidor ainda não configurou um cartão. Pague a multa com o saldo em {currency}.',
+        missingReason: '❌ Informe o motivo da multa.',
+        invalidDays: '❌ Prazo inválido.',
+        applied: {
+            title: '✅ Multa Aplicada',
+            description: 'Multa **#{id}** de **{amount}** aplicada a {user}.',
+            howToPay: '{user} paga com `/money fines pay:{id}`'
+        },
+        waived: {
+            title: '🕊️ Multa Perdoada',
+            description: 'Multa **#{id}** de <@{user}> perdoada.',
+            notAllowed: '❌ Esta multa não pode ser perdoada ({status}).'
+        },
+        escalated: {
+            notAllowed: '❌ Esta multa não pode ser escalada ({status}).',
+            collectedTitle: '✅ Multa Cobrada',
+            title: '🔴 Multa Escalada',
+            description: 'Multa **#{id}** de <@{user}> cobrada do saldo em {currency}.',
+            error: 'Ocorreu um erro ao escalar a multa.'
+        }
+    },
+
+    // Operações da staff (/adm give, take e set)
+    staff: {
+        apiActor: 'API (token #{id})',
+        give: {
+            log: '💰 Adição de {Currency}',
+            added: 'Valor adicionado',
+            title: '✅ {Currency} Adicionados',
+            description: '{amount} adicionados para {user}'
+        },
+        take: {
+            log: '💰 Remoção de {Currency}',
+            removed: 'Valor removido',
+            title: '✅ {Currency} Removidos',
+            description: '{amount} removidos de {user}'
+        },
+        set: {
+            log: '💰 Definição de Saldo',
+            title: '✅ Saldo Definido',
+            description: 'Saldo de {user} definido para {amount}'
+        }
+    },
+
+    // Configuração do servidor (/server)
+    server: {
+        log: {
+            testTitle: '📝 Canal de Log Configurado',
+            testDescription: 'Este canal agora receberá todos os logs do sistema.',
+            configuredBy: 'Configurado por',
+            title: '✅ Canal de Log Configurado',
+            description: 'Logs serão enviados para {channel}'
+        },
+        rate: {
+            log: '💱 Câmbio Alterado',
+            previous: 'Anterior',
+            new: 'Novo',
+            title: '💱 Câmbio do Servidor',
+            current: 'Câmbio atual',
+            one: '1 real',
+            history: 'Últimas alterações',
+            change: '{rate} por {user} em {time}',
+            invalid: '❌ Câmbio inválido.',
+            updated: '✅ Câmbio Atualizado'
+        },
+        notConfigured: {
+            title: '❌ Servidor não configurado',
+            askAdmin: 'O servidor ainda não configurou um cartão. Um administrador precisa usar `/server card`.',
+            description: 'O servidor ainda não configurou um cartão.',
+            useCommand: 'O servidor ainda não configurou um cartão. Use `/server card` primeiro.'
+        },
+        cardUnavailable: {
+            title: '❌ Cartão do Servidor Indisponível',
+            description: 'O cartão do servidor não foi encontrado na Coin API. Um administrador precisa conferir o `/server card`.'
+        },
+        balance: {
+            title: '🏦 Saldo do Servidor',
+            equivalent: 'Equivalente',
+            error: 'Ocorreu um erro ao verificar o saldo do servidor.'
+        }
+    },
+
+    // Pagamentos do servidor (/server pay)
+    serverPay: {
+        log: {
+            title: '💰 Pagamento do Servidor',
+            failed: '❌ Falha no Pagamento do Servidor'
+        },
+        serverBalance: 'Saldo do servidor',
+        amount: 'Valor do pagamento',
+        noCard: {
+            title: '❌ Usuário não configurado',
+            description: '{user} ainda não configurou um cartão.'
+        },
+        success: '✅ Pagamento do Servidor Realizado'
+    },
+
+    // Auditoria
+    audit: {
+        serverCardMissing: 'Cartão do servidor não configurado',
+        cardNotFound: 'Cartão não encontrado',
+        title: {
+            ok: '✅ Auditoria sem Divergências',
+            failed: '⚠️ Auditoria com Divergências'
+        },
+        surplus: 'Sobra de {coins} coins',
+        shortfall: 'Faltam {coins} coins',
+        fields: {
+            outstanding: '{Currency} em circulação',
+            pendingDeposits: 'Depósitos pendentes',
+            requiredCoins: 'Coins necessários',
+            serverCard: 'Cartão do servidor',
+            backing: 'Lastro',
+            ledgerTotal: 'Soma do ledger',
+            unresolved: 'Itens aguardando resolução'
+        },
+        checks: {
+            balances: 'Saldos divergentes do ledger',
+            queue: 'Fila x transações',
+            ledger: 'Transações x ledger'
+        },
+        queueMismatch: 'Item #{item} {itemStatus}, transação #{transaction} {transactionStatus}',
+        ledgerMismatch: 'Transação #{transaction} ({type}) {status}',
+        more: '... e mais {count}',
+        requestedBy: 'Solicitada por {user}'
+    },
+
+    // Privacidade
+    privacy: {
+        user: {
+            title: '🔒 Sua Privacidade',
+            ranking: 'Ranking (/baltop)',
+            hidden: '🙈 Você não aparece no ranking',
+            shown: '👀 Você aparece no ranking',
+            footer: 'Use /money privacy hide_baltop:<true|false> para mudar'
+        },
+        server: {
+            bothOptions: '❌ Informe `command` e `private` juntos, ou nenhum dos dois para ver a configuração.',
+            log: '🔒 Privacidade Alterada',
+            command: 'Comando',
+            reply: 'Resposta',
+            private: 'Privada',
+            public: 'Pública',
+            title: '🔒 Privacidade das Respostas',
+            alwaysPrivate: 'Sempre privados',
+            alwaysPrivateList: '`/card`, `/coinbalance`, `/money privacy`, `/money topup`, `/server api` e `/server webhooks`',
+            footer: '🔒 só quem usou vê a resposta • 🌐 todos no canal veem'
+        }
+    },
+
+    // Ranking (/baltop)
+    baltop: {
+        sort: {
+            dollars: '{currency}',
+            coins: 'coins',
+            networth: 'patrimônio'
+        },
+        unknownUser: 'Usuário {id}',
+        title: '🏆 Ranking de Riqueza',
+        empty: 'Nenhum usuário encontrado.',
+        fields: {
+            economyTotal: 'Total na Economia',
+            coinTotal: 'Total em Coins',
+            userTotal: 'Total de Usuários',
+            coinsUpdated: 'Coins Atualizados',
+            yourBalance: 'Seu Saldo'
+        },
+        coinsUpdatedSince: '{time} ou depois',
+        coinsNotFetched: '⏳ Ainda não consultados',
+        footer: 'Página {page} de {totalPages} • Ordenado por {sort}'
+    },
+
+    // Paginação
+    pagination: {
+        notOwner: '❌ Só quem usou o comando pode mudar de página.',
+        error: 'Ocorreu um erro ao mudar de página.'
+    },
+
+    // Fila de processamento
+    queue: {
+        fields: {
+            item: 'Item',
+            type: 'Tipo',
+            queueItem: 'Item da fila'
+        },
+        reconcile: {
+            title: '⚠️ Item da Fila para Reconciliação',
+            description: 'O bot reiniciou enquanto este item era enviado para a API. Verifique manualmente se a transferência ocorreu.',
+            unverified: 'A Coin API não respondeu de forma conclusiva e o saldo do cartão de origem não confirma que a transferência deixou de acontecer. Verifique manualmente antes de reenviar.'
+        },
+        unknown: {
+            title: '⚠️ Transferência com Resultado Desconhecido',
+            description: 'A Coin API não respondeu de forma conclusiva. O bot vai conferir o saldo do cartão de origem: se nada saiu dele, o item é reenviado; senão, fica para reconciliação manual.'
+        },
+        unknownError: 'Erro desconhecido',
+        verifying: {
+            title: '⏳ Transferência em Verificação',
+            description: 'A Coin API não confirmou a operação a tempo. O bot vai conferir se ela aconteceu antes de tentar de novo, e o resultado aparecerá no seu histórico.'
+        }
+    },
+
+    // Webhooks
+    webhooks: {
+        undelivered: {
+            title: '⚠️ Webhook Não Entregue'
+        },
+        added: {
+            title: '🔗 Webhook Adicionado',
+            description: 'Guarde o segredo agora: ele não será mostrado de novo.\n```{secret}```',
+            signature: 'Cada entrega traz `X-Webhook-Signature: sha256=<hex>`, o HMAC-SHA256 de `<X-Webhook-Timestamp>.<corpo>` com o segredo. Reenvios repetem o mesmo `X-Webhook-Id`.'
+        },
+        removed: {
+            title: '🗑️ Webhook Removido',
+            deliveryError: 'Webhook removido',
+            description: 'O webhook #{id} não recebe mais eventos.'
+        },
+        fields: {
+            event: 'Evento',
+            events: 'Eventos',
+            attempts: 'Tentativas',
+            signature: 'Assinatura',
+            response: 'Resposta'
+        },
+        status: {
+            pending: '⏳ Pendente',
+            delivered: '✅ Entregue',
+            failed: '❌ Falhou'
+        },
+        invalidUrl: '❌ URL inválida. Use um endereço `http://` ou `https://` público (localhost e redes privadas não são aceitos).',
+        unknownEvent: '❌ Evento desconhecido. Disponíveis: {events}',
+        notFound: '❌ Webhook não encontrado. Use `/server webhooks action:list` para ver os IDs.',
+        test: {
+            delivered: '✅ Teste Entregue',
+            undelivered: '❌ Teste Não Entregue',
+            retrying: 'Novas tentativas serão feitas automaticamente.'
+        },
+        list: {
+            title: '🔗 Webhooks'
+        },
+        deliveries: {
+            title: '📬 Entregas de Webhooks',
+            line: '**#{id}** {status} • webhook #{webhook} • `{event}` • {attempts} tentativa(s)',
+            empty: 'Nenhuma entrega registrada.',
+            footer: 'Últimas {count} entregas',
+            footerWebhook: 'Últimas {count} entregas do webhook #{id}'
+        },
+        empty: 'Nenhum webhook configurado.'
+    },
+
+    // API web
+    api: {
+        defaultLabel: 'Token de {user}',
+        created: {
+            title: '🔑 Token da API Criado',
+            description: 'Guarde o token agora: ele não será mostrado de novo.\n```{token}```',
+            usage: 'Envie no cabeçalho `Authorization: Bearer <token>`. O token tem acesso de administrador à economia deste servidor.'
+        },
+        fields: {
+            name: 'Nome',
+            usage: 'Uso'
+        },
+        notFound: '❌ Token não encontrado. Use `/server api action:list` para ver os IDs.',
+        revoked: {
+            title: '🗑️ Token da API Revogado',
+            description: 'O token #{id} não funciona mais.'
+        },
+        list: {
+            title: '🔑 Tokens da API',
+            line: '**#{id}** {label} • criado por {user} • {used}',
+            lastUsed: 'último uso {time}',
+            neverUsed: 'nunca usado',
+            empty: 'Nenhum token criado.',
+            dashboard: 'Painel em {url}',
+            disabled: 'API web desativada (defina WEB_PORT)'
+        }
+    }
+};
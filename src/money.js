@@ -0,0 +1,193 @@
+// money.js - Aritmética exata para coins e reais
+// Coins são guardados em unidades base (1e-8) e reais em centavos, sempre como
+// inteiros. Conversões que multiplicam valores grandes passam por BigInt.
+
+const COIN_DECIMALS = 8;
+const DOLLAR_DECIMALS = 2;
+const COIN_SCALE = 10 ** COIN_DECIMALS;
+const DOLLAR_SCALE = 10 ** DOLLAR_DECIMALS;
+
+// Percentuais são guardados em pontos-base (1% = 100)
+const PERCENT_DECIMALS = 2;
+const BASIS_POINTS = 10000;
+
+/**
+ * Converte uma string decimal em inteiro na escala informada, sem passar por float
+ * @param {string} value - Valor digitado (aceita "." ou "," como separador)
+ * @param {number} decimals - Casas decimais permitidas
+ * @returns {number|null} Inteiro na escala, ou null se a string for inválida
+ */
+function parseDecimal(value, decimals) {
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().match(/^(\d+)(?:[.,](\d+))?$/);
+    if (!match) return null;
+
+    const [, whole, fraction = ''] = match;
+    if (fraction.length > decimals) return null;
+
+    const units = BigInt(whole) * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+    if (units > BigInt(Number.MAX_SAFE_INTEGER)) return null;
+
+    return Number(units);
+}
+
+/**
+ * Formata um inteiro na escala informada como string decimal
+ * @param {number} units - Inteiro na escala
+ * @param {number} decimals - Casas decimais da escala
+ * @param {boolean} trim - Remove zeros à direita (e o ponto, se sobrar)
+ * @returns {string} Valor formatado, sem notação científica
+ */
+function formatDecimal(units, decimals, trim) {
+    const value = BigInt(units);
+    const negative = value < 0n;
+    const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+    if (decimals === 0) return (negative ? '-' : '') + digits;
+
+    let formatted = `${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`;
+    if (trim) {
+        formatted = formatted.replace(/0+$/, '').replace(/\.$/, '');
+    }
+
+    return (negative ? '-' : '') + formatted;
+}
+
+/**
+ * Lê uma quantia em reais digitada pelo usuário
+ * @param {string} value - Ex.: "10.50"
+ * @param {number} [decimals] - Casas decimais aceitas (até DOLLAR_DECIMALS)
+ * @returns {number|null} Centavos, ou null se inválido
+ */
+function parseDollars(value, decimals = DOLLAR_DECIMALS) {
+    const units = parseDecimal(value, decimals);
+    if (units === null) return null;
+
+    const cents = units * 10 ** (DOLLAR_DECIMALS - decimals);
+    return Number.isSafeInteger(cents) ? cents : null;
+}
+
+/**
+ * Lê uma quantia em coins digitada pelo usuário
+ * @param {string} value - Ex.: "0.00000001"
+ * @returns {number|null} Unidades base, ou null se inválido
+ */
+function parseCoins(value) {
+    return parseDecimal(value, COIN_DECIMALS);
+}
+
+/**
+ * Lê um percentual digitado pelo usuário
+ * @param {string} value - Ex.: "1.5" para 1,5%
+ * @returns {number|null} Pontos-base, ou null se inválido
+ */
+function parsePercent(value) {
+    return parseDecimal(value, PERCENT_DECIMALS);
+}
+
+/**
+ * Lê uma fração, como as taxas do .env
+ * @param {string} value - Ex.: "0.015" para 1,5%
+ * @returns {number|null} Pontos-base, ou null se inválido
+ */
+function parseFraction(value) {
+    return parseDecimal(value, PERCENT_DECIMALS + 2);
+}
+
+/**
+ * Formata centavos como reais (2 casas, ou menos truncando os centavos)
+ * @param {number} cents - Quantia em centavos
+ * @param {number} [decimals] - Casas exibidas (até DOLLAR_DECIMALS)
+ * @returns {string} Ex.: "10.50", ou "10" com 0 casas
+ */
+function formatDollars(cents, decimals = DOLLAR_DECIMALS) {
+    const units = BigInt(cents || 0) / 10n ** BigInt(DOLLAR_DECIMALS - decimals);
+    return formatDecimal(units, decimals, false);
+}
+
+/**
+ * Formata unidades base como coins (até 8 casas, sem zeros à direita)
+ * @param {number} units - Quantia em unidades base
+ * @returns {string} Ex.: "0.00000005"
+ */
+function formatCoins(units) {
+    return formatDecimal(units || 0, COIN_DECIMALS, true);
+}
+
+/**
+ * Formata pontos-base como percentual
+ * @param {number} basisPoints - Percentual em pontos-base
+ * @returns {string} Ex.: "1.5"
+ */
+function formatPercent(basisPoints) {
+    return formatDecimal(basisPoints || 0, PERCENT_DECIMALS, true);
+}
+
+/**
+ * Converte o saldo em coins devolvido pela API (número JSON) em unidades base
+ * @param {number|string} value - Saldo da API
+ * @returns {number} Unidades base
+ */
+function fromApiCoins(value) {
+    const num = Number(value);
+    if (!Number.isFinite(num) || num < 0) return 0;
+    return parseCoins(num.toFixed(COIN_DECIMALS)) || 0;
+}
+
+/**
+ * Converte unidades base para o formato aceito pela API
+ * @param {number} units - Quantia em unidades base
+ * @returns {string} Valor decimal sem notação científica
+ */
+function toApiCoins(units) {
+    return formatCoins(units);
+}
+
+/**
+ * Converte reais em coins pelo câmbio, truncando
+ * @param {number} cents - Quantia em centavos
+ * @param {number} rate - Câmbio em centavos por coin
+ * @returns {number} Unidades base
+ */
+function dollarsToCoins(cents, rate) {
+    return Number(BigInt(cents) * BigInt(COIN_SCALE) / BigInt(rate));
+}
+
+/**
+ * Converte coins em reais pelo câmbio, truncando
+ * @param {number} units - Quantia em unidades base
+ * @param {number} rate - Câmbio em centavos por coin
+ * @returns {number} Centavos
+ */
+function coinsToDollars(units, rate) {
+    return Number(BigInt(units) * BigInt(rate) / BigInt(COIN_SCALE));
+}
+
+/**
+ * Aplica um percentual a uma quantia inteira, truncando
+ * @param {number} amount - Quantia (centavos ou unidades base)
+ * @param {number} basisPoints - Percentual em pontos-base
+ * @returns {number} Parcela na mesma escala
+ */
+function applyPercent(amount, basisPoints) {
+    return Number(BigInt(amount) * BigInt(basisPoints) / BigInt(BASIS_POINTS));
+}
+
+module.exports = {
+    COIN_DECIMALS,
+    DOLLAR_DECIMALS,
+    COIN_SCALE,
+    DOLLAR_SCALE,
+    parseDollars,
+    parseCoins,
+    parsePercent,
+    parseFraction,
+    formatDollars,
+    formatCoins,
+    formatPercent,
+    fromApiCoins,
+    toApiCoins,
+    dollarsToCoins,
+    coinsToDollars,
+    applyPercent
+};
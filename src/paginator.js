@@ -0,0 +1,98 @@
+// paginator.js - Botões de paginação (primeira/anterior/próxima/última)
+// Todo o estado fica no customId do botão, então os botões continuam
+// funcionando depois de um restart do bot: nada é guardado em memória.
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+// Formato: page:<visão>:<dono>:<ação>:<página>[:<argumentos>...]
+const PREFIX = 'page';
+const SEPARATOR = ':';
+const MAX_CUSTOM_ID = 100; // limite do Discord
+
+const ACTIONS = {
+    first: '⏮️',
+    prev: '◀️',
+    next: '▶️',
+    last: '⏭️'
+};
+
+/**
+ * Quantidade de páginas de uma lista (sempre pelo menos uma)
+ * @param {number} total - Quantidade de itens
+ * @param {number} perPage - Itens por página
+ * @returns {number} Páginas
+ */
+function pageCount(total, perPage) {
+    return Math.max(1, Math.ceil(total / perPage));
+}
+
+/**
+ * Limita a página ao intervalo válido
+ * @param {number} page - Página pedida (1-based)
+ * @param {number} totalPages - Páginas existentes
+ * @returns {number} Página entre 1 e totalPages
+ */
+function clampPage(page, totalPages) {
+    return Math.min(Math.max(1, Math.trunc(page) || 1), totalPages);
+}
+
+/**
+ * Monta o customId de um botão de paginação
+ * @param {Object} state - { view, ownerId, action, page, args }
+ * @returns {string} customId
+ */
+function encodePageId({ view, ownerId, action, page, args = [] }) {
+    const parts = [PREFIX, view, ownerId, action, page, ...args].map(String);
+    if (parts.some(part => part.includes(SEPARATOR))) {
+        throw new Error(`Estado de paginação não pode conter "${SEPARATOR}"`);
+    }
+
+    const customId = parts.join(SEPARATOR);
+    if (customId.length > MAX_CUSTOM_ID) {
+        throw new Error(`Estado de paginação excede ${MAX_CUSTOM_ID} caracteres`);
+    }
+    return customId;
+}
+
+/**
+ * Lê o customId de um botão de paginação
+ * @param {string} customId - customId do botão clicado
+ * @returns {Object|null} { view, ownerId, action, page, args }, ou null se não for de paginação
+ */
+function parsePageId(customId) {
+    const [prefix, view, ownerId, action, page, ...args] = String(customId).split(SEPARATOR);
+    if (prefix !== PREFIX || !view || !ownerId || !ACTIONS[action] || !/^\d+$/.test(page || '')) {
+        return null;
+    }
+    return { view, ownerId, action, page: parseInt(page), args };
+}
+
+/**
+ * Monta a linha de botões para a página atual; botões sem destino ficam desativados
+ * @param {Object} params - { view, ownerId, page, totalPages, args }
+ * @returns {ActionRowBuilder} Linha de botões
+ */
+function buildPageButtons({ view, ownerId, page, totalPages, args = [] }) {
+    const targets = {
+        first: 1,
+        prev: Math.max(1, page - 1),
+        next: Math.min(totalPages, page + 1),
+        last: totalPages
+    };
+
+    const buttons = Object.entries(ACTIONS).map(([action, emoji]) => new ButtonBuilder()
+        .setCustomId(encodePageId({ view, ownerId, action, page: targets[action], args }))
+        .setEmoji(emoji)
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(targets[action] === page));
+
+    return new ActionRowBuilder().addComponents(buttons);
+}
+
+module.exports = {
+    pageCount,
+    clampPage,
+    encodePageId,
+    parsePageId,
+    buildPageButtons
+};
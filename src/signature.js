@@ -0,0 +1,44 @@
+// signature.js - Assinatura HMAC-SHA256 de webhooks
+// A assinatura cobre "<timestamp>.<corpo>", então um corpo capturado não pode
+// ser reaproveitado depois da janela de tolerância.
+
+const crypto = require('crypto');
+
+const DEFAULT_TOLERANCE_S = 300;
+
+/**
+ * Assina um corpo de webhook
+ * @param {string} secret - Segredo compartilhado
+ * @param {number|string} timestamp - Segundos Unix enviados junto
+ * @param {string} body - Corpo exatamente como enviado
+ * @returns {string} "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Confere a assinatura e a idade de um webhook recebido
+ * @param {Object} params - Dados recebidos
+ * @param {string} params.secret - Segredo compartilhado
+ * @param {string} params.timestamp - Segundos Unix do cabeçalho
+ * @param {string} params.body - Corpo exatamente como recebido
+ * @param {string} params.signature - Assinatura do cabeçalho ("sha256=<hex>")
+ * @param {number} [params.toleranceS] - Diferença máxima de relógio aceita
+ * @param {number} [params.now] - Agora, em ms (para testes)
+ * @returns {boolean} True se a assinatura confere e o timestamp está dentro da janela
+ */
+function verifySignature({ secret, timestamp, body, signature, toleranceS = DEFAULT_TOLERANCE_S, now = Date.now() }) {
+    if (!secret || !/^\d+$/.test(String(timestamp || '')) || typeof signature !== 'string') return false;
+    if (Math.abs(now / 1000 - Number(timestamp)) > toleranceS) return false;
+
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = {
+    signPayload,
+    verifySignature
+};
@@ -0,0 +1,196 @@
+// webServer.js - Servidor HTTP mínimo para a API REST e o painel web
+// Usa só o módulo http do Node: rotas com parâmetros (/api/users/:id), corpo
+// JSON e autenticação por token Bearer (ou pela própria rota, como os webhooks
+// assinados, que recebem o corpo original). As regras de negócio ficam no bot;
+// aqui só se traduz HTTP para chamadas de função e erros para status.
+
+const http = require('http');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Erro com status HTTP; a mensagem vai para o cliente no campo "error"
+ */
+class HttpError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Transforma o caminho de uma rota em expressão regular
+ * @param {string} pattern - Ex.: "/api/users/:id/give"
+ * @returns {Object} { regex, keys }
+ */
+function compilePath(pattern) {
+    const keys = [];
+    const source = pattern
+        .split('/')
+        .map(part => {
+            if (!part.startsWith(':')) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            keys.push(part.slice(1));
+            return '([^/]+)';
+        })
+        .join('/');
+    return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+/**
+ * Decodifica um parâmetro do caminho
+ * @param {string} value - Trecho do caminho (ex.: "a%20b")
+ * @returns {string} Valor decodificado
+ * @throws {HttpError} 400 se o trecho não for um escape válido (ex.: "%E0")
+ */
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        throw new HttpError(400, 'Caminho inválido');
+    }
+}
+
+/**
+ * Procura a rota de uma requisição
+ * @param {Object[]} routes - Rotas compiladas
+ * @param {string} method - Método HTTP
+ * @param {string} pathname - Caminho sem query string
+ * @returns {Object|null} { route, params }, ou { allowed } se o caminho existe com outro método
+ * @throws {HttpError} 400 se um parâmetro do caminho não puder ser decodificado
+ */
+function matchRoute(routes, method, pathname) {
+    const allowed = [];
+    for (const route of routes) {
+        const match = route.regex.exec(pathname);
+        if (!match) continue;
+
+        if (route.method !== method) {
+            allowed.push(route.method);
+            continue;
+        }
+        const params = Object.fromEntries(route.keys.map((key, i) => [key, decodeParam(match[i + 1])]));
+        return { route, params };
+    }
+    return allowed.length > 0 ? { allowed } : null;
+}
+
+/**
+ * Lê o corpo de uma requisição
+ * @param {IncomingMessage} req - Requisição
+ * @returns {string} Corpo em texto
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Corpo da requisição muito grande'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Interpreta o corpo JSON de uma requisição
+ * @param {string} text - Corpo em texto
+ * @returns {Object} Corpo (objeto vazio se não houver)
+ * @throws {HttpError} 400 se não for um objeto JSON
+ */
+function parseJsonBody(text) {
+    if (!text.trim()) return {};
+
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch {
+        throw new HttpError(400, 'JSON inválido');
+    }
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'O corpo precisa ser um objeto JSON');
+    }
+    return body;
+}
+
+/**
+ * Envia uma resposta
+ * @param {ServerResponse} res - Resposta
+ * @param {number} status - Status HTTP
+ * @param {*} body - Objeto (vira JSON) ou string
+ * @param {string} [type] - Content-Type para corpos em texto
+ */
+function send(res, status, body, type = 'application/json; charset=utf-8') {
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': typeof body === 'string' ? type : 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store',
+        'X-Content-Type-Options': 'nosniff'
+    });
+    res.end(payload);
+}
+
+/**
+ * Cria o servidor HTTP
+ * @param {Object} options - Configuração
+ * @param {Object[]} options.routes - { method, path, handler, public, type }. O handler recebe
+ * { params, query, body, rawBody, headers, auth } e retorna o corpo da resposta (ou { status, body }).
+ * Rotas com "type" respondem texto nesse Content-Type (ex.: o HTML do painel).
+ * @param {Function} options.authenticate - Recebe o token Bearer e retorna o contexto de auth, ou null
+ * @param {Function} [options.onError] - Chamado com erros inesperados (status 500)
+ * @returns {http.Server} Servidor (ainda sem listen)
+ */
+function createWebServer({ routes, authenticate, onError = () => {} }) {
+    const compiled = routes.map(route => ({ ...route, ...compilePath(route.path) }));
+
+    return http.createServer(async (req, res) => {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const found = matchRoute(compiled, req.method, url.pathname);
+            if (!found) throw new HttpError(404, 'Rota não encontrada');
+            if (found.allowed) {
+                res.setHeader('Allow', found.allowed.join(', '));
+                throw new HttpError(405, 'Método não permitido');
+            }
+
+            const { route, params } = found;
+            let auth = null;
+            if (!route.public) {
+                const [scheme, token] = (req.headers.authorization || '').split(' ');
+                auth = scheme === 'Bearer' && token ? await authenticate(token) : null;
+                if (!auth) throw new HttpError(401, 'Token inválido ou ausente');
+            }
+
+            const rawBody = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readBody(req) : '';
+            const body = parseJsonBody(rawBody);
+            const query = Object.fromEntries(url.searchParams);
+            const result = await route.handler({ params, query, body, rawBody, headers: req.headers, auth });
+
+            if (route.type) return send(res, 200, result, route.type);
+            if (result && result.status && 'body' in result) return send(res, result.status, result.body);
+            send(res, 200, result ?? {});
+        } catch (error) {
+            if (error instanceof HttpError) {
+                return send(res, error.status, { error: error.message, ...error.details });
+            }
+            onError(error);
+            send(res, 500, { error: 'Erro interno' });
+        }
+    });
+}
+
+module.exports = {
+    HttpError,
+    compilePath,
+    matchRoute,
+    createWebServer
+};
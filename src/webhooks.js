@@ -0,0 +1,193 @@
+// webhooks.js - Entrega de eventos para URLs externas
+// O corpo é o evento em JSON, assinado com o segredo do webhook no mesmo formato
+// dos avisos da Coin API (src/signature.js). Quem recebe confere a assinatura
+// e ignora eventos repetidos pelo campo "id": reenvios mandam o mesmo evento.
+// A URL é escolhida por um admin do servidor, então endereços internos (loopback,
+// rede privada, link-local) são recusados no cadastro e de novo na conexão,
+// depois da resolução DNS, para o bot não virar ponte para serviços internos.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { signPayload } = require('./signature');
+const { ECONOMY_EVENTS } = require('./events');
+
+// Faixas que não são internet pública
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+// Erro gravado na entrega quando o destino é um endereço interno
+const PRIVATE_ADDRESS_ERROR = 'Endereço interno não permitido';
+
+/**
+ * Lê a lista de eventos de um webhook ("*", tipos exatos ou prefixos como "fine.*")
+ * @param {string} value - Lista separada por vírgula (vazio = todos)
+ * @returns {string[]|null} Filtros, ou null se algum não corresponde a nenhum evento
+ */
+function parseEventFilter(value) {
+    const filters = (value || '*').split(',').map(part => part.trim()).filter(Boolean);
+    const types = Object.keys(ECONOMY_EVENTS);
+    const valid = filters.every(filter => types.some(type => matchesFilter(filter, type)));
+    return filters.length > 0 && valid ? filters : null;
+}
+
+/**
+ * Verifica se um filtro cobre um tipo de evento
+ * @param {string} filter - "*", tipo exato ou "prefixo.*"
+ * @param {string} type - Tipo do evento
+ * @returns {boolean} True se cobre
+ */
+function matchesFilter(filter, type) {
+    if (filter === '*') return true;
+    if (filter.endsWith('.*')) return type.startsWith(filter.slice(0, -1));
+    return filter === type;
+}
+
+/**
+ * Verifica se um webhook assina um tipo de evento
+ * @param {string[]} filters - Filtros do webhook
+ * @param {string} type - Tipo do evento
+ * @returns {boolean} True se o evento deve ser entregue
+ */
+function subscribes(filters, type) {
+    return filters.some(filter => matchesFilter(filter, type));
+}
+
+/**
+ * Verifica se um IP é de internet pública
+ * @param {string} address - IPv4 ou IPv6 (o BlockList confere IPv4 mapeado em IPv6 pelas faixas IPv4)
+ * @returns {boolean} False para loopback, redes privadas, link-local e afins
+ */
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    return !PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Verifica se o host de uma URL pode ser interno sem consultar o DNS
+ * @param {URL} url - URL já validada
+ * @returns {boolean} True para localhost e IPs que não são públicos
+ */
+function isPrivateHost(url) {
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost')) return true;
+    return net.isIP(host) !== 0 && !isPublicAddress(host);
+}
+
+/**
+ * Valida a URL de um webhook
+ * @param {string} value - URL digitada
+ * @param {Object} [options] - { allowPrivate: true } aceita endereços internos (desenvolvimento)
+ * @returns {string|null} URL normalizada, ou null se não for http(s) ou apontar para endereço interno
+ */
+function parseWebhookUrl(value, { allowPrivate = false } = {}) {
+    try {
+        const url = new URL(String(value || '').trim());
+        if (!['http:', 'https:'].includes(url.protocol)) return null;
+        return allowPrivate || !isPrivateHost(url) ? url.toString() : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Resolução DNS que recusa endereços internos. Usada na própria conexão, para
+ * um DNS que muda de resposta depois do cadastro não levar a um endereço interno.
+ * Mesma assinatura de dns.lookup.
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        if (addresses.length === 0 || !addresses.every(entry => isPublicAddress(entry.address))) {
+            const blocked = new Error(PRIVATE_ADDRESS_ERROR);
+            blocked.code = 'EPRIVATEADDRESS';
+            return callback(blocked);
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Envia um POST e devolve só o status (o corpo da resposta é descartado; redirecionamentos não são seguidos)
+ * @param {URL} url - Destino
+ * @param {Object} request - { headers, body, lookup, timeoutMs }
+ * @returns {number} Status HTTP
+ */
+function post(url, { headers, body, lookup, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const request = client.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup,
+            signal: AbortSignal.timeout(timeoutMs)
+        }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * Faz uma tentativa de entrega
+ * @param {Object} delivery - Dados da entrega
+ * @param {string} delivery.url - URL do webhook
+ * @param {string} delivery.secret - Segredo do webhook
+ * @param {string} delivery.body - Evento em JSON
+ * @param {string} delivery.eventId - ID do evento (cabeçalho X-Webhook-Id)
+ * @param {string} delivery.eventType - Tipo do evento (cabeçalho X-Webhook-Event)
+ * @param {number} delivery.timeoutMs - Tempo máximo de espera
+ * @param {boolean} [delivery.allowPrivate] - Aceita endereços internos (desenvolvimento)
+ * @returns {Object} { ok, status, error } (erros de rede não lançam)
+ */
+async function deliverWebhook({ url, secret, body, eventId, eventType, timeoutMs, allowPrivate = false }) {
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    // Webhooks cadastrados antes da checagem também passam por ela
+    if (!parseWebhookUrl(url, { allowPrivate })) {
+        return { ok: false, status: null, error: PRIVATE_ADDRESS_ERROR };
+    }
+
+    try {
+        const status = await post(new URL(url), {
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Webhook-Id': eventId,
+                'X-Webhook-Event': eventType,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(secret, timestamp, body)
+            },
+            body,
+            lookup: allowPrivate ? undefined : publicLookup,
+            timeoutMs
+        });
+        const ok = status >= 200 && status < 300;
+        return { ok, status, error: ok ? null : `HTTP ${status}` };
+    } catch (error) {
+        if (error.name === 'AbortError') return { ok: false, status: null, error: 'Tempo esgotado' };
+        return { ok: false, status: null, error: error.code === 'EPRIVATEADDRESS' ? PRIVATE_ADDRESS_ERROR : error.code || error.message };
+    }
+}
+
+module.exports = {
+    parseEventFilter,
+    subscribes,
+    isPublicAddress,
+    parseWebhookUrl,
+    deliverWebhook
+};
@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    bot,
+    GUILD_ID,
+    resetBot,
+    runCommand,
+    lastReply,
+    setupGuild,
+    setupUser,
+    captureLogs,
+    dollarsOf,
+    ledgerTotal
+} = require('./helpers');
+
+let server;
+let url;
+let token;
+let logs;
+
+test.before(async () => {
+    server = bot.createApiServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+});
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild();
+    await setupUser('alice', { dollars: 5000 });
+    logs = await captureLogs();
+
+    const created = await runCommand({
+        command: 'server', subcommand: 'api', userId: 'owner', admin: true, options: { action: 'create', label: 'painel' }
+    });
+    token = lastReply(created).description.match(/cbt_[\w-]+/)[0];
+});
+
+/**
+ * Chama a API com o token do servidor de teste
+ * @param {string} method - Método HTTP
+ * @param {string} path - Caminho
+ * @param {Object} [body] - Corpo JSON
+ * @returns {Object} { status, body }
+ */
+async function api(method, path, body) {
+    const response = await fetch(`${url}${path}`, {
+        method,
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('/server api cria tokens em resposta privada e exige perms.manage', async () => {
+    const denied = await runCommand({ command: 'server', subcommand: 'api', userId: 'mod', staff: true, options: { action: 'list' } });
+    assert.strictEqual(lastReply(denied).content, '❌ Você não tem a permissão `perms.manage` para usar este comando.');
+
+    const list = await runCommand({ command: 'server', subcommand: 'api', userId: 'owner', admin: true, options: { action: 'list' } });
+    assert.strictEqual(list.ephemeral, true);
+    assert.match(lastReply(list).description, /\*\*#\d+\*\* painel • criado por <@owner> • nunca usado/);
+
+    // Só o hash fica no banco
+    const row = await bot.db.get('SELECT token_hash FROM api_tokens');
+    assert.notStrictEqual(row.token_hash, token);
+    assert.strictEqual((await api('GET', '/api/guild')).status, 200);
+    assert.ok((await bot.db.get('SELECT last_used_at FROM api_tokens')).last_used_at);
+});
+
+test('leituras ficam restritas ao servidor do token e não expõem cartões', async () => {
+    await bot.db.run("INSERT INTO users (user_id, guild_id, dollars) VALUES ('intruso', 'outro-servidor', 999)");
+
+    const users = await api('GET', '/api/users');
+    assert.strictEqual(users.status, 200);
+    assert.strictEqual(users.body.total, 1);
+    assert.strictEqual('card_id' in users.body.users[0], false);
+    assert.strictEqual(users.body.users[0].card_configured, true);
+    assert.strictEqual(users.body.users[0].dollars, 5000);
+
+    assert.strictEqual((await api('GET', '/api/users/intruso')).status, 404);
+
+    const guild = await api('GET', '/api/guild');
+    assert.strictEqual(guild.body.guild_id, GUILD_ID);
+    assert.strictEqual(guild.body.server_card_configured, true);
+    assert.strictEqual(guild.body.exchange_rate, 100);
+    assert.strictEqual(JSON.stringify(guild.body).includes('enc:v1'), false);
+
+    await runCommand({ command: 'money', subcommand: 'deposit', userId: 'alice', options: { amount: '5' } });
+    const queue = await api('GET', '/api/queue?status=completed');
+    assert.strictEqual(queue.body.total, 1);
+    assert.strictEqual(queue.body.items[0].amount, 5e8);
+    assert.strictEqual('payload' in queue.body.items[0], false);
+
+    const transactions = await api('GET', '/api/transactions?type=deposit&user=alice');
+    assert.strictEqual(transactions.body.total, 1);
+    assert.strictEqual(transactions.body.transactions[0].amount, 500);
+});
+
+test('token revogado deixa de funcionar', async () => {
+    const { id } = await bot.db.get('SELECT id FROM api_tokens');
+    await runCommand({ command: 'server', subcommand: 'api', userId: 'owner', admin: true, options: { action: 'revoke', id } });
+
+    const response = await api('GET', '/api/users');
+    assert.strictEqual(response.status, 401);
+});
+
+test('give, take e set pela API usam o ledger, os limites e o log', async () => {
+    const given = await api('POST', '/api/users/alice/give', { amount: '10' });
+    assert.deepStrictEqual(given, { status: 200, body: { user_id: 'alice', dollars: 6000 } });
+
+    const taken = await api('POST', '/api/users/alice/take', { amount: 5 });
+    assert.strictEqual(taken.body.dollars, 5500);
+
+    const insufficient = await api('POST', '/api/users/alice/take', { amount: '100' });
+    assert.deepStrictEqual(insufficient, { status: 409, body: { error: 'Saldo insuficiente', balance: 5500 } });
+
+    assert.strictEqual((await api('POST', '/api/users/alice/give', { amount: '-1' })).status, 400);
+
+    await runCommand({ command: 'server', subcommand: 'limits', userId: 'owner', admin: true, options: { daily_mint: '15' } });
+    const limited = await api('POST', '/api/users/alice/give', { amount: '10' });
+    assert.strictEqual(limited.status, 422);
+    assert.strictEqual(limited.body.limit, 'max_daily_mint');
+    assert.strictEqual(limited.body.used, 1000);
+
+    const set = await api('POST', '/api/users/alice/set', { amount: '0' });
+    assert.strictEqual(set.body.dollars, 0);
+    assert.strictEqual(await dollarsOf('alice'), 0);
+
+    const tx = await bot.db.get("SELECT actor_id FROM transactions WHERE type = 'give' AND actor_id != 'setup'");
+    assert.match(tx.actor_id, /^api:\d+$/);
+    assert.ok(logs.some(log => log.title === '💰 Adição de Reais' && log.fields['Staff'] === `API: painel (${tx.actor_id.replace('api:', 'token #')})`));
+    assert.strictEqual(await ledgerTotal(), 0);
+});
+
+test('set acima do limite de aprovação cria um pedido', async () => {
+    await runCommand({ command: 'server', subcommand: 'limits', userId: 'owner', admin: true, options: { approval: '20' } });
+
+    const response = await api('POST', '/api/users/alice/set', { amount: '500' });
+    assert.strictEqual(response.status, 202);
+    assert.strictEqual(response.body.status, 'pending');
+    assert.strictEqual(await dollarsOf('alice'), 5000);
+
+    const request = logs.filter(log => log.title?.startsWith('🔐')).pop();
+    assert.match(request.fields['Pedido por'], /^API \(token #\d+\)$/);
+});
+
+test('PATCH /api/guild/config valida tudo antes de gravar', async () => {
+    const invalid = await api('PATCH', '/api/guild/config', { exchange_rate: '2', limits: { max_tx_amount: 'abc' } });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual((await api('GET', '/api/guild')).body.exchange_rate, 100);
+
+    assert.strictEqual((await api('PATCH', '/api/guild/config', { staff_role_id: '1' })).status, 400);
+
+    const updated = await api('PATCH', '/api/guild/config', {
+        log_channel_id: '123456789', exchange_rate: '2.50', limits: { max_tx_amount: '100', max_hourly_conversions: 4 }
+    });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.log_channel_id, '123456789');
+    assert.strictEqual(updated.body.exchange_rate, 250);
+    assert.strictEqual(updated.body.limits.max_tx_amount, 10000);
+    assert.strictEqual(updated.body.limits.max_hourly_conversions, 4);
+
+    const history = await bot.db.get('SELECT set_by FROM rate_history ORDER BY id DESC');
+    assert.match(history.set_by, /^api:\d+$/);
+    assert.ok(logs.some(log => log.title === '💱 Câmbio Alterado'));
+    assert.ok(logs.some(log => log.title === '🚦 Limites Alterados'));
+});
+
+test('o painel é servido sem token', async () => {
+    const response = await fetch(`${url}/`);
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/html/);
+    assert.match(await response.text(), /Painel da Economia/);
+});
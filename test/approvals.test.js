@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    bot,
+    resetBot,
+    runCommand,
+    fakeButton,
+    lastReply,
+    setupGuild,
+    setupUser,
+    captureLogs,
+    dollarsOf,
+    ledgerTotal
+} = require('./helpers');
+
+const COIN = 1e8;
+
+let logs;
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild({ serverCoins: 100 * COIN });
+    await setupUser('bob', { dollars: 1000 });
+    logs = await captureLogs();
+    await runCommand({ command: 'server', subcommand: 'limits', userId: 'owner', admin: true, options: { approval: '20' } });
+});
+
+/**
+ * Último pedido de aprovação postado no canal de log
+ * @returns {Object} Log, no formato de captureLogs
+ */
+function lastApprovalLog() {
+    return logs.filter(entry => entry.title?.startsWith('🔐 Pedido de Aprovação')).pop();
+}
+
+/**
+ * Clica num botão do último pedido de aprovação postado no log
+ * @param {string} action - 'approve' ou 'reject'
+ * @param {Object} params - { userId, admin, staff } de quem clica
+ * @returns {Object} Clique, com as respostas
+ */
+async function clickApproval(action, params) {
+    const log = lastApprovalLog();
+    const button = log.message.components[0].toJSON().components.find(component => component.custom_id.endsWith(`:${action}`));
+
+    const click = fakeButton({ customId: button.custom_id, ...params });
+    await bot.handleInteraction(click);
+    await bot.paymentQueue.drain();
+    return click;
+}
+
+test('/server pay acima do limite espera aprovação e registra o aprovador', async () => {
+    const request = lastReply(await runCommand({
+        command: 'server', subcommand: 'pay', userId: 'owner', admin: true, options: { user: 'bob', amount: '30' }
+    }));
+    assert.strictEqual(request.title, '⏳ Aprovação Necessária');
+    assert.strictEqual(bot.coinApi.calls.filter(call => call.endpoint === 'transferToId').length, 0);
+
+    const posted = lastApprovalLog();
+    assert.strictEqual(posted.fields['Status'], '⏳ Aguardando aprovação');
+    assert.strictEqual(posted.fields['Valor'], '30 coins');
+
+    // Quem pediu não aprova o próprio pedido
+    const self = await clickApproval('approve', { userId: 'owner', admin: true });
+    assert.strictEqual(lastReply(self).content, '❌ Outro membro precisa aprovar o seu pedido.');
+
+    // A staff comum não tem server.pay
+    const denied = await clickApproval('approve', { userId: 'mod', staff: true });
+    assert.strictEqual(lastReply(denied).content, '❌ Você não tem a permissão `server.pay` para usar este comando.');
+
+    const click = await clickApproval('approve', { userId: 'admin2', admin: true });
+    const decided = lastReply(click);
+    assert.strictEqual(decided.fields['Status'], '✅ Aprovado');
+    assert.strictEqual(decided.fields['Aprovado por'], '<@admin2>');
+    assert.deepStrictEqual(click.replies[0].components, []);
+
+    assert.strictEqual(bot.coinApi.accounts.get('bob'), 30 * COIN);
+    const tx = await bot.db.get("SELECT status, actor_id, approved_by FROM transactions WHERE type = 'server_pay'");
+    assert.deepStrictEqual(tx, { status: 'completed', actor_id: 'owner', approved_by: 'admin2' });
+});
+
+test('valores até o limite não pedem aprovação', async () => {
+    const reply = lastReply(await runCommand({
+        command: 'server', subcommand: 'pay', userId: 'owner', admin: true, options: { user: 'bob', amount: '20' }
+    }));
+    assert.strictEqual(reply.title, '✅ Pagamento do Servidor Realizado');
+    assert.strictEqual((await bot.db.get('SELECT COUNT(*) as count FROM approvals')).count, 0);
+});
+
+test('/adm set pede aprovação pela diferença no saldo e pode ser rejeitado', async () => {
+    // De $10 para $25: diferença de $15, abaixo do limite
+    await runCommand({ command: 'adm', subcommand: 'set', userId: 'mod', staff: true, options: { user: 'bob', amount: '25' } });
+    assert.strictEqual(await dollarsOf('bob'), 2500);
+
+    const request = lastReply(await runCommand({
+        command: 'adm', subcommand: 'set', userId: 'mod', staff: true, options: { user: 'bob', amount: '100' }
+    }));
+    assert.strictEqual(request.title, '⏳ Aprovação Necessária');
+
+    // Sem a capacidade economy.set não dá para decidir
+    const denied = await clickApproval('reject', { userId: 'curioso' });
+    assert.strictEqual(lastReply(denied).content, '❌ Você não tem a permissão `economy.set` para usar este comando.');
+
+    const click = await clickApproval('reject', { userId: 'owner', admin: true });
+    assert.strictEqual(lastReply(click).fields['Status'], '❌ Rejeitado');
+    assert.strictEqual(lastReply(click).fields['Rejeitado por'], '<@owner>');
+    assert.strictEqual(await dollarsOf('bob'), 2500);
+
+    // Pedido decidido não volta a ser executado
+    const late = await clickApproval('approve', { userId: 'mod2', staff: true });
+    assert.strictEqual(lastReply(late).content, '❌ Este pedido não está mais pendente (❌ Rejeitado).');
+    assert.strictEqual(await dollarsOf('bob'), 2500);
+});
+
+test('/adm set aprovado grava o aprovador no ledger', async () => {
+    await runCommand({ command: 'adm', subcommand: 'set', userId: 'mod', staff: true, options: { user: 'bob', amount: '100' } });
+    await clickApproval('approve', { userId: 'mod2', staff: true });
+
+    assert.strictEqual(await dollarsOf('bob'), 10000);
+    const tx = await bot.db.get("SELECT id, actor_id, approved_by FROM transactions WHERE type = 'set'");
+    assert.strictEqual(tx.actor_id, 'mod');
+    assert.strictEqual(tx.approved_by, 'mod2');
+    assert.strictEqual((await bot.db.get('SELECT transaction_id FROM approvals')).transaction_id, tx.id);
+    assert.strictEqual(await ledgerTotal(), 0);
+});
+
+test('/adm set não é aplicado se o saldo mudou enquanto o pedido esperava', async () => {
+    await runCommand({ command: 'adm', subcommand: 'set', userId: 'mod', staff: true, options: { user: 'bob', amount: '100' } });
+    assert.strictEqual((await bot.db.get('SELECT base_amount FROM approvals')).base_amount, 1000);
+
+    await runCommand({ command: 'adm', subcommand: 'give', userId: 'mod', staff: true, options: { user: 'bob', amount: '5' } });
+    const click = await clickApproval('approve', { userId: 'mod2', staff: true });
+
+    assert.strictEqual(lastReply(click).fields['Status'], '⚠️ Falhou');
+    assert.strictEqual(lastReply(click).fields['Erro'], 'O saldo do usuário mudou desde o pedido (era $10.00, agora é $15.00). Faça um novo pedido.');
+    assert.strictEqual(await dollarsOf('bob'), 1500);
+    assert.strictEqual((await bot.db.get("SELECT COUNT(*) AS count FROM transactions WHERE type = 'set'")).count, 0);
+    assert.strictEqual(await ledgerTotal(), 0);
+});
+
+test('pedidos vencidos expiram e não podem mais ser aprovados', async () => {
+    await runCommand({ command: 'adm', subcommand: 'set', userId: 'mod', staff: true, options: { user: 'bob', amount: '100' } });
+    await bot.db.run("UPDATE approvals SET expires_at = datetime('now', '-1 minute')");
+
+    assert.strictEqual(await bot.expireApprovals(), 1);
+    assert.deepStrictEqual(lastApprovalLog().message.edited.components, []);
+
+    const late = await clickApproval('approve', { userId: 'mod2', staff: true });
+    assert.strictEqual(lastReply(late).content, '❌ Este pedido não está mais pendente (⌛ Expirado).');
+    assert.strictEqual(await dollarsOf('bob'), 1000);
+});
+
+test('sem canal de log o pedido não é criado', async () => {
+    await bot.db.run('UPDATE guild_config SET log_channel_id = NULL');
+
+    const reply = lastReply(await runCommand({
+        command: 'adm', subcommand: 'set', userId: 'mod', staff: true, options: { user: 'bob', amount: '100' }
+    }));
+    assert.strictEqual(reply.title, '❌ Aprovação Indisponível');
+    assert.strictEqual((await bot.db.get('SELECT COUNT(*) as count FROM approvals')).count, 0);
+    assert.strictEqual(await dollarsOf('bob'), 1000);
+});
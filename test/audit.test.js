@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    bot,
+    GUILD_ID,
+    resetBot,
+    runCommand,
+    lastReply,
+    setupGuild,
+    setupUser
+} = require('./helpers');
+
+const COIN = 1e8;
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild({ serverCoins: 100 * COIN });
+});
+
+test('auditoria sem divergências quando os reais estão lastreados', async () => {
+    await setupUser('alice', { coins: 30 * COIN });
+    await runCommand({ command: 'money', subcommand: 'withdraw', userId: 'alice', options: { amount: '10' } });
+
+    const report = await bot.auditGuild(GUILD_ID);
+
+    assert.strictEqual(report.outstanding, 1000);
+    assert.strictEqual(report.requiredCoins, 10 * COIN);
+    assert.strictEqual(report.cardCoins, 110 * COIN);
+    assert.strictEqual(report.ok, true);
+});
+
+test('auditoria aponta falta de lastro', async () => {
+    await setupUser('alice', { dollars: 15000 });
+
+    const report = await bot.auditGuild(GUILD_ID);
+
+    assert.strictEqual(report.requiredCoins, 150 * COIN);
+    assert.strictEqual(report.ok, false);
+});
+
+test('auditoria conta depósitos pendentes como passivo', async () => {
+    await setupUser('alice', { dollars: 5000 });
+    bot.coinApi.failNext('transferToId', 'TIMEOUT', 10);
+    await runCommand({ command: 'money', subcommand: 'deposit', userId: 'alice', options: { amount: '20' } });
+
+    const report = await bot.auditGuild(GUILD_ID);
+
+    assert.strictEqual(report.pendingCoins, 20 * COIN);
+    assert.strictEqual(report.requiredCoins, 50 * COIN);
+    assert.strictEqual(report.unresolved, 1);
+    assert.strictEqual(report.ok, false);
+});
+
+test('auditoria cruza saldos, fila e ledger', async () => {
+    await setupUser('alice', { coins: 30 * COIN });
+    await runCommand({ command: 'money', subcommand: 'withdraw', userId: 'alice', options: { amount: '10' } });
+
+    // Saldo alterado por fora do ledger e transação marcada errado
+    await bot.db.run("UPDATE users SET dollars = dollars + 1 WHERE user_id = 'alice'");
+    await bot.db.run("UPDATE transactions SET status = 'failed' WHERE type = 'withdraw'");
+
+    const report = await bot.auditGuild(GUILD_ID);
+
+    assert.deepStrictEqual(report.balanceMismatches, [{ user_id: 'alice', dollars: 1001, ledger: 1000 }]);
+    assert.strictEqual(report.queueMismatches.length, 1);
+    assert.strictEqual(report.queueMismatches[0].transaction_status, 'failed');
+    assert.strictEqual(report.ledgerMismatches.length, 1);
+    assert.strictEqual(report.ok, false);
+});
+
+test('/server audit exige administrador e responde com o relatório', async () => {
+    const denied = await runCommand({ command: 'server', subcommand: 'audit', userId: 'mod' });
+    assert.strictEqual(lastReply(denied).content, '❌ Você não tem a permissão `server.audit` para usar este comando.');
+
+    const interaction = await runCommand({ command: 'server', subcommand: 'audit', userId: 'admin', admin: true });
+    const reply = lastReply(interaction);
+    assert.strictEqual(reply.title, '✅ Auditoria sem Divergências');
+    assert.strictEqual(reply.fields['Lastro'], '✅ Sobra de 100 coins');
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    bot,
+    GUILD_ID,
+    resetBot,
+    runCommand,
+    lastReply,
+    setupGuild,
+    setupUser
+} = require('./helpers');
+
+const COIN = 1e8;
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild({ serverCoins: 100 * COIN });
+});
+
+test('/baltop lê coins do cache sem consultar a Coin API', async () => {
+    await setupUser('alice', { dollars: 5000, coins: 3 * COIN });
+    bot.coinApi.setCard('CARD-alice', 7 * COIN);
+    bot.coinApi.calls.length = 0;
+
+    const reply = lastReply(await runCommand({ command: 'baltop', userId: 'alice' }));
+
+    assert.match(reply.description, /🪙 3 coins/);
+    assert.strictEqual(reply.fields['Total em Coins'], '3');
+    assert.match(reply.fields['Coins Atualizados'], /^<t:\d+:R>/);
+    assert.strictEqual(bot.coinApi.calls.filter(call => call.endpoint === 'getCard').length, 0);
+});
+
+test('o atualizador consulta só cartões sem saldo, invalidados ou vencidos', async () => {
+    await setupUser('alice', { coins: 3 * COIN });
+    await setupUser('bob', { coins: 4 * COIN });
+    await bot.db.run("DELETE FROM card_balances WHERE user_id = 'bob'");
+    bot.coinApi.calls.length = 0;
+
+    assert.strictEqual(await bot.cardBalances.refresh(), 1);
+    assert.deepStrictEqual(bot.coinApi.calls.map(call => call.cardCode), ['CARD-bob']);
+
+    // Pagamento confirmado invalida o saldo de quem pagou
+    await runCommand({ command: 'money', subcommand: 'withdraw', userId: 'alice', options: { amount: '1' } });
+    assert.strictEqual((await bot.db.get("SELECT stale FROM card_balances WHERE user_id = 'alice'")).stale, 1);
+
+    await bot.db.run("UPDATE card_balances SET fetched_at = datetime('now', '-1 day') WHERE user_id = 'bob'");
+    assert.strictEqual(await bot.cardBalances.refresh(), 2);
+
+    const rows = await bot.db.all('SELECT user_id, coins, stale FROM card_balances WHERE guild_id = ? ORDER BY user_id', GUILD_ID);
+    assert.deepStrictEqual(rows, [
+        { user_id: 'alice', coins: 2 * COIN, stale: 0 },
+        { user_id: 'bob', coins: 4 * COIN, stale: 0 }
+    ]);
+});
+
+test('/card remove apaga o saldo guardado', async () => {
+    await setupUser('alice', { coins: 3 * COIN });
+
+    await runCommand({ command: 'card', subcommand: 'remove', userId: 'alice' });
+
+    assert.strictEqual(await bot.db.get("SELECT * FROM card_balances WHERE user_id = 'alice'"), undefined);
+});
+
+test('/baltop ordena por reais, coins ou patrimônio', async () => {
+    await setupUser('alice', { dollars: 5000, coins: 1 * COIN });
+    await setupUser('bob', { dollars: 1000, coins: 45 * COIN });
+    await setupUser('carol', { dollars: 3000, coins: 10 * COIN });
+
+    const order = async (sort) => {
+        const reply = lastReply(await runCommand({ command: 'baltop', options: { sort } }));
+        return reply.description.match(/\*\*\d+\.\*\* \S+/g);
+    };
+
+    assert.deepStrictEqual(await order('dollars'), ['**1.** user-alice', '**2.** user-carol', '**3.** user-bob']);
+    assert.deepStrictEqual(await order('coins'), ['**1.** user-bob', '**2.** user-carol', '**3.** user-alice']);
+    // Câmbio 1:1 → alice 51, bob 55, carol 40
+    assert.deepStrictEqual(await order('networth'), ['**1.** user-bob', '**2.** user-alice', '**3.** user-carol']);
+
+    const reply = lastReply(await runCommand({ command: 'baltop', options: { sort: 'networth' } }));
+    assert.match(reply.description, /user-bob\n└ 💵 \$10\.00 \| 🪙 45 coins \| 📊 \$55\.00/);
+    assert.strictEqual(reply.fields['Total em Coins'], '56');
+});
+
+test('/baltop marca cartões ainda não consultados e dispara o atualizador', async () => {
+    await setupUser('alice', { coins: 3 * COIN });
+    await bot.db.run('DELETE FROM card_balances');
+
+    const reply = lastReply(await runCommand({ command: 'baltop' }));
+    assert.match(reply.description, /🪙 ⏳ coins/);
+    assert.strictEqual(reply.fields['Coins Atualizados'], '⏳ Ainda não consultados');
+
+    await bot.cardBalances.drain();
+    assert.strictEqual((await bot.db.get("SELECT coins FROM card_balances WHERE user_id = 'alice'")).coins, 3 * COIN);
+});
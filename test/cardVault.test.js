@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { CardVault, CardVaultError, parseKey, generateKey, isEncrypted } = require('../src/cardVault');
+
+const OLD_KEY = generateKey();
+const NEW_KEY = generateKey();
+
+test('parseKey aceita 32 bytes em hex ou base64', () => {
+    assert.strictEqual(parseKey('ab'.repeat(32)).length, 32);
+    assert.strictEqual(parseKey(generateKey()).length, 32);
+    assert.strictEqual(parseKey('curta'), null);
+    assert.strictEqual(parseKey(''), null);
+    assert.strictEqual(parseKey(undefined), null);
+});
+
+test('encrypt e decrypt fazem o caminho de volta sem expor o código', () => {
+    const vault = new CardVault({ key: NEW_KEY });
+
+    const stored = vault.encrypt('CARD-SECRETO');
+    assert.ok(isEncrypted(stored));
+    assert.ok(!stored.includes('CARD-SECRETO'));
+    assert.notStrictEqual(vault.encrypt('CARD-SECRETO'), stored);
+    assert.strictEqual(vault.decrypt(stored), 'CARD-SECRETO');
+});
+
+test('decrypt recusa texto puro, chave desconhecida e dado adulterado', () => {
+    const vault = new CardVault({ key: NEW_KEY });
+    const other = new CardVault({ key: OLD_KEY });
+    const stored = vault.encrypt('CARD-1');
+
+    assert.throws(() => vault.decrypt('CARD-1'), CardVaultError);
+    assert.throws(() => other.decrypt(stored), /chave desconhecida/);
+
+    const tampered = stored.slice(0, -2) + (stored.endsWith('AA') ? 'BB' : 'AA');
+    assert.throws(() => vault.decrypt(tampered), /adulterado/);
+});
+
+test('rotação: chave antiga só decifra e reencrypt passa para a chave nova', () => {
+    const oldVault = new CardVault({ key: OLD_KEY });
+    const rotating = new CardVault({ key: NEW_KEY, previousKeys: [OLD_KEY] });
+    const stored = oldVault.encrypt('CARD-1');
+
+    assert.strictEqual(rotating.decrypt(stored), 'CARD-1');
+    assert.strictEqual(rotating.needsReencrypt(stored), true);
+    assert.strictEqual(rotating.needsReencrypt('CARD-1'), true);
+
+    const rotated = rotating.reencrypt(stored);
+    assert.strictEqual(rotating.needsReencrypt(rotated), false);
+    assert.strictEqual(new CardVault({ key: NEW_KEY }).decrypt(rotated), 'CARD-1');
+    assert.strictEqual(rotating.decrypt(rotating.reencrypt('CARD-2')), 'CARD-2');
+});
+
+test('sem chave configurada não cifra', () => {
+    assert.throws(() => new CardVault({}).encrypt('CARD-1'), /CARD_ENCRYPTION_KEY/);
+});
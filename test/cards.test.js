@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    bot,
+    GUILD_ID,
+    resetBot,
+    runCommand,
+    submitCard,
+    lastReply,
+    setupGuild,
+    setupUser
+} = require('./helpers');
+
+const COIN = 1e8;
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild({ serverCoins: 100 * COIN });
+});
+
+test('/card set abre um formulário e grava o cartão cifrado', async () => {
+    bot.coinApi.setCard('CARD-SECRETO', 5 * COIN);
+
+    // O comando não tem opções: o código vai num modal
+    const command = await runCommand({ command: 'card', subcommand: 'set', userId: 'alice' });
+    assert.strictEqual(command.modal.custom_id, 'card:user');
+    assert.strictEqual(command.replies.length, 0);
+
+    const interaction = await submitCard({ command: 'setcard', userId: 'alice', cardId: 'CARD-SECRETO' });
+
+    assert.strictEqual(interaction.ephemeral, true);
+    const reply = lastReply(interaction);
+    assert.strictEqual(reply.fields['Cartão'], '🔒 ••••••••');
+    assert.ok(!JSON.stringify(interaction.replies).includes('CAR'));
+
+    const row = await bot.db.get("SELECT card_id FROM users WHERE user_id = 'alice'");
+    assert.ok(!row.card_id.includes('CARD-SECRETO'));
+    assert.strictEqual(bot.cardVault.decrypt(row.card_id), 'CARD-SECRETO');
+
+    // Respostas sobre cartões são sempre privadas; as demais seguem a configuração do servidor
+    const balance = await runCommand({ command: 'coinbalance', userId: 'alice' });
+    assert.strictEqual(balance.ephemeral, true);
+    assert.strictEqual(lastReply(balance).fields['Saldo'], '5 coins');
+    const baltop = await runCommand({ command: 'baltop', userId: 'alice' });
+    assert.strictEqual(baltop.ephemeral, false);
+});
+
+test('/server card exige administrador e grava o cartão do servidor cifrado', async () => {
+    const denied = await runCommand({ command: 'server', subcommand: 'card', userId: 'mod' });
+    assert.strictEqual(denied.modal, null);
+    assert.strictEqual(lastReply(denied).content, '❌ Você não tem a permissão `config.edit` para usar este comando.');
+
+    const interaction = await submitCard({
+        command: 'server', subcommand: 'card', userId: 'admin', admin: true, cardId: 'NOVO-SERVER'
+    });
+
+    assert.strictEqual(interaction.ephemeral, true);
+    const row = await bot.db.get('SELECT server_card_id FROM guild_config WHERE guild_id = ?', GUILD_ID);
+    assert.strictEqual(bot.cardVault.decrypt(row.server_card_id), 'NOVO-SERVER');
+});
+
+test('a fila guarda os cartões cifrados e decifra só na chamada à API', async () => {
+    await setupUser('alice', { coins: 30 * COIN });
+
+    await runCommand({ command: 'money', subcommand: 'withdraw', userId: 'alice', options: { amount: '10' } });
+
+    const { payload } = await bot.db.get('SELECT payload FROM queue');
+    assert.ok(!payload.includes('CARD-alice'));
+    assert.ok(!payload.includes('"SERVER"'));
+
+    const call = bot.coinApi.calls.find(entry => entry.endpoint === 'payCard');
+    assert.strictEqual(call.fromCard, 'CARD-alice');
+    assert.strictEqual(call.toCard, 'SERVER');
+});
+
+test('reencryptCards cifra cartões legados em texto puro', async () => {
+    await bot.db.run("INSERT INTO users (user_id, guild_id, card_id) VALUES ('legado', ?, 'CARD-LEGADO')", GUILD_ID);
+    await bot.db.run(
+        "INSERT INTO queue (guild_id, user_id, type, payload, status) VALUES (?, 'legado', 'card_to_card', ?, 'completed')",
+        [GUILD_ID, JSON.stringify({ fromCard: 'CARD-LEGADO', toCard: 'SERVER', amount: 1 })]
+    );
+
+    const counts = await bot.reencryptCards();
+    assert.deepStrictEqual(counts, { users: 1, guilds: 0, queue: 1 });
+
+    const user = await bot.db.get("SELECT card_id FROM users WHERE user_id = 'legado'");
+    assert.strictEqual(bot.cardVault.decrypt(user.card_id), 'CARD-LEGADO');
+    const item = JSON.parse((await bot.db.get('SELECT payload FROM queue')).payload);
+    assert.strictEqual(bot.cardVault.decrypt(item.fromCard), 'CARD-LEGADO');
+    assert.strictEqual(bot.cardVault.decrypt(item.toCard), 'SERVER');
+
+    // Rodar de novo não altera nada
+    assert.deepStrictEqual(await bot.reencryptCards(), { users: 0, guilds: 0, queue: 0 });
+});
+
+test('/setcard recusa cartões que não existem na API', async () => {
+    const interaction = await submitCard({ command: 'setcard', userId: 'alice', cardId: 'CARD-ERRADO' });
+
+    assert.strictEqual(lastReply(interaction).title, '❌ Cartão não encontrado');
+    assert.strictEqual(await bot.db.get("SELECT * FROM users WHERE user_id = 'alice'"), undefined);
+});
+
+test('desafio de verificação: o valor sorteado precisa ir do cartão para o cartão do servidor', async () => {
+    await setupUser('alice', { coins: 30 * COIN, verified: false });
+
+    const challenge = await bot.db.get("SELECT amount, baseline, server_baseline FROM card_challenges WHERE user_id = 'alice'");
+    assert.ok(challenge.amount >= 1 && challenge.amount <= bot.CONFIG.CARD_CHALLENGE_MAX_UNITS);
+    assert.strictEqual(challenge.baseline, 30 * COIN);
+    assert.strictEqual(challenge.server_baseline, bot.coinApi.balanceOf('SERVER'));
+
+    // Cartão não verificado não pode ser debitado
+    const withdraw = await runCommand({ command: 'money', subcommand: 'withdraw', userId: 'alice', options: { amount: '10' } });
+    assert.strictEqual(lastReply(withdraw).title, '❌ Cartão não verificado');
+    const payserver = await runCommand({ command: 'payserver', userId: 'alice', options: { amount: '1' } });
+    assert.strictEqual(lastReply(payserver).title, '❌ Cartão não verificado');
+    assert.strictEqual(bot.coinApi.balanceOf('CARD-alice'), 30 * COIN);
+
+    // O valor certo enviado para outra conta não verifica
+    await bot.coinApi.transferToId({ fromCard: 'CARD-alice', toId: 'alice', amount: challenge.amount });
+    const elsewhere = await runCommand({ command: 'card', subcommand: 'verify', userId: 'alice' });
+    assert.strictEqual(lastReply(elsewhere).title, '❌ Cartão não Verificado');
+    assert.match(lastReply(elsewhere).description, /chegou ao cartão do servidor: 0 coins/);
+
+    // Valor errado para o cartão do servidor também não
+    await submitCard({ command: 'card', subcommand: 'set', userId: 'alice', cardId: 'CARD-alice' });
+    const wrongAmount = await bot.db.get("SELECT amount FROM card_challenges WHERE user_id = 'alice'");
+    await bot.coinApi.payCard({ fromCard: 'CARD-alice', toCard: 'SERVER', amount: wrongAmount.amount + 1 });
+    const wrong = await runCommand({ command: 'card', subcommand: 'verify', userId: 'alice' });
+    assert.strictEqual(lastReply(wrong).title, '❌ Cartão não Verificado');
+
+    // Novo desafio a partir dos saldos atuais, agora com o valor certo
+    await submitCard({ command: 'card', subcommand: 'set', userId: 'alice', cardId: 'CARD-alice' });
+    const retry = await bot.db.get("SELECT amount FROM card_challenges WHERE user_id = 'alice'");
+    await bot.coinApi.payCard({ fromCard: 'CARD-alice', toCard: 'SERVER', amount: retry.amount });
+
+    const verified = await runCommand({ command: 'card', subcommand: 'verify', userId: 'alice' });
+    assert.strictEqual(lastReply(verified).title, '✅ Cartão Verificado');
+    assert.ok((await bot.db.get("SELECT card_verified_at FROM users WHERE user_id = 'alice'")).card_verified_at);
+    assert.strictEqual(await bot.db.get("SELECT * FROM card_challenges WHERE user_id = 'alice'"), undefined);
+
+    const ok = await runCommand({ command: 'money', subcommand: 'withdraw', userId: 'alice', options: { amount: '10' } });
+    assert.strictEqual(lastReply(ok).title, '✅ Saque Realizado');
+});
+
+test('desafio sem cartão do servidor não verifica', async () => {
+    await bot.db.run('UPDATE guild_config SET server_card_id = NULL');
+    await setupUser('alice', { coins: 5 * COIN, verified: false });
+    assert.strictEqual((await bot.db.get("SELECT server_baseline FROM card_challenges WHERE user_id = 'alice'")).server_baseline, null);
+
+    const result = await runCommand({ command: 'card', subcommand: 'verify', userId: 'alice' });
+    assert.match(lastReply(result).description, /não tem um cartão válido para receber a verificação/);
+    assert.strictEqual((await bot.db.get("SELECT card_verified_at FROM users WHERE user_id = 'alice'")).card_verified_at, null);
+});
+
+test('desafio expirado e troca de cartão exigem nova verificação', async () => {
+    await setupUser('alice', { coins: 5 * COIN, verified: false });
+    await bot.db.run("UPDATE card_challenges SET expires_at = datetime('now', '-1 minute')");
+
+    const expired = await runCommand({ command: 'card', subcommand: 'verify', userId: 'alice' });
+    assert.match(lastReply(expired).description, /expirou/);
+
+    // Recadastrar o mesmo cartão verificado não gera desafio; outro cartão volta a ser não verificado
+    await bot.db.run("UPDATE users SET card_verified_at = CURRENT_TIMESTAMP WHERE user_id = 'alice'");
+    const same = await submitCard({ command: 'card', subcommand: 'set', userId: 'alice', cardId: 'CARD-alice' });
+    assert.strictEqual(lastReply(same).title, '✅ Cartão já Verificado');
+
+    bot.coinApi.setCard('CARD-novo', 1 * COIN);
+    await submitCard({ command: 'card', subcommand: 'set', userId: 'alice', cardId: 'CARD-novo' });
+    assert.strictEqual((await bot.db.get("SELECT card_verified_at FROM users WHERE user_id = 'alice'")).card_verified_at, null);
+});
+
+test('/card status mostra verificação e saldo sem revelar o código', async () => {
+    const empty = lastReply(await runCommand({ command: 'card', subcommand: 'status', userId: 'alice' }));
+    assert.match(empty.description, /Nenhum cartão configurado/);
+
+    await setupUser('alice', { coins: 2 * COIN, verified: false });
+    const pending = lastReply(await runCommand({ command: 'card', subcommand: 'status', userId: 'alice' }));
+    assert.match(pending.fields['Verificação'], /^⏳ Pendente/);
+    assert.strictEqual(pending.fields['Saldo'], '2 coins');
+    assert.strictEqual(pending.fields['Cartão'], '🔒 ••••••••');
+
+    await bot.db.run("UPDATE users SET card_verified_at = CURRENT_TIMESTAMP WHERE user_id = 'alice'");
+    const verified = lastReply(await runCommand({ command: 'card', subcommand: 'status', userId: 'alice' }));
+    assert.match(verified.fields['Verificação'], /^✅ Verificado/);
+});
+
+test('/card remove desvincula o cartão e mantém o saldo em reais', async () => {
+    await setupUser('alice', { dollars: 500, coins: 2 * COIN });
+
+    const removed = await runCommand({ command: 'card', subcommand: 'remove', userId: 'alice' });
+    assert.strictEqual(lastReply(removed).title, '🗑️ Cartão Removido');
+    assert.strictEqual(removed.ephemeral, true);
+
+    const row = await bot.db.get("SELECT card_id, card_verified_at, dollars FROM users WHERE user_id = 'alice'");
+    assert.deepStrictEqual(row, { card_id: null, card_verified_at: null, dollars: 500 });
+
+    const withdraw = await runCommand({ command: 'money', subcommand: 'withdraw', userId: 'alice', options: { amount: '1' } });
+    assert.strictEqual(lastReply(withdraw).title, '❌ Cartão não configurado');
+
+    const again = await runCommand({ command: 'card', subcommand: 'remove', userId: 'alice' });
+    assert.strictEqual(lastReply(again).content, '❌ Você não tem um cartão configurado.');
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    bot,
+    resetBot,
+    runCommand,
+    lastReply,
+    setupGuild,
+    setupUser,
+    dollarsOf,
+    ledgerTotal
+} = require('./helpers');
+
+const COIN = 1e8;
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild({ serverCoins: 100 * COIN });
+});
+
+test('deposit converte reais em coins enviados pelo servidor', async () => {
+    await setupUser('alice', { dollars: 5000 });
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'deposit', userId: 'alice', options: { amount: '20' }
+    });
+
+    assert.strictEqual(lastReply(interaction).title, '✅ Depósito Realizado');
+    assert.strictEqual(await dollarsOf('alice'), 3000);
+    assert.strictEqual(bot.coinApi.balanceOf('SERVER'), 80 * COIN);
+    assert.strictEqual(bot.coinApi.accounts.get('alice'), 20 * COIN);
+
+    const tx = await bot.db.get("SELECT status, tx_id, coin_amount FROM transactions WHERE type = 'deposit'");
+    assert.strictEqual(tx.status, 'completed');
+    assert.strictEqual(tx.tx_id, 'mock-1');
+    assert.strictEqual(tx.coin_amount, 20 * COIN);
+    assert.strictEqual(await ledgerTotal(), 0);
+});
+
+test('deposit recusa quando o servidor não tem coins', async () => {
+    await setupUser('alice', { dollars: 50000 });
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'deposit', userId: 'alice', options: { amount: '200' }
+    });
+
+    assert.strictEqual(lastReply(interaction).title, '❌ Servidor sem Saldo');
+    assert.strictEqual(await dollarsOf('alice'), 50000);
+    assert.strictEqual(bot.coinApi.calls.filter(call => call.endpoint === 'transferToId').length, 0);
+});
+
+test('deposit recusa quando o cartão do servidor não é encontrado na API', async () => {
+    await setupUser('alice', { dollars: 5000 });
+    bot.coinApi.cards.delete('SERVER');
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'deposit', userId: 'alice', options: { amount: '20' }
+    });
+
+    assert.strictEqual(lastReply(interaction).title, '❌ Cartão do Servidor Indisponível');
+    assert.strictEqual(await dollarsOf('alice'), 5000);
+    assert.strictEqual(await bot.db.get("SELECT * FROM transactions WHERE type = 'deposit'"), undefined);
+    assert.strictEqual(bot.coinApi.calls.filter(call => call.endpoint === 'transferToId').length, 0);
+});
+
+test('withdraw recusa quando o cartão do servidor não é encontrado na API', async () => {
+    await setupUser('alice', { coins: 30 * COIN });
+    bot.coinApi.cards.delete('SERVER');
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'withdraw', userId: 'alice', options: { amount: '12.5' }
+    });
+
+    assert.strictEqual(lastReply(interaction).title, '❌ Cartão do Servidor Indisponível');
+    assert.strictEqual(await dollarsOf('alice'), 0);
+    assert.strictEqual(await bot.db.get("SELECT * FROM transactions WHERE type = 'withdraw'"), undefined);
+    assert.strictEqual(bot.coinApi.calls.filter(call => call.endpoint === 'transferToId').length, 0);
+});
+
+test('withdraw paga coins ao servidor e credita reais', async () => {
+    await setupUser('alice', { coins: 30 * COIN });
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'withdraw', userId: 'alice', options: { amount: '12.5' }
+    });
+
+    assert.strictEqual(lastReply(interaction).title, '✅ Saque Realizado');
+    assert.strictEqual(await dollarsOf('alice'), 1250);
+    assert.strictEqual(bot.coinApi.balanceOf('CARD-alice'), 17.5 * COIN);
+    assert.strictEqual(bot.coinApi.balanceOf('SERVER'), 112.5 * COIN);
+    assert.strictEqual(await ledgerTotal(), 0);
+});
+
+test('withdraw recusa saldo insuficiente no cartão', async () => {
+    await setupUser('alice', { coins: 1 * COIN });
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'withdraw', userId: 'alice', options: { amount: '5' }
+    });
+
+    assert.strictEqual(lastReply(interaction).title, '❌ Saldo Insuficiente em Coins');
+    assert.strictEqual(await dollarsOf('alice'), 0);
+});
+
+test('payserver envia valor mais taxa ao cartão do servidor', async () => {
+    await setupUser('alice', { coins: 5 * COIN });
+    await runCommand({ command: 'server', subcommand: 'fees', admin: true, options: { operation: 'payserver', flat: '0.5' } });
+
+    const interaction = await runCommand({ command: 'payserver', userId: 'alice', options: { amount: '2' } });
+
+    assert.strictEqual(lastReply(interaction).title, '✅ Pagamento ao Servidor Realizado');
+    assert.strictEqual(bot.coinApi.balanceOf('CARD-alice'), 2.5 * COIN);
+    assert.strictEqual(bot.coinApi.balanceOf('SERVER'), 102.5 * COIN);
+});
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    bot,
+    GUILD_ID,
+    resetBot,
+    runCommand,
+    lastReply,
+    setupGuild,
+    setupUser,
+    dollarsOf,
+    ledgerTotal
+} = require('./helpers');
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild();
+});
+
+test('pay transfere reais entre usuários', async () => {
+    await setupUser('alice', { dollars: 10000 });
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'pay', userId: 'alice', options: { user: 'bob', amount: '25.50' }
+    });
+
+    assert.strictEqual(lastReply(interaction).title, '✅ Pagamento em Reais Realizado');
+    assert.strictEqual(await dollarsOf('alice'), 7450);
+    assert.strictEqual(await dollarsOf('bob'), 2550);
+    assert.strictEqual(await ledgerTotal(), 0);
+});
+
+test('pay desconta a taxa do destinatário e credita o servidor', async () => {
+    await setupUser('alice', { dollars: 10000 });
+    await runCommand({ command: 'server', subcommand: 'fees', admin: true, options: { operation: 'pay', percent: '10' } });
+
+    await runCommand({ command: 'money', subcommand: 'pay', userId: 'alice', options: { user: 'bob', amount: '10' } });
+
+    assert.strictEqual(await dollarsOf('alice'), 9000);
+    assert.strictEqual(await dollarsOf('bob'), 900);
+    const server = await bot.db.get("SELECT SUM(amount) AS total FROM ledger_entries WHERE account = 'system:server'");
+    assert.strictEqual(server.total, 100);
+});
+
+test('pay recusa saldo insuficiente sem mexer nos saldos', async () => {
+    await setupUser('alice', { dollars: 500 });
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'pay', userId: 'alice', options: { user: 'bob', amount: '10' }
+    });
+
+    assert.strictEqual(lastReply(interaction).title, '❌ Saldo Insuficiente em Reais');
+    assert.strictEqual(await dollarsOf('alice'), 500);
+    assert.strictEqual(await dollarsOf('bob'), 0);
+});
+
+test('pay recusa valores inválidos', async () => {
+    await setupUser('alice', { dollars: 500 });
+
+    for (const amount of ['0', '-1', 'abc', '1.001']) {
+        const interaction = await runCommand({
+            command: 'money', subcommand: 'pay', userId: 'alice', options: { user: 'bob', amount }
+        });
+        assert.strictEqual(lastReply(interaction).content, '❌ Valor inválido.');
+    }
+    assert.strictEqual(await dollarsOf('alice'), 500);
+});
+
+test('pagamentos concorrentes não deixam o saldo negativo', async () => {
+    await setupUser('alice', { dollars: 1000 });
+
+    await Promise.all(['bob', 'carol', 'dave'].map(target => runCommand({
+        command: 'money', subcommand: 'pay', userId: 'alice', options: { user: target, amount: '6' }
+    })));
+
+    assert.strictEqual(await dollarsOf('alice'), 400);
+    assert.strictEqual(await ledgerTotal(), 0);
+});
+
+test('colunas de valores são declaradas como INTEGER', async () => {
+    const money = {
+        users: ['dollars'],
+        transactions: ['amount', 'coin_amount', 'rate', 'fee'],
+        ledger_entries: ['amount'],
+        rate_history: ['rate'],
+        guild_config: ['exchange_rate'],
+        guild_fees: ['percent_bps', 'flat', 'min_fee', 'max_fee']
+    };
+    for (const [table, columns] of Object.entries(money)) {
+        const info = await bot.db.all(`PRAGMA table_info(${table})`);
+        for (const column of columns) {
+            assert.strictEqual(info.find(row => row.name === column)?.type, 'INTEGER', `${table}.${column}`);
+        }
+    }
+
+    // Índices recriados junto com as tabelas
+    const indexes = await bot.db.all("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'transactions' AND sql IS NOT NULL");
+    assert.deepStrictEqual(indexes.map(row => row.name).sort(), ['idx_transactions_counterparty', 'idx_transactions_user']);
+});
+
+test('ROLLBACK do ledger não desfaz gravações feitas fora da transação', async (t) => {
+    await setupUser('alice', { dollars: 500 });
+
+    // Outra rotina grava logo depois do BEGIN de uma transferência que vai falhar
+    const exec = bot.db.exec;
+    let begun;
+    const started = new Promise(resolve => { begun = resolve; });
+    t.mock.method(bot.db, 'exec', async function (sql) {
+        const result = await exec.call(this, sql);
+        if (sql === 'BEGIN IMMEDIATE') {
+            begun();
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        return result;
+    });
+
+    const transfer = bot.ledger.transfer({
+        guildId: GUILD_ID, from: 'user:alice', to: 'user:bob', amount: 1000,
+        tx: { userId: 'alice', type: 'pay', counterpartyId: 'bob' }
+    });
+    await started;
+    const outside = bot.db.run(
+        "INSERT INTO transactions (guild_id, user_id, type, amount, status) VALUES (?, 'carol', 'deposit', 100, 'completed')",
+        [GUILD_ID]
+    );
+
+    await assert.rejects(transfer, { name: 'InsufficientFundsError' });
+    await outside;
+    const row = await bot.db.get("SELECT type FROM transactions WHERE user_id = 'carol'");
+    assert.strictEqual(row?.type, 'deposit');
+    assert.strictEqual(await dollarsOf('alice'), 500);
+});
+
+test('give, take e set exigem staff e movimentam o ledger', async () => {
+    const denied = await runCommand({ command: 'adm', subcommand: 'give', userId: 'mod', options: { user: 'bob', amount: '5' } });
+    assert.strictEqual(lastReply(denied).content, '❌ Você não tem a permissão `economy.give` para usar este comando.');
+
+    await runCommand({ command: 'adm', subcommand: 'give', userId: 'mod', staff: true, options: { user: 'bob', amount: '50' } });
+    assert.strictEqual(await dollarsOf('bob'), 5000);
+
+    await runCommand({ command: 'adm', subcommand: 'take', userId: 'mod', staff: true, options: { user: 'bob', amount: '20' } });
+    assert.strictEqual(await dollarsOf('bob'), 3000);
+
+    const tooMuch = await runCommand({ command: 'adm', subcommand: 'take', userId: 'mod', staff: true, options: { user: 'bob', amount: '40' } });
+    assert.strictEqual(lastReply(tooMuch).title, '❌ Saldo Insuficiente');
+    assert.strictEqual(await dollarsOf('bob'), 3000);
+
+    await runCommand({ command: 'adm', subcommand: 'set', userId: 'mod', staff: true, options: { user: 'bob', amount: '12.34' } });
+    assert.strictEqual(await dollarsOf('bob'), 1234);
+
+    const types = await bot.db.all("SELECT type FROM transactions WHERE user_id = 'bob' ORDER BY id");
+    assert.deepStrictEqual(types.map(row => row.type), ['give', 'take', 'set']);
+    assert.strictEqual(await ledgerTotal(), 0);
+});
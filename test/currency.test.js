@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    bot,
+    resetBot,
+    runCommand,
+    lastReply,
+    setupGuild,
+    setupUser,
+    captureLogs,
+    dollarsOf
+} = require('./helpers');
+const { detectImageType } = require('../src/currencyIcon');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+const GIF = Buffer.from('GIF89a-conteudo', 'latin1');
+
+/**
+ * Anexo falso do Discord; o download passa pelo fetch simulado
+ * @param {number} [size] - Tamanho informado pelo Discord
+ */
+function fakeAttachment(size = 100) {
+    return { url: 'https://cdn.discordapp.com/attachments/1/2/icone.png', name: 'icone.png', size };
+}
+
+/**
+ * Simula o download do ícone
+ * @param {Object} t - Contexto do teste
+ * @param {Buffer} data - Conteúdo devolvido
+ * @returns {Object} Mock do fetch (com as chamadas)
+ */
+function mockIconDownload(t, data) {
+    return t.mock.method(globalThis, 'fetch', async () => new Response(data, { status: 200 }));
+}
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild();
+});
+
+test('detectImageType reconhece o formato pelos primeiros bytes', () => {
+    assert.strictEqual(detectImageType(PNG), 'png');
+    assert.strictEqual(detectImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'jpg');
+    assert.strictEqual(detectImageType(GIF), 'gif');
+    assert.strictEqual(detectImageType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1')), 'webp');
+    assert.strictEqual(detectImageType(Buffer.from('<svg></svg>')), null);
+    assert.strictEqual(detectImageType('png'), null);
+});
+
+test('/server currency mostra a moeda padrão e exige config.edit para alterar', async () => {
+    const current = await runCommand({ command: 'server', subcommand: 'currency', userId: 'mod' });
+    assert.strictEqual(lastReply(current).title, '💱 Moeda do Servidor');
+    assert.strictEqual(lastReply(current).fields['Nome'], 'reais');
+    assert.strictEqual(lastReply(current).fields['Exemplo'], `${bot.CONFIG.CURRENCY_SYMBOL}1234.56`);
+    assert.strictEqual(lastReply(current).fields['Ícone'], 'Padrão do bot');
+
+    const denied = await runCommand({ command: 'server', subcommand: 'currency', userId: 'mod', options: { symbol: 'G$' } });
+    assert.strictEqual(lastReply(denied).content, '❌ Você não tem a permissão `config.edit` para usar este comando.');
+});
+
+test('/server currency aplica nome, símbolo, casas decimais e ícone em todos os embeds', async (t) => {
+    const logs = await captureLogs();
+    await setupUser('alice', { dollars: 1299 });
+    const fetch = mockIconDownload(t, GIF);
+
+    const changed = await runCommand({
+        command: 'server', subcommand: 'currency', admin: true,
+        options: { name: 'ouro', symbol: 'G ', decimals: 0, icon: fakeAttachment() }
+    });
+    assert.strictEqual(fetch.mock.callCount(), 1);
+    assert.strictEqual(lastReply(changed).title, '✅ Moeda Alterada');
+    assert.deepStrictEqual(lastReply(changed).fields, {
+        'Nome': 'ouro', 'Símbolo': 'G', 'Casas decimais': '0', 'Exemplo': 'G1234', 'Ícone': 'Próprio do servidor'
+    });
+    assert.strictEqual(logs[logs.length - 1].title, '💱 Moeda Alterada');
+
+    // Saldo com a marca nova, e o ícone do servidor como miniatura
+    const balance = await runCommand({ command: 'money', subcommand: 'balance', userId: 'alice' });
+    const reply = balance.replies[balance.replies.length - 1];
+    assert.strictEqual(lastReply(balance).fields['Saldo em Ouro'], 'G12');
+    assert.strictEqual(reply.embeds[0].data.thumbnail.url, 'attachment://icon.gif');
+    assert.strictEqual(reply.files[0].name, 'icon.gif');
+    assert.ok(reply.files[0].attachment.equals(GIF));
+
+    // Valores com mais casas que a moeda aceita são recusados
+    const fractional = await runCommand({ command: 'money', subcommand: 'pay', userId: 'alice', options: { user: 'bob', amount: '1.5' } });
+    assert.strictEqual(lastReply(fractional).content, '❌ Valor inválido.');
+    const paid = await runCommand({ command: 'money', subcommand: 'pay', userId: 'alice', options: { user: 'bob', amount: '2' } });
+    assert.strictEqual(lastReply(paid).title, '✅ Pagamento em Ouro Realizado');
+    assert.strictEqual(await dollarsOf('bob'), 200);
+});
+
+test('/server currency recusa ícones que não são imagem ou grandes demais', async (t) => {
+    const fetch = mockIconDownload(t, Buffer.from('<html>não é imagem</html>'));
+
+    const notImage = await runCommand({ command: 'server', subcommand: 'currency', admin: true, options: { icon: fakeAttachment() } });
+    assert.strictEqual(lastReply(notImage).content, '❌ O ícone precisa ser uma imagem PNG, JPG, GIF ou WEBP.');
+
+    const tooLarge = await runCommand({ command: 'server', subcommand: 'currency', admin: true, options: { icon: fakeAttachment(300 * 1024) } });
+    assert.strictEqual(lastReply(tooLarge).content, '❌ O ícone passa de 256 KB.');
+    // O tamanho informado pelo Discord já basta para recusar, sem baixar
+    assert.strictEqual(fetch.mock.callCount(), 1);
+
+    const invalid = await runCommand({ command: 'server', subcommand: 'currency', admin: true, options: { symbol: '`$`' } });
+    assert.strictEqual(lastReply(invalid).content, '❌ Símbolo inválido: use até 8 caracteres, sem quebras de linha nem crases.');
+
+    const config = await bot.db.get('SELECT currency_symbol, currency_icon FROM guild_config');
+    assert.deepStrictEqual({ ...config }, { currency_symbol: null, currency_icon: null });
+});
+
+test('/server currency reset volta ao padrão, mantendo o que vier junto', async (t) => {
+    mockIconDownload(t, PNG);
+    await runCommand({
+        command: 'server', subcommand: 'currency', admin: true, options: { name: 'ouro', symbol: 'G', decimals: 1, icon: fakeAttachment() }
+    });
+
+    const reset = await runCommand({ command: 'server', subcommand: 'currency', admin: true, options: { reset: true, decimals: 1 } });
+    assert.strictEqual(lastReply(reset).fields['Nome'], 'reais');
+    assert.strictEqual(lastReply(reset).fields['Exemplo'], `${bot.CONFIG.CURRENCY_SYMBOL}1234.5`);
+    assert.strictEqual(lastReply(reset).fields['Ícone'], 'Padrão do bot');
+
+    const config = await bot.db.get('SELECT currency_name, currency_decimals, currency_icon FROM guild_config');
+    assert.deepStrictEqual({ ...config }, { currency_name: null, currency_decimals: 1, currency_icon: null });
+});
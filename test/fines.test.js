@@ -0,0 +1,211 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    bot,
+    GUILD_ID,
+    resetBot,
+    runCommand,
+    lastReply,
+    setupGuild,
+    setupUser,
+    dollarsOf,
+    ledgerTotal
+} = require('./helpers');
+
+const COIN = 1e8;
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild({ serverCoins: 100 * COIN });
+});
+
+/**
+ * Aplica uma multa como admin e devolve o ID criado
+ */
+async function issue(userId, amount, extra = {}) {
+    await runCommand({
+        command: 'server', subcommand: 'fine', userId: 'admin', admin: true,
+        options: { user: userId, amount, reason: 'Spam no chat', ...extra }
+    });
+    const row = await bot.db.get('SELECT MAX(id) AS id FROM fines');
+    return row.id;
+}
+
+test('/server fine registra a multa sem mover dinheiro', async () => {
+    await setupUser('bob', { dollars: 1000, coins: 10 * COIN });
+
+    const denied = await runCommand({
+        command: 'server', subcommand: 'fine', userId: 'mod', options: { user: 'bob', amount: '3', reason: 'x' }
+    });
+    assert.strictEqual(lastReply(denied).content, '❌ Você não tem a permissão `server.fine` para usar este comando.');
+
+    const interaction = await runCommand({
+        command: 'server', subcommand: 'fine', userId: 'admin', admin: true,
+        options: { user: 'bob', amount: '3', reason: 'Spam no chat', days: 2 }
+    });
+    assert.strictEqual(lastReply(interaction).title, '✅ Multa Aplicada');
+
+    const fine = await bot.db.get(
+        "SELECT user_id, amount, reason, status, issued_by, julianday(due_at) - julianday('now') AS days FROM fines"
+    );
+    assert.strictEqual(fine.user_id, 'bob');
+    assert.strictEqual(fine.amount, 300);
+    assert.strictEqual(fine.reason, 'Spam no chat');
+    assert.strictEqual(fine.status, 'open');
+    assert.strictEqual(fine.issued_by, 'admin');
+    assert.strictEqual(Math.round(fine.days), 2);
+
+    // Nada é cobrado e nada vai para o admin
+    assert.strictEqual(await dollarsOf('bob'), 1000);
+    assert.strictEqual(bot.coinApi.balanceOf('CARD-bob'), 10 * COIN);
+    assert.strictEqual(bot.coinApi.accounts.get('admin'), undefined);
+});
+
+test('/money fines lista as multas do usuário', async () => {
+    await setupUser('bob');
+    const id = await issue('bob', '3');
+    await issue('carol', '7');
+
+    const reply = lastReply(await runCommand({ command: 'money', subcommand: 'fines', userId: 'bob' }));
+    assert.strictEqual(reply.title, '⚠️ Suas Multas');
+    assert.match(reply.description, new RegExp(`#${id}\\*\\* 🟡 Aberta`));
+    assert.doesNotMatch(reply.description, /⏰ vencida/);
+    assert.strictEqual(reply.fields['Total devido'], '$3.00');
+
+    await bot.db.run("UPDATE fines SET due_at = datetime('now', '-1 day') WHERE id = ?", id);
+    const overdue = lastReply(await runCommand({ command: 'money', subcommand: 'fines', userId: 'bob' }));
+    assert.match(overdue.description, /⏰ vencida/);
+});
+
+test('pagar multa com reais credita o servidor', async () => {
+    await setupUser('bob', { dollars: 1000 });
+    const id = await issue('bob', '3');
+
+    const interaction = await runCommand({ command: 'money', subcommand: 'fines', userId: 'bob', options: { pay: id } });
+
+    assert.strictEqual(lastReply(interaction).title, '✅ Multa Paga');
+    assert.strictEqual(await dollarsOf('bob'), 700);
+    const server = await bot.db.get("SELECT SUM(amount) AS total FROM ledger_entries WHERE account = 'system:server'");
+    assert.strictEqual(server.total, 300);
+
+    const fine = await bot.db.get('SELECT status, paid_amount, resolved_by FROM fines WHERE id = ?', id);
+    assert.deepStrictEqual(fine, { status: 'paid', paid_amount: 300, resolved_by: 'bob' });
+    assert.strictEqual(await ledgerTotal(), 0);
+
+    const again = await runCommand({ command: 'money', subcommand: 'fines', userId: 'bob', options: { pay: id } });
+    assert.match(lastReply(again).content, /não pode ser paga/);
+});
+
+test('pagamento cobra o que falta depois da reserva, não o valor lido antes', async (t) => {
+    await setupUser('bob', { dollars: 1000 });
+    const id = await issue('bob', '5');
+
+    // Outra cobrança de R$3.00 entra entre a leitura da multa e a reserva
+    const run = bot.db.run.bind(bot.db);
+    t.mock.method(bot.db, 'run', async (sql, ...params) => {
+        if (sql.includes("SET status = 'paying'")) {
+            await run('UPDATE fines SET paid_amount = 300 WHERE id = ?', id);
+        }
+        return run(sql, ...params);
+    });
+
+    const interaction = await runCommand({ command: 'money', subcommand: 'fines', userId: 'bob', options: { pay: id } });
+
+    assert.strictEqual(lastReply(interaction).title, '✅ Multa Paga');
+    assert.strictEqual(lastReply(interaction).description, `Multa **#${id}** de **$2.00** paga com sucesso!`);
+    assert.strictEqual(await dollarsOf('bob'), 800);
+    assert.strictEqual(await ledgerTotal(), 0);
+});
+
+test('pagar multa sem saldo mantém a multa em aberto', async () => {
+    await setupUser('bob', { dollars: 100 });
+    const id = await issue('bob', '3');
+
+    const interaction = await runCommand({ command: 'money', subcommand: 'fines', userId: 'bob', options: { pay: id } });
+
+    assert.strictEqual(lastReply(interaction).title, '❌ Saldo Insuficiente em Reais');
+    assert.strictEqual(await dollarsOf('bob'), 100);
+    assert.strictEqual((await bot.db.get('SELECT status FROM fines WHERE id = ?', id)).status, 'open');
+});
+
+test('só o multado pode pagar a própria multa', async () => {
+    await setupUser('carol', { dollars: 1000 });
+    const id = await issue('bob', '3');
+
+    const interaction = await runCommand({ command: 'money', subcommand: 'fines', userId: 'carol', options: { pay: id } });
+
+    assert.strictEqual(lastReply(interaction).content, '❌ Multa não encontrada.');
+    assert.strictEqual(await dollarsOf('carol'), 1000);
+});
+
+test('pagar multa com coins envia ao cartão do servidor', async () => {
+    await setupUser('bob', { coins: 10 * COIN });
+    const id = await issue('bob', '3');
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'fines', userId: 'bob', options: { pay: id, method: 'coins' }
+    });
+
+    assert.strictEqual(lastReply(interaction).title, '✅ Multa Paga');
+    assert.strictEqual(bot.coinApi.balanceOf('CARD-bob'), 7 * COIN);
+    assert.strictEqual(bot.coinApi.balanceOf('SERVER'), 103 * COIN);
+    assert.strictEqual((await bot.db.get('SELECT status FROM fines WHERE id = ?', id)).status, 'paid');
+
+    const tx = await bot.db.get("SELECT user_id, status, amount, coin_amount FROM transactions WHERE type = 'fine'");
+    assert.deepStrictEqual(tx, { user_id: 'bob', status: 'completed', amount: 300, coin_amount: 3 * COIN });
+});
+
+test('falha da API no pagamento em coins reabre a multa', async () => {
+    await setupUser('bob', { coins: 10 * COIN });
+    const id = await issue('bob', '3');
+    bot.coinApi.failNext('payCard', 'REJECTED');
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'fines', userId: 'bob', options: { pay: id, method: 'coins' }
+    });
+
+    assert.strictEqual(lastReply(interaction).title, '❌ Erro');
+    assert.strictEqual((await bot.db.get('SELECT status FROM fines WHERE id = ?', id)).status, 'open');
+    assert.strictEqual((await bot.db.get("SELECT status FROM transactions WHERE type = 'fine'")).status, 'failed');
+});
+
+test('/server fines perdoa e escala multas', async () => {
+    await setupUser('bob', { dollars: 200 });
+    const waived = await issue('bob', '1');
+    const escalated = await issue('bob', '5');
+
+    const list = lastReply(await runCommand({
+        command: 'server', subcommand: 'fines', userId: 'admin', admin: true, options: { action: 'list', user: 'bob' }
+    }));
+    assert.strictEqual(list.description.match(/\*\*#\d+\*\*/g).length, 2);
+
+    const waive = await runCommand({
+        command: 'server', subcommand: 'fines', userId: 'admin', admin: true, options: { action: 'waive', id: waived }
+    });
+    assert.strictEqual(lastReply(waive).title, '🕊️ Multa Perdoada');
+
+    // O saldo cobre só parte da multa: cobra o que há e mantém o resto devido
+    const escalate = await runCommand({
+        command: 'server', subcommand: 'fines', userId: 'admin', admin: true, options: { action: 'escalate', id: escalated }
+    });
+    const reply = lastReply(escalate);
+    assert.strictEqual(reply.title, '🔴 Multa Escalada');
+    assert.strictEqual(reply.fields['Ainda devido'], '$3.00');
+    assert.strictEqual(await dollarsOf('bob'), 0);
+
+    const rows = await bot.db.all('SELECT id, status, paid_amount FROM fines ORDER BY id');
+    assert.deepStrictEqual(rows, [
+        { id: waived, status: 'waived', paid_amount: 0 },
+        { id: escalated, status: 'escalated', paid_amount: 200 }
+    ]);
+
+    // Multa escalada continua pagável pelo restante
+    await bot.ledger.transfer({
+        guildId: GUILD_ID, from: 'system:mint', to: 'user:bob', amount: 500, tx: { userId: 'bob', type: 'give' }
+    });
+    await runCommand({ command: 'money', subcommand: 'fines', userId: 'bob', options: { pay: escalated } });
+    assert.strictEqual(await dollarsOf('bob'), 200);
+    assert.strictEqual((await bot.db.get('SELECT status FROM fines WHERE id = ?', escalated)).status, 'paid');
+    assert.strictEqual(await ledgerTotal(), 0);
+});
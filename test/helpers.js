@@ -0,0 +1,302 @@
+// helpers.js - Ambiente de teste: SQLite em memória, Coin API mock e interações falsas
+// Deve ser importado antes de qualquer outro módulo do bot, porque o CONFIG é lido do env.
+
+process.env.DB_PATH = ':memory:';
+process.env.COIN_API_MODE = 'mock';
+process.env.QUEUE_DELAY_MS = '0';
+process.env.QUEUE_RETRY_BASE_MS = '1';
+process.env.QUEUE_RETRY_MAX_MS = '5';
+process.env.WITHDRAW_FEE = '0';
+process.env.EXCHANGE_RATE = '1';
+process.env.CARD_ENCRYPTION_KEY = '0'.repeat(64);
+
+const bot = require('../index');
+
+const GUILD_ID = 'guild-1';
+const STAFF_ROLE_ID = 'role-staff';
+
+let initialized = false;
+
+/**
+ * Inicializa o banco uma vez e limpa todas as tabelas entre os testes
+ */
+async function resetBot() {
+    if (!initialized) {
+        await bot.initDatabase();
+        initialized = true;
+    }
+
+    await bot.paymentQueue.drain();
+    await bot.cardBalances.drain();
+    await bot.webhooks.drain();
+    const tables = await bot.db.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+    for (const { name } of tables) {
+        await bot.db.run(`DELETE FROM ${name}`);
+    }
+
+    bot.coinApi.cards.clear();
+    bot.coinApi.accounts.clear();
+    bot.coinApi.failures.length = 0;
+    bot.coinApi.calls.length = 0;
+    bot.coinApi.completed.clear();
+    bot.coinApi.nextTxId = 1;
+    bot.paymentQueue.callbacks.clear();
+
+    // Sem login no Discord: usuários são resolvidos pelo ID
+    bot.client.users.fetch = async (id) => ({ id, tag: `user-${id}` });
+}
+
+/**
+ * Cria um usuário do Discord falso
+ * @param {string} id - ID do usuário
+ * @returns {Object} Usuário
+ */
+function fakeUser(id) {
+    return { id, tag: `user-${id}`, username: `user-${id}` };
+}
+
+/**
+ * Cria uma interação de comando slash falsa
+ * @param {Object} params - { command, group, subcommand, options, userId, admin, staff, roles }
+ * @returns {Object} Interação; as respostas ficam em interaction.replies
+ */
+function fakeInteraction({ command, group = null, subcommand = null, options = {}, userId = 'user-1', admin = false, staff = false, roles = [] }) {
+    const interaction = {
+        commandName: command,
+        user: fakeUser(userId),
+        guild: { id: GUILD_ID, name: 'Servidor de Teste' },
+        member: {
+            id: userId,
+            guild: { id: GUILD_ID },
+            permissions: { has: () => admin },
+            roles: { cache: { has: (roleId) => (staff && roleId === STAFF_ROLE_ID) || roles.includes(roleId) } }
+        },
+        deferred: false,
+        replies: [],
+        modal: null,
+        isCommand: () => true,
+        isModalSubmit: () => false,
+        isButton: () => false,
+        options: {
+            getSubcommand: () => subcommand,
+            getSubcommandGroup: () => group,
+            getString: (name) => options[name] ?? null,
+            getInteger: (name) => options[name] ?? null,
+            getNumber: (name) => options[name] ?? null,
+            getBoolean: (name) => options[name] ?? null,
+            getUser: (name) => (options[name] ? fakeUser(options[name]) : null),
+            getRole: (name) => options[name] ?? null,
+            getChannel: (name) => options[name] ?? null,
+            getAttachment: (name) => options[name] ?? null
+        },
+        deferReply: async (reply = {}) => {
+            interaction.deferred = true;
+            interaction.ephemeral = Boolean(reply.ephemeral);
+        },
+        editReply: async (reply) => {
+            interaction.replies.push(reply);
+        },
+        reply: async (reply) => {
+            interaction.replies.push(reply);
+        },
+        deleteReply: async () => {
+            interaction.deleted = true;
+        },
+        followUp: async (reply) => {
+            interaction.replies.push(reply);
+            interaction.followUpEphemeral = Boolean(reply.ephemeral);
+        },
+        showModal: async (modal) => {
+            interaction.modal = modal.toJSON();
+        }
+    };
+    return interaction;
+}
+
+/**
+ * Cria o envio falso de um formulário (modal)
+ * @param {Object} params - { customId, fields, userId, admin, staff }
+ * @returns {Object} Interação; as respostas ficam em interaction.replies
+ */
+function fakeModalSubmit({ customId, fields = {}, ...params }) {
+    const interaction = fakeInteraction(params);
+    interaction.customId = customId;
+    interaction.isCommand = () => false;
+    interaction.isModalSubmit = () => true;
+    interaction.fields = { getTextInputValue: (name) => fields[name] ?? '' };
+    return interaction;
+}
+
+/**
+ * Cria o clique falso num botão de uma mensagem
+ * @param {Object} params - { customId, ephemeral (mensagem privada), userId, admin, staff }
+ * @returns {Object} Interação; a mensagem atualizada fica em interaction.replies
+ */
+function fakeButton({ customId, ephemeral = false, ...params }) {
+    const interaction = fakeInteraction(params);
+    interaction.customId = customId;
+    interaction.ephemeral = null;
+    interaction.message = { flags: { has: () => ephemeral } };
+    interaction.isCommand = () => false;
+    interaction.isButton = () => true;
+    interaction.deferUpdate = async () => {
+        interaction.deferred = true;
+    };
+    return interaction;
+}
+
+/**
+ * Executa um comando e espera a fila terminar de processar o que ele enfileirou
+ * @param {Object} params - Mesmos parâmetros de fakeInteraction
+ * @returns {Object} Interação com as respostas
+ */
+async function runCommand(params) {
+    const interaction = fakeInteraction(params);
+    await bot.handleInteraction(interaction);
+    await bot.paymentQueue.drain();
+    return interaction;
+}
+
+/**
+ * Abre o formulário de cartão com um comando e o envia com o código informado
+ * @param {Object} params - Parâmetros do comando (ver fakeInteraction) mais { cardId }
+ * @returns {Object} Envio do formulário, com as respostas
+ */
+async function submitCard({ cardId, ...params }) {
+    const command = await runCommand(params);
+    const submit = fakeModalSubmit({
+        customId: command.modal.custom_id,
+        fields: { card_id: cardId },
+        userId: params.userId,
+        admin: params.admin,
+        staff: params.staff
+    });
+    await bot.handleInteraction(submit);
+    await bot.paymentQueue.drain();
+    return submit;
+}
+
+/**
+ * Última resposta de uma interação, como texto ou dados do embed
+ * @param {Object} interaction - Interação executada
+ * @returns {Object} { content, title, description, fields }
+ */
+function lastReply(interaction) {
+    const reply = interaction.replies[interaction.replies.length - 1];
+    if (typeof reply === 'string') return { content: reply };
+
+    const embed = reply?.embeds?.[0]?.data || {};
+    const fields = Object.fromEntries((embed.fields || []).map(field => [field.name, field.value]));
+    return { content: reply?.content, title: embed.title, description: embed.description, fields };
+}
+
+/**
+ * Configura o servidor: cartão, cargo de staff (via /adm setstaff) e câmbio 1:1 (R$1.00 = 1 coin)
+ * @param {Object} [params] - { serverCoins } saldo inicial do cartão do servidor, em unidades base
+ */
+async function setupGuild({ serverCoins = 1000e8 } = {}) {
+    bot.coinApi.setCard('SERVER', serverCoins);
+    await bot.db.run(
+        'INSERT INTO guild_config (guild_id, server_card_id, exchange_rate) VALUES (?, ?, ?)',
+        [GUILD_ID, bot.cardVault.encrypt('SERVER'), 100]
+    );
+    await runCommand({
+        command: 'adm', subcommand: 'setstaff', userId: 'owner', admin: true, options: { role: { id: STAFF_ROLE_ID, name: 'Staff' } }
+    });
+}
+
+/**
+ * Cria um usuário com cartão e saldos iniciais
+ * @param {string} userId - ID do usuário
+ * @param {Object} [params] - { dollars (centavos), coins (unidades base), verified (pula o desafio do cartão) }
+ */
+async function setupUser(userId, { dollars = 0, coins = 0, verified = true } = {}) {
+    const cardId = `CARD-${userId}`;
+    bot.coinApi.setCard(cardId, coins);
+    await submitCard({ command: 'card', subcommand: 'set', userId, cardId });
+
+    if (verified) {
+        await bot.db.run(
+            'UPDATE users SET card_verified_at = CURRENT_TIMESTAMP WHERE user_id = ? AND guild_id = ?',
+            [userId, GUILD_ID]
+        );
+    }
+
+    if (dollars > 0) {
+        await bot.ledger.transfer({
+            guildId: GUILD_ID,
+            from: 'system:mint',
+            to: `user:${userId}`,
+            amount: dollars,
+            tx: { userId, type: 'give', actorId: 'setup' }
+        });
+    }
+}
+
+/**
+ * Configura um canal de log falso e guarda os embeds enviados para ele
+ * @returns {Array} Embeds de log, no formato de lastReply ({ title, description, fields }), mais
+ * a mensagem enviada em .message (com components e, se editada, edited)
+ */
+async function captureLogs() {
+    const logs = [];
+    const messages = new Map();
+    await bot.db.run(
+        `INSERT INTO guild_config (guild_id, log_channel_id) VALUES (?, 'log-channel') 
+         ON CONFLICT(guild_id) DO UPDATE SET log_channel_id = 'log-channel'`,
+        [GUILD_ID]
+    );
+    bot.client.channels.fetch = async (channelId) => ({
+        send: async (content) => {
+            const message = {
+                id: `log-message-${messages.size + 1}`,
+                channelId,
+                components: content.components || [],
+                edit: async (edited) => {
+                    message.edited = edited;
+                }
+            };
+            messages.set(message.id, message);
+            logs.push({ ...lastReply({ replies: [content] }), message });
+            return message;
+        },
+        messages: { fetch: async (messageId) => messages.get(messageId) }
+    });
+    return logs;
+}
+
+/**
+ * Saldo em reais de um usuário
+ * @param {string} userId - ID do usuário
+ * @returns {number} Centavos
+ */
+async function dollarsOf(userId) {
+    const row = await bot.db.get('SELECT dollars FROM users WHERE user_id = ? AND guild_id = ?', userId, GUILD_ID);
+    return row?.dollars || 0;
+}
+
+/**
+ * Soma dos lançamentos do ledger; precisa ser sempre zero
+ * @returns {number} Soma
+ */
+async function ledgerTotal() {
+    const row = await bot.db.get('SELECT COALESCE(SUM(amount), 0) AS total FROM ledger_entries');
+    return row.total;
+}
+
+module.exports = {
+    bot,
+    GUILD_ID,
+    STAFF_ROLE_ID,
+    resetBot,
+    fakeInteraction,
+    fakeButton,
+    runCommand,
+    submitCard,
+    lastReply,
+    setupGuild,
+    setupUser,
+    captureLogs,
+    dollarsOf,
+    ledgerTotal
+};
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { REST } = require('discord.js');
+
+const {
+    bot,
+    GUILD_ID,
+    resetBot,
+    runCommand,
+    lastReply,
+    setupGuild,
+    setupUser,
+    captureLogs
+} = require('./helpers');
+const { translate, createTranslator, localizeCommands } = require('../src/i18n');
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild();
+});
+
+test('translate interpola parâmetros e cai no português quando falta a chave', () => {
+    assert.strictEqual(translate('en', 'fines.notPayable', { status: 'paid' }), '❌ This fine cannot be paid (paid).');
+    assert.strictEqual(translate('xx', 'common.fields.user'), 'Usuário');
+    assert.strictEqual(translate('en', 'chave.inexistente'), 'chave.inexistente');
+
+    // Parâmetro sem valor fica como está
+    assert.strictEqual(translate('pt', 'fines.remaining'), '(falta {amount})');
+
+    const t = createTranslator('en', { Currency: 'Gold' });
+    assert.strictEqual(t.locale, 'en');
+    assert.strictEqual(t('balance.fields.dollars'), 'Gold Balance');
+    assert.strictEqual(t.has('balance.fields.dollars'), true);
+    assert.strictEqual(t.has('balance.fields'), false);
+});
+
+test('localizeCommands traduz descrições e escolhas pelo caminho do comando', () => {
+    const commands = localizeCommands([{
+        name: 'money',
+        description: 'Comandos de dinheiro e carteira',
+        options: [{
+            name: 'fines',
+            description: 'Mostra e paga suas multas',
+            options: [{ name: 'method', description: 'Forma de pagamento', choices: [{ name: 'Saldo em reais', value: 'dollars' }] }]
+        }]
+    }], { currency: 'gold', Currency: 'Gold' });
+
+    const method = commands[0].options[0].options[0];
+    assert.strictEqual(commands[0].description_localizations['en-US'], 'Money and wallet commands');
+    assert.strictEqual(method.description_localizations['en-GB'], 'Payment method (default: gold)');
+    assert.strictEqual(method.choices[0].name_localizations['en-US'], 'Gold balance');
+    // O português é a própria definição
+    assert.strictEqual(commands[0].description_localizations['pt-BR'], undefined);
+});
+
+test('registerSlashCommands envia as descrições em inglês dentro do limite do Discord', async (t) => {
+    let body = null;
+    t.mock.method(REST.prototype, 'put', async (route, options) => {
+        body = options.body;
+    });
+    await bot.registerSlashCommands();
+
+    const server = body.find(command => command.name === 'server');
+    const language = server.options.find(option => option.name === 'language');
+    assert.strictEqual(language.description_localizations['en-US'], "Shows or changes the language of the bot's messages");
+    assert.deepStrictEqual(language.options[0].choices.map(choice => choice.value), ['pt', 'en']);
+
+    const descriptions = [];
+    const walk = (list) => list.forEach(item => {
+        descriptions.push(item.description, ...Object.values(item.description_localizations || {}));
+        if (item.options) walk(item.options);
+    });
+    walk(body);
+    assert.ok(descriptions.every(description => description.length >= 1 && description.length <= 100));
+});
+
+test('/server language mostra o idioma atual e só administradores o alteram', async () => {
+    const current = await runCommand({ command: 'server', subcommand: 'language', userId: 'mod' });
+    assert.strictEqual(lastReply(current).title, '🌐 Idioma do Servidor');
+    assert.strictEqual(lastReply(current).description, 'As mensagens do bot neste servidor estão em **Português**.');
+
+    const denied = await runCommand({ command: 'server', subcommand: 'language', userId: 'mod', options: { language: 'en' } });
+    assert.strictEqual(lastReply(denied).content, '❌ Você não tem a permissão `config.edit` para usar este comando.');
+
+    const config = await bot.db.get('SELECT locale FROM guild_config WHERE guild_id = ?', GUILD_ID);
+    assert.strictEqual(config.locale, null);
+});
+
+test('/server language en passa as respostas e os logs do servidor para inglês', async () => {
+    const logs = await captureLogs();
+    await setupUser('alice', { dollars: 1234 });
+
+    const changed = await runCommand({ command: 'server', subcommand: 'language', admin: true, options: { language: 'en' } });
+    assert.strictEqual(lastReply(changed).title, '✅ Language Changed');
+    assert.strictEqual(lastReply(changed).description, 'Bot messages in this server are in **English**.');
+    assert.strictEqual(logs[logs.length - 1].title, '🌐 Language Changed');
+    assert.strictEqual(logs[logs.length - 1].fields['Language'], 'English');
+
+    const balance = await runCommand({ command: 'money', subcommand: 'balance', userId: 'alice' });
+    assert.strictEqual(lastReply(balance).title, '💰 Your Balance');
+    assert.strictEqual(lastReply(balance).fields['Reais Balance'], '$12.34');
+
+    const denied = await runCommand({ command: 'adm', subcommand: 'give', userId: 'mod', options: { user: 'bob', amount: '1' } });
+    assert.strictEqual(lastReply(denied).content, '❌ You do not have the `economy.give` permission to use this command.');
+
+    // Voltar ao português
+    await runCommand({ command: 'server', subcommand: 'language', admin: true, options: { language: 'pt' } });
+    const again = await runCommand({ command: 'money', subcommand: 'balance', userId: 'alice' });
+    assert.strictEqual(lastReply(again).fields['Saldo em Reais'], '$12.34');
+});
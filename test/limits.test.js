@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    bot,
+    resetBot,
+    runCommand,
+    lastReply,
+    setupGuild,
+    setupUser,
+    captureLogs,
+    dollarsOf,
+    ledgerTotal
+} = require('./helpers');
+
+const COIN = 1e8;
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild({ serverCoins: 100 * COIN });
+});
+
+/**
+ * Configura os limites do servidor como administrador
+ * @param {Object} options - Opções do /server limits
+ * @returns {Object} Interação
+ */
+function setLimits(options) {
+    return runCommand({ command: 'server', subcommand: 'limits', userId: 'owner', admin: true, options });
+}
+
+test('/server limits mostra e altera os limites, exigindo config.edit', async () => {
+    const shown = lastReply(await runCommand({ command: 'server', subcommand: 'limits', userId: 'mod' }));
+    assert.strictEqual(shown.title, '🚦 Limites do Servidor');
+    assert.strictEqual(shown.fields['Máximo por transação'], 'sem limite');
+
+    const denied = await runCommand({ command: 'server', subcommand: 'limits', userId: 'mod', options: { max_tx: '10' } });
+    assert.strictEqual(lastReply(denied).content, '❌ Você não tem a permissão `config.edit` para usar este comando.');
+
+    const updated = lastReply(await setLimits({ max_tx: '10', hourly_conversions: 3 }));
+    assert.strictEqual(updated.title, '✅ Limites Configurados');
+    assert.strictEqual(updated.fields['Máximo por transação'], '$10.00');
+    assert.strictEqual(updated.fields['Saques e depósitos por hora'], '3');
+    assert.strictEqual(updated.fields['Volume diário por usuário'], 'sem limite');
+
+    // Campos não informados mantêm o valor; 0 desliga
+    const cleared = lastReply(await setLimits({ max_tx: '0' }));
+    assert.strictEqual(cleared.fields['Máximo por transação'], 'sem limite');
+    assert.strictEqual(cleared.fields['Saques e depósitos por hora'], '3');
+
+    assert.strictEqual(lastReply(await setLimits({ daily_volume: 'abc' })).content, '❌ Valor de limite inválido.');
+});
+
+test('pagamento acima do máximo por transação é barrado com alerta no log', async () => {
+    await setupUser('alice', { dollars: 5000 });
+    await setupUser('bob');
+    await setLimits({ max_tx: '10' });
+    const logs = await captureLogs();
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'pay', userId: 'alice', options: { user: 'bob', amount: '15' }
+    });
+
+    const reply = lastReply(interaction);
+    assert.strictEqual(reply.title, '🚫 Limite Excedido');
+    assert.strictEqual(reply.fields['Limite'], '$10.00');
+    assert.strictEqual(reply.fields['Esta operação'], '$15.00');
+    assert.strictEqual(interaction.followUpEphemeral, true);
+    assert.strictEqual(await dollarsOf('alice'), 5000);
+    assert.strictEqual((await bot.db.get("SELECT COUNT(*) as count FROM transactions WHERE type = 'pay'")).count, 0);
+    assert.strictEqual(await ledgerTotal(), 0);
+
+    assert.strictEqual(logs.length, 1);
+    assert.strictEqual(logs[0].title, '🚨 Limite Excedido');
+    assert.strictEqual(logs[0].fields['Usuário'], '<@alice>');
+});
+
+test('volume diário soma as operações das últimas 24 horas', async () => {
+    await setupUser('alice', { dollars: 5000, coins: 10 * COIN });
+    await setupUser('bob');
+    await setLimits({ daily_volume: '20' });
+
+    await runCommand({ command: 'money', subcommand: 'pay', userId: 'alice', options: { user: 'bob', amount: '8' } });
+    // payserver em coins conta pelo câmbio (1:1)
+    await runCommand({ command: 'payserver', userId: 'alice', options: { amount: '7' } });
+
+    const blocked = lastReply(await runCommand({
+        command: 'money', subcommand: 'pay', userId: 'alice', options: { user: 'bob', amount: '6' }
+    }));
+    assert.strictEqual(blocked.title, '🚫 Limite Excedido');
+    assert.strictEqual(blocked.fields['Já usado'], '$15.00');
+
+    // Operações antigas saem da janela
+    await bot.db.run("UPDATE transactions SET created_at = datetime('now', '-2 days')");
+    const allowed = lastReply(await runCommand({
+        command: 'money', subcommand: 'pay', userId: 'alice', options: { user: 'bob', amount: '6' }
+    }));
+    assert.strictEqual(allowed.title, '✅ Pagamento em Reais Realizado');
+});
+
+test('saques e depósitos por hora são barrados antes da fila', async () => {
+    await setupUser('alice', { coins: 30 * COIN });
+    await setLimits({ hourly_conversions: 1 });
+
+    await runCommand({ command: 'money', subcommand: 'withdraw', userId: 'alice', options: { amount: '1' } });
+    const blocked = await runCommand({ command: 'money', subcommand: 'withdraw', userId: 'alice', options: { amount: '1' } });
+
+    assert.strictEqual(lastReply(blocked).title, '🚫 Limite Excedido');
+    assert.strictEqual((await bot.db.get('SELECT COUNT(*) as count FROM queue')).count, 1);
+    assert.strictEqual(bot.coinApi.balanceOf('CARD-alice'), 29 * COIN);
+});
+
+test('emissão diária limita /adm give e a parte positiva de /adm set por membro da staff', async () => {
+    await setupUser('bob');
+    await setLimits({ daily_mint: '100' });
+
+    await runCommand({ command: 'adm', subcommand: 'give', userId: 'mod', staff: true, options: { user: 'bob', amount: '60' } });
+    const blocked = lastReply(await runCommand({
+        command: 'adm', subcommand: 'set', userId: 'mod', staff: true, options: { user: 'bob', amount: '110' }
+    }));
+    assert.strictEqual(blocked.title, '🚫 Limite Excedido');
+    assert.strictEqual(blocked.fields['Esta operação'], '$50.00');
+    assert.strictEqual(blocked.fields['Já usado'], '$60.00');
+    assert.strictEqual(await dollarsOf('bob'), 6000);
+
+    // Reduzir saldo não é emissão; outro membro da staff tem a própria cota
+    await runCommand({ command: 'adm', subcommand: 'set', userId: 'mod', staff: true, options: { user: 'bob', amount: '10' } });
+    await runCommand({ command: 'adm', subcommand: 'give', userId: 'mod2', staff: true, options: { user: 'bob', amount: '90' } });
+    assert.strictEqual(await dollarsOf('bob'), 10000);
+    assert.strictEqual(await ledgerTotal(), 0);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const money = require('../src/money');
+
+test('parseDollars lê centavos sem passar por float', () => {
+    assert.strictEqual(money.parseDollars('10'), 1000);
+    assert.strictEqual(money.parseDollars('0.1'), 10);
+    assert.strictEqual(money.parseDollars('19,99'), 1999);
+    assert.strictEqual(money.parseDollars('1.234'), null);
+    assert.strictEqual(money.parseDollars('-5'), null);
+    assert.strictEqual(money.parseDollars('1e3'), null);
+    assert.strictEqual(money.parseDollars('abc'), null);
+});
+
+test('parseDollars e formatDollars aceitam menos casas decimais', () => {
+    assert.strictEqual(money.parseDollars('10', 0), 1000);
+    assert.strictEqual(money.parseDollars('10.5', 0), null);
+    assert.strictEqual(money.parseDollars('10.5', 1), 1050);
+    assert.strictEqual(money.parseDollars('10.55', 1), null);
+    assert.strictEqual(money.formatDollars(1099, 0), '10');
+    assert.strictEqual(money.formatDollars(1099, 1), '10.9');
+    assert.strictEqual(money.formatDollars(-1099, 0), '-10');
+    assert.strictEqual(money.formatDollars(5, 0), '0');
+});
+
+test('parseCoins aceita até 8 casas decimais', () => {
+    assert.strictEqual(money.parseCoins('0.00000001'), 1);
+    assert.strictEqual(money.parseCoins('1.5'), 150000000);
+    assert.strictEqual(money.parseCoins('0.000000001'), null);
+});
+
+test('parseFraction lê frações do .env em pontos-base', () => {
+    assert.strictEqual(money.parseFraction('0.01'), 100);
+    assert.strictEqual(money.parseFraction('0.0125'), 125);
+    assert.strictEqual(money.parseFraction('1'), 10000);
+    assert.strictEqual(money.parseFraction('0.00001'), null);
+    assert.strictEqual(money.parseFraction('-0.01'), null);
+});
+
+test('formatação não usa notação científica', () => {
+    assert.strictEqual(money.formatCoins(1), '0.00000001');
+    assert.strictEqual(money.formatCoins(150000000), '1.5');
+    assert.strictEqual(money.formatDollars(5), '0.05');
+    assert.strictEqual(money.formatDollars(-1050), '-10.50');
+    assert.strictEqual(money.formatPercent(150), '1.5');
+});
+
+test('conversões pelo câmbio truncam em unidades inteiras', () => {
+    // R$10.00 por coin
+    assert.strictEqual(money.dollarsToCoins(100, 1000), 10000000);
+    assert.strictEqual(money.coinsToDollars(10000000, 1000), 100);
+    assert.strictEqual(money.dollarsToCoins(1, 300), 333333);
+    assert.strictEqual(money.applyPercent(999, 100), 9);
+});
+
+test('fromApiCoins converte números da API para unidades base', () => {
+    assert.strictEqual(money.fromApiCoins(0.1 + 0.2), 30000000);
+    assert.strictEqual(money.fromApiCoins(1.9e-7), 19);
+    assert.strictEqual(money.fromApiCoins(undefined), 0);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    bot,
+    GUILD_ID,
+    resetBot,
+    fakeButton,
+    runCommand,
+    lastReply,
+    setupGuild,
+    setupUser
+} = require('./helpers');
+const { pageCount, clampPage, encodePageId, parsePageId, buildPageButtons } = require('../src/paginator');
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild();
+});
+
+/**
+ * Clica num botão de paginação da última resposta de uma interação
+ * @param {Object} interaction - Interação cuja resposta tem os botões
+ * @param {string} action - 'first', 'prev', 'next' ou 'last'
+ * @param {Object} [params] - { userId, admin, staff } de quem clica (padrão: quem usou o comando)
+ * @returns {Object} Clique, com as respostas
+ */
+async function clickPage(interaction, action, params = {}) {
+    const reply = interaction.replies[interaction.replies.length - 1];
+    const buttons = reply.components[0].toJSON().components;
+    const button = buttons.find(component => component.custom_id.split(':')[3] === action);
+
+    const click = fakeButton({ customId: button.custom_id, ephemeral: interaction.ephemeral, userId: interaction.user.id, ...params });
+    await bot.handleInteraction(click);
+    return click;
+}
+
+/**
+ * Botões da última resposta, por ação
+ * @param {Object} interaction - Interação executada
+ * @returns {Object} { first, prev, next, last } com { page, disabled }
+ */
+function buttonsOf(interaction) {
+    const reply = interaction.replies[interaction.replies.length - 1];
+    return Object.fromEntries(reply.components[0].toJSON().components.map(button => {
+        const state = parsePageId(button.custom_id);
+        return [state.action, { page: state.page, disabled: button.disabled }];
+    }));
+}
+
+test('customId guarda e devolve o estado da página', () => {
+    const customId = encodePageId({ view: 'baltop', ownerId: '123', action: 'next', page: 3, args: ['coins'] });
+
+    assert.strictEqual(customId, 'page:baltop:123:next:3:coins');
+    assert.deepStrictEqual(parsePageId(customId), { view: 'baltop', ownerId: '123', action: 'next', page: 3, args: ['coins'] });
+    assert.strictEqual(parsePageId('card:user'), null);
+    assert.strictEqual(parsePageId('page:baltop:123:jump:3'), null);
+    assert.throws(() => encodePageId({ view: 'baltop', ownerId: '1', action: 'next', page: 1, args: ['a:b'] }), /não pode conter/);
+    assert.throws(() => encodePageId({ view: 'baltop', ownerId: '1', action: 'next', page: 1, args: ['x'.repeat(100)] }), /excede/);
+});
+
+test('páginas e botões desativados nas pontas', () => {
+    assert.strictEqual(pageCount(0, 10), 1);
+    assert.strictEqual(pageCount(21, 10), 3);
+    assert.strictEqual(clampPage(9, 3), 3);
+    assert.strictEqual(clampPage(0, 3), 1);
+
+    const buttons = buildPageButtons({ view: 'history', ownerId: '1', page: 1, totalPages: 3 }).toJSON().components;
+    assert.deepStrictEqual(buttons.map(button => [parsePageId(button.custom_id).page, button.disabled]), [
+        [1, true], [1, true], [2, false], [3, false]
+    ]);
+});
+
+test('baltop pagina o ranking de 10 em 10', async () => {
+    for (let i = 1; i <= 12; i++) {
+        await setupUser(`user-${i}`, { dollars: i * 100 });
+    }
+
+    const command = await runCommand({ command: 'baltop', options: {} });
+    const first = lastReply(command);
+    assert.strictEqual(first.fields['Total de Usuários'], '12');
+    assert.match(first.description, /^\*\*1\.\*\* user-user-12\n/);
+    assert.strictEqual(first.description.match(/\*\*\d+\.\*\*/g).length, 10);
+
+    const second = lastReply(await clickPage(command, 'next'));
+    assert.deepStrictEqual(second.description.match(/\*\*\d+\.\*\* \S+/g), ['**11.** user-user-2', '**12.** user-user-1']);
+});
+
+test('/baltop navega pelos botões até a última página', async () => {
+    for (let i = 1; i <= 25; i++) {
+        await setupUser(`user-${i}`, { dollars: i * 100 });
+    }
+
+    const command = await runCommand({ command: 'baltop', userId: 'user-1' });
+    assert.strictEqual(lastReply(command).title, '🏆 Ranking de Riqueza');
+    assert.deepStrictEqual(buttonsOf(command), {
+        first: { page: 1, disabled: true },
+        prev: { page: 1, disabled: true },
+        next: { page: 2, disabled: false },
+        last: { page: 3, disabled: false }
+    });
+
+    const last = await clickPage(command, 'last');
+    assert.deepStrictEqual(lastReply(last).description.match(/\*\*\d+\.\*\* \S+/g), [
+        '**21.** user-user-5', '**22.** user-user-4', '**23.** user-user-3', '**24.** user-user-2', '**25.** user-user-1'
+    ]);
+    assert.strictEqual(buttonsOf(last).next.disabled, true);
+    assert.match(last.replies[0].embeds[0].data.footer.text, /^Página 3 de 3/);
+});
+
+test('só quem usou o comando muda de página', async () => {
+    for (let i = 1; i <= 12; i++) {
+        await setupUser(`user-${i}`, { dollars: i * 100 });
+    }
+
+    const command = await runCommand({ command: 'baltop', userId: 'user-1' });
+    const click = await clickPage(command, 'next', { userId: 'intruso' });
+
+    assert.deepStrictEqual(click.replies, [{ content: '❌ Só quem usou o comando pode mudar de página.', ephemeral: true }]);
+});
+
+test('botões continuam funcionando só com o customId (ex.: depois de um restart)', async () => {
+    for (let i = 1; i <= 12; i++) {
+        await setupUser(`user-${i}`, { dollars: i * 100 });
+    }
+
+    const click = fakeButton({ customId: 'page:baltop:user-3:last:2:dollars', userId: 'user-3' });
+    await bot.handleInteraction(click);
+
+    assert.strictEqual(click.deferred, true);
+    assert.match(lastReply(click).description, /^\*\*11\.\*\*/);
+});
+
+test('histórico e multas usam o mesmo paginador, repetindo a checagem de permissão', async () => {
+    await setupUser('bob', { dollars: 10000 });
+    for (let i = 0; i < 12; i++) {
+        await runCommand({
+            command: 'server', subcommand: 'fine', userId: 'admin', admin: true,
+            options: { user: 'bob', amount: '1', reason: `multa ${i}` }
+        });
+    }
+
+    const list = await runCommand({ command: 'server', subcommand: 'fines', userId: 'admin', admin: true, options: { action: 'list' } });
+    assert.strictEqual(lastReply(list).description.match(/\*\*#\d+\*\*/g).length, 10);
+    assert.strictEqual(lastReply(list).fields['Total devido'], '$12.00');
+
+    // Perdeu o cargo de administrador depois de abrir a lista
+    const denied = await clickPage(list, 'next', { admin: false });
+    assert.strictEqual(denied.replies[0].content, '❌ Você não tem a permissão `server.fines` para usar este comando.');
+
+    const second = await clickPage(list, 'next', { admin: true });
+    assert.strictEqual(lastReply(second).description.match(/\*\*#\d+\*\*/g).length, 2);
+
+    const mine = await runCommand({ command: 'money', subcommand: 'fines', userId: 'bob' });
+    assert.strictEqual(lastReply(await clickPage(mine, 'last')).description.match(/\*\*#\d+\*\*/g).length, 2);
+
+    const history = await runCommand({ command: 'money', subcommand: 'history', userId: 'bob' });
+    assert.deepStrictEqual(history.replies[0].components, []);
+    assert.match(history.replies[0].embeds[0].data.footer.text, /^Página 1 de 1/);
+
+    const { count } = await bot.db.get('SELECT COUNT(*) as count FROM fines WHERE guild_id = ?', GUILD_ID);
+    assert.strictEqual(count, 12);
+});
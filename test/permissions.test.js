@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    bot,
+    GUILD_ID,
+    STAFF_ROLE_ID,
+    resetBot,
+    runCommand,
+    lastReply,
+    setupGuild,
+    setupUser,
+    dollarsOf
+} = require('./helpers');
+
+const CASHIER = { id: 'role-cashier', name: 'Caixa' };
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild();
+    await setupUser('bob', { dollars: 1000 });
+});
+
+/**
+ * Executa /adm perms como administrador
+ * @param {string} subcommand - grant, revoke ou list
+ * @param {Object} options - Opções do comando
+ * @returns {Object} Interação
+ */
+function perms(subcommand, options = {}) {
+    return runCommand({ command: 'adm', group: 'perms', subcommand, userId: 'owner', admin: true, options });
+}
+
+test('cargo pode dar reais sem poder definir saldos', async () => {
+    const granted = await perms('grant', { capability: 'economy.give', role: CASHIER });
+    assert.strictEqual(lastReply(granted).title, '✅ Permissão Concedida');
+
+    await runCommand({ command: 'adm', subcommand: 'give', userId: 'caixa', roles: [CASHIER.id], options: { user: 'bob', amount: '5' } });
+    assert.strictEqual(await dollarsOf('bob'), 1500);
+
+    const denied = await runCommand({ command: 'adm', subcommand: 'set', userId: 'caixa', roles: [CASHIER.id], options: { user: 'bob', amount: '0' } });
+    assert.strictEqual(lastReply(denied).content, '❌ Você não tem a permissão `economy.set` para usar este comando.');
+    assert.strictEqual(await dollarsOf('bob'), 1500);
+});
+
+test('permissão concedida a um usuário e depois revogada', async () => {
+    await perms('grant', { capability: 'server.fine', user: 'carol' });
+
+    const fined = await runCommand({
+        command: 'server', subcommand: 'fine', userId: 'carol', options: { user: 'bob', amount: '1', reason: 'spam' }
+    });
+    assert.strictEqual(lastReply(fined).title, '✅ Multa Aplicada');
+
+    const revoked = await perms('revoke', { capability: 'server.fine', user: 'carol' });
+    assert.strictEqual(lastReply(revoked).title, '🚫 Permissão Revogada');
+    assert.strictEqual(lastReply(await perms('revoke', { capability: 'server.fine', user: 'carol' })).content,
+        '❌ <@carol> não tem a permissão `server.fine`.');
+
+    const denied = await runCommand({
+        command: 'server', subcommand: 'fine', userId: 'carol', options: { user: 'bob', amount: '1', reason: 'spam' }
+    });
+    assert.strictEqual(lastReply(denied).content, '❌ Você não tem a permissão `server.fine` para usar este comando.');
+});
+
+test('/adm perms exige perms.manage e um único alvo', async () => {
+    const denied = await runCommand({
+        command: 'adm', group: 'perms', subcommand: 'grant', userId: 'mod', staff: true,
+        options: { capability: 'economy.set', user: 'mod' }
+    });
+    assert.strictEqual(lastReply(denied).content, '❌ Você não tem a permissão `perms.manage` para usar este comando.');
+
+    await perms('grant', { capability: 'perms.manage', user: 'mod' });
+    const delegated = await runCommand({
+        command: 'adm', group: 'perms', subcommand: 'grant', userId: 'mod', options: { capability: 'economy.set', role: CASHIER }
+    });
+    assert.strictEqual(lastReply(delegated).title, '✅ Permissão Concedida');
+
+    assert.strictEqual(lastReply(await perms('grant', { capability: 'economy.set' })).content, '❌ Informe um cargo ou um usuário (apenas um).');
+    assert.strictEqual(lastReply(await perms('grant', { capability: 'economy.set', role: CASHIER })).content,
+        `❌ <@&${CASHIER.id}> já tem a permissão \`economy.set\`.`);
+});
+
+test('/adm setstaff concede as capacidades de staff e /adm perms list mostra quem tem cada uma', async () => {
+    const rows = await bot.db.all(
+        "SELECT capability FROM permissions WHERE guild_id = ? AND subject_id = ? ORDER BY capability", GUILD_ID, STAFF_ROLE_ID
+    );
+    assert.deepStrictEqual(rows.map(row => row.capability), ['economy.give', 'economy.history', 'economy.set', 'economy.take']);
+
+    const list = lastReply(await perms('list'));
+    assert.match(list.description, /\*\*economy\.give\*\* — Adicionar reais \(\/adm give\)\n└ <@&role-staff>/);
+    assert.match(list.description, /\*\*server\.pay\*\* — .*\n└ só administradores/);
+
+    const filtered = lastReply(await perms('list', { user: 'bob' }));
+    assert.strictEqual(filtered.title, '🔑 Permissões de user-bob');
+    assert.doesNotMatch(filtered.description, /role-staff/);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    bot,
+    GUILD_ID,
+    resetBot,
+    runCommand,
+    lastReply,
+    setupGuild,
+    setupUser,
+    captureLogs
+} = require('./helpers');
+
+const COIN = 1e8;
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild({ serverCoins: 100 * COIN });
+});
+
+test('comandos seguem a privacidade padrão do servidor', async () => {
+    await setupUser('alice', { dollars: 5000 });
+
+    const balance = await runCommand({ command: 'money', subcommand: 'balance', userId: 'alice' });
+    assert.strictEqual(balance.ephemeral, true);
+
+    const baltop = await runCommand({ command: 'baltop', userId: 'alice' });
+    assert.strictEqual(baltop.ephemeral, false);
+    // Resposta pública não mostra o saldo de quem pediu
+    assert.strictEqual(lastReply(baltop).fields['Seu Saldo'], undefined);
+});
+
+test('/server privacy exige administrador e altera a resposta do comando', async () => {
+    const logs = await captureLogs();
+    const denied = await runCommand({
+        command: 'server', subcommand: 'privacy', userId: 'mod', options: { command: 'baltop', private: true }
+    });
+    assert.strictEqual(lastReply(denied).content, '❌ Você não tem a permissão `config.edit` para usar este comando.');
+
+    const updated = await runCommand({
+        command: 'server', subcommand: 'privacy', admin: true, options: { command: 'baltop', private: true }
+    });
+    assert.match(lastReply(updated).description, /🔒 `\/baltop`/);
+    assert.deepStrictEqual(logs[logs.length - 1].fields, { 'Admin': 'user-user-1', 'Comando': '/baltop', 'Resposta': 'Privada' });
+
+    await runCommand({
+        command: 'server', subcommand: 'privacy', admin: true, options: { command: 'money balance', private: false }
+    });
+
+    await setupUser('alice', { dollars: 5000 });
+    const baltop = await runCommand({ command: 'baltop', userId: 'alice' });
+    assert.strictEqual(baltop.ephemeral, true);
+    assert.strictEqual(lastReply(baltop).fields['Seu Saldo'], '$50.00');
+
+    const balance = await runCommand({ command: 'money', subcommand: 'balance', userId: 'alice' });
+    assert.strictEqual(balance.ephemeral, false);
+
+    const config = await bot.db.get('SELECT private_commands FROM guild_config WHERE guild_id = ?', GUILD_ID);
+    assert.ok(JSON.parse(config.private_commands).includes('baltop'));
+});
+
+test('/server privacy recusa comando sem o valor', async () => {
+    const interaction = await runCommand({
+        command: 'server', subcommand: 'privacy', admin: true, options: { command: 'baltop' }
+    });
+    assert.match(lastReply(interaction).content, /juntos/);
+});
+
+test('erro de saldo em comando público é respondido só para o usuário', async () => {
+    await setupUser('alice', { dollars: 100 });
+    await setupUser('bob');
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'pay', userId: 'alice', options: { user: 'bob', amount: '5' }
+    });
+
+    assert.strictEqual(interaction.ephemeral, false);
+    assert.strictEqual(interaction.deleted, true);
+    assert.strictEqual(interaction.followUpEphemeral, true);
+    assert.strictEqual(lastReply(interaction).title, '❌ Saldo Insuficiente em Reais');
+});
+
+test('/money privacy tira o usuário do ranking', async () => {
+    await setupUser('alice', { dollars: 5000 });
+    await setupUser('bob', { dollars: 1000 });
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'privacy', userId: 'alice', options: { hide_baltop: true }
+    });
+    assert.strictEqual(interaction.ephemeral, true);
+    assert.match(lastReply(interaction).fields['Ranking (/baltop)'], /não aparece/);
+
+    const baltop = await runCommand({ command: 'baltop', userId: 'bob' });
+    const reply = lastReply(baltop);
+    assert.doesNotMatch(reply.description, /alice/);
+    assert.match(reply.description, /bob/);
+    // Os totais continuam contando todos
+    assert.strictEqual(reply.fields['Total de Usuários'], '2');
+
+    await runCommand({ command: 'money', subcommand: 'privacy', userId: 'alice', options: { hide_baltop: false } });
+    assert.match(lastReply(await runCommand({ command: 'baltop', userId: 'bob' })).description, /alice/);
+});
@@ -0,0 +1,273 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    bot,
+    GUILD_ID,
+    resetBot,
+    runCommand,
+    lastReply,
+    setupGuild,
+    setupUser,
+    dollarsOf,
+    ledgerTotal
+} = require('./helpers');
+
+const COIN = 1e8;
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild({ serverCoins: 100 * COIN });
+});
+
+test('falha da API no depósito estorna os reais reservados', async () => {
+    await setupUser('alice', { dollars: 5000 });
+    bot.coinApi.failNext('transferToId', 'REJECTED');
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'deposit', userId: 'alice', options: { amount: '20' }
+    });
+
+    assert.strictEqual(lastReply(interaction).title, '❌ Erro');
+    assert.strictEqual(await dollarsOf('alice'), 5000);
+    assert.strictEqual(bot.coinApi.balanceOf('SERVER'), 100 * COIN);
+
+    const tx = await bot.db.get("SELECT status FROM transactions WHERE type = 'deposit'");
+    assert.strictEqual(tx.status, 'failed');
+    const item = await bot.db.get('SELECT status, error FROM queue');
+    assert.strictEqual(item.status, 'failed');
+    assert.match(item.error, /REJECTED/);
+    assert.strictEqual(await ledgerTotal(), 0);
+});
+
+test('falha da API no saque não credita reais', async () => {
+    await setupUser('alice', { coins: 30 * COIN });
+    bot.coinApi.failNext('payCard', 'INSUFFICIENT_FUNDS');
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'withdraw', userId: 'alice', options: { amount: '10' }
+    });
+
+    assert.strictEqual(lastReply(interaction).title, '❌ Erro');
+    assert.strictEqual(await dollarsOf('alice'), 0);
+    assert.strictEqual(bot.coinApi.balanceOf('CARD-alice'), 30 * COIN);
+
+    const tx = await bot.db.get("SELECT status FROM transactions WHERE type = 'withdraw'");
+    assert.strictEqual(tx.status, 'failed');
+});
+
+test('erros transitórios são repetidos com a mesma chave de idempotência', async () => {
+    await setupUser('alice', { coins: 30 * COIN });
+    bot.coinApi.failNext('payCard', 'RATE_LIMITED');
+    // Timeout depois que a API já transferiu: o reenvio não pode debitar de novo
+    bot.coinApi.failNext('payCard', 'TIMEOUT', 1, { applied: true });
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'withdraw', userId: 'alice', options: { amount: '10' }
+    });
+
+    assert.strictEqual(lastReply(interaction).title, '✅ Saque Realizado');
+    assert.strictEqual(await dollarsOf('alice'), 1000);
+    assert.strictEqual(bot.coinApi.balanceOf('CARD-alice'), 20 * COIN);
+
+    const calls = bot.coinApi.calls.filter(call => call.endpoint === 'payCard');
+    assert.strictEqual(calls.length, 3);
+    assert.ok(calls[0].idempotencyKey);
+    assert.ok(calls.every(call => call.idempotencyKey === calls[0].idempotencyKey));
+
+    const item = await bot.db.get('SELECT status, attempts, payload FROM queue');
+    assert.strictEqual(item.status, 'completed');
+    assert.strictEqual(item.attempts, 3);
+    assert.strictEqual(JSON.parse(item.payload).idempotencyKey, calls[0].idempotencyKey);
+});
+
+/**
+ * Faz os itens desconhecidos parecerem antigos o bastante para a conferência
+ */
+function ageUnknownItems() {
+    return bot.db.run("UPDATE queue SET unknown_since = datetime('now', '-1 hour') WHERE status = 'unknown'");
+}
+
+test('resultado ambíguo vira unknown e é reenviado se nada saiu do cartão', async () => {
+    await setupUser('alice', { dollars: 5000 });
+    bot.coinApi.failNext('transferToId', 'TIMEOUT', 4);
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'deposit', userId: 'alice', options: { amount: '20' }
+    });
+
+    // Não é reportado como falha e os reais continuam reservados
+    assert.strictEqual(lastReply(interaction).title, '⏳ Transferência em Verificação');
+    assert.strictEqual((await bot.db.get('SELECT status FROM queue')).status, 'unknown');
+    assert.strictEqual((await bot.db.get("SELECT status FROM transactions WHERE type = 'deposit'")).status, 'pending');
+    assert.strictEqual(await dollarsOf('alice'), 3000);
+    assert.strictEqual((await bot.db.get('SELECT source_balance FROM queue')).source_balance, 100 * COIN);
+
+    // Recente demais: a API ainda pode estar terminando a transferência
+    await bot.paymentQueue.resolveUnknown();
+    assert.strictEqual((await bot.db.get('SELECT status FROM queue')).status, 'unknown');
+
+    await ageUnknownItems();
+    await bot.paymentQueue.resolveUnknown();
+    await bot.paymentQueue.drain();
+
+    assert.strictEqual((await bot.db.get('SELECT status FROM queue')).status, 'completed');
+    assert.strictEqual((await bot.db.get("SELECT status FROM transactions WHERE type = 'deposit'")).status, 'completed');
+    assert.strictEqual(bot.coinApi.balanceOf('SERVER'), 80 * COIN);
+    assert.strictEqual(await ledgerTotal(), 0);
+});
+
+test('resultado ambíguo com saldo alterado vai para reconciliação sem reenvio', async () => {
+    await setupUser('alice', { dollars: 5000 });
+    // A API transferiu, mas a resposta não chegou
+    bot.coinApi.failNext('transferToId', 'TIMEOUT', 4, { applied: true });
+
+    await runCommand({ command: 'money', subcommand: 'deposit', userId: 'alice', options: { amount: '20' } });
+    assert.strictEqual((await bot.db.get('SELECT status FROM queue')).status, 'unknown');
+    const sent = bot.coinApi.calls.filter(call => call.endpoint === 'transferToId').length;
+
+    await ageUnknownItems();
+    await bot.paymentQueue.resolveUnknown();
+    await bot.paymentQueue.drain();
+
+    const item = await bot.db.get('SELECT status, error FROM queue');
+    assert.deepStrictEqual({ ...item }, { status: 'reconcile', error: 'Resultado desconhecido e saldo do cartão de origem alterado' });
+    assert.strictEqual((await bot.db.get("SELECT status FROM transactions WHERE type = 'deposit'")).status, 'reconcile');
+    assert.strictEqual(bot.coinApi.calls.filter(call => call.endpoint === 'transferToId').length, sent);
+    assert.strictEqual(bot.coinApi.balanceOf('SERVER'), 80 * COIN);
+    // Os reais continuam reservados até a decisão manual
+    assert.strictEqual(await dollarsOf('alice'), 3000);
+});
+
+test('rate limit persistente falha sem ficar unknown', async () => {
+    await setupUser('alice', { coins: 30 * COIN });
+    bot.coinApi.failNext('payCard', 'RATE_LIMITED', 10);
+
+    const interaction = await runCommand({
+        command: 'money', subcommand: 'withdraw', userId: 'alice', options: { amount: '10' }
+    });
+
+    assert.strictEqual(lastReply(interaction).title, '❌ Erro');
+    const item = await bot.db.get('SELECT status, attempts FROM queue');
+    assert.strictEqual(item.status, 'failed');
+    assert.strictEqual(item.attempts, bot.CONFIG.QUEUE_MAX_RETRIES + 1);
+});
+
+test('erro nos efeitos locais marca o item para reconciliação', async () => {
+    bot.coinApi.setCard('A', 5 * COIN);
+    const reconciled = [];
+    bot.paymentQueue.registerHandler('test_settle_error', {
+        transfer: 'card_to_card',
+        onSuccess: async () => {
+            throw new Error('banco indisponível');
+        },
+        onReconcile: async (item) => {
+            reconciled.push(item.id);
+        }
+    });
+
+    const id = await bot.paymentQueue.add({
+        guildId: GUILD_ID,
+        userId: 'alice',
+        type: 'test_settle_error',
+        payload: { fromCard: 'A', toCard: 'SERVER', amount: 1 * COIN }
+    });
+    await bot.paymentQueue.drain();
+
+    const item = await bot.db.get('SELECT status, error, result FROM queue WHERE id = ?', id);
+    assert.strictEqual(item.status, 'reconcile');
+    assert.strictEqual(item.error, 'banco indisponível');
+    assert.strictEqual(JSON.parse(item.result).txId, 'mock-1');
+    assert.deepStrictEqual(reconciled, [id]);
+    // A transferência não é reenviada
+    assert.strictEqual(bot.coinApi.balanceOf('A'), 4 * COIN);
+});
+
+test('start() retoma itens pendentes e marca os interrompidos sem chave para reconciliação', async () => {
+    bot.coinApi.setCard('A', 5 * COIN);
+    const payload = JSON.stringify({
+        fromCard: bot.cardVault.encrypt('A'), toCard: bot.cardVault.encrypt('SERVER'), amount: 1 * COIN
+    });
+    const { lastID: interrupted } = await bot.db.run(
+        "INSERT INTO queue (guild_id, user_id, type, payload, status) VALUES (?, 'alice', 'card_to_card', ?, 'processing')",
+        [GUILD_ID, payload]
+    );
+    const { lastID: pending } = await bot.db.run(
+        "INSERT INTO queue (guild_id, user_id, type, payload, status) VALUES (?, 'alice', 'card_to_card', ?, 'pending')",
+        [GUILD_ID, payload]
+    );
+
+    await bot.paymentQueue.start();
+    await bot.paymentQueue.drain();
+
+    const rows = await bot.db.all('SELECT id, status FROM queue ORDER BY id');
+    assert.deepStrictEqual(rows, [
+        { id: interrupted, status: 'reconcile' },
+        { id: pending, status: 'completed' }
+    ]);
+    assert.strictEqual(bot.coinApi.balanceOf('A'), 4 * COIN);
+});
+
+test('add() recusa tipos sem handler', async () => {
+    await assert.rejects(
+        bot.paymentQueue.add({ guildId: GUILD_ID, userId: 'alice', type: 'desconhecido', payload: {} }),
+        /Tipo de operação desconhecido/
+    );
+});
+
+test('item adicionado durante a última leitura da fila não fica parado', async (t) => {
+    bot.coinApi.setCard('A', 5 * COIN);
+    const item = { guildId: GUILD_ID, userId: 'alice', type: 'card_to_card', payload: { fromCard: 'A', toCard: 'SERVER', amount: 1 * COIN } };
+
+    // O add() chega enquanto o laço lê a fila e ainda não viu o item
+    const get = bot.db.get;
+    let late = null;
+    t.mock.method(bot.db, 'get', async function (sql, ...params) {
+        const row = await get.call(this, sql, ...params);
+        if (!row && !late && String(sql).includes("status = 'pending'")) {
+            late = bot.paymentQueue.add(item);
+            await late;
+        }
+        return row;
+    });
+
+    await bot.paymentQueue.add(item);
+    await bot.paymentQueue.drain();
+
+    const rows = await bot.db.all('SELECT status FROM queue ORDER BY id');
+    assert.deepStrictEqual(rows.map(row => row.status), ['completed', 'completed']);
+    assert.strictEqual(bot.coinApi.balanceOf('A'), 3 * COIN);
+});
+
+test('start() confere pelo saldo os itens interrompidos que têm chave de idempotência', async () => {
+    bot.coinApi.setCard('A', 5 * COIN);
+    const payload = key => JSON.stringify({
+        fromCard: bot.cardVault.encrypt('A'), toCard: bot.cardVault.encrypt('SERVER'), amount: 1 * COIN, idempotencyKey: key
+    });
+    // O primeiro foi interrompido com o cartão ainda em 5 coins; o segundo, sem saldo de antes
+    const { lastID: unchanged } = await bot.db.run(
+        "INSERT INTO queue (guild_id, user_id, type, payload, status, source_balance) VALUES (?, 'alice', 'card_to_card', ?, 'processing', ?)",
+        [GUILD_ID, payload('chave-1'), 5 * COIN]
+    );
+    const { lastID: unverified } = await bot.db.run(
+        "INSERT INTO queue (guild_id, user_id, type, payload, status) VALUES (?, 'alice', 'card_to_card', ?, 'processing')",
+        [GUILD_ID, payload('chave-2')]
+    );
+
+    await bot.paymentQueue.start();
+    await bot.paymentQueue.drain();
+    assert.deepStrictEqual((await bot.db.all('SELECT status FROM queue ORDER BY id')).map(row => row.status), ['unknown', 'unknown']);
+
+    await ageUnknownItems();
+    await bot.paymentQueue.resolveUnknown();
+    await bot.paymentQueue.drain();
+
+    const rows = await bot.db.all('SELECT id, status FROM queue ORDER BY id');
+    assert.deepStrictEqual(rows, [
+        { id: unchanged, status: 'completed' },
+        { id: unverified, status: 'reconcile' }
+    ]);
+    const sent = bot.coinApi.calls.filter(call => call.endpoint === 'payCard');
+    assert.deepStrictEqual(sent.map(call => call.idempotencyKey), ['chave-1']);
+    assert.strictEqual(bot.coinApi.balanceOf('A'), 4 * COIN);
+});
@@ -0,0 +1,198 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { signPayload, verifySignature } = require('../src/signature');
+const {
+    bot,
+    GUILD_ID,
+    resetBot,
+    runCommand,
+    lastReply,
+    setupGuild,
+    setupUser,
+    captureLogs,
+    dollarsOf,
+    ledgerTotal
+} = require('./helpers');
+
+const SECRET = 'segredo-de-teste';
+// Cartão do servidor criado por setupGuild
+const SERVER_CARD = 'SERVER';
+
+let server;
+let url;
+let logs;
+
+test.before(async () => {
+    server = bot.createApiServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+    bot.CONFIG.COIN_WEBHOOK_SECRET = SECRET;
+});
+
+test.after(() => {
+    server.close();
+    bot.CONFIG.COIN_WEBHOOK_SECRET = '';
+});
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild();
+    await setupUser('alice');
+    logs = await captureLogs();
+});
+
+/**
+ * Envia um aviso de pagamento assinado como a Coin API
+ * @param {Object} payment - Corpo do aviso
+ * @param {Object} [params] - { secret, timestamp } para simular assinaturas inválidas
+ * @returns {Object} { status, body }
+ */
+async function notify(payment, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+    const body = JSON.stringify(payment);
+    const response = await fetch(`${url}/webhooks/coin`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Coin-Timestamp': String(timestamp),
+            'X-Coin-Signature': signPayload(secret, timestamp, body)
+        },
+        body
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Código de recarga de um usuário, pelo /money topup
+ * @param {string} userId - ID do usuário
+ * @returns {string} Código
+ */
+async function topupCode(userId) {
+    const interaction = await runCommand({ command: 'money', subcommand: 'topup', userId });
+    return lastReply(interaction).fields['Seu código'].replace(/`/g, '');
+}
+
+test('verifySignature confere assinatura e idade do aviso', () => {
+    const now = Date.now();
+    const timestamp = Math.floor(now / 1000);
+    const signature = signPayload(SECRET, timestamp, '{"a":1}');
+
+    assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+    assert.strictEqual(verifySignature({ secret: SECRET, timestamp, body: '{"a":1}', signature, now }), true);
+    assert.strictEqual(verifySignature({ secret: SECRET, timestamp, body: '{"a":2}', signature, now }), false);
+    assert.strictEqual(verifySignature({ secret: 'outro', timestamp, body: '{"a":1}', signature, now }), false);
+    assert.strictEqual(verifySignature({ secret: SECRET, timestamp, body: '{"a":1}', signature, now: now + 301000 }), false);
+});
+
+test('/money topup mostra um código fixo e privado com os coins a enviar', async () => {
+    const interaction = await runCommand({ command: 'money', subcommand: 'topup', userId: 'alice', options: { amount: '25' } });
+    const reply = lastReply(interaction);
+
+    assert.strictEqual(interaction.ephemeral, true);
+    assert.strictEqual(reply.title, '💳 Recarga de Reais');
+    assert.match(reply.description, /cartão do servidor/);
+    assert.doesNotMatch(reply.description, new RegExp(SERVER_CARD));
+    assert.match(reply.fields['Seu código'], /^`TOP-[A-Z2-9]{8}`$/);
+    assert.strictEqual(reply.fields['Para receber $25.00'], 'Envie 25 coins (antes da taxa)');
+
+    assert.strictEqual(await topupCode('alice'), reply.fields['Seu código'].replace(/`/g, ''));
+    assert.notStrictEqual(await topupCode('bob'), await topupCode('alice'));
+});
+
+test('aviso assinado credita reais com taxa, uma única vez, e registra no log', async () => {
+    await runCommand({ command: 'server', subcommand: 'fees', admin: true, options: { operation: 'topup', flat: '0.5' } });
+    const code = await topupCode('alice');
+
+    const payment = { txId: 'coin-tx-1', to: SERVER_CARD, amount: '12.5', memo: `recarga ${code.toLowerCase()}` };
+    const first = await notify(payment);
+
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.status, 'credited');
+    assert.strictEqual(first.body.amount, 1250);
+    assert.strictEqual(first.body.fee, 50);
+    assert.strictEqual(await dollarsOf('alice'), 1200);
+
+    const tx = await bot.db.get("SELECT user_id, status, tx_id, coin_amount, amount, fee FROM transactions WHERE type = 'topup'");
+    assert.deepStrictEqual(tx, { user_id: 'alice', status: 'completed', tx_id: 'coin-tx-1', coin_amount: 12.5e8, amount: 1250, fee: 50 });
+    assert.strictEqual(await ledgerTotal(), 0);
+
+    const log = logs.find(entry => entry.title === '💰 Recarga Recebida');
+    assert.strictEqual(log.fields['Valor creditado'], '$12.00');
+    assert.strictEqual(log.fields['ID da Transação'], '`coin-tx-1`');
+
+    // Reenvio do mesmo aviso não credita de novo
+    const again = await notify(payment);
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.body.duplicate, true);
+    assert.strictEqual(await dollarsOf('alice'), 1200);
+
+    const history = await runCommand({ command: 'money', subcommand: 'history', userId: 'alice' });
+    assert.match(lastReply(history).description, /💳 Recarga .*\n.*-12\.5 coins → \+\$12\.00/);
+});
+
+test('auditoria lastreia as recargas só pelo saldo do cartão do servidor', async () => {
+    bot.coinApi.setCard(SERVER_CARD, 0);
+    const code = await topupCode('alice');
+    await notify({ txId: 'coin-tx-1', to: SERVER_CARD, amount: '12.5', memo: code });
+
+    // Recargas creditadas não contam como lastro se os coins já saíram do cartão
+    const drained = await bot.auditGuild(GUILD_ID);
+    assert.strictEqual(drained.requiredCoins, 12.5e8);
+    assert.strictEqual(drained.ok, false);
+
+    bot.coinApi.setCard(SERVER_CARD, 12.5e8);
+    const report = await bot.auditGuild(GUILD_ID);
+    assert.strictEqual(report.cardCoins, 12.5e8);
+    assert.strictEqual(report.ok, true);
+});
+
+test('aviso sem assinatura válida é recusado sem creditar', async () => {
+    const code = await topupCode('alice');
+    const payment = { txId: 'coin-tx-2', to: SERVER_CARD, amount: '10', memo: code };
+
+    const forged = await notify(payment, { secret: 'errado' });
+    assert.strictEqual(forged.status, 401);
+
+    const stale = await notify(payment, { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+    assert.strictEqual(stale.status, 401);
+
+    const invalid = await notify({ txId: 'coin-tx-3', to: SERVER_CARD, amount: '-1', memo: code });
+    assert.strictEqual(invalid.status, 400);
+
+    assert.strictEqual(await dollarsOf('alice'), 0);
+    assert.strictEqual((await bot.db.get('SELECT COUNT(*) AS n FROM topup_payments')).n, 0);
+});
+
+test('pagamentos sem código ou para outro cartão ficam gravados sem crédito', async () => {
+    const code = await topupCode('alice');
+
+    const unmatched = await notify({ txId: 'coin-tx-4', to: SERVER_CARD, amount: '10', memo: 'sem código' });
+    assert.strictEqual(unmatched.body.status, 'unmatched');
+
+    const wrongCard = await notify({ txId: 'coin-tx-5', to: 'CARD-alice', amount: '10', memo: code });
+    assert.strictEqual(wrongCard.body.status, 'rejected');
+
+    assert.strictEqual(await dollarsOf('alice'), 0);
+    const rows = await bot.db.all('SELECT tx_id, status, user_id FROM topup_payments ORDER BY tx_id');
+    assert.deepStrictEqual(rows, [
+        { tx_id: 'coin-tx-4', status: 'unmatched', user_id: null },
+        { tx_id: 'coin-tx-5', status: 'rejected', user_id: 'alice' }
+    ]);
+
+    const log = logs.find(entry => entry.title === '⚠️ Recarga Não Creditada');
+    assert.strictEqual(log.fields['Usuário'], '<@alice>');
+    assert.strictEqual(log.fields['Motivo'], 'Os coins não foram enviados para o cartão do servidor');
+});
+
+test('/server topup exige config.edit e /money topup avisa quando não há cartão do servidor', async () => {
+    const denied = await runCommand({ command: 'server', subcommand: 'topup', userId: 'mod', staff: true });
+    assert.strictEqual(lastReply(denied).content, '❌ Você não tem a permissão `config.edit` para usar este comando.');
+
+    const status = await runCommand({ command: 'server', subcommand: 'topup', userId: 'owner', admin: true });
+    assert.strictEqual(lastReply(status).fields['Cartão do servidor'], '✅ Configurado');
+
+    await bot.db.run('UPDATE guild_config SET server_card_id = NULL');
+    const interaction = await runCommand({ command: 'money', subcommand: 'topup', userId: 'alice' });
+    assert.strictEqual(lastReply(interaction).title, '❌ Recarga Indisponível');
+    assert.match(lastReply(interaction).description, /`\/server card`/);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { compilePath, matchRoute, createWebServer, HttpError } = require('../src/webServer');
+
+/**
+ * Sobe um servidor numa porta livre e devolve a URL base
+ * @param {Object} options - Opções de createWebServer
+ * @returns {Object} { server, url }
+ */
+async function listen(options) {
+    const server = createWebServer(options);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('rotas com parâmetros e métodos diferentes no mesmo caminho', () => {
+    const routes = [
+        { method: 'GET', path: '/api/users/:id', ...compilePath('/api/users/:id') },
+        { method: 'POST', path: '/api/users/:id/give', ...compilePath('/api/users/:id/give') }
+    ];
+
+    assert.deepStrictEqual(matchRoute(routes, 'GET', '/api/users/123').params, { id: '123' });
+    assert.deepStrictEqual(matchRoute(routes, 'POST', '/api/users/a%20b/give/').params, { id: 'a b' });
+    assert.deepStrictEqual(matchRoute(routes, 'DELETE', '/api/users/123'), { allowed: ['GET'] });
+    assert.strictEqual(matchRoute(routes, 'GET', '/api/users'), null);
+    assert.throws(() => matchRoute(routes, 'GET', '/api/users/%E0'), { name: 'HttpError', status: 400 });
+});
+
+test('autenticação, corpo JSON e erros viram status HTTP', async () => {
+    const { server, url } = await listen({
+        authenticate: async token => (token === 'certo' ? { guildId: 'g1' } : null),
+        routes: [
+            { method: 'GET', path: '/', public: true, type: 'text/html', handler: () => '<h1>ok</h1>' },
+            { method: 'POST', path: '/echo/:id', handler: ({ params, body, auth }) => ({ id: params.id, body, guild: auth.guildId }) },
+            { method: 'GET', path: '/falha', handler: () => { throw new HttpError(409, 'Conflito', { balance: 5 }); } },
+            { method: 'GET', path: '/quebra', handler: () => { throw new Error('bug'); } }
+        ]
+    });
+    const auth = { Authorization: 'Bearer certo' };
+
+    try {
+        const page = await fetch(`${url}/`);
+        assert.strictEqual(page.headers.get('content-type'), 'text/html');
+        assert.strictEqual(await page.text(), '<h1>ok</h1>');
+
+        assert.strictEqual((await fetch(`${url}/echo/1`, { method: 'POST' })).status, 401);
+        assert.strictEqual((await fetch(`${url}/echo/1`, { method: 'POST', headers: { Authorization: 'Bearer errado' } })).status, 401);
+
+        const echo = await fetch(`${url}/echo/7`, { method: 'POST', headers: auth, body: JSON.stringify({ amount: '10' }) });
+        assert.deepStrictEqual(await echo.json(), { id: '7', body: { amount: '10' }, guild: 'g1' });
+
+        const invalid = await fetch(`${url}/echo/7`, { method: 'POST', headers: auth, body: '{' });
+        assert.strictEqual(invalid.status, 400);
+
+        const badPath = await fetch(`${url}/echo/%E0`, { method: 'POST', headers: auth });
+        assert.strictEqual(badPath.status, 400);
+        assert.deepStrictEqual(await badPath.json(), { error: 'Caminho inválido' });
+
+        const conflict = await fetch(`${url}/falha`, { headers: auth });
+        assert.strictEqual(conflict.status, 409);
+        assert.deepStrictEqual(await conflict.json(), { error: 'Conflito', balance: 5 });
+
+        const crash = await fetch(`${url}/quebra`, { headers: auth });
+        assert.strictEqual(crash.status, 500);
+        assert.deepStrictEqual(await crash.json(), { error: 'Erro interno' });
+
+        const wrongMethod = await fetch(`${url}/falha`, { method: 'DELETE', headers: auth });
+        assert.strictEqual(wrongMethod.status, 405);
+        assert.strictEqual(wrongMethod.headers.get('allow'), 'GET');
+    } finally {
+        server.close();
+    }
+});
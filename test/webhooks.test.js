@@ -0,0 +1,244 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const dns = require('dns');
+
+const { verifySignature } = require('../src/signature');
+const { parseEventFilter, subscribes, isPublicAddress, parseWebhookUrl, deliverWebhook } = require('../src/webhooks');
+const {
+    bot,
+    resetBot,
+    runCommand,
+    lastReply,
+    setupGuild,
+    setupUser,
+    captureLogs
+} = require('./helpers');
+
+const COIN = 1e8;
+
+let receiver;
+let url;
+let received;
+let statuses;
+let logs;
+
+test.before(async () => {
+    // Serviço externo falso: guarda as requisições e responde com os status de statuses (padrão 200)
+    receiver = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+            res.writeHead(statuses.shift() || 200);
+            res.end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.address().port}`;
+    // O serviço falso roda em loopback; novas tentativas saem sem espera
+    bot.CONFIG.WEBHOOK_ALLOW_PRIVATE_HOSTS = true;
+    bot.CONFIG.WEBHOOK_RETRY_BASE_MS = 0;
+    bot.CONFIG.WEBHOOK_MAX_ATTEMPTS = 3;
+});
+
+test.after(() => {
+    receiver.close();
+    bot.CONFIG.WEBHOOK_ALLOW_PRIVATE_HOSTS = false;
+    bot.CONFIG.WEBHOOK_RETRY_BASE_MS = 30000;
+    bot.CONFIG.WEBHOOK_MAX_ATTEMPTS = 6;
+});
+
+test.beforeEach(async () => {
+    await resetBot();
+    await setupGuild({ serverCoins: 100 * COIN });
+    logs = await captureLogs();
+    received = [];
+    statuses = [];
+});
+
+/**
+ * Cadastra um webhook pelo comando e devolve o segredo mostrado na resposta
+ * @param {Object} options - Opções do /server webhooks (url, events)
+ * @returns {Object} { id, secret }
+ */
+async function addWebhook(options) {
+    const interaction = await runCommand({
+        command: 'server', subcommand: 'webhooks', userId: 'owner', admin: true, options: { action: 'add', ...options }
+    });
+    const reply = lastReply(interaction);
+    return { id: Number(reply.fields.ID.slice(1)), secret: reply.description.match(/whsec_[\w-]+/)[0] };
+}
+
+/**
+ * Eventos entregues ao serviço falso, depois de esperar os webhooks
+ * @returns {Object[]} Eventos (corpo JSON)
+ */
+async function deliveredEvents() {
+    await bot.webhooks.drain();
+    return received.map(request => JSON.parse(request.body));
+}
+
+test('filtros de eventos e URLs', () => {
+    assert.deepStrictEqual(parseEventFilter(''), ['*']);
+    assert.deepStrictEqual(parseEventFilter('deposit.completed, fine.*'), ['deposit.completed', 'fine.*']);
+    assert.strictEqual(parseEventFilter('deposit.completd'), null);
+    assert.strictEqual(parseEventFilter('nada.*'), null);
+
+    assert.strictEqual(subscribes(['fine.*'], 'fine.paid'), true);
+    assert.strictEqual(subscribes(['fine.*'], 'pay.completed'), false);
+    assert.strictEqual(subscribes(['*'], 'pay.completed'), true);
+
+    assert.strictEqual(parseWebhookUrl('https://exemplo.com/hook'), 'https://exemplo.com/hook');
+    assert.strictEqual(parseWebhookUrl('ftp://exemplo.com'), null);
+    assert.strictEqual(parseWebhookUrl('não é url'), null);
+});
+
+test('endereços internos são recusados no cadastro e na entrega', async (t) => {
+    for (const address of ['127.0.0.1', '10.0.0.8', '172.16.5.4', '192.168.0.10', '169.254.169.254', '::1', 'fd12::1', 'fe80::1', '::ffff:127.0.0.1']) {
+        assert.strictEqual(isPublicAddress(address), false, address);
+    }
+    assert.strictEqual(isPublicAddress('93.184.216.34'), true);
+    assert.strictEqual(parseWebhookUrl('http://localhost:3000/hook'), null);
+    assert.strictEqual(parseWebhookUrl('http://[::1]/hook'), null);
+    assert.strictEqual(parseWebhookUrl(`${url}/hook`), null);
+    assert.strictEqual(parseWebhookUrl(`${url}/hook`, { allowPrivate: true }), `${url}/hook`);
+
+    bot.CONFIG.WEBHOOK_ALLOW_PRIVATE_HOSTS = false;
+    t.after(() => { bot.CONFIG.WEBHOOK_ALLOW_PRIVATE_HOSTS = true; });
+    const denied = await runCommand({
+        command: 'server', subcommand: 'webhooks', userId: 'owner', admin: true, options: { action: 'add', url: 'http://169.254.169.254/latest' }
+    });
+    assert.match(lastReply(denied).content, /^❌ URL inválida/);
+
+    // Um nome público que resolve para loopback é barrado na conexão
+    t.mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+    const delivery = { secret: 'whsec_teste', body: '{}', eventId: 'evt', eventType: 'webhook.test', timeoutMs: 1000 };
+    const rebinding = await deliverWebhook({ ...delivery, url: `http://hooks.exemplo.com:${receiver.address().port}/hook` });
+    assert.deepStrictEqual(rebinding, { ok: false, status: null, error: 'Endereço interno não permitido' });
+
+    // Webhooks antigos com endereço interno também não recebem
+    const stored = await deliverWebhook({ ...delivery, url: `${url}/hook` });
+    assert.strictEqual(stored.error, 'Endereço interno não permitido');
+    assert.strictEqual(received.length, 0);
+});
+
+test('/server webhooks exige config.edit e responde em privado', async () => {
+    const denied = await runCommand({ command: 'server', subcommand: 'webhooks', userId: 'mod', staff: true, options: { action: 'list' } });
+    assert.strictEqual(lastReply(denied).content, '❌ Você não tem a permissão `config.edit` para usar este comando.');
+
+    const invalid = await runCommand({
+        command: 'server', subcommand: 'webhooks', userId: 'owner', admin: true, options: { action: 'add', url: `${url}/hook`, events: 'saque' }
+    });
+    assert.match(lastReply(invalid).content, /^❌ Evento desconhecido/);
+
+    await addWebhook({ url: `${url}/hook` });
+    const list = await runCommand({ command: 'server', subcommand: 'webhooks', userId: 'owner', admin: true, options: { action: 'list' } });
+    assert.strictEqual(list.ephemeral, true);
+    assert.strictEqual(lastReply(list).title, '🔗 Webhooks');
+    assert.match(lastReply(list).description, /\*\*#\d+\*\* http:\/\/127\.0\.0\.1:\d+\/hook\nEventos: \* • ✅ 0 ⏳ 0 ❌ 0/);
+    assert.ok(logs.some(log => log.title === '🔗 Webhook Adicionado'));
+});
+
+test('saque gera evento assinado com os dados da transação', async () => {
+    const { secret } = await addWebhook({ url: `${url}/hook` });
+    await setupUser('alice', { coins: 30 * COIN });
+
+    await runCommand({ command: 'money', subcommand: 'withdraw', userId: 'alice', options: { amount: '10' } });
+    const [event] = await deliveredEvents();
+
+    assert.strictEqual(event.type, 'withdraw.completed');
+    assert.strictEqual(event.guild_id, 'guild-1');
+    assert.strictEqual(event.data.user_id, 'alice');
+    assert.strictEqual(event.data.amount, 1000);
+    assert.strictEqual(event.data.coin_amount, 10 * COIN);
+    assert.strictEqual(event.data.status, 'completed');
+
+    const { headers, body } = received[0];
+    assert.strictEqual(headers['x-webhook-event'], 'withdraw.completed');
+    assert.strictEqual(headers['x-webhook-id'], event.id);
+    assert.strictEqual(verifySignature({
+        secret, timestamp: headers['x-webhook-timestamp'], body, signature: headers['x-webhook-signature']
+    }), true);
+
+    const delivery = await bot.db.get('SELECT status, attempts, response_status FROM webhook_deliveries');
+    assert.deepStrictEqual(delivery, { status: 'delivered', attempts: 1, response_status: 200 });
+});
+
+test('cada webhook recebe só os eventos que assina', async () => {
+    await addWebhook({ url: `${url}/multas`, events: 'fine.*' });
+    await addWebhook({ url: `${url}/pagamentos`, events: 'pay.completed' });
+    await setupUser('alice', { dollars: 5000 });
+    await setupUser('bob');
+
+    await runCommand({ command: 'money', subcommand: 'pay', userId: 'alice', options: { user: 'bob', amount: '5' } });
+    await runCommand({
+        command: 'server', subcommand: 'fine', userId: 'owner', admin: true, options: { user: 'alice', amount: '3', reason: 'Spam' }
+    });
+    await deliveredEvents();
+
+    const byPath = Object.fromEntries(received.map(request => [request.path, JSON.parse(request.body)]));
+    assert.strictEqual(received.length, 2);
+    assert.strictEqual(byPath['/pagamentos'].type, 'pay.completed');
+    assert.strictEqual(byPath['/pagamentos'].data.counterparty_id, 'bob');
+    assert.strictEqual(byPath['/multas'].type, 'fine.issued');
+    assert.strictEqual(byPath['/multas'].data.amount, 300);
+    assert.strictEqual(byPath['/multas'].data.reason, 'Spam');
+});
+
+test('entregas com erro são repetidas com o mesmo evento e desistem após o máximo de tentativas', async () => {
+    await addWebhook({ url: `${url}/hook`, events: 'balance.*' });
+
+    statuses.push(500);
+    await runCommand({ command: 'adm', subcommand: 'give', userId: 'owner', admin: true, options: { user: 'alice', amount: '10' } });
+    await deliveredEvents();
+
+    assert.strictEqual(received.length, 2);
+    assert.strictEqual(received[0].headers['x-webhook-id'], received[1].headers['x-webhook-id']);
+    assert.deepStrictEqual(
+        await bot.db.get('SELECT status, attempts, response_status FROM webhook_deliveries'),
+        { status: 'delivered', attempts: 2, response_status: 200 }
+    );
+
+    statuses.push(503, 503, 503);
+    await runCommand({ command: 'adm', subcommand: 'take', userId: 'owner', admin: true, options: { user: 'alice', amount: '1' } });
+    await deliveredEvents();
+
+    const failed = await bot.db.get("SELECT status, attempts, error FROM webhook_deliveries WHERE event_type = 'balance.taken'");
+    assert.deepStrictEqual(failed, { status: 'failed', attempts: bot.CONFIG.WEBHOOK_MAX_ATTEMPTS, error: 'HTTP 503' });
+    const log = logs.find(entry => entry.title === '⚠️ Webhook Não Entregue');
+    assert.match(log.fields.Evento, /^balance\.taken/);
+
+    const deliveries = await runCommand({ command: 'server', subcommand: 'webhooks', userId: 'owner', admin: true, options: { action: 'deliveries' } });
+    assert.match(lastReply(deliveries).description, /❌ Falhou • webhook #\d+ • `balance\.taken` • 3 tentativa\(s\) • HTTP 503\n/);
+});
+
+test('falhas da Coin API também viram eventos no barramento', async () => {
+    await setupUser('alice', { dollars: 5000 });
+    const events = [];
+    const listener = event => events.push(event);
+    bot.events.on('deposit.failed', listener);
+
+    try {
+        bot.coinApi.failNext('transferToId', 'REJECTED');
+        await runCommand({ command: 'money', subcommand: 'deposit', userId: 'alice', options: { amount: '20' } });
+    } finally {
+        bot.events.off('deposit.failed', listener);
+    }
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].data.status, 'failed');
+    assert.match(events[0].data.error, /REJECTED/);
+});
+
+test('action:test entrega só ao webhook escolhido e action:remove cancela o envio', async () => {
+    const { id } = await addWebhook({ url: `${url}/hook`, events: 'deposit.completed' });
+
+    const sent = await runCommand({ command: 'server', subcommand: 'webhooks', userId: 'owner', admin: true, options: { action: 'test', id } });
+    assert.strictEqual(lastReply(sent).title, '✅ Teste Entregue');
+    assert.strictEqual(JSON.parse(received[0].body).type, 'webhook.test');
+
+    const removed = await runCommand({ command: 'server', subcommand: 'webhooks', userId: 'owner', admin: true, options: { action: 'remove', id } });
+    assert.strictEqual(lastReply(removed).title, '🗑️ Webhook Removido');
+    assert.strictEqual((await bot.db.get('SELECT COUNT(*) AS n FROM webhooks')).n, 0);
+});